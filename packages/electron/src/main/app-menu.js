@@ -0,0 +1,119 @@
+const { Menu, shell } = require('electron');
+
+const isMac = process.platform === 'darwin';
+
+// Commands the renderer handles, sent on the 'menu-command' channel as { command, ...args }
+const MENU_COMMANDS = {
+  NEW_SESSION: 'new-session',
+  OPEN_SESSION: 'open-session',
+  SAVE_SESSION: 'save-session',
+  SAVE_SESSION_AS: 'save-session-as',
+  EXPORT_AUDIO: 'export-audio',
+  IMPORT_EVORUN: 'import-evorun',
+  SET_VIEW: 'set-view',
+  TOGGLE_UNITS_PANEL: 'toggle-units-panel',
+  ADD_UNIT: 'add-unit',
+  PLAY_ALL: 'play-all',
+  STOP_ALL: 'stop-all'
+};
+
+/**
+ * Build the application menu. Menu items that act on the app's state call
+ * sendCommand(command, args) to forward them to the focused window's renderer.
+ * @param {Object} actions
+ * @param {function(string, Object=): void} actions.sendCommand
+ * @param {function(string): void|null} actions.detachPanel - Open 'units' or 'heatmap' in its own window;
+ *   null disables those menu items
+ * @param {function(): void} actions.revealLogs
+ * @param {function(): void} actions.exportDiagnosticBundle
+ */
+function buildApplicationMenu({ sendCommand, detachPanel, revealLogs, exportDiagnosticBundle }) {
+  const command = (name, args) => () => sendCommand(name, args);
+
+  const template = [
+    ...(isMac ? [{ role: 'appMenu' }] : []),
+    {
+      label: 'File',
+      submenu: [
+        { label: 'New Session', accelerator: 'CmdOrCtrl+N', click: command(MENU_COMMANDS.NEW_SESSION) },
+        { label: 'Open Session…', accelerator: 'CmdOrCtrl+O', click: command(MENU_COMMANDS.OPEN_SESSION) },
+        { type: 'separator' },
+        { label: 'Save Session', accelerator: 'CmdOrCtrl+S', click: command(MENU_COMMANDS.SAVE_SESSION) },
+        { label: 'Save Session As…', accelerator: 'Shift+CmdOrCtrl+S', click: command(MENU_COMMANDS.SAVE_SESSION_AS) },
+        { type: 'separator' },
+        { label: 'Export Audio…', accelerator: 'CmdOrCtrl+E', click: command(MENU_COMMANDS.EXPORT_AUDIO) },
+        { type: 'separator' },
+        { label: 'Import Evorun…', click: command(MENU_COMMANDS.IMPORT_EVORUN) },
+        { type: 'separator' },
+        isMac ? { role: 'close' } : { role: 'quit' }
+      ]
+    },
+    { role: 'editMenu' },
+    {
+      label: 'View',
+      submenu: [
+        { label: 'Tree', accelerator: 'CmdOrCtrl+1', click: command(MENU_COMMANDS.SET_VIEW, { view: 'tree' }) },
+        { label: 'Heatmap', accelerator: 'CmdOrCtrl+2', click: command(MENU_COMMANDS.SET_VIEW, { view: 'heatmap' }) },
+        { label: 'Feed', accelerator: 'CmdOrCtrl+3', click: command(MENU_COMMANDS.SET_VIEW, { view: 'feed' }) },
+        { type: 'separator' },
+        { label: 'Toggle Units Panel', accelerator: 'CmdOrCtrl+U', click: command(MENU_COMMANDS.TOGGLE_UNITS_PANEL) },
+        { type: 'separator' },
+        { label: 'Open Units Panel in New Window', accelerator: 'Shift+CmdOrCtrl+U', enabled: !!detachPanel, click: () => detachPanel('units') },
+        { label: 'Open Heatmap in New Window', accelerator: 'Shift+CmdOrCtrl+H', enabled: !!detachPanel, click: () => detachPanel('heatmap') },
+        { type: 'separator' },
+        { role: 'reload' },
+        { role: 'toggleDevTools' },
+        { type: 'separator' },
+        { role: 'resetZoom' },
+        { role: 'zoomIn' },
+        { role: 'zoomOut' },
+        { type: 'separator' },
+        { role: 'togglefullscreen' }
+      ]
+    },
+    {
+      label: 'Units',
+      submenu: [
+        // Values of UNIT_TYPES in packages/web/src/constants.js
+        { label: 'Add Trajectory Unit', accelerator: 'Alt+CmdOrCtrl+1', click: command(MENU_COMMANDS.ADD_UNIT, { unitType: 'TRAJECTORY' }) },
+        { label: 'Add Sequencing Unit', accelerator: 'Alt+CmdOrCtrl+2', click: command(MENU_COMMANDS.ADD_UNIT, { unitType: 'SEQUENCING' }) },
+        { label: 'Add Looping Unit', accelerator: 'Alt+CmdOrCtrl+3', click: command(MENU_COMMANDS.ADD_UNIT, { unitType: 'LOOPING' }) },
+        { label: 'Add Live Coding Unit', accelerator: 'Alt+CmdOrCtrl+4', click: command(MENU_COMMANDS.ADD_UNIT, { unitType: 'LIVE_CODING' }) }
+      ]
+    },
+    {
+      label: 'Transport',
+      submenu: [
+        // Cmd/Ctrl+Enter is taken by the live coding editor's evaluate shortcut
+        { label: 'Play All', accelerator: 'Shift+CmdOrCtrl+Enter', click: command(MENU_COMMANDS.PLAY_ALL) },
+        { label: 'Stop All', accelerator: 'CmdOrCtrl+.', click: command(MENU_COMMANDS.STOP_ALL) }
+      ]
+    },
+    { role: 'windowMenu' },
+    {
+      role: 'help',
+      submenu: [
+        { label: 'Visit synth.is', click: () => shell.openExternal('https://synth.is') },
+        { type: 'separator' },
+        { label: 'Reveal Logs', click: revealLogs },
+        { label: 'Export Diagnostic Bundle…', click: exportDiagnosticBundle }
+      ]
+    }
+  ];
+
+  return Menu.buildFromTemplate(template);
+}
+
+/**
+ * Install the application menu
+ * @param {Object} actions - See buildApplicationMenu
+ */
+function setupApplicationMenu(actions) {
+  Menu.setApplicationMenu(buildApplicationMenu(actions));
+}
+
+module.exports = {
+  MENU_COMMANDS,
+  buildApplicationMenu,
+  setupApplicationMenu
+};
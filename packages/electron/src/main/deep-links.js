@@ -0,0 +1,83 @@
+const path = require('path');
+const fs = require('fs');
+
+const PROTOCOL = 'kromosynth';
+
+/**
+ * Parse a kromosynth:// link
+ *
+ *   kromosynth://genome/<evoRunId>/<genomeId>  -> { type: 'genome', evoRunId, genomeId }
+ *   kromosynth://run/<experiment>/<step>       -> { type: 'run', experiment, step }
+ *   kromosynth://session/<path>                -> { type: 'session', path }
+ *
+ * The session path may be percent-encoded or written out, e.g.
+ * kromosynth://session//Users/me/set.kromosession or kromosynth://session/C:/sets/set.kromosession
+ */
+function parseDeepLink(rawUrl) {
+  const url = new URL(rawUrl);
+  if (url.protocol !== `${PROTOCOL}:`) {
+    throw new Error(`Not a ${PROTOCOL}:// link: ${rawUrl}`);
+  }
+
+  const type = decodeURIComponent(url.hostname).toLowerCase();
+  const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  switch (type) {
+    case 'genome': {
+      const [evoRunId, genomeId] = segments;
+      if (!evoRunId || !genomeId) {
+        throw new Error('Genome links need kromosynth://genome/<evoRunId>/<genomeId>');
+      }
+      return { type, evoRunId, genomeId };
+    }
+    case 'run': {
+      const [experiment, step = '0'] = segments;
+      const stepIndex = parseInt(step, 10);
+      if (!experiment || isNaN(stepIndex) || stepIndex < 0) {
+        throw new Error('Run links need kromosynth://run/<experiment>/<step>');
+      }
+      return { type, experiment, step: stepIndex };
+    }
+    case 'session': {
+      let sessionPath = decodeURIComponent(url.pathname);
+      // "/C:/..." on Windows; keep the leading slash of POSIX paths written as "//Users/..."
+      if (/^\/[A-Za-z]:[\\/]/.test(sessionPath)) {
+        sessionPath = sessionPath.slice(1);
+      } else if (sessionPath.startsWith('//')) {
+        sessionPath = sessionPath.slice(1);
+      }
+      if (!path.isAbsolute(sessionPath)) {
+        throw new Error(`Session links need an absolute path, got "${sessionPath}"`);
+      }
+      return { type, path: path.normalize(sessionPath) };
+    }
+    default:
+      throw new Error(`Unknown ${PROTOCOL}:// link type "${type}"`);
+  }
+}
+
+/**
+ * The deep link among command line arguments (Windows and Linux pass it there)
+ */
+function findDeepLinkArg(argv = []) {
+  return argv.find(arg => typeof arg === 'string' && arg.startsWith(`${PROTOCOL}://`)) || null;
+}
+
+/**
+ * Attach the session file's contents to a session link, or the reason it could not be read
+ */
+async function resolveSessionLink(link) {
+  try {
+    const session = JSON.parse(await fs.promises.readFile(link.path, 'utf8'));
+    return { ...link, session };
+  } catch (error) {
+    return { ...link, error: `Could not open session ${link.path}: ${error.message}` };
+  }
+}
+
+module.exports = {
+  PROTOCOL,
+  parseDeepLink,
+  findDeepLinkArg,
+  resolveSessionLink
+};
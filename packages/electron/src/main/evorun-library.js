@@ -0,0 +1,280 @@
+const { app, dialog, BrowserWindow } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const extract = require('extract-zip');
+const LocalEvoruns = require('./local-evoruns');
+
+const { describeRunFolder, summarizeRuns } = LocalEvoruns;
+
+const GENOME_FILE_PATTERN = /^genome_.+\.json(\.gz)?$/;
+const FEATURES_FILE_PATTERN = /^features_.+\.json(\.gz)?$/;
+
+async function isDirectory(directory) {
+  try {
+    return (await fs.promises.stat(directory)).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Files matching pattern in the run folder and in its <subfolder>
+ */
+async function countRunFiles(runPath, pattern, subfolder) {
+  let count = 0;
+  for (const directory of [runPath, path.join(runPath, subfolder)]) {
+    try {
+      count += (await fs.promises.readdir(directory)).filter(name => pattern.test(name)).length;
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+    }
+  }
+  return count;
+}
+
+/**
+ * Evoruns imported from a folder or a .zip into userData/evorun-library, where
+ * LocalEvoruns serves them on kromosynth-evoruns://. Importing is two steps:
+ * inspect() lets the user pick the run and validates it, importRun() copies it in.
+ */
+class EvorunLibrary {
+  constructor() {
+    this.indexPath = path.join(app.getPath('userData'), 'evorun-library.json');
+    this.stagingDir = path.join(app.getPath('userData'), 'evorun-imports');
+    this.pending = new Map(); // importId -> { kind, sourcePath, runPath, stagingPath, report }
+  }
+
+  get libraryDir() {
+    return LocalEvoruns.libraryDir;
+  }
+
+  async readIndex() {
+    try {
+      const index = JSON.parse(await fs.promises.readFile(this.indexPath, 'utf8'));
+      return { runs: Array.isArray(index.runs) ? index.runs : [] };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Could not read the evorun library index:', error.message);
+      }
+      return { runs: [] };
+    }
+  }
+
+  async writeIndex(index) {
+    await fs.promises.mkdir(path.dirname(this.indexPath), { recursive: true });
+    const tmpPath = `${this.indexPath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(index, null, 2));
+    await fs.promises.rename(tmpPath, this.indexPath);
+  }
+
+  /**
+   * Imported runs still on disk, and the same runs grouped like REST_ENDPOINTS.EVORUNS_SUMMARY
+   * @returns {Promise<{runs: Array<Object>, groups: Object}>}
+   */
+  async listImported() {
+    const { runs } = await this.readIndex();
+    const present = [];
+    for (const run of runs) {
+      if (await isDirectory(path.join(this.libraryDir, run.folderName))) {
+        present.push(run);
+      }
+    }
+    present.sort((a, b) => b.timestamp - a.timestamp);
+    return { runs: present, groups: summarizeRuns(present) };
+  }
+
+  /**
+   * Let the user pick an evorun folder or .zip and check that it can be imported
+   * @param {'directory'|'zip'} kind
+   * @param {Electron.WebContents} [webContents] - Window to attach the dialog to
+   * @returns {Promise<{importId: string, report: Object}|null>} null when the dialog was cancelled
+   */
+  async inspect(kind, webContents) {
+    const parent = webContents ? BrowserWindow.fromWebContents(webContents) : null;
+    const result = await dialog.showOpenDialog(parent, kind === 'zip'
+      ? {
+        title: 'Import an evorun archive',
+        properties: ['openFile'],
+        filters: [{ name: 'Zip Archives', extensions: ['zip'] }]
+      }
+      : {
+        title: 'Import an evorun folder',
+        properties: ['openDirectory']
+      });
+    if (result.canceled || result.filePaths.length === 0) {
+      return null;
+    }
+
+    const sourcePath = result.filePaths[0];
+    const importId = crypto.randomUUID();
+    let runPath = sourcePath;
+    let stagingPath = null;
+    let folderName = path.basename(sourcePath);
+
+    if (kind === 'zip') {
+      stagingPath = path.join(this.stagingDir, importId);
+      await fs.promises.mkdir(stagingPath, { recursive: true });
+      try {
+        await extract(sourcePath, { dir: stagingPath });
+        runPath = await this.resolveArchiveRoot(stagingPath);
+      } catch (error) {
+        await fs.promises.rm(stagingPath, { recursive: true, force: true });
+        throw error;
+      }
+      // An archive of the run's contents is named after the run instead
+      folderName = runPath === stagingPath ? path.basename(sourcePath, path.extname(sourcePath)) : path.basename(runPath);
+    }
+
+    const report = { ...await this.validateRun(runPath, folderName), source: sourcePath, kind };
+    this.pending.set(importId, { kind, sourcePath, runPath, stagingPath, report });
+    return { importId, report };
+  }
+
+  /**
+   * The run folder inside an extracted archive: the archive root when it holds
+   * the genomes, otherwise its single top-level folder
+   */
+  async resolveArchiveRoot(extractedPath) {
+    if (await countRunFiles(extractedPath, GENOME_FILE_PATTERN, 'genomes') > 0) {
+      return extractedPath;
+    }
+
+    const directories = (await fs.promises.readdir(extractedPath, { withFileTypes: true }))
+      .filter(entry => entry.isDirectory() && entry.name !== '__MACOSX');
+    if (directories.length === 1) {
+      return path.join(extractedPath, directories[0].name);
+    }
+    const runFolders = directories.filter(entry => describeRunFolder(entry.name));
+    return runFolders.length === 1 ? path.join(extractedPath, runFolders[0].name) : extractedPath;
+  }
+
+  /**
+   * Check a run folder for what the app needs to show it: a <ULID>_<experiment>
+   * name, genome files and the lineage tree
+   * @returns {Promise<Object>} Run description with counts, errors and warnings
+   */
+  async validateRun(runPath, folderName) {
+    const run = describeRunFolder(folderName);
+    const errors = [];
+    const warnings = [];
+
+    if (!run) {
+      errors.push(`${folderName} is not named <ULID>_<experiment> like kromosynth-cli run folders`);
+    } else if (
+      (await this.readIndex()).runs.some(entry => entry.folderName === folderName) ||
+      fs.existsSync(path.join(this.libraryDir, folderName))
+    ) {
+      errors.push(`${folderName} is already in the library`);
+    }
+
+    const genomeCount = await countRunFiles(runPath, GENOME_FILE_PATTERN, 'genomes');
+    const featureCount = await countRunFiles(runPath, FEATURES_FILE_PATTERN, 'features');
+    if (genomeCount === 0) {
+      errors.push('No genome_*.json.gz files in the run folder or its genomes folder');
+    }
+    if (featureCount === 0) {
+      warnings.push('No features_*.json.gz files; feature details are not available');
+    }
+
+    const hasAnalysisResults = await isDirectory(path.join(runPath, 'analysisResults'));
+    const lineageTree = `analysisResults/trees/tree_${folderName}_all.json.gz`;
+    const hasLineageTree = fs.existsSync(path.join(runPath, lineageTree));
+    const matrix = `analysisResults/score-and-genome-matrices_${folderName}_step-500.json.gz`;
+    const hasMatrix = fs.existsSync(path.join(runPath, matrix));
+    if (!hasAnalysisResults) {
+      errors.push('No analysisResults folder; run the lineage analysis with kromosynth-cli first');
+    } else if (!hasLineageTree) {
+      errors.push(`No lineage tree at ${lineageTree}`);
+    }
+    if (hasAnalysisResults && !hasMatrix) {
+      warnings.push(`No score matrix at ${matrix}; the heatmap view stays empty`);
+    }
+
+    return {
+      ...(run || { folderName }),
+      genomeCount,
+      featureCount,
+      hasAnalysisResults,
+      hasLineageTree,
+      hasMatrix,
+      errors,
+      warnings,
+      valid: errors.length === 0
+    };
+  }
+
+  /**
+   * Copy (or, for archives, move) an inspected run into the library
+   * @param {string} importId - From inspect()
+   * @returns {Promise<Object>} The library entry
+   */
+  async importRun(importId) {
+    const pending = this.pending.get(importId);
+    if (!pending) {
+      throw new Error('Unknown import; choose the run again');
+    }
+    if (!pending.report.valid) {
+      throw new Error(pending.report.errors.join('; '));
+    }
+
+    const { folderName, ulid, experiment, timestamp, genomeCount, featureCount } = pending.report;
+    const destination = path.join(this.libraryDir, folderName);
+    if (fs.existsSync(destination)) {
+      throw new Error(`${folderName} is already in the library`);
+    }
+
+    // Copied under a name LocalEvoruns skips, so a half-copied run is never served
+    const partialPath = path.join(this.libraryDir, `.${folderName}.partial`);
+    await fs.promises.mkdir(this.libraryDir, { recursive: true });
+    try {
+      if (pending.stagingPath) {
+        await fs.promises.rename(pending.runPath, partialPath);
+      } else {
+        await fs.promises.cp(pending.runPath, partialPath, { recursive: true });
+      }
+      await fs.promises.rename(partialPath, destination);
+    } catch (error) {
+      await fs.promises.rm(partialPath, { recursive: true, force: true });
+      throw error;
+    }
+
+    const entry = {
+      folderName,
+      ulid,
+      experiment,
+      timestamp,
+      genomeCount,
+      featureCount,
+      source: pending.sourcePath,
+      kind: pending.kind,
+      importedAt: Date.now()
+    };
+    const index = await this.readIndex();
+    index.runs = [...index.runs.filter(run => run.folderName !== folderName), entry];
+    await this.writeIndex(index);
+
+    await this.cancelImport(importId);
+    LocalEvoruns.invalidate();
+    console.log(`Imported evorun ${folderName} from ${pending.sourcePath}`);
+    return entry;
+  }
+
+  /**
+   * Forget an inspected run, deleting what was extracted from its archive
+   */
+  async cancelImport(importId) {
+    const pending = this.pending.get(importId);
+    this.pending.delete(importId);
+    if (pending?.stagingPath) {
+      await fs.promises.rm(pending.stagingPath, { recursive: true, force: true });
+    }
+  }
+
+  async cancelAll() {
+    this.pending.clear();
+    await fs.promises.rm(this.stagingDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = new EvorunLibrary();
@@ -0,0 +1,196 @@
+const { app, dialog, BrowserWindow } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const AUDIO_EXTENSIONS = new Set(['.wav', '.aif', '.aiff', '.flac', '.mp3', '.ogg', '.m4a']);
+
+/**
+ * Filesystem access for a renderer without Node integration.
+ *
+ * The renderer never names arbitrary paths: it can read files the user picked
+ * in an open dialog, write files picked in a save dialog, and browse sample
+ * folders the user granted, addressed by folder id and a relative path.
+ */
+class FileAccess {
+  constructor() {
+    this.sampleFoldersPath = path.join(app.getPath('userData'), 'sample-folders.json');
+    this.readableFiles = new Set();
+    this.writableFiles = new Set();
+  }
+
+  parentWindow(webContents) {
+    return webContents ? BrowserWindow.fromWebContents(webContents) : null;
+  }
+
+  /**
+   * Show an open dialog; the chosen files become readable
+   * @param {Object} options - Electron OpenDialogOptions (title, filters, properties)
+   */
+  async showOpenDialog(webContents, options = {}) {
+    const properties = (options.properties || ['openFile'])
+      .filter(property => ['openFile', 'multiSelections', 'showHiddenFiles'].includes(property));
+    const result = await dialog.showOpenDialog(this.parentWindow(webContents), {
+      title: options.title,
+      defaultPath: options.defaultPath,
+      buttonLabel: options.buttonLabel,
+      filters: options.filters,
+      properties
+    });
+    if (!result.canceled) {
+      result.filePaths.forEach(filePath => this.readableFiles.add(path.resolve(filePath)));
+    }
+    return { canceled: result.canceled, filePaths: result.filePaths };
+  }
+
+  /**
+   * Show a save dialog; the chosen file becomes writable
+   * @param {Object} options - Electron SaveDialogOptions (title, defaultPath, filters)
+   */
+  async showSaveDialog(webContents, options = {}) {
+    const result = await dialog.showSaveDialog(this.parentWindow(webContents), {
+      title: options.title,
+      defaultPath: options.defaultPath,
+      buttonLabel: options.buttonLabel,
+      filters: options.filters
+    });
+    if (!result.canceled && result.filePath) {
+      const resolved = path.resolve(result.filePath);
+      this.writableFiles.add(resolved);
+      this.readableFiles.add(resolved);
+    }
+    return { canceled: result.canceled, filePath: result.filePath || null };
+  }
+
+  async readFile(filePath) {
+    const resolved = path.resolve(String(filePath));
+    if (!this.readableFiles.has(resolved)) {
+      throw new Error(`No read access to ${filePath}; choose it in an open dialog first`);
+    }
+    return new Uint8Array(await fs.promises.readFile(resolved));
+  }
+
+  /**
+   * @param {string} filePath - Path returned by showSaveDialog
+   * @param {string|Uint8Array|ArrayBuffer} data
+   */
+  async writeFile(filePath, data) {
+    const resolved = path.resolve(String(filePath));
+    if (!this.writableFiles.has(resolved)) {
+      throw new Error(`No write access to ${filePath}; choose it in a save dialog first`);
+    }
+    const contents = data instanceof ArrayBuffer ? Buffer.from(data) : data;
+    await fs.promises.writeFile(resolved, contents);
+    return { success: true, filePath: resolved };
+  }
+
+  async readSampleFolders() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.sampleFoldersPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Could not read sample folders:', error.message);
+      }
+      return [];
+    }
+  }
+
+  async writeSampleFolders(folders) {
+    await fs.promises.mkdir(path.dirname(this.sampleFoldersPath), { recursive: true });
+    await fs.promises.writeFile(this.sampleFoldersPath, JSON.stringify(folders, null, 2));
+  }
+
+  /**
+   * Granted sample folders: [{ id, name, path }]
+   */
+  getSampleFolders() {
+    return this.readSampleFolders();
+  }
+
+  /**
+   * Let the user pick a folder and remember it as a sample folder
+   */
+  async addSampleFolder(webContents) {
+    const result = await dialog.showOpenDialog(this.parentWindow(webContents), {
+      title: 'Choose a sample folder',
+      properties: ['openDirectory']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return null;
+    }
+
+    const folderPath = path.resolve(result.filePaths[0]);
+    const folders = await this.readSampleFolders();
+    const existing = folders.find(folder => folder.path === folderPath);
+    if (existing) return existing;
+
+    const folder = {
+      id: crypto.randomUUID(),
+      name: path.basename(folderPath),
+      path: folderPath
+    };
+    await this.writeSampleFolders([...folders, folder]);
+    return folder;
+  }
+
+  async removeSampleFolder(folderId) {
+    const folders = await this.readSampleFolders();
+    await this.writeSampleFolders(folders.filter(folder => folder.id !== folderId));
+    return { success: true };
+  }
+
+  /**
+   * Resolve a path inside a granted folder, refusing anything that escapes it
+   */
+  async resolveSamplePath(folderId, relativePath = '') {
+    const folder = (await this.readSampleFolders()).find(candidate => candidate.id === folderId);
+    if (!folder) {
+      throw new Error(`Unknown sample folder ${folderId}`);
+    }
+
+    const resolved = path.resolve(folder.path, String(relativePath));
+    const relative = path.relative(folder.path, resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`${relativePath} is outside the sample folder`);
+    }
+
+    // Symlinks must not lead out of the folder either
+    const realRoot = await fs.promises.realpath(folder.path);
+    const realTarget = await fs.promises.realpath(resolved);
+    const realRelative = path.relative(realRoot, realTarget);
+    if (realRelative.startsWith('..') || path.isAbsolute(realRelative)) {
+      throw new Error(`${relativePath} is outside the sample folder`);
+    }
+
+    return realTarget;
+  }
+
+  /**
+   * List subfolders and audio files of a granted folder
+   * @returns {Promise<Array<{name: string, path: string, type: 'directory'|'file', size?: number}>>}
+   */
+  async listSampleFolder(folderId, relativePath = '') {
+    const directory = await this.resolveSamplePath(folderId, relativePath);
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+
+    const listing = [];
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.posix.join(String(relativePath).split(path.sep).join('/'), entry.name);
+      if (entry.isDirectory()) {
+        listing.push({ name: entry.name, path: entryPath, type: 'directory' });
+      } else if (entry.isFile() && AUDIO_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+        const stats = await fs.promises.stat(path.join(directory, entry.name));
+        listing.push({ name: entry.name, path: entryPath, type: 'file', size: stats.size });
+      }
+    }
+    return listing.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'directory' ? -1 : 1));
+  }
+
+  async readSampleFile(folderId, relativePath) {
+    const filePath = await this.resolveSamplePath(folderId, relativePath);
+    return new Uint8Array(await fs.promises.readFile(filePath));
+  }
+}
+
+module.exports = new FileAccess();
@@ -0,0 +1,283 @@
+const { app, dialog, BrowserWindow } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gunzip = promisify(zlib.gunzip);
+
+// Scheme the renderer uses as its REST host when browsing a local folder,
+// e.g. kromosynth-evoruns://local/evoruns/summary
+const LOCAL_EVORUNS_SCHEME = 'kromosynth-evoruns';
+
+const ULID_PATTERN = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+const CROCKFORD_BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const SCAN_CACHE_TTL = 10000; // Rescan the root at most this often
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.gz': 'application/gzip',
+  '.wav': 'audio/wav',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv'
+};
+
+/**
+ * Milliseconds since the epoch encoded in the first 10 characters of a ULID
+ */
+function decodeUlidTime(ulid) {
+  let time = 0;
+  for (const char of ulid.slice(0, 10)) {
+    time = time * 32 + CROCKFORD_BASE32.indexOf(char);
+  }
+  return time;
+}
+
+/**
+ * kromosynth-cli names run folders <ULID>_<experiment>, e.g.
+ * 01JDZSGV6ZZ4YEA48XMA07D8XR_evoConf_singleMap_bassSynth
+ */
+function describeRunFolder(folderName) {
+  const [ulid, ...rest] = folderName.split('_');
+  if (!ULID_PATTERN.test(ulid)) return null;
+  return {
+    folderName,
+    ulid,
+    experiment: rest.join('_') || folderName,
+    timestamp: decodeUlidTime(ulid)
+  };
+}
+
+/**
+ * Runs grouped by date and experiment, in the shape of REST_ENDPOINTS.EVORUNS_SUMMARY
+ */
+function summarizeRuns(runs) {
+  const groups = {};
+  for (const run of runs) {
+    const date = new Date(run.timestamp).toISOString().slice(0, 10);
+    groups[date] = groups[date] || {};
+    groups[date][run.experiment] = groups[date][run.experiment] || [];
+    groups[date][run.experiment].push({
+      folderName: run.folderName,
+      ulid: run.ulid,
+      timestamp: run.timestamp
+    });
+  }
+  return groups;
+}
+
+const isPlainName = (name) => !!name && !name.includes('/') && !name.includes('\\') && name !== '.' && name !== '..';
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+});
+
+/**
+ * Serves a local folder of evoruns with the same routes as the REST service
+ * (summary, genome, features and /files for matrices and lineage trees).
+ * Runs imported into the library (evorun-library.js) are served alongside it.
+ */
+class LocalEvoruns {
+  constructor() {
+    this.settingsPath = path.join(app.getPath('userData'), 'local-evoruns.json');
+    this.libraryDir = path.join(app.getPath('userData'), 'evorun-library');
+    this.scanCache = null;
+  }
+
+  async readSettings() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.settingsPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Could not read local evoruns settings:', error.message);
+      }
+      return {};
+    }
+  }
+
+  async getRoot() {
+    return (await this.readSettings()).root || null;
+  }
+
+  async setRoot(root) {
+    if (root) {
+      const stats = await fs.promises.stat(root);
+      if (!stats.isDirectory()) {
+        throw new Error(`${root} is not a directory`);
+      }
+    }
+    await fs.promises.mkdir(path.dirname(this.settingsPath), { recursive: true });
+    await fs.promises.writeFile(this.settingsPath, JSON.stringify({ root: root ? path.resolve(root) : null }, null, 2));
+    this.scanCache = null;
+  }
+
+  /**
+   * Let the user pick the folder holding the evoruns
+   */
+  async chooseRoot(webContents) {
+    const result = await dialog.showOpenDialog(webContents ? BrowserWindow.fromWebContents(webContents) : null, {
+      title: 'Choose a folder of evoruns',
+      defaultPath: await this.getRoot() || undefined,
+      properties: ['openDirectory']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return null;
+    }
+    await this.setRoot(result.filePaths[0]);
+    return this.getInfo();
+  }
+
+  async getInfo() {
+    const root = await this.getRoot();
+    const runs = root ? await this.listRuns() : [];
+    return { root, runCount: runs.filter(run => run.root === root).length };
+  }
+
+  /**
+   * Drop the cached folder listing, e.g. after a run was imported or removed
+   */
+  invalidate() {
+    this.scanCache = null;
+  }
+
+  /**
+   * Run folders directly under the root and in the library, newest first.
+   * A run in both is served from the root.
+   */
+  async listRuns() {
+    const root = await this.getRoot();
+    const roots = [root, this.libraryDir].filter(Boolean);
+    const rootsKey = roots.join(path.delimiter);
+
+    if (this.scanCache && this.scanCache.rootsKey === rootsKey && Date.now() - this.scanCache.scannedAt < SCAN_CACHE_TTL) {
+      return this.scanCache.runs;
+    }
+
+    const runs = new Map();
+    for (const directory of roots) {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        // The library folder only exists once something was imported
+        if (error.code === 'ENOENT' && directory === this.libraryDir) continue;
+        throw error;
+      }
+      entries
+        .filter(entry => entry.isDirectory())
+        .map(entry => describeRunFolder(entry.name))
+        .filter(run => run && !runs.has(run.folderName))
+        .forEach(run => runs.set(run.folderName, { ...run, root: directory }));
+    }
+    const sorted = Array.from(runs.values()).sort((a, b) => b.timestamp - a.timestamp);
+
+    this.scanCache = { rootsKey, runs: sorted, scannedAt: Date.now() };
+    return sorted;
+  }
+
+  async getSummary() {
+    return { groups: summarizeRuns(await this.listRuns()), source: 'local', root: await this.getRoot() };
+  }
+
+  /**
+   * Absolute path of a file inside a run folder, refusing paths that leave it
+   */
+  async resolveRunPath(folderName, relativePath = '') {
+    if (!isPlainName(folderName)) {
+      throw Object.assign(new Error(`Invalid run folder ${folderName}`), { status: 400 });
+    }
+    const run = (await this.listRuns()).find(candidate => candidate.folderName === folderName);
+    const root = run ? run.root : await this.getRoot();
+    if (!root) {
+      throw Object.assign(new Error('No local evoruns folder configured'), { status: 503 });
+    }
+
+    const runPath = path.join(root, folderName);
+    const resolved = path.resolve(runPath, relativePath);
+    const relative = path.relative(runPath, resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw Object.assign(new Error(`${relativePath} is outside the run folder`), { status: 403 });
+    }
+    return resolved;
+  }
+
+  /**
+   * Find <kind>_<folderName>_<id>.json(.gz) in the run folder or its <kind>s/ subfolder
+   */
+  async findRunFile(folderName, kind, id) {
+    if (!isPlainName(id)) return null;
+
+    const baseNames = [`${kind}_${folderName}_${id}.json`, `${kind}_${id}.json`];
+    const directories = ['', `${kind}s`];
+    for (const directory of directories) {
+      for (const baseName of baseNames) {
+        for (const fileName of [baseName, `${baseName}.gz`]) {
+          const candidate = await this.resolveRunPath(folderName, path.join(directory, fileName));
+          if (fs.existsSync(candidate)) return candidate;
+        }
+      }
+    }
+    return null;
+  }
+
+  async readJsonFile(filePath) {
+    const contents = await fs.promises.readFile(filePath);
+    return (filePath.endsWith('.gz') ? await gunzip(contents) : contents).toString('utf8');
+  }
+
+  /**
+   * protocol.handle() handler for kromosynth-evoruns:// requests
+   * @param {Request} request
+   * @returns {Promise<Response>}
+   */
+  async handleRequest(request) {
+    const { pathname } = new URL(request.url);
+    const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    try {
+      // /evoruns/summary
+      if (segments[0] === 'evoruns' && segments[1] === 'summary' && segments.length === 2) {
+        return jsonResponse(200, await this.getSummary());
+      }
+
+      // /evoruns/:folderName/genome/:id and /evoruns/:folderName/features/:id
+      if (segments[0] === 'evoruns' && segments.length === 4 && ['genome', 'features'].includes(segments[2])) {
+        const [, folderName, kind, id] = segments;
+        const filePath = await this.findRunFile(folderName, kind, id);
+        if (!filePath) {
+          return jsonResponse(404, { error: `No ${kind} ${id} in ${folderName}` });
+        }
+        return new Response(await this.readJsonFile(filePath), {
+          headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+
+      // /files/:folderName/<path inside the run folder>
+      if (segments[0] === 'files' && segments.length >= 3) {
+        const [, folderName, ...rest] = segments;
+        const filePath = await this.resolveRunPath(folderName, rest.join('/'));
+        const contents = await fs.promises.readFile(filePath);
+        return new Response(contents, {
+          headers: {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Access-Control-Allow-Origin': '*'
+          }
+        });
+      }
+
+      return jsonResponse(404, { error: `Not available offline: ${pathname}` });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return jsonResponse(404, { error: `Not found: ${pathname}` });
+      }
+      console.error('Error serving local evorun request:', request.url, error);
+      return jsonResponse(error.status || 500, { error: error.message });
+    }
+  }
+}
+
+module.exports = new LocalEvoruns();
+module.exports.LOCAL_EVORUNS_SCHEME = LOCAL_EVORUNS_SCHEME;
+module.exports.describeRunFolder = describeRunFolder;
+module.exports.summarizeRuns = summarizeRuns;
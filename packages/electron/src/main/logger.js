@@ -0,0 +1,173 @@
+const { app, dialog, shell, BrowserWindow } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const util = require('util');
+const { createZip } = require('./zip-writer');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MAX_LOG_SIZE = 5 * 1024 * 1024;
+const MAX_LOG_FILES = 5; // kromosynth.log plus kromosynth.1.log … kromosynth.4.log
+
+/**
+ * Leveled JSON-lines log of the main process and the renderers' errors, in
+ * userData/logs. The log rotates once it grows past MAX_LOG_SIZE.
+ * Set KROMOSYNTH_LOG_LEVEL to 'debug' to keep console.debug output as well.
+ */
+class Logger {
+  constructor() {
+    this.logsDir = path.join(app.getPath('userData'), 'logs');
+    this.logPath = path.join(this.logsDir, 'kromosynth.log');
+    this.minLevel = LEVELS[process.env.KROMOSYNTH_LOG_LEVEL] || LEVELS.info;
+    this.size = null;
+    this.console = null;
+  }
+
+  rotatedPath(index) {
+    return path.join(this.logsDir, `kromosynth.${index}.log`);
+  }
+
+  rotate() {
+    for (let index = MAX_LOG_FILES - 1; index > 0; index--) {
+      const source = index === 1 ? this.logPath : this.rotatedPath(index - 1);
+      if (fs.existsSync(source)) {
+        fs.renameSync(source, this.rotatedPath(index));
+      }
+    }
+    this.size = 0;
+  }
+
+  /**
+   * Append an entry to the log
+   * @param {'debug'|'info'|'warn'|'error'} level
+   * @param {string} message
+   * @param {Object} [data] - Extra fields; Error values keep their message and stack
+   */
+  write(level, message, data = {}) {
+    if ((LEVELS[level] || LEVELS.info) < this.minLevel) return;
+
+    const line = `${serialize({ time: new Date().toISOString(), level, message, ...data })}\n`;
+    try {
+      if (this.size === null) {
+        fs.mkdirSync(this.logsDir, { recursive: true });
+        this.size = fs.existsSync(this.logPath) ? fs.statSync(this.logPath).size : 0;
+      }
+      if (this.size + line.length > MAX_LOG_SIZE) {
+        this.rotate();
+      }
+      // Synchronous, so the last lines before a crash are not lost
+      fs.appendFileSync(this.logPath, line);
+      this.size += Buffer.byteLength(line);
+    } catch (error) {
+      // Logging must never take the app down; fall back to stderr
+      (this.console?.error || console.error)('Could not write log:', error.message);
+    }
+  }
+
+  debug(message, data) { this.write('debug', message, data); }
+  info(message, data) { this.write('info', message, data); }
+  warn(message, data) { this.write('warn', message, data); }
+  error(message, data) { this.write('error', message, data); }
+
+  /**
+   * Keep printing to the terminal, and also log everything the main process
+   * writes with console.* (including the uncaught exception handlers)
+   */
+  captureConsole() {
+    if (this.console) return;
+    this.console = {};
+    const levels = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+    Object.entries(levels).forEach(([method, level]) => {
+      const original = console[method].bind(console);
+      this.console[method] = original;
+      console[method] = (...args) => {
+        original(...args);
+        const errors = args.filter(arg => arg instanceof Error);
+        // Stacks go in their own field rather than in the message
+        this.write(level, util.format(...args.map(arg => (arg instanceof Error ? arg.message : arg))), {
+          source: 'main',
+          ...(errors.length > 0 && { errors })
+        });
+      };
+    });
+  }
+
+  /**
+   * Log an error reported by a renderer (window.electronAPI.logError)
+   * @param {Object} errorData - { error, stack, componentStack, ... }
+   * @param {string} [url] - Page the error came from
+   */
+  logRendererError(errorData, url) {
+    const { error, ...details } = errorData || {};
+    this.write('error', String(error || 'Renderer error'), { ...details, source: 'renderer', url });
+  }
+
+  revealLogs() {
+    fs.mkdirSync(this.logsDir, { recursive: true });
+    return shell.openPath(this.logsDir);
+  }
+
+  /**
+   * Zip the logs with the app's versions and installed plugins, for bug reports
+   * @param {Object} options
+   * @param {Electron.WebContents} [options.webContents] - Window to attach the save dialog to
+   * @param {function(): Promise<Array>} [options.getInstalledPlugins]
+   * @returns {Promise<{success: boolean, canceled?: boolean, filePath?: string}>}
+   */
+  async exportDiagnosticBundle({ webContents, getInstalledPlugins } = {}) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const parent = webContents ? BrowserWindow.fromWebContents(webContents) : null;
+    const { canceled, filePath } = await dialog.showSaveDialog(parent, {
+      title: 'Export Diagnostic Bundle',
+      defaultPath: path.join(app.getPath('downloads'), `kromosynth-diagnostics-${stamp}.zip`),
+      filters: [{ name: 'Zip Archives', extensions: ['zip'] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    const entries = [];
+    const logFiles = fs.existsSync(this.logsDir) ? await fs.promises.readdir(this.logsDir) : [];
+    for (const name of logFiles.filter(file => file.endsWith('.log'))) {
+      entries.push({ name: `logs/${name}`, data: await fs.promises.readFile(path.join(this.logsDir, name)) });
+    }
+
+    entries.push({
+      name: 'versions.json',
+      data: JSON.stringify({
+        app: app.getVersion(),
+        ...process.versions,
+        platform: process.platform,
+        arch: process.arch,
+        osRelease: os.release(),
+        locale: app.getLocale()
+      }, null, 2)
+    });
+
+    let plugins = [];
+    try {
+      plugins = getInstalledPlugins ? await getInstalledPlugins() : [];
+    } catch (error) {
+      plugins = { error: error.message };
+    }
+    entries.push({ name: 'plugins.json', data: JSON.stringify(plugins, null, 2) });
+
+    await fs.promises.writeFile(filePath, createZip(entries));
+    this.info('Exported diagnostic bundle', { filePath });
+    return { success: true, filePath };
+  }
+}
+
+// JSON with Error values expanded; anything JSON can't hold is inspected instead
+function serialize(entry) {
+  try {
+    return JSON.stringify(entry, (key, value) => (value instanceof Error
+      ? { name: value.name, message: value.message, stack: value.stack }
+      : value));
+  } catch (error) {
+    return JSON.stringify({ time: entry.time, level: entry.level, message: util.inspect(entry, { depth: 4 }) });
+  }
+}
+
+module.exports = new Logger();
@@ -1,10 +1,23 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, session, protocol } = require('electron');
 const path = require('path');
 const url = require('url');
+const Logger = require('./logger');
+
+// Everything printed from here on also goes to the log in userData/logs
+Logger.captureConsole();
 
 // Keep a global reference of the window object to prevent garbage collection
 let mainWindow;
 
+// Hardened renderer: context isolation, sandbox and web security, with the
+// renderer limited to the bridged electronAPI. Opt in with
+// KROMOSYNTH_SECURE_RENDERER=1 or --secure-renderer.
+const SECURE_RENDERER = process.env.KROMOSYNTH_SECURE_RENDERER === '1' ||
+  process.argv.includes('--secure-renderer');
+
+// Permissions the hardened renderer may be granted (audio input, MIDI controllers)
+const SECURE_PERMISSIONS = new Set(['media', 'midi', 'midiSysex', 'clipboard-sanitized-write']);
+
 // Add comprehensive error handling
 process.on('uncaughtException', (error) => {
   console.error('Uncaught Exception:', error);
@@ -23,44 +36,191 @@ try {
   console.error('Error loading PluginManager:', error);
 }
 
+const FileAccess = require('./file-access');
+const { PROTOCOL, parseDeepLink, findDeepLinkArg, resolveSessionLink } = require('./deep-links');
+const LocalEvoruns = require('./local-evoruns');
+const EvorunLibrary = require('./evorun-library');
+const { setupApplicationMenu } = require('./app-menu');
+const WindowState = require('./window-state');
+const SessionRecovery = require('./session-recovery');
+
+// Panels of the main window that can be opened in a window of their own.
+// Audio stays in the main window; detached windows reach it via 'window-message'.
+const DETACHABLE_PANELS = {
+  units: { title: 'kromosynth – Units', width: 420, height: 760 },
+  heatmap: { title: 'kromosynth – Heatmap', width: 900, height: 900 }
+};
+const detachedWindows = new Map();
+
+// Window messages each kind of window may send (WINDOW_MESSAGES in
+// packages/web/src/components/useWindowBridge.js): the main window shares its
+// state, detached panels ask for it and send hovers and unit actions back
+const WINDOW_MESSAGE_TYPES = {
+  main: new Set(['app-state']),
+  detached: new Set(['request-state', 'cell-hover', 'unit-action'])
+};
+
+// Local evorun folders are served on their own scheme, with the REST service's
+// routes, so the renderer can use it as its REST host when offline.
+// Schemes must be registered as privileged before the app is ready.
+protocol.registerSchemesAsPrivileged([{
+  scheme: LocalEvoruns.LOCAL_EVORUNS_SCHEME,
+  privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true, stream: true }
+}]);
+
+// Deep links wait here until the renderer asks for them (see 'consume-deep-link')
+let pendingDeepLink = null;
+let deepLinkRendererReady = false;
+
+// A second launch (e.g. clicking a kromosynth:// link) hands its arguments to
+// the running instance and exits
+const gotSingleInstanceLock = app.requestSingleInstanceLock();
+if (!gotSingleInstanceLock) {
+  app.quit();
+} else {
+  app.on('second-instance', (event, argv) => {
+    focusMainWindow();
+    const link = findDeepLinkArg(argv);
+    if (link) handleDeepLink(link);
+  });
+}
+
+// macOS delivers links through open-url, possibly before the app is ready
+app.on('open-url', (event, link) => {
+  event.preventDefault();
+  handleDeepLink(link);
+});
+
+function focusMainWindow() {
+  if (!mainWindow) {
+    if (app.isReady()) createWindow();
+    return;
+  }
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+async function handleDeepLink(rawUrl) {
+  let link;
+  try {
+    link = parseDeepLink(rawUrl);
+  } catch (error) {
+    console.warn('Ignoring deep link:', error.message);
+    return;
+  }
+
+  console.log('Opening deep link:', link);
+  if (link.type === 'session') {
+    link = await resolveSessionLink(link);
+  }
+
+  if (app.isReady()) focusMainWindow();
+
+  if (mainWindow && deepLinkRendererReady) {
+    mainWindow.webContents.send('deep-link', link);
+  } else {
+    pendingDeepLink = link;
+  }
+}
+
+function getWebPreferences() {
+  const preload = path.join(__dirname, '../preload/preload.js');
+
+  if (SECURE_RENDERER) {
+    return {
+      preload,
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true,
+      webSecurity: true,
+      allowRunningInsecureContent: false
+    };
+  }
+
+  return {
+    preload,
+    contextIsolation: false, // Disable context isolation for easier audio API access
+    nodeIntegration: true,   // Enable node integration for audio libraries
+    enableRemoteModule: true, // Enable remote module access
+    webSecurity: false,      // Disable web security for audio and file access
+    allowRunningInsecureContent: true, // Allow insecure content
+    experimentalFeatures: true, // Enable experimental web features
+    // Additional permissions for audio
+    permissions: ['audioCapture', 'microphone'],
+    // Disable sandbox for full API access
+    sandbox: false
+  };
+}
+
+// Keep a hardened renderer on the app's own pages; anything else opens in the browser
+function restrictNavigation(window, startUrl) {
+  const allowedOrigin = new URL(startUrl).origin;
+  const isAllowed = (target) => {
+    try {
+      const targetUrl = new URL(target);
+      return targetUrl.protocol === 'file:' ? startUrl.startsWith('file:') : targetUrl.origin === allowedOrigin;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  window.webContents.on('will-navigate', (event, target) => {
+    if (!isAllowed(target)) {
+      console.warn('Blocked navigation to', target);
+      event.preventDefault();
+    }
+  });
+
+  window.webContents.setWindowOpenHandler(({ url: target }) => {
+    if (/^https?:/.test(target)) {
+      require('electron').shell.openExternal(target);
+    }
+    return { action: 'deny' };
+  });
+}
+
+// Determine the URL to load
+// In development: load from dev server
+// In production: load from built files
+function getStartUrl() {
+  return process.env.ELECTRON_START_URL || url.format({
+    pathname: path.join(__dirname, '../../app/web-build/index.html'),
+    protocol: 'file:',
+    slashes: true
+  });
+}
+
 function createWindow() {
   try {
     console.log('Creating browser window...');
     
-    // Create the browser window
+    // Create the browser window where it was last left
+    const { isMaximized, ...bounds } = WindowState.getOptions('main', { width: 1200, height: 800 });
     mainWindow = new BrowserWindow({
-      width: 1200,
-      height: 800,
+      ...bounds,
       title: 'kromosynth',
       icon: path.join(__dirname, '../../resources/kromosynth-icon.png'),
-      webPreferences: {
-        preload: path.join(__dirname, '../preload/preload.js'),
-        contextIsolation: false, // Disable context isolation for easier audio API access
-        nodeIntegration: true,   // Enable node integration for audio libraries
-        enableRemoteModule: true, // Enable remote module access
-        webSecurity: false,      // Disable web security for audio and file access
-        allowRunningInsecureContent: true, // Allow insecure content
-        experimentalFeatures: true, // Enable experimental web features
-        // Additional permissions for audio
-        permissions: ['audioCapture', 'microphone'],
-        // Disable sandbox for full API access
-        sandbox: false
-      }
+      webPreferences: getWebPreferences()
     });
+    if (isMaximized) mainWindow.maximize();
+    WindowState.track('main', mainWindow);
 
-    console.log('Browser window created successfully');
+    console.log(`Browser window created successfully${SECURE_RENDERER ? ' (secure renderer)' : ''}`);
 
-    // Determine the URL to load
-    // In development: load from dev server
-    // In production: load from built files
-    const startUrl = process.env.ELECTRON_START_URL || url.format({
-      pathname: path.join(__dirname, '../../app/web-build/index.html'),
-      protocol: 'file:',
-      slashes: true
-    });
+    const startUrl = getStartUrl();
 
     console.log('Loading URL:', startUrl);
 
+    if (SECURE_RENDERER) {
+      restrictNavigation(mainWindow, startUrl);
+    }
+
+    // A reloading renderer has to ask for deep links again before we push them
+    mainWindow.webContents.on('did-start-loading', () => {
+      deepLinkRendererReady = false;
+    });
+
     // Load the URL
     mainWindow.loadURL(startUrl).catch(error => {
       console.error('Error loading URL:', error);
@@ -103,6 +263,9 @@ function createWindow() {
       console.log('Renderer process became responsive again');
     });
 
+    // Reload a crashed or hung renderer and offer it the last autosave
+    SessionRecovery.watch(mainWindow);
+
     // Open DevTools in development mode
     if (process.env.ELECTRON_START_URL) {
       mainWindow.webContents.openDevTools();
@@ -112,6 +275,8 @@ function createWindow() {
     mainWindow.on('closed', () => {
       console.log('Main window closed');
       mainWindow = null;
+      // Detached panels are driven by the main window's audio
+      detachedWindows.forEach(window => window.close());
     });
 
     // Prevent window from being closed unexpectedly in development
@@ -141,9 +306,13 @@ app.whenReady().then(async () => {
     // Set app name
     app.setName('kromosynth');
     
-    // Set app permissions for audio
-    if (app.setAsDefaultProtocolClient) {
-      app.setAsDefaultProtocolClient('kromosynth');
+    if (!gotSingleInstanceLock) return;
+
+    // Register as the kromosynth:// handler; unpackaged runs need the app path as well
+    if (process.defaultApp && process.argv.length >= 2) {
+      app.setAsDefaultProtocolClient(PROTOCOL, process.execPath, [path.resolve(process.argv[1])]);
+    } else {
+      app.setAsDefaultProtocolClient(PROTOCOL);
     }
     
     // Enable media access permissions
@@ -155,8 +324,46 @@ app.whenReady().then(async () => {
         console.log('Could not request microphone access:', error);
       }
     }
+
+    if (SECURE_RENDERER) {
+      session.defaultSession.setPermissionRequestHandler((webContents, permission, callback) => {
+        callback(SECURE_PERMISSIONS.has(permission));
+      });
+    }
+
+    protocol.handle(LocalEvoruns.LOCAL_EVORUNS_SCHEME, (request) => LocalEvoruns.handleRequest(request));
+
+    // File access does not depend on the plugin system
+    setupFileAccessHandlers();
+    setupLocalEvorunsHandlers();
+    setupEvorunLibraryHandlers();
+    setupDeepLinkHandlers();
+    setupSessionRecoveryHandlers();
+    setupLoggingHandlers();
+
+    // Menu commands go to the window the user is working in
+    setupApplicationMenu({
+      sendCommand: (command, args = {}) => {
+        const target = BrowserWindow.getFocusedWindow() || mainWindow;
+        if (target && !target.isDestroyed()) {
+          target.webContents.send('menu-command', { command, ...args });
+        }
+      },
+      // The hardened renderer keeps to one window
+      detachPanel: SECURE_RENDERER ? null : (panel) => {
+        if (mainWindow) createDetachedWindow(panel);
+      },
+      revealLogs: () => Logger.revealLogs(),
+      exportDiagnosticBundle: () => exportDiagnosticBundle()
+        .catch(error => console.error('Error exporting diagnostic bundle:', error))
+    });
+    setupWindowHandlers();
     
     createWindow();
+
+    // Windows and Linux pass the link of a cold start on the command line
+    const launchLink = findDeepLinkArg(process.argv);
+    if (launchLink) handleDeepLink(launchLink);
     
     // Set up IPC handlers for plugin management only if PluginManager is available
     if (PluginManager) {
@@ -182,6 +389,53 @@ app.on('certificate-error', (event, webContents, url, error, certificate, callba
   }
 });
 
+// Open a panel of the main window in its own window, or focus it if already open
+function createDetachedWindow(panel) {
+  const config = DETACHABLE_PANELS[panel];
+  if (!config) {
+    throw new Error(`Unknown panel "${panel}"`);
+  }
+
+  const existing = detachedWindows.get(panel);
+  if (existing && !existing.isDestroyed()) {
+    existing.focus();
+    return existing;
+  }
+
+  const { isMaximized, ...bounds } = WindowState.getOptions(panel, { width: config.width, height: config.height });
+  const window = new BrowserWindow({
+    ...bounds,
+    title: config.title,
+    icon: path.join(__dirname, '../../resources/kromosynth-icon.png'),
+    webPreferences: getWebPreferences()
+  });
+  if (isMaximized) window.maximize();
+  WindowState.track(panel, window);
+
+  // Keep the panel's title rather than the page's
+  window.on('page-title-updated', (event) => event.preventDefault());
+
+  const startUrl = getStartUrl();
+  if (SECURE_RENDERER) {
+    restrictNavigation(window, startUrl);
+  }
+
+  const detachedUrl = new URL(startUrl);
+  detachedUrl.searchParams.set('detached', panel);
+  window.loadURL(detachedUrl.toString()).catch(error => {
+    console.error(`Error loading detached ${panel} window:`, error);
+  });
+
+  detachedWindows.set(panel, window);
+  window.on('closed', () => {
+    detachedWindows.delete(panel);
+    broadcastToWindows('detached-panels-changed', Array.from(detachedWindows.keys()));
+  });
+  broadcastToWindows('detached-panels-changed', Array.from(detachedWindows.keys()));
+
+  return window;
+}
+
 // Quit when all windows are closed (except on macOS)
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
@@ -189,13 +443,299 @@ app.on('window-all-closed', () => {
   }
 });
 
-// Recreate window when dock icon is clicked (macOS)
+// Recreate the main window when the dock icon is clicked (macOS)
 app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
+  if (!mainWindow) {
     createWindow();
   }
 });
 
+// Send a message to the renderer of every open window
+function broadcastToWindows(channel, payload) {
+  BrowserWindow.getAllWindows().forEach(window => {
+    if (!window.isDestroyed() && !window.webContents.isDestroyed()) {
+      window.webContents.send(channel, payload);
+    }
+  });
+}
+
+// The renderer pulls any link that arrived before it was listening; later
+// links are pushed on the 'deep-link' channel
+function setupDeepLinkHandlers() {
+  ipcMain.handle('consume-deep-link', () => {
+    deepLinkRendererReady = true;
+    const link = pendingDeepLink;
+    pendingDeepLink = null;
+    return link;
+  });
+}
+
+// Dialogs and scoped file access for the renderer
+function setupFileAccessHandlers() {
+  ipcMain.handle('show-open-dialog', async (event, options) => {
+    try {
+      return await FileAccess.showOpenDialog(event.sender, options);
+    } catch (error) {
+      console.error('Error showing open dialog:', error);
+      return { canceled: true, filePaths: [], error: error.message };
+    }
+  });
+
+  ipcMain.handle('show-save-dialog', async (event, options) => {
+    try {
+      return await FileAccess.showSaveDialog(event.sender, options);
+    } catch (error) {
+      console.error('Error showing save dialog:', error);
+      return { canceled: true, filePath: null, error: error.message };
+    }
+  });
+
+  // Reads reject rather than return an error object, so callers never mistake it for file data
+  ipcMain.handle('read-file', (_, filePath) => FileAccess.readFile(filePath));
+
+  ipcMain.handle('write-file', async (_, filePath, data) => {
+    try {
+      return await FileAccess.writeFile(filePath, data);
+    } catch (error) {
+      console.error('Error writing file:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('get-sample-folders', async () => {
+    try {
+      return await FileAccess.getSampleFolders();
+    } catch (error) {
+      console.error('Error reading sample folders:', error);
+      return [];
+    }
+  });
+
+  ipcMain.handle('add-sample-folder', async (event) => {
+    try {
+      return await FileAccess.addSampleFolder(event.sender);
+    } catch (error) {
+      console.error('Error adding sample folder:', error);
+      return null;
+    }
+  });
+
+  ipcMain.handle('remove-sample-folder', async (_, folderId) => {
+    try {
+      return await FileAccess.removeSampleFolder(folderId);
+    } catch (error) {
+      console.error('Error removing sample folder:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('list-sample-folder', async (_, folderId, relativePath) => {
+    try {
+      return await FileAccess.listSampleFolder(folderId, relativePath);
+    } catch (error) {
+      console.error('Error listing sample folder:', error);
+      return [];
+    }
+  });
+
+  ipcMain.handle('read-sample-file', (_, folderId, relativePath) => FileAccess.readSampleFile(folderId, relativePath));
+}
+
+// Detached panel windows and the relay between them and the main window
+function setupWindowHandlers() {
+  ipcMain.handle('detach-panel', (_, panel) => {
+    try {
+      if (SECURE_RENDERER) {
+        throw new Error('Panels cannot be opened in their own window in the secure renderer');
+      }
+      if (!mainWindow) {
+        throw new Error('The main window is not open');
+      }
+      createDetachedWindow(panel);
+      return { success: true };
+    } catch (error) {
+      console.error('Error detaching panel:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('attach-panel', (_, panel) => {
+    const window = detachedWindows.get(panel);
+    if (window && !window.isDestroyed()) {
+      window.close();
+    }
+    return { success: true };
+  });
+
+  ipcMain.handle('get-detached-panels', () => Array.from(detachedWindows.keys()));
+
+  // Relay messages between the main window and the detached panels (audio
+  // state, hovers, unit actions), if the sender may send that type
+  ipcMain.on('window-message', (event, message) => {
+    const fromMain = !!mainWindow && !mainWindow.isDestroyed() && event.sender === mainWindow.webContents;
+    const fromDetached = Array.from(detachedWindows.values())
+      .some(window => !window.isDestroyed() && event.sender === window.webContents);
+    const allowedTypes = fromMain ? WINDOW_MESSAGE_TYPES.main : fromDetached ? WINDOW_MESSAGE_TYPES.detached : null;
+    if (!allowedTypes || typeof message?.type !== 'string' || !allowedTypes.has(message.type)) {
+      console.warn('Dropping window message', message?.type);
+      return;
+    }
+
+    const targets = fromMain ? Array.from(detachedWindows.values()) : [mainWindow];
+    targets.forEach(window => {
+      if (!window.isDestroyed()) {
+        window.webContents.send('window-message', { type: message.type, payload: message.payload ?? null });
+      }
+    });
+  });
+}
+
+// Logs and diagnostic bundles for bug reports
+function exportDiagnosticBundle(webContents) {
+  return Logger.exportDiagnosticBundle({
+    webContents: webContents || mainWindow?.webContents,
+    getInstalledPlugins: () => (PluginManager ? PluginManager.getInstalledPlugins() : [])
+  });
+}
+
+function setupLoggingHandlers() {
+  ipcMain.handle('log-error', (event, errorData) => {
+    Logger.logRendererError(errorData, event.sender.getURL());
+    return { success: true };
+  });
+
+  ipcMain.handle('reveal-logs', async () => {
+    // openPath resolves to an error message, or '' on success
+    const error = await Logger.revealLogs();
+    return error ? { success: false, error } : { success: true };
+  });
+
+  ipcMain.handle('export-diagnostic-bundle', async (event) => {
+    try {
+      return await exportDiagnosticBundle(event.sender);
+    } catch (error) {
+      console.error('Error exporting diagnostic bundle:', error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+// Session autosave and the restore offered after a renderer crash
+function setupSessionRecoveryHandlers() {
+  // An autosave still on disk means the last run did not quit cleanly
+  SessionRecovery.checkPreviousRun();
+
+  ipcMain.handle('autosave-session', async (_, sessionJson) => {
+    try {
+      await SessionRecovery.saveAutosave(sessionJson);
+      return { success: true };
+    } catch (error) {
+      console.error('Error autosaving session:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('get-recovery-offer', () => SessionRecovery.getOffer());
+
+  ipcMain.handle('restore-autosave', async () => {
+    try {
+      const session = await SessionRecovery.takeAutosave();
+      if (!session) {
+        throw new Error('There is no autosaved session');
+      }
+      return { success: true, session };
+    } catch (error) {
+      console.error('Error restoring autosave:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('dismiss-recovery', () => {
+    SessionRecovery.dismissOffer();
+    return { success: true };
+  });
+
+  // A clean quit leaves nothing to recover
+  app.on('will-quit', () => SessionRecovery.clearAutosave());
+}
+
+// Choosing the folder of evoruns browsed without the REST service
+function setupLocalEvorunsHandlers() {
+  ipcMain.handle('get-local-evoruns', async () => {
+    try {
+      return await LocalEvoruns.getInfo();
+    } catch (error) {
+      console.error('Error reading local evoruns folder:', error);
+      return { root: null, runCount: 0, error: error.message };
+    }
+  });
+
+  ipcMain.handle('choose-local-evoruns-folder', async (event) => {
+    try {
+      return await LocalEvoruns.chooseRoot(event.sender);
+    } catch (error) {
+      console.error('Error choosing local evoruns folder:', error);
+      return { root: null, runCount: 0, error: error.message };
+    }
+  });
+
+  ipcMain.handle('clear-local-evoruns-folder', async () => {
+    try {
+      await LocalEvoruns.setRoot(null);
+      return { success: true };
+    } catch (error) {
+      console.error('Error clearing local evoruns folder:', error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+// Importing evoruns from a folder or .zip into the library in userData
+function setupEvorunLibraryHandlers() {
+  ipcMain.handle('inspect-evorun', async (event, kind) => {
+    try {
+      const inspection = await EvorunLibrary.inspect(kind === 'zip' ? 'zip' : 'directory', event.sender);
+      return inspection ? { success: true, ...inspection } : { success: false, canceled: true };
+    } catch (error) {
+      console.error('Error inspecting evorun:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('import-evorun', async (event, importId) => {
+    try {
+      return { success: true, run: await EvorunLibrary.importRun(importId) };
+    } catch (error) {
+      console.error('Error importing evorun:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('cancel-evorun-import', async (event, importId) => {
+    try {
+      await EvorunLibrary.cancelImport(importId);
+      return { success: true };
+    } catch (error) {
+      console.error('Error cancelling evorun import:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('list-imported-evoruns', async () => {
+    try {
+      return await EvorunLibrary.listImported();
+    } catch (error) {
+      console.error('Error listing imported evoruns:', error);
+      return { runs: [], groups: {}, error: error.message };
+    }
+  });
+
+  // Archives extracted for imports that were never finished
+  app.on('will-quit', () => {
+    EvorunLibrary.cancelAll().catch(error => console.error('Error cleaning up evorun imports:', error));
+  });
+}
+
 // Set up IPC handlers for communication with renderer process
 function setupIpcHandlers() {
   if (!PluginManager) {
@@ -222,18 +762,76 @@ function setupIpcHandlers() {
       }
     });
 
-    ipcMain.handle('install-plugin', async (_, pluginId) => {
+    // Forward install progress (download, venv, dependencies) to the requesting renderer
+    const progressSender = (event, pluginId) => (progress) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('plugin-install-progress', { pluginId, ...progress });
+      }
+    };
+
+    ipcMain.handle('install-plugin', async (event, pluginId, version) => {
       try {
-        return await PluginManager.installPlugin(pluginId);
+        return await PluginManager.installPlugin(pluginId, {
+          version,
+          onProgress: progressSender(event, pluginId)
+        });
       } catch (error) {
         console.error('Error installing plugin:', error);
         return { success: false, error: error.message };
       }
     });
+
+    ipcMain.handle('uninstall-plugin', async (_, pluginId, version) => {
+      try {
+        return await PluginManager.uninstallPlugin(pluginId, version);
+      } catch (error) {
+        console.error('Error uninstalling plugin:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('update-plugin', async (event, pluginId, options = {}) => {
+      try {
+        return await PluginManager.updatePlugin(pluginId, {
+          removeOlder: !!options.removeOlder,
+          onProgress: progressSender(event, pluginId)
+        });
+      } catch (error) {
+        console.error('Error updating plugin:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('list-plugin-updates', async () => {
+      try {
+        return await PluginManager.listPluginUpdates();
+      } catch (error) {
+        console.error('Error listing plugin updates:', error);
+        return [];
+      }
+    });
+
+    ipcMain.handle('get-plugin-pins', async (_, projectId) => {
+      try {
+        return await PluginManager.getPinnedVersions(projectId);
+      } catch (error) {
+        console.error('Error reading plugin pins:', error);
+        return {};
+      }
+    });
+
+    ipcMain.handle('pin-plugin-version', async (_, projectId, pluginId, version) => {
+      try {
+        return await PluginManager.pinPluginVersion(projectId, pluginId, version);
+      } catch (error) {
+        console.error('Error pinning plugin version:', error);
+        return { success: false, error: error.message };
+      }
+    });
     
-    ipcMain.handle('start-plugin-service', async (_, pluginId) => {
+    ipcMain.handle('start-plugin-service', async (_, pluginId, options) => {
       try {
-        const serviceInfo = await PluginManager.startPluginService(pluginId);
+        const serviceInfo = await PluginManager.startPluginService(pluginId, options);
         return serviceInfo.port;
       } catch (error) {
         console.error('Error starting plugin service:', error);
@@ -250,6 +848,41 @@ function setupIpcHandlers() {
       }
     });
     
+    ipcMain.handle('get-plugin-service-status', async () => {
+      try {
+        return await PluginManager.getServiceStatuses();
+      } catch (error) {
+        console.error('Error getting plugin service status:', error);
+        return [];
+      }
+    });
+
+    ipcMain.handle('get-plugin-service-logs', async (_, pluginId, limit) => {
+      try {
+        return PluginManager.getServiceLogs(pluginId, limit);
+      } catch (error) {
+        console.error('Error getting plugin service logs:', error);
+        return [];
+      }
+    });
+
+    // Stream service output and status changes to every open window
+    PluginManager.on('service-log', (entry) => broadcastToWindows('plugin-service-log', entry));
+    PluginManager.on('service-status', (info) => broadcastToWindows('plugin-service-status', info));
+    
+    ipcMain.handle('get-plugin-registries', async () => {
+      return PluginManager.getRegistrySources();
+    });
+
+    ipcMain.handle('set-plugin-registries', async (_, sources) => {
+      try {
+        return await PluginManager.setRegistrySources(sources);
+      } catch (error) {
+        console.error('Error setting plugin registries:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
     ipcMain.handle('refresh-registry', async () => {
       try {
         return await PluginManager.refreshRegistry();
@@ -260,13 +893,6 @@ function setupIpcHandlers() {
     });
 
     console.log('IPC handlers set up successfully');
-    
-    // Add error logging handler
-    ipcMain.handle('log-error', async (_, errorData) => {
-      console.error('Renderer error received:', errorData);
-      return { success: true };
-    });
-    
   } catch (error) {
     console.error('Error setting up IPC handlers:', error);
   }
@@ -1,17 +1,34 @@
 const { app } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const { spawn } = require('child_process');
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { pipeline } = require('stream/promises');
+const { fileURLToPath } = require('url');
 const extract = require('extract-zip');
+const { provisionPluginEnvironment } = require('./python-environment');
+const { PluginService, findAvailablePort } = require('./plugin-service');
+const { loadRegistrySource, ID_PATTERN } = require('./plugin-registry');
+const { compareSemver, isValidSemver } = require('./semver');
 
-class PluginManager {
+class PluginManager extends EventEmitter {
   constructor() {
+    super();
     this.pluginsDir = path.join(app.getPath('userData'), 'plugins');
     this.registryUrl = 'https://raw.githubusercontent.com/your-org/plugin-registry/main/registry.json';
     this.registryCachePath = path.join(app.getPath('userData'), 'registry-cache.json');
     this.registryCacheTime = 3600000; // 1 hour in milliseconds
+    // Extra registries (e.g. file:// mirrors for air-gapped labs) are listed here
+    this.registrySourcesPath = path.join(app.getPath('userData'), 'plugin-registries.json');
+    // Plugin versions pinned per project: { [projectId]: { [pluginId]: version } }
+    this.pinsPath = path.join(app.getPath('userData'), 'plugin-pins.json');
     this.runningServices = new Map();
+    this.basePort = 8765;
     this.ensurePluginDirectory();
+
+    // Never leave plugin processes behind when the app exits
+    app.on('before-quit', () => this.killAllServices());
   }
 
   ensurePluginDirectory() {
@@ -31,67 +48,185 @@ class PluginManager {
     }
   }
 
+  /**
+   * All registries to query, in priority order: the user's configured list
+   * (or the default registry), plus KROMOSYNTH_PLUGIN_REGISTRIES (comma separated)
+   */
+  getRegistrySources() {
+    let sources = [this.registryUrl];
+    try {
+      if (fs.existsSync(this.registrySourcesPath)) {
+        const configured = JSON.parse(fs.readFileSync(this.registrySourcesPath, 'utf8'));
+        if (Array.isArray(configured) && configured.length > 0) {
+          sources = configured;
+        }
+      }
+    } catch (error) {
+      console.error('Error reading plugin registry list:', error);
+    }
+
+    const fromEnv = (process.env.KROMOSYNTH_PLUGIN_REGISTRIES || '')
+      .split(',').map(s => s.trim()).filter(Boolean);
+
+    return [...new Set([...fromEnv, ...sources])];
+  }
+
+  async setRegistrySources(sources) {
+    if (!Array.isArray(sources) || !sources.every(s => typeof s === 'string' && /^(https?|file):/.test(s))) {
+      throw new Error('Registry sources must be http(s):// or file:// URLs');
+    }
+    await fs.promises.writeFile(this.registrySourcesPath, JSON.stringify(sources, null, 2));
+    return this.refreshRegistry();
+  }
+
+  async readRegistryCache() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.registryCachePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the merged plugin registry, served from the on-disk cache while it is
+   * younger than registryCacheTime and was built from the same sources
+   * @param {boolean} forceRefresh - Bypass the cache
+   */
   async getAvailablePlugins(forceRefresh = false) {
+    const sources = this.getRegistrySources();
+    const cache = await this.readRegistryCache();
+    const cacheMatches = cache && JSON.stringify(cache.sources) === JSON.stringify(sources);
+
+    if (!forceRefresh && cacheMatches && Date.now() - cache.fetchedAt < this.registryCacheTime) {
+      return cache.registry;
+    }
+
+    const results = await Promise.allSettled(
+      sources.map(source => loadRegistrySource(source, this.fetch.bind(this)))
+    );
+
+    const errors = [];
+    const entries = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        entries.push(...result.value.plugins);
+        errors.push(...result.value.errors);
+      } else {
+        errors.push(`${sources[index]}: ${result.reason.message}`);
+      }
+    });
+    errors.forEach(error => console.warn('Plugin registry:', error));
+
+    // Nothing reachable: keep serving the last good registry, however old
+    if (results.every(result => result.status === 'rejected')) {
+      if (cache) {
+        return { ...cache.registry, stale: true, errors };
+      }
+      return { schemaVersion: 1, plugins: [], errors };
+    }
+
+    const registry = {
+      schemaVersion: 1,
+      lastUpdated: new Date().toISOString(),
+      plugins: this.mergeRegistryEntries(entries),
+      errors
+    };
+
     try {
-      // For demo purposes, return mock data
-      // In a real implementation, you would fetch from your registry URL
-      return {
-        schemaVersion: 1,
-        lastUpdated: new Date().toISOString(),
-        plugins: [
-          {
-            id: "map-elites-sim",
-            name: "MAP-Elites Simulator",
-            description: "Quality diversity algorithm using Multi-dimensional Archive of Phenotypic Elites",
-            version: "1.0.0",
-            author: "Your Organization",
-            tags: ["simulation", "quality-diversity", "evolutionary"],
-            downloadUrl: "https://example.com/plugins/map-elites-plugin.zip",
-            pythonVersion: ">=3.8,<3.12",
-            dependencies: ["numpy>=1.20.0", "scikit-learn>=1.0.0"],
-            interfaces: ["websocket"]
-          },
-          {
-            id: "nslc-sim",
-            name: "Novelty Search with Local Competition",
-            description: "Quality diversity algorithm using novelty search with local competition",
-            version: "0.9.0",
-            author: "Your Organization",
-            tags: ["simulation", "quality-diversity", "evolutionary"],
-            downloadUrl: "https://example.com/plugins/nslc-plugin.zip",
-            pythonVersion: ">=3.8,<3.12",
-            dependencies: ["numpy>=1.20.0", "scipy>=1.7.0"],
-            interfaces: ["websocket"]
-          }
-        ]
-      };
+      await fs.promises.writeFile(
+        this.registryCachePath,
+        JSON.stringify({ fetchedAt: Date.now(), sources, registry }, null, 2)
+      );
     } catch (error) {
-      console.error('Error fetching plugin registry:', error);
-      return { plugins: [] };
+      console.error('Error writing registry cache:', error);
+    }
+
+    return registry;
+  }
+
+  /**
+   * Collapse entries from all registries to one per plugin id (the newest
+   * version), listing every release under `releases`. Earlier sources win
+   * when two registries publish the same id and version.
+   */
+  mergeRegistryEntries(entries) {
+    const byId = new Map();
+    for (const entry of entries) {
+      const releases = byId.get(entry.id) || [];
+      if (!releases.some(release => release.version === entry.version)) {
+        releases.push(entry);
+      }
+      byId.set(entry.id, releases);
     }
+
+    return Array.from(byId.values()).map(releases => {
+      releases.sort((a, b) => compareSemver(b.version, a.version));
+      return { ...releases[0], releases };
+    });
+  }
+
+  /**
+   * Directory of a plugin, or of one of its versions. Ids and versions come from
+   * renderers, so anything but a registry id and a semver, or a path that would
+   * not be inside pluginsDir, is refused.
+   */
+  resolvePluginPath(pluginId, version = null) {
+    if (typeof pluginId !== 'string' || !ID_PATTERN.test(pluginId)) {
+      throw new Error(`Invalid plugin id ${pluginId}`);
+    }
+    if (version && (typeof version !== 'string' || !isValidSemver(version))) {
+      throw new Error(`Invalid version ${version}`);
+    }
+
+    const pluginsDir = path.resolve(this.pluginsDir);
+    const target = path.resolve(pluginsDir, pluginId, version || '');
+    if (!target.startsWith(pluginsDir + path.sep)) {
+      throw new Error(`Plugin path ${target} is outside ${pluginsDir}`);
+    }
+    return target;
+  }
+
+  /**
+   * Find a registry entry, optionally for a specific version
+   */
+  async findRegistryEntry(pluginId, version = null) {
+    const registry = await this.getAvailablePlugins();
+    const plugin = registry.plugins.find(p => p.id === pluginId);
+    if (!plugin) return null;
+    if (!version) return plugin;
+    return plugin.releases.find(release => release.version === version) || null;
   }
 
   async getInstalledPlugins() {
     try {
-      const dirs = await fs.promises.readdir(this.pluginsDir);
+      const pluginIds = await fs.promises.readdir(this.pluginsDir);
       const installedPlugins = [];
 
-      for (const dir of dirs) {
-        const pluginDir = path.join(this.pluginsDir, dir);
+      // Plugins are installed as pluginsDir/<id>/<version>/plugin.json
+      for (const pluginId of pluginIds) {
+        const pluginDir = path.join(this.pluginsDir, pluginId);
         const stat = await fs.promises.stat(pluginDir);
-        
-        if (stat.isDirectory()) {
-          const configPath = path.join(pluginDir, 'plugin.json');
-          
+        if (!stat.isDirectory()) continue;
+
+        const versions = await fs.promises.readdir(pluginDir);
+        for (const version of versions) {
+          // Skip staging and backup directories left by an install in progress
+          if (!isValidSemver(version)) continue;
+
+          const installPath = path.join(pluginDir, version);
+          const configPath = path.join(installPath, 'plugin.json');
+
           if (fs.existsSync(configPath)) {
             try {
               const config = JSON.parse(await fs.promises.readFile(configPath, 'utf8'));
               installedPlugins.push({
-                id: dir,
-                ...config
+                ...config,
+                id: pluginId,
+                version,
+                installPath
               });
             } catch (err) {
-              console.error(`Error reading plugin config for ${dir}:`, err);
+              console.error(`Error reading plugin config for ${pluginId}@${version}:`, err);
             }
           }
         }
@@ -104,75 +239,389 @@ class PluginManager {
     }
   }
 
-  async installPlugin(pluginId) {
-    const plugins = await this.getAvailablePlugins();
-    const plugin = plugins.plugins.find(p => p.id === pluginId);
+  /**
+   * Install a plugin from the registry. Versions install side by side.
+   * @param {string} pluginId - Registry id of the plugin
+   * @param {Object} options - { version, onProgress }; version defaults to the newest release
+   */
+  async installPlugin(pluginId, { version = null, onProgress = () => {} } = {}) {
+    this.resolvePluginPath(pluginId, version);
+    const entry = await this.findRegistryEntry(pluginId, version);
     
-    if (!plugin) {
-      throw new Error(`Plugin ${pluginId} not found`);
+    if (!entry) {
+      throw new Error(`Plugin ${pluginId}${version ? `@${version}` : ''} not found`);
     }
-    
-    // This is a simplified mock implementation
-    // In a real implementation, you would:
-    // 1. Download the plugin ZIP
-    // 2. Extract it to the plugins directory
-    // 3. Set up a virtual environment
-    // 4. Install dependencies
-    
-    console.log(`Installing plugin ${pluginId}...`);
-    
-    // Create a mock installation
-    const pluginDir = path.join(this.pluginsDir, pluginId);
-    if (!fs.existsSync(pluginDir)) {
-      fs.mkdirSync(pluginDir, { recursive: true });
+    const { releases, ...plugin } = entry;
+    if (!plugin.downloadUrl) {
+      throw new Error(`Plugin ${pluginId} has no downloadUrl`);
+    }
+    if (!plugin.sha256) {
+      throw new Error(`Plugin ${pluginId} does not declare a sha256 checksum`);
     }
     
-    // Write a mock plugin.json file
-    await fs.promises.writeFile(
-      path.join(pluginDir, 'plugin.json'),
-      JSON.stringify(plugin, null, 2)
-    );
-    
-    return { success: true, pluginDir };
+    console.log(`Installing plugin ${pluginId}@${plugin.version}...`);
+
+    const pluginDir = this.resolvePluginPath(pluginId);
+    const installPath = this.resolvePluginPath(pluginId, plugin.version);
+    const stamp = `${plugin.version}-${Date.now()}`;
+    const stagingPath = path.join(pluginDir, `.staging-${stamp}`);
+    const backupPath = path.join(pluginDir, `.backup-${stamp}`);
+    const archivePath = path.join(os.tmpdir(), `kromosynth-plugin-${pluginId}-${stamp}.zip`);
+    let movedExisting = false;
+    let swappedIn = false;
+
+    try {
+      await fs.promises.mkdir(stagingPath, { recursive: true });
+
+      // 1. Download (or copy) the archive, hashing it as it is written
+      onProgress({ stage: 'download', message: `Downloading ${plugin.downloadUrl}` });
+      const digest = await this.downloadArchive(plugin.downloadUrl, archivePath);
+      onProgress({ stage: 'verify', message: 'Verifying checksum' });
+      if (digest !== plugin.sha256.toLowerCase()) {
+        throw new Error(`Checksum mismatch for ${pluginId}: expected ${plugin.sha256}, got ${digest}`);
+      }
+
+      // 2. Extract into the staging directory
+      onProgress({ stage: 'extract', message: 'Extracting archive' });
+      await extract(archivePath, { dir: stagingPath });
+      const contentPath = await this.resolveArchiveRoot(stagingPath);
+
+      // 3. Read the manifest shipped in the archive, if any
+      let manifest = {};
+      const archiveManifestPath = path.join(contentPath, 'plugin.json');
+      if (fs.existsSync(archiveManifestPath)) {
+        manifest = JSON.parse(await fs.promises.readFile(archiveManifestPath, 'utf8'));
+        if (manifest.id && manifest.id !== plugin.id) {
+          throw new Error(`Archive manifest id ${manifest.id} does not match ${plugin.id}`);
+        }
+        if (manifest.version && manifest.version !== plugin.version) {
+          throw new Error(`Archive manifest version ${manifest.version} does not match ${plugin.version}`);
+        }
+      }
+      const config = { ...plugin, ...manifest };
+
+      // 4. Swap the staged install into place, keeping any previous copy until it succeeds.
+      // This happens before the venv is created since virtualenvs are not relocatable.
+      if (fs.existsSync(installPath)) {
+        await fs.promises.rename(installPath, backupPath);
+        movedExisting = true;
+      }
+      await fs.promises.rename(contentPath, installPath);
+      swappedIn = true;
+
+      // 5. Provision an isolated Python environment for Python based plugins
+      let python = null;
+      if (config.pythonVersion || (config.dependencies && config.dependencies.length > 0)) {
+        python = await provisionPluginEnvironment(config, installPath, onProgress);
+      }
+
+      // 6. Write the merged manifest, including where the venv lives
+      await fs.promises.writeFile(
+        path.join(installPath, 'plugin.json'),
+        JSON.stringify({
+          ...config,
+          sha256: digest,
+          python,
+          installedAt: new Date().toISOString()
+        }, null, 2)
+      );
+
+      if (movedExisting) {
+        await fs.promises.rm(backupPath, { recursive: true, force: true });
+      }
+
+      console.log(`Plugin ${pluginId}@${plugin.version} installed to ${installPath}`);
+      onProgress({ stage: 'done', message: `Installed ${plugin.name || pluginId} ${plugin.version}` });
+      return { success: true, pluginDir: installPath, version: plugin.version };
+    } catch (error) {
+      console.error(`Error installing plugin ${pluginId}, rolling back:`, error);
+      onProgress({ stage: 'error', message: error.message });
+      if (swappedIn) {
+        await fs.promises.rm(installPath, { recursive: true, force: true }).catch(err =>
+          console.error(`Failed to remove partial install of ${pluginId}:`, err)
+        );
+      }
+      if (movedExisting) {
+        await fs.promises.rename(backupPath, installPath).catch(err =>
+          console.error(`Failed to restore previous install of ${pluginId}:`, err)
+        );
+      }
+      throw error;
+    } finally {
+      await fs.promises.rm(stagingPath, { recursive: true, force: true }).catch(() => {});
+      await fs.promises.rm(archivePath, { force: true }).catch(() => {});
+      // Remove the plugin directory again if this install was the only thing in it
+      const remaining = await fs.promises.readdir(pluginDir).catch(() => null);
+      if (remaining && remaining.length === 0) {
+        await fs.promises.rmdir(pluginDir).catch(() => {});
+      }
+    }
   }
 
-  async startPluginService(pluginId) {
+  /**
+   * Download a plugin archive (http(s) or file://) to destPath
+   * @returns {Promise<string>} - Hex encoded SHA-256 of the written archive
+   */
+  async downloadArchive(downloadUrl, destPath) {
+    const hash = crypto.createHash('sha256');
+    let source;
+
+    if (downloadUrl.startsWith('file:')) {
+      source = fs.createReadStream(fileURLToPath(downloadUrl));
+    } else {
+      const response = await this.fetch(downloadUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to download ${downloadUrl}: ${response.status} ${response.statusText}`);
+      }
+      source = response.body;
+    }
+
+    source.on('data', chunk => hash.update(chunk));
+    await pipeline(source, fs.createWriteStream(destPath));
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Archives are often zipped with a single top-level folder; use it as the
+   * plugin root unless the manifest sits at the top of the archive
+   */
+  async resolveArchiveRoot(extractedPath) {
+    if (fs.existsSync(path.join(extractedPath, 'plugin.json'))) {
+      return extractedPath;
+    }
+
+    const entries = (await fs.promises.readdir(extractedPath, { withFileTypes: true }))
+      .filter(entry => entry.name !== '__MACOSX');
+    if (entries.length === 1 && entries[0].isDirectory()) {
+      return path.join(extractedPath, entries[0].name);
+    }
+
+    return extractedPath;
+  }
+
+  /**
+   * Get the installed manifest for a plugin, defaulting to the newest installed version
+   */
+  async getInstalledPlugin(pluginId, version = null) {
+    const installed = (await this.getInstalledPlugins())
+      .filter(p => p.id === pluginId && (!version || p.version === version))
+      .sort((a, b) => compareSemver(b.version, a.version));
+    return installed[0] || null;
+  }
+
+  /**
+   * Uninstall one version of a plugin, or every version when none is given
+   */
+  async uninstallPlugin(pluginId, version = null) {
+    const pluginDir = this.resolvePluginPath(pluginId);
+    const target = this.resolvePluginPath(pluginId, version);
+
+    const running = this.runningServices.get(pluginId);
+    if (running && (!version || running.plugin.version === version)) {
+      await this.stopPluginService(pluginId);
+    }
+
+    if (!fs.existsSync(target)) {
+      throw new Error(`Plugin ${pluginId}${version ? `@${version}` : ''} is not installed`);
+    }
+
+    console.log(`Uninstalling plugin ${pluginId}${version ? `@${version}` : ''}...`);
+    await fs.promises.rm(target, { recursive: true, force: true });
+
+    const remaining = await fs.promises.readdir(pluginDir).catch(() => null);
+    if (remaining && remaining.length === 0) {
+      await fs.promises.rmdir(pluginDir).catch(() => {});
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Installed plugins for which the registry has a newer release
+   */
+  async listPluginUpdates() {
+    const [registry, installed] = await Promise.all([
+      this.getAvailablePlugins(),
+      this.getInstalledPlugins()
+    ]);
+
+    const newestInstalled = new Map();
+    for (const plugin of installed) {
+      const current = newestInstalled.get(plugin.id);
+      if (!current || compareSemver(plugin.version, current) > 0) {
+        newestInstalled.set(plugin.id, plugin.version);
+      }
+    }
+
+    const updates = [];
+    for (const [pluginId, installedVersion] of newestInstalled) {
+      const available = registry.plugins.find(p => p.id === pluginId);
+      if (available && compareSemver(available.version, installedVersion) > 0) {
+        updates.push({
+          id: pluginId,
+          name: available.name,
+          installedVersion,
+          latestVersion: available.version
+        });
+      }
+    }
+    return updates;
+  }
+
+  /**
+   * Install the newest release next to the existing versions. Older versions
+   * are kept for pinned projects unless removeOlder is set.
+   */
+  async updatePlugin(pluginId, { removeOlder = false, onProgress } = {}) {
+    const update = (await this.listPluginUpdates()).find(u => u.id === pluginId);
+    if (!update) {
+      return { success: true, updated: false };
+    }
+
+    const result = await this.installPlugin(pluginId, { version: update.latestVersion, onProgress });
+
+    if (removeOlder) {
+      const pinnedVersions = new Set(
+        Object.values(await this.readPins()).map(pins => pins[pluginId]).filter(Boolean)
+      );
+      const older = (await this.getInstalledPlugins())
+        .filter(p => p.id === pluginId && p.version !== update.latestVersion && !pinnedVersions.has(p.version));
+      for (const plugin of older) {
+        await this.uninstallPlugin(pluginId, plugin.version);
+      }
+    }
+
+    return { ...result, updated: true, previousVersion: update.installedVersion };
+  }
+
+  async readPins() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.pinsPath, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async getPinnedVersions(projectId) {
+    return (await this.readPins())[projectId] || {};
+  }
+
+  /**
+   * Pin a plugin version for a project, so runs are reproduced with the exact
+   * simulator they were made with. Passing a null version removes the pin.
+   */
+  async pinPluginVersion(projectId, pluginId, version) {
+    if (!projectId) {
+      throw new Error('A project id is required to pin a plugin version');
+    }
+    this.resolvePluginPath(pluginId, version);
+
+    const pins = await this.readPins();
+    const projectPins = { ...pins[projectId] };
+    if (version) {
+      projectPins[pluginId] = version;
+    } else {
+      delete projectPins[pluginId];
+    }
+
+    if (Object.keys(projectPins).length > 0) {
+      pins[projectId] = projectPins;
+    } else {
+      delete pins[projectId];
+    }
+    await fs.promises.writeFile(this.pinsPath, JSON.stringify(pins, null, 2));
+
+    return projectPins;
+  }
+
+  /**
+   * Start a plugin service. With a projectId, the version pinned for that
+   * project is used; otherwise the newest installed version.
+   */
+  async startPluginService(pluginId, { projectId = null } = {}) {
+    this.resolvePluginPath(pluginId);
+    const pinnedVersion = projectId ? (await this.getPinnedVersions(projectId))[pluginId] : null;
+
+    // A service that gave up restarting stays listed, with its logs, until started again
+    const previous = this.runningServices.get(pluginId);
+    if (previous && (previous.status === 'crashed' || previous.status === 'stopped')) {
+      await previous.stop();
+      this.runningServices.delete(pluginId);
+    }
+
     if (this.runningServices.has(pluginId)) {
-      return this.runningServices.get(pluginId);
+      const running = this.runningServices.get(pluginId);
+      if (pinnedVersion && running.plugin.version !== pinnedVersion) {
+        throw new Error(`${pluginId}@${running.plugin.version} is running, but project ${projectId} is pinned to ${pinnedVersion}; stop it first`);
+      }
+      return running.getInfo();
+    }
+
+    const plugin = await this.getInstalledPlugin(pluginId, pinnedVersion);
+    if (!plugin) {
+      throw new Error(pinnedVersion
+        ? `Plugin ${pluginId}@${pinnedVersion} (pinned for ${projectId}) is not installed`
+        : `Plugin ${pluginId} is not installed`);
+    }
+
+    console.log(`Starting plugin service ${pluginId}@${plugin.version}...`);
+
+    const usedPorts = new Set(Array.from(this.runningServices.values()).map(service => service.port));
+    const port = await findAvailablePort(this.basePort, 200, usedPorts);
+    const service = new PluginService(plugin, port);
+    this.runningServices.set(pluginId, service);
+
+    // Re-emit service activity so main.js can forward it to renderers
+    service.on('log', (entry) => this.emit('service-log', { pluginId, ...entry }));
+    service.on('status', (info) => this.emit('service-status', info));
+
+    try {
+      return await service.start();
+    } catch (error) {
+      console.error(`Plugin service ${pluginId} failed to start:`, error.message);
+      await service.stop();
+      this.runningServices.delete(pluginId);
+      throw error;
     }
-    
-    // This is a simplified mock implementation
-    // In a real implementation, you would:
-    // 1. Launch the Python service in its virtual environment
-    // 2. Pass the correct port
-    // 3. Set up proper communication
-    
-    console.log(`Starting plugin service ${pluginId}...`);
-    
-    // For demo purposes, just return a mock port
-    const serviceInfo = { process: null, port: 8765 + Math.floor(Math.random() * 100) };
-    this.runningServices.set(pluginId, serviceInfo);
-    
-    return serviceInfo;
   }
 
   async stopPluginService(pluginId) {
-    const serviceInfo = this.runningServices.get(pluginId);
-    if (serviceInfo && serviceInfo.process) {
-      serviceInfo.process.kill();
+    const service = this.runningServices.get(pluginId);
+    if (service) {
+      await service.stop();
     }
     
     this.runningServices.delete(pluginId);
     return { success: true };
   }
 
+  /**
+   * Status of every running service, including pid, port, uptime and memory
+   */
+  async getServiceStatuses() {
+    return Promise.all(Array.from(this.runningServices.values()).map(service => service.getStats()));
+  }
+
+  getServiceLogs(pluginId, limit) {
+    const service = this.runningServices.get(pluginId);
+    return service ? service.getLogs(limit) : [];
+  }
+
+  killAllServices() {
+    for (const [pluginId, service] of this.runningServices) {
+      console.log(`Killing plugin service ${pluginId}`);
+      service.kill();
+    }
+    this.runningServices.clear();
+  }
+
   async refreshRegistry() {
     return this.getAvailablePlugins(true);
   }
 
-  // Mock method for finding an available port
   async findAvailablePort() {
-    return 8765 + Math.floor(Math.random() * 100);
+    return findAvailablePort(this.basePort);
   }
 }
 
@@ -0,0 +1,199 @@
+/**
+ * Tests for PluginManager, with its user data in a temporary directory and
+ * plugin registries as file:// mirrors serving archives built with createZip.
+ *
+ *   node --test src/main/plugin-manager.test.js
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'plugin-manager-test-'));
+
+// PluginManager only needs app.getPath and app.on from electron
+require.cache[require.resolve('electron')] = {
+  id: 'electron',
+  loaded: true,
+  exports: { app: { getPath: () => userData, on() {} } }
+};
+const pluginManager = require('./plugin-manager');
+const { createZip } = require('./zip-writer');
+
+const entry = (fields = {}) => ({
+  id: 'map-elites',
+  name: 'MAP-Elites',
+  version: '1.0.0',
+  downloadUrl: 'map-elites.zip',
+  sha256: 'a'.repeat(64),
+  ...fields
+});
+
+// A file:// mirror directory holding registry.json
+const writeMirror = (name, plugins) => {
+  const mirror = path.join(userData, 'mirrors', name);
+  fs.mkdirSync(mirror, { recursive: true });
+  fs.writeFileSync(path.join(mirror, 'registry.json'), JSON.stringify({ schemaVersion: 1, plugins }));
+  return pathToFileURL(mirror).href;
+};
+
+const useRegistries = (sources) => {
+  fs.writeFileSync(pluginManager.registrySourcesPath, JSON.stringify(sources));
+};
+
+after(() => {
+  fs.rmSync(userData, { recursive: true, force: true });
+});
+
+test('registry entries merge to one per plugin, newest version first', () => {
+  const merged = pluginManager.mergeRegistryEntries([
+    entry({ version: '1.0.0', registry: 'first' }),
+    entry({ id: 'nslc', version: '0.1.0' }),
+    entry({ version: '1.10.0', registry: 'first' }),
+    entry({ version: '1.2.0', registry: 'first' }),
+    entry({ version: '1.10.0', registry: 'second' })
+  ]);
+
+  assert.deepEqual(merged.map(plugin => [plugin.id, plugin.version]), [['map-elites', '1.10.0'], ['nslc', '0.1.0']]);
+  assert.deepEqual(merged[0].releases.map(release => release.version), ['1.10.0', '1.2.0', '1.0.0']);
+  // The earlier registry wins for a version both publish
+  assert.equal(merged[0].registry, 'first');
+});
+
+test('the merged registry is cached until it expires, its sources change or a refresh is forced', async () => {
+  const mirror = writeMirror('cached', [entry()]);
+  useRegistries([mirror]);
+  const first = await pluginManager.getAvailablePlugins(true);
+  assert.deepEqual(first.plugins.map(plugin => plugin.version), ['1.0.0']);
+
+  writeMirror('cached', [entry(), entry({ version: '2.0.0' })]);
+  assert.deepEqual((await pluginManager.getAvailablePlugins()).plugins.map(plugin => plugin.version), ['1.0.0']);
+  assert.deepEqual((await pluginManager.getAvailablePlugins(true)).plugins.map(plugin => plugin.version), ['2.0.0']);
+
+  writeMirror('cached', [entry({ version: '3.0.0' })]);
+  const cacheTime = pluginManager.registryCacheTime;
+  pluginManager.registryCacheTime = 0;
+  try {
+    assert.deepEqual((await pluginManager.getAvailablePlugins()).plugins.map(plugin => plugin.version), ['3.0.0']);
+  } finally {
+    pluginManager.registryCacheTime = cacheTime;
+  }
+
+  useRegistries([mirror, writeMirror('other', [entry({ id: 'nslc' })])]);
+  assert.deepEqual((await pluginManager.getAvailablePlugins()).plugins.map(plugin => plugin.id), ['map-elites', 'nslc']);
+});
+
+test('plugins are merged across registries, and unreachable ones reported', async () => {
+  const missing = pathToFileURL(path.join(userData, 'mirrors', 'missing')).href;
+  useRegistries([
+    writeMirror('lab', [entry({ version: '1.1.0' })]),
+    writeMirror('public', [entry({ version: '1.0.0' }), entry({ id: 'Bad Id' })]),
+    missing
+  ]);
+
+  const registry = await pluginManager.getAvailablePlugins(true);
+  assert.deepEqual(registry.plugins[0].releases.map(release => release.version), ['1.1.0', '1.0.0']);
+  assert.equal(registry.errors.length, 2);
+  assert.match(registry.errors[0], /plugin Bad Id ignored \(id must be a lowercase identifier\)/);
+  assert.match(registry.errors[1], new RegExp(`^${missing}: ENOENT`));
+});
+
+test('the last good registry is served, marked stale, when no registry is reachable', async () => {
+  useRegistries([writeMirror('stale', [entry()])]);
+  await pluginManager.getAvailablePlugins(true);
+  fs.rmSync(path.join(userData, 'mirrors', 'stale'), { recursive: true });
+
+  const registry = await pluginManager.getAvailablePlugins(true);
+  assert.equal(registry.stale, true);
+  assert.deepEqual(registry.plugins.map(plugin => plugin.id), ['map-elites']);
+});
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Publish a plugin archive in the 'installs' mirror, zipped with a top-level
+ * folder as archives often are, and use that mirror as the only registry
+ * @param {Object} manifest - plugin.json in the archive
+ * @param {Object} [fields] - Registry entry fields, e.g. a wrong sha256
+ */
+const publish = async (manifest, fields = {}) => {
+  const archive = createZip([
+    { name: 'map-elites/plugin.json', data: JSON.stringify(manifest) },
+    { name: 'map-elites/server.py', data: 'print("ready")\n' }
+  ]);
+  const mirror = writeMirror('installs', [entry({ version: manifest.version, sha256: sha256(archive), ...fields })]);
+  fs.writeFileSync(path.join(userData, 'mirrors', 'installs', 'map-elites.zip'), archive);
+  useRegistries([mirror]);
+  await pluginManager.refreshRegistry();
+};
+
+const pluginDir = () => path.join(pluginManager.pluginsDir, 'map-elites');
+
+test('a plugin is installed from its archive once the checksum matches', async () => {
+  await publish({ id: 'map-elites', version: '1.0.0', port: 9001 });
+  const stages = [];
+  const result = await pluginManager.installPlugin('map-elites', { onProgress: ({ stage }) => stages.push(stage) });
+
+  const installPath = path.join(pluginDir(), '1.0.0');
+  assert.deepEqual(result, { success: true, pluginDir: installPath, version: '1.0.0' });
+  assert.deepEqual(stages, ['download', 'verify', 'extract', 'done']);
+  assert.equal(fs.readFileSync(path.join(installPath, 'server.py'), 'utf8'), 'print("ready")\n');
+  const manifest = JSON.parse(fs.readFileSync(path.join(installPath, 'plugin.json'), 'utf8'));
+  assert.equal(manifest.port, 9001);
+  assert.equal(manifest.sha256, (await pluginManager.findRegistryEntry('map-elites')).sha256);
+  assert.deepEqual(fs.readdirSync(pluginDir()), ['1.0.0']);
+});
+
+test('an archive that does not match its checksum is not installed', async () => {
+  await publish({ id: 'map-elites', version: '1.1.0' }, { sha256: 'b'.repeat(64) });
+
+  await assert.rejects(pluginManager.installPlugin('map-elites'), {
+    message: new RegExp(`^Checksum mismatch for map-elites: expected ${'b'.repeat(64)}, got [0-9a-f]{64}$`)
+  });
+  assert.deepEqual(fs.readdirSync(pluginDir()), ['1.0.0']);
+});
+
+test('an archive whose manifest names another plugin is not installed', async () => {
+  await publish({ id: 'nslc', version: '1.1.0' });
+
+  await assert.rejects(pluginManager.installPlugin('map-elites'), {
+    message: 'Archive manifest id nslc does not match map-elites'
+  });
+  assert.deepEqual(fs.readdirSync(pluginDir()), ['1.0.0']);
+});
+
+test('a failed reinstall rolls back to the version installed before', async () => {
+  const installPath = path.join(pluginDir(), '1.0.0');
+  const installed = fs.readFileSync(path.join(installPath, 'plugin.json'), 'utf8');
+  // Fails after the swap, while provisioning its Python environment
+  await publish({ id: 'map-elites', version: '1.0.0', pythonVersion: '>=99' });
+
+  await assert.rejects(pluginManager.installPlugin('map-elites', { version: '1.0.0' }), {
+    message: /^No Python interpreter matching >=99 found/
+  });
+  assert.equal(fs.readFileSync(path.join(installPath, 'plugin.json'), 'utf8'), installed);
+  assert.deepEqual(fs.readdirSync(pluginDir()), ['1.0.0']);
+});
+
+test('a failed first install leaves no plugin directory behind', async () => {
+  await pluginManager.uninstallPlugin('map-elites');
+  await publish({ id: 'map-elites', version: '1.0.0' }, { sha256: 'c'.repeat(64) });
+
+  await assert.rejects(pluginManager.installPlugin('map-elites'));
+  assert.equal(fs.existsSync(pluginDir()), false);
+});
+
+test('a wheelhouse outside the plugin directory is refused before Python is looked for', async () => {
+  await publish({ id: 'map-elites', version: '1.0.0', dependencies: ['numpy'], wheelhouse: '../../../wheels' });
+  const stages = [];
+
+  await assert.rejects(pluginManager.installPlugin('map-elites', { onProgress: ({ stage }) => stages.push(stage) }), {
+    message: 'Wheelhouse ../../../wheels is outside the plugin directory'
+  });
+  assert.equal(stages.includes('python'), false);
+  assert.equal(fs.existsSync(pluginDir()), false);
+});
@@ -0,0 +1,132 @@
+const path = require('path');
+const fs = require('fs');
+const { fileURLToPath, pathToFileURL } = require('url');
+
+const SUPPORTED_SCHEMA_VERSION = 1;
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+const isString = (value) => typeof value === 'string' && value.length > 0;
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Validate a single registry entry
+ * @returns {string[]} - Problems found, empty if the entry is valid
+ */
+function validateEntry(entry) {
+  const problems = [];
+
+  if (!entry || typeof entry !== 'object') {
+    return ['entry is not an object'];
+  }
+  if (!isString(entry.id) || !ID_PATTERN.test(entry.id)) problems.push('id must be a lowercase identifier');
+  if (!isString(entry.name)) problems.push('name is required');
+  if (!isString(entry.version) || !VERSION_PATTERN.test(entry.version)) problems.push('version must be semver (x.y.z)');
+  if (!isString(entry.downloadUrl)) problems.push('downloadUrl is required');
+  if (!isString(entry.sha256) || !SHA256_PATTERN.test(entry.sha256)) problems.push('sha256 must be a hex SHA-256 digest');
+
+  if (entry.description !== undefined && typeof entry.description !== 'string') problems.push('description must be a string');
+  if (entry.author !== undefined && typeof entry.author !== 'string') problems.push('author must be a string');
+  if (entry.pythonVersion !== undefined && typeof entry.pythonVersion !== 'string') problems.push('pythonVersion must be a string');
+  if (entry.tags !== undefined && !isStringArray(entry.tags)) problems.push('tags must be an array of strings');
+  if (entry.dependencies !== undefined && !isStringArray(entry.dependencies)) problems.push('dependencies must be an array of strings');
+  if (entry.interfaces !== undefined && !isStringArray(entry.interfaces)) problems.push('interfaces must be an array of strings');
+  if (entry.entrypoint !== undefined) {
+    const valid = isString(entry.entrypoint) ||
+      (entry.entrypoint && isString(entry.entrypoint.command) &&
+        (entry.entrypoint.args === undefined || isStringArray(entry.entrypoint.args)));
+    if (!valid) problems.push('entrypoint must be a path or { command, args }');
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a registry document, keeping the valid entries
+ * @param {Object} data - Parsed registry.json
+ * @param {string} source - Where it came from, for error messages
+ * @returns {{ plugins: Object[], errors: string[] }}
+ */
+function validateRegistry(data, source) {
+  if (!data || typeof data !== 'object') {
+    throw new Error(`Registry ${source} is not a JSON object`);
+  }
+  if (data.schemaVersion !== SUPPORTED_SCHEMA_VERSION) {
+    throw new Error(`Registry ${source} has unsupported schemaVersion ${data.schemaVersion} (expected ${SUPPORTED_SCHEMA_VERSION})`);
+  }
+  if (!Array.isArray(data.plugins)) {
+    throw new Error(`Registry ${source} has no plugins array`);
+  }
+
+  const plugins = [];
+  const errors = [];
+  data.plugins.forEach((entry, index) => {
+    const problems = validateEntry(entry);
+    if (problems.length > 0) {
+      errors.push(`${source}: plugin ${entry?.id || `#${index}`} ignored (${problems.join('; ')})`);
+    } else {
+      plugins.push(entry);
+    }
+  });
+
+  return { plugins, errors };
+}
+
+/**
+ * Registry location for a source. file:// sources may point at a directory
+ * holding registry.json next to the plugin archives.
+ */
+function resolveRegistryLocation(source) {
+  if (!source.startsWith('file:')) {
+    return source;
+  }
+  const localPath = fileURLToPath(source);
+  if (fs.existsSync(localPath) && fs.statSync(localPath).isDirectory()) {
+    return pathToFileURL(path.join(localPath, 'registry.json')).href;
+  }
+  return source;
+}
+
+/**
+ * Load and validate one registry source
+ * @param {string} source - http(s) URL, file:// URL of a registry.json or a directory
+ * @param {Function} fetch - fetch implementation for remote sources
+ */
+async function loadRegistrySource(source, fetch) {
+  const location = resolveRegistryLocation(source);
+  let data;
+
+  if (location.startsWith('file:')) {
+    data = JSON.parse(await fs.promises.readFile(fileURLToPath(location), 'utf8'));
+  } else {
+    const response = await fetch(location, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Registry ${location} responded ${response.status} ${response.statusText}`);
+    }
+    data = await response.json();
+  }
+
+  const { plugins, errors } = validateRegistry(data, source);
+
+  // Relative download URLs are resolved against the registry, so a mirror
+  // directory can ship registry.json alongside the archives it lists
+  return {
+    plugins: plugins.map(entry => ({
+      ...entry,
+      downloadUrl: new URL(entry.downloadUrl, location).href,
+      registry: source
+    })),
+    errors,
+    lastUpdated: data.lastUpdated || null
+  };
+}
+
+module.exports = {
+  SUPPORTED_SCHEMA_VERSION,
+  ID_PATTERN,
+  validateEntry,
+  validateRegistry,
+  loadRegistrySource
+};
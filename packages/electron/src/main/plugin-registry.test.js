@@ -0,0 +1,107 @@
+/**
+ * Tests for plugin registry validation and loading.
+ *
+ *   node --test src/main/plugin-registry.test.js
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const { validateEntry, validateRegistry, loadRegistrySource } = require('./plugin-registry');
+
+const entry = (fields = {}) => ({
+  id: 'map-elites',
+  name: 'MAP-Elites',
+  version: '1.2.0',
+  downloadUrl: 'https://example.org/map-elites-1.2.0.zip',
+  sha256: 'a'.repeat(64),
+  ...fields
+});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugin-registry-test-'));
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('a complete entry is valid', () => {
+  assert.deepEqual(validateEntry(entry({
+    tags: ['qd'],
+    dependencies: ['numpy'],
+    entrypoint: { command: 'python', args: ['-m', 'map_elites'] }
+  })), []);
+});
+
+test('entries missing required fields or with malformed ones are refused', () => {
+  assert.deepEqual(validateEntry(entry({ id: 'MAP Elites', version: '1.2', sha256: 'abc' })), [
+    'id must be a lowercase identifier',
+    'version must be semver (x.y.z)',
+    'sha256 must be a hex SHA-256 digest'
+  ]);
+  assert.deepEqual(validateEntry(entry({ name: undefined, downloadUrl: '' })), [
+    'name is required',
+    'downloadUrl is required'
+  ]);
+  assert.deepEqual(validateEntry(entry({ tags: 'qd', entrypoint: { args: [] } })), [
+    'tags must be an array of strings',
+    'entrypoint must be a path or { command, args }'
+  ]);
+  assert.deepEqual(validateEntry(null), ['entry is not an object']);
+});
+
+test('a registry keeps its valid entries and reports the others', () => {
+  const { plugins, errors } = validateRegistry({
+    schemaVersion: 1,
+    plugins: [entry(), entry({ id: 'nslc', sha256: undefined })]
+  }, 'test-registry');
+
+  assert.deepEqual(plugins.map(plugin => plugin.id), ['map-elites']);
+  assert.deepEqual(errors, ['test-registry: plugin nslc ignored (sha256 must be a hex SHA-256 digest)']);
+});
+
+test('registries of another schema version or without plugins are refused', () => {
+  assert.throws(() => validateRegistry({ schemaVersion: 2, plugins: [] }, 'test-registry'),
+    { message: 'Registry test-registry has unsupported schemaVersion 2 (expected 1)' });
+  assert.throws(() => validateRegistry({ schemaVersion: 1 }, 'test-registry'),
+    { message: 'Registry test-registry has no plugins array' });
+  assert.throws(() => validateRegistry('[]', 'test-registry'),
+    { message: 'Registry test-registry is not a JSON object' });
+});
+
+test('a file:// mirror directory serves its registry.json, with archives next to it', async () => {
+  const mirror = path.join(tempDir, 'mirror');
+  fs.mkdirSync(mirror);
+  fs.writeFileSync(path.join(mirror, 'registry.json'), JSON.stringify({
+    schemaVersion: 1,
+    lastUpdated: '2025-01-01T00:00:00Z',
+    plugins: [entry({ downloadUrl: 'archives/map-elites-1.2.0.zip' })]
+  }));
+  const source = pathToFileURL(mirror).href;
+
+  const { plugins, errors, lastUpdated } = await loadRegistrySource(source, () => {
+    throw new Error('file:// sources are not fetched');
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(lastUpdated, '2025-01-01T00:00:00Z');
+  assert.equal(plugins[0].downloadUrl, pathToFileURL(path.join(mirror, 'archives', 'map-elites-1.2.0.zip')).href);
+  assert.equal(plugins[0].registry, source);
+});
+
+test('remote registries are fetched, and failed responses reported', async () => {
+  const fetched = [];
+  const fetch = async (url) => {
+    fetched.push(url);
+    return url.endsWith('/missing.json')
+      ? { ok: false, status: 404, statusText: 'Not Found' }
+      : { ok: true, json: async () => ({ schemaVersion: 1, plugins: [entry({ downloadUrl: 'map-elites.zip' })] }) };
+  };
+
+  const { plugins } = await loadRegistrySource('https://example.org/registry/registry.json', fetch);
+  assert.equal(plugins[0].downloadUrl, 'https://example.org/registry/map-elites.zip');
+  await assert.rejects(loadRegistrySource('https://example.org/missing.json', fetch),
+    { message: 'Registry https://example.org/missing.json responded 404 Not Found' });
+  assert.deepEqual(fetched, ['https://example.org/registry/registry.json', 'https://example.org/missing.json']);
+});
@@ -0,0 +1,377 @@
+const path = require('path');
+const fs = require('fs');
+const net = require('net');
+const { EventEmitter } = require('events');
+const { spawn, execFile } = require('child_process');
+const WebSocket = require('ws');
+
+const READY_TIMEOUT = 30000;      // How long a service gets to answer the handshake
+const READY_POLL_INTERVAL = 250;  // Delay between websocket connection attempts
+const STOP_TIMEOUT = 5000;        // Grace period before SIGKILL
+const MAX_LOG_LINES = 1000;       // Lines of stdout/stderr kept per service
+const BACKOFF_INITIAL = 1000;
+const BACKOFF_MAX = 30000;
+const MAX_RESTARTS = 5;           // Consecutive crashes before giving up
+const STABLE_UPTIME = 60000;      // Uptime after which the crash counter resets
+
+/**
+ * Check whether a TCP port can be bound on the loopback interface
+ */
+function isPortFree(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', () => resolve(false));
+    server.listen({ port, host: '127.0.0.1', exclusive: true }, () => {
+      server.close(() => resolve(true));
+    });
+  });
+}
+
+/**
+ * Probe upwards from basePort for a free TCP port
+ */
+async function findAvailablePort(basePort = 8765, attempts = 200, exclude = new Set()) {
+  for (let port = basePort; port < basePort + attempts; port++) {
+    if (!exclude.has(port) && await isPortFree(port)) {
+      return port;
+    }
+  }
+  throw new Error(`No free port found in ${basePort}-${basePort + attempts - 1}`);
+}
+
+/**
+ * Resident memory of a process in bytes, or null if it cannot be determined
+ */
+function getProcessMemory(pid) {
+  if (!pid) return Promise.resolve(null);
+
+  if (process.platform === 'linux') {
+    return fs.promises.readFile(`/proc/${pid}/status`, 'utf8')
+      .then(status => {
+        const match = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+        return match ? parseInt(match[1], 10) * 1024 : null;
+      })
+      .catch(() => null);
+  }
+
+  return new Promise((resolve) => {
+    if (process.platform === 'win32') {
+      execFile('tasklist', ['/FI', `PID eq ${pid}`, '/FO', 'CSV', '/NH'], (error, stdout) => {
+        // "python.exe","1234","Console","1","45,678 K"
+        const match = !error && stdout.match(/"([\d.,\s]+) K"/);
+        resolve(match ? parseInt(match[1].replace(/[^\d]/g, ''), 10) * 1024 : null);
+      });
+    } else {
+      execFile('ps', ['-o', 'rss=', '-p', String(pid)], (error, stdout) => {
+        const kilobytes = parseInt(stdout, 10);
+        resolve(!error && !isNaN(kilobytes) ? kilobytes * 1024 : null);
+      });
+    }
+  });
+}
+
+/**
+ * Work out how to launch a plugin from its manifest.
+ * `entrypoint` is either a script path relative to the install directory, run with
+ * the plugin's venv python, or an object { command, args } for other runtimes.
+ * The string "{port}" in args is replaced with the assigned port.
+ */
+function resolveLaunchCommand(plugin, port) {
+  const { entrypoint, installPath } = plugin;
+  if (!entrypoint) {
+    throw new Error(`Plugin ${plugin.id} does not declare an entrypoint`);
+  }
+
+  const substitute = (arg) => String(arg).replace('{port}', String(port));
+
+  if (typeof entrypoint === 'string') {
+    const python = plugin.python?.pythonExecutable;
+    if (!python) {
+      throw new Error(`Plugin ${plugin.id} has no Python environment; reinstall it`);
+    }
+    return {
+      command: python,
+      args: [path.join(installPath, entrypoint), '--port', String(port)]
+    };
+  }
+
+  return {
+    command: entrypoint.command,
+    args: (entrypoint.args || ['--port', '{port}']).map(substitute)
+  };
+}
+
+/**
+ * A plugin service running as a supervised child process.
+ *
+ * Readiness handshake: once the websocket accepts a connection we send
+ * `{ "type": "handshake" }` and the service must answer `{ "type": "ready" }`.
+ *
+ * Events: 'status' (info), 'log' (entry), 'exit' ({ code, signal })
+ */
+class PluginService extends EventEmitter {
+  constructor(plugin, port) {
+    super();
+    this.plugin = plugin;
+    this.port = port;
+    this.process = null;
+    this.status = 'stopped';
+    this.startedAt = null;
+    this.restarts = 0;
+    this.consecutiveCrashes = 0;
+    this.lastError = null;
+    this.logs = [];
+    this.stopping = false;
+    this.restartTimer = null;
+  }
+
+  /**
+   * Launch the process and resolve once it has completed the readiness handshake
+   */
+  async start() {
+    this.stopping = false;
+    this.spawnProcess();
+    await this.waitForReady();
+    return this.getInfo();
+  }
+
+  spawnProcess() {
+    const { command, args } = resolveLaunchCommand(this.plugin, this.port);
+    console.log(`Starting plugin ${this.plugin.id} on port ${this.port}: ${command} ${args.join(' ')}`);
+
+    this.startedAt = Date.now();
+
+    const child = spawn(command, args, {
+      cwd: this.plugin.installPath,
+      env: {
+        ...process.env,
+        PYTHONUNBUFFERED: '1',
+        KROMOSYNTH_PLUGIN_PORT: String(this.port)
+      },
+      windowsHide: true
+    });
+    this.process = child;
+    this.setStatus('starting');
+
+    child.stdout.on('data', (chunk) => this.appendLog('stdout', chunk));
+    child.stderr.on('data', (chunk) => this.appendLog('stderr', chunk));
+
+    child.on('error', (error) => {
+      this.lastError = error.message;
+      this.appendLog('stderr', `Failed to launch: ${error.message}`);
+      // A process that never spawned (e.g. ENOENT) emits no 'exit', and
+      // restarting it would fail the same way
+      if (child.pid === undefined && this.process === child) {
+        this.process = null;
+        this.setStatus(this.stopping ? 'stopped' : 'crashed');
+      }
+    });
+
+    child.on('exit', (code, signal) => {
+      if (this.process !== child) return;
+      this.process = null;
+      this.emit('exit', { code, signal });
+      this.handleExit(code, signal);
+    });
+  }
+
+  appendLog(stream, chunk) {
+    const lines = chunk.toString().split(/\r?\n/).filter(Boolean);
+    for (const line of lines) {
+      const entry = { timestamp: Date.now(), stream, line };
+      this.logs.push(entry);
+      this.emit('log', entry);
+    }
+    if (this.logs.length > MAX_LOG_LINES) {
+      this.logs.splice(0, this.logs.length - MAX_LOG_LINES);
+    }
+  }
+
+  handleExit(code, signal) {
+    if (this.stopping) {
+      this.setStatus('stopped');
+      return;
+    }
+
+    console.warn(`Plugin ${this.plugin.id} exited unexpectedly (code ${code}, signal ${signal})`);
+    this.lastError = `Exited with code ${code}${signal ? ` (${signal})` : ''}`;
+
+    // A service that stayed up for a while starts over with a fresh backoff
+    const uptime = Date.now() - (this.startedAt || Date.now());
+    this.consecutiveCrashes = uptime > STABLE_UPTIME ? 1 : this.consecutiveCrashes + 1;
+
+    if (this.consecutiveCrashes > MAX_RESTARTS) {
+      console.error(`Plugin ${this.plugin.id} crashed ${MAX_RESTARTS} times in a row, giving up`);
+      this.setStatus('crashed');
+      return;
+    }
+
+    const delay = Math.min(BACKOFF_INITIAL * 2 ** (this.consecutiveCrashes - 1), BACKOFF_MAX);
+    this.setStatus('restarting', { restartIn: delay });
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (this.stopping) return;
+      this.restarts++;
+      try {
+        this.spawnProcess();
+        this.waitForReady().catch(error => {
+          console.error(`Plugin ${this.plugin.id} did not become ready after restart:`, error.message);
+        });
+      } catch (error) {
+        this.lastError = error.message;
+        this.setStatus('crashed');
+      }
+    }, delay);
+  }
+
+  /**
+   * Poll the service's websocket until it answers the handshake
+   */
+  waitForReady(timeout = READY_TIMEOUT) {
+    const child = this.process;
+
+    return new Promise((resolve, reject) => {
+      let done = false;
+      let socket = null;
+      // Also covers a socket that opens but never answers the handshake
+      const timer = setTimeout(() => {
+        fail(new Error(`Plugin ${this.plugin.id} did not become ready within ${timeout}ms`));
+      }, timeout);
+
+      const finish = () => {
+        done = true;
+        clearTimeout(timer);
+        socket?.terminate();
+      };
+      const fail = (error) => {
+        if (done) return;
+        finish();
+        this.lastError = error.message;
+        reject(error);
+      };
+
+      const attempt = () => {
+        if (done) return;
+        if (this.process !== child || !child) {
+          fail(new Error(child?.pid === undefined
+            ? `Plugin ${this.plugin.id} failed to launch: ${this.lastError}`
+            : `Plugin ${this.plugin.id} exited before it became ready`));
+          return;
+        }
+
+        const attemptSocket = new WebSocket(`ws://127.0.0.1:${this.port}`);
+        socket = attemptSocket;
+        let settled = false;
+        const retry = () => {
+          if (settled || done) return;
+          settled = true;
+          attemptSocket.terminate();
+          setTimeout(attempt, READY_POLL_INTERVAL);
+        };
+
+        attemptSocket.on('open', () => attemptSocket.send(JSON.stringify({ type: 'handshake' })));
+        attemptSocket.on('message', (data) => {
+          try {
+            const message = JSON.parse(data.toString());
+            if (message.type === 'ready' && !done) {
+              settled = true;
+              finish();
+              this.setStatus('ready', { capabilities: message.capabilities || [] });
+              resolve(this.getInfo());
+            }
+          } catch (error) {
+            // Ignore anything that is not the handshake reply
+          }
+        });
+        attemptSocket.on('error', retry);
+        attemptSocket.on('close', retry);
+      };
+
+      attempt();
+    });
+  }
+
+  setStatus(status, details = {}) {
+    this.status = status;
+    this.statusDetails = details;
+    this.emit('status', this.getInfo());
+  }
+
+  /**
+   * Stop the service, escalating to SIGKILL if it ignores SIGTERM
+   */
+  stop() {
+    this.stopping = true;
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+
+    const child = this.process;
+    // Never spawned, or already gone: no 'exit' is coming
+    if (!child || child.pid === undefined || child.exitCode !== null || child.signalCode !== null) {
+      this.process = null;
+      this.setStatus('stopped');
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const killTimer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT);
+      child.once('exit', () => {
+        clearTimeout(killTimer);
+        resolve();
+      });
+      child.kill('SIGTERM');
+    });
+  }
+
+  /**
+   * Synchronous kill used while the app is quitting
+   */
+  kill() {
+    this.stopping = true;
+    if (this.restartTimer) clearTimeout(this.restartTimer);
+    if (this.process) this.process.kill('SIGKILL');
+  }
+
+  /**
+   * Most recent log lines, oldest first
+   */
+  getLogs(limit = MAX_LOG_LINES) {
+    return this.logs.slice(-limit);
+  }
+
+  getInfo() {
+    const running = !!this.process;
+    return {
+      pluginId: this.plugin.id,
+      name: this.plugin.name,
+      version: this.plugin.version,
+      status: this.status,
+      ...this.statusDetails,
+      port: this.port,
+      pid: this.process?.pid || null,
+      startedAt: this.startedAt,
+      uptime: running && this.startedAt ? Date.now() - this.startedAt : 0,
+      restarts: this.restarts,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * getInfo() plus the current resident memory of the process
+   */
+  async getStats() {
+    const info = this.getInfo();
+    return { ...info, memory: await getProcessMemory(info.pid) };
+  }
+}
+
+module.exports = {
+  PluginService,
+  findAvailablePort,
+  isPortFree,
+  getProcessMemory
+};
@@ -0,0 +1,270 @@
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const VERSION_PROBE = 'import sys; print("%d.%d.%d" % sys.version_info[:3])';
+
+/**
+ * Run a command to completion, collecting its output
+ * @param {string} command - Executable to run
+ * @param {string[]} args - Arguments
+ * @param {Object} options - { cwd, env, onOutput(line, stream) }
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runCommand(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    let stdout = '';
+    let stderr = '';
+    let child;
+
+    try {
+      child = spawn(command, args, {
+        cwd: options.cwd,
+        env: options.env || process.env,
+        windowsHide: true
+      });
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    const forward = (streamName) => (chunk) => {
+      const text = chunk.toString();
+      if (streamName === 'stdout') stdout += text; else stderr += text;
+      if (options.onOutput) {
+        text.split(/\r?\n/).filter(Boolean).forEach(line => options.onOutput(line, streamName));
+      }
+    };
+
+    child.stdout.on('data', forward('stdout'));
+    child.stderr.on('data', forward('stderr'));
+    child.on('error', reject);
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+/**
+ * Parse a dotted version string into numeric parts
+ */
+function parseVersion(version) {
+  return String(version).trim().split('.').map(part => parseInt(part, 10) || 0);
+}
+
+/**
+ * Compare two dotted versions, padding missing parts with zero
+ * @returns {number} - negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  const length = Math.max(left.length, right.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Check a version against a comma separated PEP 440 style range, e.g. ">=3.8,<3.12"
+ * Only the comparison operators are supported, which covers the registry entries
+ */
+function satisfiesVersionRange(version, range) {
+  if (!range) return true;
+
+  return range.split(',').map(s => s.trim()).filter(Boolean).every(specifier => {
+    const match = specifier.match(/^(>=|<=|==|!=|>|<|~=)?\s*([\d.]+)$/);
+    if (!match) {
+      throw new Error(`Unsupported version specifier "${specifier}"`);
+    }
+    const [, operator = '==', target] = match;
+    const diff = compareVersions(version, target);
+
+    switch (operator) {
+      case '>=': return diff >= 0;
+      case '<=': return diff <= 0;
+      case '>': return diff > 0;
+      case '<': return diff < 0;
+      case '!=': return diff !== 0;
+      case '~=': {
+        // Compatible release: ~=3.9 means >=3.9,<4
+        const parts = parseVersion(target);
+        const upper = parts.slice(0, Math.max(parts.length - 1, 1));
+        upper[upper.length - 1] += 1;
+        return diff >= 0 && compareVersions(version, upper.join('.')) < 0;
+      }
+      default: {
+        // "==3.10" matches 3.10.x as well
+        const targetParts = parseVersion(target);
+        const versionParts = parseVersion(version).slice(0, targetParts.length);
+        return compareVersions(versionParts.join('.'), target) === 0;
+      }
+    }
+  });
+}
+
+/**
+ * List interpreter commands worth probing, most specific first
+ */
+function getInterpreterCandidates() {
+  const candidates = [];
+
+  if (process.env.KROMOSYNTH_PYTHON) {
+    candidates.push({ command: process.env.KROMOSYNTH_PYTHON, args: [] });
+  }
+
+  if (process.platform === 'win32') {
+    for (let minor = 13; minor >= 8; minor--) {
+      candidates.push({ command: 'py', args: [`-3.${minor}`] });
+    }
+    candidates.push({ command: 'python', args: [] });
+  } else {
+    for (let minor = 13; minor >= 8; minor--) {
+      candidates.push({ command: `python3.${minor}`, args: [] });
+    }
+    candidates.push({ command: 'python3', args: [] });
+    candidates.push({ command: 'python', args: [] });
+  }
+
+  return candidates;
+}
+
+/**
+ * Locate a local Python interpreter whose version satisfies the range
+ * @param {string} versionRange - e.g. ">=3.8,<3.12"
+ * @returns {Promise<{command: string, args: string[], version: string}>}
+ */
+async function findPythonInterpreter(versionRange) {
+  const found = [];
+
+  for (const candidate of getInterpreterCandidates()) {
+    try {
+      const { code, stdout } = await runCommand(candidate.command, [...candidate.args, '-c', VERSION_PROBE]);
+      if (code !== 0) continue;
+
+      const version = stdout.trim();
+      found.push(version);
+      if (satisfiesVersionRange(version, versionRange)) {
+        return { ...candidate, version };
+      }
+    } catch (error) {
+      // Interpreter not on PATH, try the next one
+    }
+  }
+
+  const seen = found.length > 0 ? ` (found ${[...new Set(found)].join(', ')})` : '';
+  throw new Error(`No Python interpreter matching ${versionRange} found${seen}`);
+}
+
+/**
+ * Path of the python executable inside a venv
+ */
+function getVenvPython(venvPath) {
+  return process.platform === 'win32'
+    ? path.join(venvPath, 'Scripts', 'python.exe')
+    : path.join(venvPath, 'bin', 'python');
+}
+
+/**
+ * Create a venv at venvPath using the given interpreter
+ */
+async function createVirtualEnv(interpreter, venvPath, onOutput) {
+  const { code, stderr } = await runCommand(
+    interpreter.command,
+    [...interpreter.args, '-m', 'venv', venvPath],
+    { onOutput }
+  );
+  if (code !== 0) {
+    throw new Error(`Failed to create virtualenv at ${venvPath}: ${stderr.trim()}`);
+  }
+  return getVenvPython(venvPath);
+}
+
+/**
+ * Install requirement specifiers into a venv
+ * With a wheelhouse directory, pip is restricted to it so installs work offline
+ */
+async function installDependencies(venvPython, dependencies, wheelhousePath, onOutput) {
+  if (!dependencies || dependencies.length === 0) return;
+
+  const args = ['-m', 'pip', 'install', '--disable-pip-version-check'];
+  if (wheelhousePath && fs.existsSync(wheelhousePath)) {
+    args.push('--no-index', '--find-links', wheelhousePath);
+  }
+  args.push(...dependencies);
+
+  const { code, stderr } = await runCommand(venvPython, args, { onOutput });
+  if (code !== 0) {
+    throw new Error(`Failed to install dependencies: ${stderr.trim().split('\n').slice(-5).join('\n')}`);
+  }
+}
+
+const isInside = (root, target) => {
+  const relative = path.relative(root, target);
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+};
+
+/**
+ * Wheelhouse directory of an installed plugin. The manifest comes from the
+ * plugin archive, so paths leading out of the install directory, directly or
+ * through a symlink, are refused.
+ */
+async function resolveWheelhousePath(installPath, wheelhouse) {
+  if (typeof wheelhouse !== 'string') {
+    throw new Error('wheelhouse must be a path inside the plugin');
+  }
+  const resolved = path.resolve(installPath, wheelhouse);
+  if (!isInside(installPath, resolved)) {
+    throw new Error(`Wheelhouse ${wheelhouse} is outside the plugin directory`);
+  }
+  if (fs.existsSync(resolved)) {
+    const realRoot = await fs.promises.realpath(installPath);
+    if (!isInside(realRoot, await fs.promises.realpath(resolved))) {
+      throw new Error(`Wheelhouse ${wheelhouse} is outside the plugin directory`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Provision an isolated Python environment for an installed plugin
+ * @param {Object} plugin - Registry entry / manifest (pythonVersion, dependencies, wheelhouse)
+ * @param {string} installPath - Directory the plugin was installed to
+ * @param {Function} onProgress - Called with { stage, message }
+ * @returns {Promise<Object>} - Python details to persist in plugin.json
+ */
+async function provisionPluginEnvironment(plugin, installPath, onProgress = () => {}) {
+  const onOutput = (line) => onProgress({ stage: 'dependencies', message: line });
+  const wheelhousePath = await resolveWheelhousePath(installPath, plugin.wheelhouse || 'wheelhouse');
+
+  onProgress({ stage: 'python', message: `Looking for Python ${plugin.pythonVersion || '(any version)'}` });
+  const interpreter = await findPythonInterpreter(plugin.pythonVersion);
+
+  const venvPath = path.join(installPath, 'venv');
+  onProgress({ stage: 'venv', message: `Creating virtualenv with Python ${interpreter.version}` });
+  const pythonExecutable = await createVirtualEnv(interpreter, venvPath, onOutput);
+
+  const dependencies = plugin.dependencies || [];
+  onProgress({
+    stage: 'dependencies',
+    message: `Installing ${dependencies.length} dependencies${fs.existsSync(wheelhousePath) ? ' from bundled wheelhouse' : ''}`
+  });
+  await installDependencies(pythonExecutable, dependencies, wheelhousePath, onOutput);
+
+  return {
+    pythonVersion: plugin.pythonVersion,
+    interpreterVersion: interpreter.version,
+    venvPath,
+    pythonExecutable
+  };
+}
+
+module.exports = {
+  runCommand,
+  compareVersions,
+  satisfiesVersionRange,
+  findPythonInterpreter,
+  createVirtualEnv,
+  installDependencies,
+  provisionPluginEnvironment
+};
@@ -0,0 +1,62 @@
+/**
+ * Minimal semver parsing and ordering for plugin versions (x.y.z[-prerelease][+build])
+ */
+
+const SEMVER_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+function parseSemver(version) {
+  const match = SEMVER_PATTERN.exec(String(version).trim());
+  if (!match) {
+    throw new Error(`Invalid semver version "${version}"`);
+  }
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    patch: parseInt(match[3], 10),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+function isValidSemver(version) {
+  return SEMVER_PATTERN.test(String(version).trim());
+}
+
+function comparePrerelease(a, b) {
+  // A release sorts after any of its prereleases
+  if (a.length === 0 && b.length === 0) return 0;
+  if (a.length === 0) return 1;
+  if (b.length === 0) return -1;
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+    if (aNumeric && bNumeric) return parseInt(a[i], 10) - parseInt(b[i], 10);
+    if (aNumeric) return -1;
+    if (bNumeric) return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Compare two semver versions
+ * @returns {number} - negative if a < b, 0 if equal, positive if a > b
+ */
+function compareSemver(a, b) {
+  const left = parseSemver(a);
+  const right = parseSemver(b);
+  return (left.major - right.major) ||
+    (left.minor - right.minor) ||
+    (left.patch - right.patch) ||
+    comparePrerelease(left.prerelease, right.prerelease);
+}
+
+module.exports = {
+  parseSemver,
+  isValidSemver,
+  compareSemver
+};
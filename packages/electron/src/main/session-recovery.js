@@ -0,0 +1,130 @@
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+// How long a renderer may stay unresponsive before it is reloaded
+const UNRESPONSIVE_TIMEOUT = 10000;
+
+/**
+ * Autosave of the renderer's session, and the restore offered after a crash.
+ *
+ * The renderer sends its session every few seconds; it is written to
+ * userData/autosave.kromosession and removed again on a clean quit. When the
+ * renderer crashes or hangs, the window is reloaded and the reloaded page is
+ * offered the autosave. An autosave left over at startup means the previous
+ * run did not quit cleanly, so it is offered as well.
+ */
+class SessionRecovery {
+  constructor() {
+    this.autosavePath = path.join(app.getPath('userData'), 'autosave.kromosession');
+    this.offer = null;
+    this.unresponsiveTimers = new Map();
+  }
+
+  /**
+   * @param {string} sessionJson - Session document, already serialized by the renderer
+   */
+  async saveAutosave(sessionJson) {
+    JSON.parse(sessionJson); // Never replace a good autosave with a broken one
+    const tempPath = `${this.autosavePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.autosavePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, sessionJson);
+    await fs.promises.rename(tempPath, this.autosavePath);
+  }
+
+  async readAutosave() {
+    try {
+      const contents = await fs.promises.readFile(this.autosavePath, 'utf8');
+      const stats = await fs.promises.stat(this.autosavePath);
+      return { session: JSON.parse(contents), savedAt: stats.mtimeMs };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Could not read autosave:', error.message);
+      }
+      return null;
+    }
+  }
+
+  clearAutosave() {
+    try {
+      fs.rmSync(this.autosavePath, { force: true });
+    } catch (error) {
+      console.warn('Could not remove autosave:', error.message);
+    }
+  }
+
+  /**
+   * Offer the autosave of a previous run that did not quit cleanly
+   */
+  checkPreviousRun() {
+    if (fs.existsSync(this.autosavePath)) {
+      this.offer = { reason: 'previous-run' };
+    }
+  }
+
+  /**
+   * The pending restore offer, if there is an autosave to restore
+   * @returns {Promise<{reason: string, savedAt: number}|null>}
+   */
+  async getOffer() {
+    if (!this.offer) return null;
+    const autosave = await this.readAutosave();
+    if (!autosave) {
+      this.offer = null;
+      return null;
+    }
+    return { ...this.offer, savedAt: autosave.savedAt };
+  }
+
+  /**
+   * Hand the autosaved session to the renderer and withdraw the offer
+   */
+  async takeAutosave() {
+    this.offer = null;
+    const autosave = await this.readAutosave();
+    return autosave ? autosave.session : null;
+  }
+
+  dismissOffer() {
+    this.offer = null;
+  }
+
+  /**
+   * Reload a window whose renderer crashed or stopped responding, and offer
+   * the autosave to the reloaded page
+   * @param {BrowserWindow} window
+   */
+  watch(window) {
+    const { webContents } = window;
+
+    webContents.on('render-process-gone', (event, details) => {
+      if (details.reason === 'clean-exit' || window.isDestroyed()) return;
+      console.warn(`Renderer ${details.reason}; reloading and offering the autosave`);
+      this.offer = { reason: details.reason };
+      webContents.reload();
+    });
+
+    webContents.on('unresponsive', () => {
+      clearTimeout(this.unresponsiveTimers.get(window.id));
+      this.unresponsiveTimers.set(window.id, setTimeout(() => {
+        if (window.isDestroyed()) return;
+        console.warn(`Renderer unresponsive for ${UNRESPONSIVE_TIMEOUT / 1000}s; restarting it`);
+        this.offer = { reason: 'unresponsive' };
+        // Ends in render-process-gone with reason 'killed', which reloads the page
+        webContents.forcefullyCrashRenderer();
+      }, UNRESPONSIVE_TIMEOUT));
+    });
+
+    webContents.on('responsive', () => {
+      clearTimeout(this.unresponsiveTimers.get(window.id));
+      this.unresponsiveTimers.delete(window.id);
+    });
+
+    window.on('closed', () => {
+      clearTimeout(this.unresponsiveTimers.get(window.id));
+      this.unresponsiveTimers.delete(window.id);
+    });
+  }
+}
+
+module.exports = new SessionRecovery();
@@ -0,0 +1,101 @@
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+const SAVE_DELAY = 500; // Debounce for move/resize bursts
+
+/**
+ * Size, position and maximized state of each named window, kept in
+ * userData/window-state.json so windows reopen where they were left
+ */
+class WindowState {
+  constructor() {
+    this.statePath = path.join(app.getPath('userData'), 'window-state.json');
+    this.states = null;
+    this.saveTimer = null;
+  }
+
+  readStates() {
+    if (!this.states) {
+      try {
+        this.states = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn('Could not read window state:', error.message);
+        }
+        this.states = {};
+      }
+    }
+    return this.states;
+  }
+
+  writeStates() {
+    try {
+      fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+      fs.writeFileSync(this.statePath, JSON.stringify(this.states, null, 2));
+    } catch (error) {
+      console.warn('Could not save window state:', error.message);
+    }
+  }
+
+  // Saved bounds are only reused while they overlap a connected display.
+  // (screen is only available once the app is ready, so it is required here)
+  isVisible(bounds) {
+    const { screen } = require('electron');
+    return screen.getAllDisplays().some(({ workArea }) =>
+      bounds.x < workArea.x + workArea.width && bounds.x + bounds.width > workArea.x &&
+      bounds.y < workArea.y + workArea.height && bounds.y + bounds.height > workArea.y
+    );
+  }
+
+  /**
+   * BrowserWindow options for a window's last known bounds
+   * @param {string} name - e.g. 'main', 'units', 'heatmap'
+   * @param {{width: number, height: number}} defaults
+   * @returns {{width: number, height: number, x?: number, y?: number, isMaximized: boolean}}
+   */
+  getOptions(name, defaults) {
+    const saved = this.readStates()[name];
+    if (!saved || !saved.width || !saved.height) {
+      return { ...defaults, isMaximized: false };
+    }
+
+    const options = { width: saved.width, height: saved.height, isMaximized: !!saved.isMaximized };
+    if (Number.isFinite(saved.x) && Number.isFinite(saved.y) && this.isVisible(saved)) {
+      options.x = saved.x;
+      options.y = saved.y;
+    }
+    return options;
+  }
+
+  /**
+   * Save a window's state whenever it is moved, resized, maximized or closed
+   * @param {string} name
+   * @param {BrowserWindow} window
+   */
+  track(name, window) {
+    const save = () => {
+      if (window.isDestroyed() || window.isMinimized()) return;
+      this.readStates()[name] = {
+        // Restore to the normal bounds, not the maximized ones
+        ...window.getNormalBounds(),
+        isMaximized: window.isMaximized()
+      };
+    };
+
+    const scheduleSave = () => {
+      save();
+      clearTimeout(this.saveTimer);
+      this.saveTimer = setTimeout(() => this.writeStates(), SAVE_DELAY);
+    };
+
+    ['resize', 'move', 'maximize', 'unmaximize'].forEach(event => window.on(event, scheduleSave));
+    window.on('close', () => {
+      save();
+      clearTimeout(this.saveTimer);
+      this.writeStates();
+    });
+  }
+}
+
+module.exports = new WindowState();
@@ -1,64 +1,157 @@
 const { contextBridge, ipcRenderer } = require('electron');
-const path = require('path');
-const fs = require('fs');
 
-// Since we're disabling context isolation, we can also expose Node.js APIs directly
-// This is less secure but necessary for audio libraries that need direct access
+// Subscribe to a main-process event channel; returns an unsubscribe function
+const subscribe = (channel) => (callback) => {
+  const listener = (_, payload) => callback(payload);
+  ipcRenderer.on(channel, listener);
+  return () => ipcRenderer.removeListener(channel, listener);
+};
 
-// Expose protected methods that allow the renderer process to use
-// the ipcRenderer without exposing the entire object
-if (typeof window !== 'undefined') {
-  // With contextIsolation disabled, we can set properties directly on window
+/**
+ * API available to the renderer as window.electronAPI.
+ *
+ * In the hardened mode (contextIsolation + sandbox) this is all the renderer
+ * gets: files are only reachable through dialogs and granted sample folders,
+ * plugins can be started but not installed, and privilegedAPI below is left out.
+ * Main only relays window messages of the types the sending window may send.
+ *
+ * @typedef {Object} ElectronAPI
+ * @property {function(Object=): Promise<{canceled: boolean, filePaths: string[]}>} showOpenDialog
+ * @property {function(Object=): Promise<{canceled: boolean, filePath: string|null}>} showSaveDialog
+ * @property {function(string): Promise<Uint8Array>} readFile - Only paths chosen in showOpenDialog/showSaveDialog
+ * @property {function(string, (string|Uint8Array)): Promise<{success: boolean, filePath?: string, error?: string}>} writeFile - Only paths chosen in showSaveDialog
+ * @property {function(): Promise<Array<{id: string, name: string, path: string}>>} getSampleFolders
+ * @property {function(): Promise<{id: string, name: string, path: string}|null>} addSampleFolder
+ * @property {function(string): Promise<{success: boolean}>} removeSampleFolder
+ * @property {function(string, string=): Promise<Array<{name: string, path: string, type: string, size?: number}>>} listSampleFolder
+ * @property {function(string, string): Promise<Uint8Array>} readSampleFile
+ * @property {function(): Promise<{root: string|null, runCount: number}>} getLocalEvoruns
+ * @property {function(): Promise<{root: string|null, runCount: number}|null>} chooseLocalEvorunsFolder
+ * @property {function(): Promise<{success: boolean}>} clearLocalEvorunsFolder
+ * @property {function(('directory'|'zip')): Promise<{success: boolean, importId?: string, report?: Object, canceled?: boolean, error?: string}>} inspectEvorun
+ * @property {function(string): Promise<{success: boolean, run?: Object, error?: string}>} importEvorun - importId from inspectEvorun
+ * @property {function(): Promise<{runs: Array<Object>, groups: Object}>} listImportedEvoruns
+ * @property {function(function({command: string}): void): function(): void} onMenuCommand
+ * @property {function(string): Promise<{success: boolean, error?: string}>} autosaveSession - Session JSON
+ * @property {function(): Promise<{reason: string, savedAt: number}|null>} getRecoveryOffer
+ * @property {function(): Promise<{success: boolean, session?: Object, error?: string}>} restoreAutosave
+ * @property {function(('units'|'heatmap')): Promise<{success: boolean, error?: string}>} detachPanel
+ * @property {function({type: string, payload: *}): void} postWindowMessage
+ * @property {function(function({type: string, payload: *}): void): function(): void} onWindowMessage
+ * @property {function(string, Object=): Promise<number|null>} startPluginService - Installed plugins only; resolves with the port
+ * @property {function(string): Promise<{success: boolean, error?: string}>} stopPluginService
+ * @property {function(Object): Promise<{success: boolean}>} logError - { error, stack, componentStack, ... }
+ * @property {function(): Promise<{success: boolean, error?: string}>} revealLogs
+ * @property {function(): Promise<{success: boolean, canceled?: boolean, filePath?: string, error?: string}>} exportDiagnosticBundle
+ * @property {boolean} isElectron
+ * @property {boolean} isSecureRenderer
+ */
+const electronAPI = {
+  // Plugin management
+  getAvailablePlugins: () => ipcRenderer.invoke('get-available-plugins'),
+  getInstalledPlugins: () => ipcRenderer.invoke('get-installed-plugins'),
+  listPluginUpdates: () => ipcRenderer.invoke('list-plugin-updates'),
+  getPluginPins: (projectId) => ipcRenderer.invoke('get-plugin-pins', projectId),
+  onPluginInstallProgress: subscribe('plugin-install-progress'),
+  getPluginServiceStatus: () => ipcRenderer.invoke('get-plugin-service-status'),
+  getPluginServiceLogs: (pluginId, limit) => ipcRenderer.invoke('get-plugin-service-logs', pluginId, limit),
+  onPluginServiceLog: subscribe('plugin-service-log'),
+  onPluginServiceStatus: subscribe('plugin-service-status'),
+  startPluginService: (pluginId, options) => ipcRenderer.invoke('start-plugin-service', pluginId, options),
+  stopPluginService: (pluginId) => ipcRenderer.invoke('stop-plugin-service', pluginId),
+  refreshRegistry: () => ipcRenderer.invoke('refresh-registry'),
+  getPluginRegistries: () => ipcRenderer.invoke('get-plugin-registries'),
+
+  // File dialogs and the files they grant access to
+  showOpenDialog: (options) => ipcRenderer.invoke('show-open-dialog', options),
+  showSaveDialog: (options) => ipcRenderer.invoke('show-save-dialog', options),
+  readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
+  writeFile: (filePath, data) => ipcRenderer.invoke('write-file', filePath, data),
+
+  // Sample folders granted by the user
+  getSampleFolders: () => ipcRenderer.invoke('get-sample-folders'),
+  addSampleFolder: () => ipcRenderer.invoke('add-sample-folder'),
+  removeSampleFolder: (folderId) => ipcRenderer.invoke('remove-sample-folder', folderId),
+  listSampleFolder: (folderId, relativePath) => ipcRenderer.invoke('list-sample-folder', folderId, relativePath),
+  readSampleFile: (folderId, relativePath) => ipcRenderer.invoke('read-sample-file', folderId, relativePath),
+
+  // Folder of evoruns served on kromosynth-evoruns:// for offline browsing
+  getLocalEvoruns: () => ipcRenderer.invoke('get-local-evoruns'),
+  chooseLocalEvorunsFolder: () => ipcRenderer.invoke('choose-local-evoruns-folder'),
+  clearLocalEvorunsFolder: () => ipcRenderer.invoke('clear-local-evoruns-folder'),
+
+  // Evoruns imported into the library, served on kromosynth-evoruns:// as well
+  inspectEvorun: (kind) => ipcRenderer.invoke('inspect-evorun', kind),
+  importEvorun: (importId) => ipcRenderer.invoke('import-evorun', importId),
+  cancelEvorunImport: (importId) => ipcRenderer.invoke('cancel-evorun-import', importId),
+  listImportedEvoruns: () => ipcRenderer.invoke('list-imported-evoruns'),
+
+  // Panels opened in their own window, and messages between windows
+  detachPanel: (panel) => ipcRenderer.invoke('detach-panel', panel),
+  attachPanel: (panel) => ipcRenderer.invoke('attach-panel', panel),
+  getDetachedPanels: () => ipcRenderer.invoke('get-detached-panels'),
+  onDetachedPanelsChanged: subscribe('detached-panels-changed'),
+  postWindowMessage: (message) => ipcRenderer.send('window-message', message),
+  onWindowMessage: subscribe('window-message'),
+
+  // Session autosave, offered for restore after a renderer crash
+  autosaveSession: (sessionJson) => ipcRenderer.invoke('autosave-session', sessionJson),
+  getRecoveryOffer: () => ipcRenderer.invoke('get-recovery-offer'),
+  restoreAutosave: () => ipcRenderer.invoke('restore-autosave'),
+  dismissRecovery: () => ipcRenderer.invoke('dismiss-recovery'),
+
+  // Application menu commands ({ command, ...args })
+  onMenuCommand: subscribe('menu-command'),
+
+  // kromosynth:// links: pull the one that opened the app, then listen for more
+  consumeDeepLink: () => ipcRenderer.invoke('consume-deep-link'),
+  onDeepLink: subscribe('deep-link'),
+
+  // Error logging; logs and diagnostic bundles (logs, versions, plugins) for bug reports
+  logError: (errorData) => ipcRenderer.invoke('log-error', errorData),
+  revealLogs: () => ipcRenderer.invoke('reveal-logs'),
+  exportDiagnosticBundle: () => ipcRenderer.invoke('export-diagnostic-bundle'),
+
+  // Environment detection
+  isElectron: true,
+  isSecureRenderer: process.contextIsolated,
+  platform: process.platform,
+  versions: process.versions
+};
+
+// Installing native plugin code and choosing where plugins come from. The
+// hardened mode exists to run third-party Strudel code, which must not reach these.
+const privilegedAPI = {
+  installPlugin: (pluginId, version) => ipcRenderer.invoke('install-plugin', pluginId, version),
+  uninstallPlugin: (pluginId, version) => ipcRenderer.invoke('uninstall-plugin', pluginId, version),
+  updatePlugin: (pluginId, options) => ipcRenderer.invoke('update-plugin', pluginId, options),
+  pinPluginVersion: (projectId, pluginId, version) => ipcRenderer.invoke('pin-plugin-version', projectId, pluginId, version),
+  setPluginRegistries: (sources) => ipcRenderer.invoke('set-plugin-registries', sources)
+};
+
+if (process.contextIsolated) {
+  // Hardened mode: only the bridged API reaches the page
+  try {
+    contextBridge.exposeInMainWorld('electronAPI', electronAPI);
+  } catch (error) {
+    console.error('Failed to expose APIs via contextBridge:', error);
+  }
+} else {
+  // With contextIsolation disabled we can set properties directly on window,
+  // and also hand out Node.js APIs for audio libraries that need direct access
   window.electronAPI = {
-    // Plugin management
-    getAvailablePlugins: () => ipcRenderer.invoke('get-available-plugins'),
-    getInstalledPlugins: () => ipcRenderer.invoke('get-installed-plugins'),
-    installPlugin: (pluginId) => ipcRenderer.invoke('install-plugin', pluginId),
-    startPluginService: (pluginId) => ipcRenderer.invoke('start-plugin-service', pluginId),
-    stopPluginService: (pluginId) => ipcRenderer.invoke('stop-plugin-service', pluginId),
-    refreshRegistry: () => ipcRenderer.invoke('refresh-registry'),
-    
-    // Error logging
-    logError: (errorData) => ipcRenderer.invoke('log-error', errorData),
-    
+    ...electronAPI,
+    ...privilegedAPI,
     // File system access for audio files
-    path: path,
-    fs: fs,
-    
-    // Environment detection
-    isElectron: true,
-    platform: process.platform,
-    versions: process.versions
+    path: require('path'),
+    fs: require('fs')
   };
 
   // Expose require for libraries that need it
   window.require = require;
-  
+
   // Expose process for environment detection
   window.process = process;
-  
-  console.log('Preload script executed, APIs exposed to renderer');
-} else {
-  // Fallback for context isolation (though we've disabled it)
-  try {
-    contextBridge.exposeInMainWorld('electronAPI', {
-      // Plugin management
-      getAvailablePlugins: () => ipcRenderer.invoke('get-available-plugins'),
-      getInstalledPlugins: () => ipcRenderer.invoke('get-installed-plugins'),
-      installPlugin: (pluginId) => ipcRenderer.invoke('install-plugin', pluginId),
-      startPluginService: (pluginId) => ipcRenderer.invoke('start-plugin-service', pluginId),
-      stopPluginService: (pluginId) => ipcRenderer.invoke('stop-plugin-service', pluginId),
-      refreshRegistry: () => ipcRenderer.invoke('refresh-registry'),
-      
-      // Error logging
-      logError: (errorData) => ipcRenderer.invoke('log-error', errorData),
-      
-      // Environment detection
-      isElectron: true,
-      platform: process.platform,
-      versions: process.versions
-    });
-  } catch (error) {
-    console.error('Failed to expose APIs via contextBridge:', error);
-  }
-}
\ No newline at end of file
+}
+
+console.log(`Preload script executed, APIs exposed to renderer${process.contextIsolated ? ' (secure mode)' : ''}`);
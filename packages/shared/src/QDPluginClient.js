@@ -0,0 +1,277 @@
+/**
+ * Websocket client for quality diversity (QD) simulator plugins such as
+ * MAP-Elites or NSLC, once a plugin service has been started on a local port.
+ *
+ * Protocol (JSON text frames):
+ *
+ *   handshake   client -> { type: 'handshake' }
+ *               server -> { type: 'ready', protocolVersion, capabilities }
+ *   request     client -> { type, requestId, ...params }
+ *   response    server -> { type: 'response', requestId, ok: true, result }
+ *                       | { type: 'response', requestId, ok: false, error }
+ *   event       server -> { type: 'event', event, data }
+ *
+ * Request types are listed in QD_REQUESTS and pushed events in QD_EVENTS.
+ */
+
+export const QD_PROTOCOL_VERSION = 1;
+
+export const QD_REQUESTS = {
+  START_RUN: 'start_run',
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  STEP: 'step',
+  GET_ARCHIVE_SNAPSHOT: 'get_archive_snapshot',
+  GET_ELITE_GENOME: 'get_elite_genome'
+};
+
+export const QD_EVENTS = {
+  GENERATION_STATS: 'generation_stats',
+  NEW_ELITE: 'new_elite',
+  STATUS: 'status'
+};
+
+/**
+ * @typedef {Object} QDRunConfig
+ * @property {number[]} [gridSize] - Archive cells per behaviour dimension, e.g. [20, 20]
+ * @property {number} [batchSize] - Offspring evaluated per generation
+ * @property {number} [maxGenerations] - Stop after this many generations
+ * @property {number} [seed] - Random seed for reproducible runs
+ */
+
+/**
+ * @typedef {Object} QDElite
+ * @property {number[]} cell - Archive cell coordinates
+ * @property {string} genomeId
+ * @property {number} score - Fitness in [0, 1]
+ * @property {number} generation - Generation the elite was found in
+ * @property {string|null} [replacedGenomeId] - Previous occupant of the cell
+ * @property {string} [genomeUrl] - Where the genome JSON can be fetched for rendering
+ */
+
+/**
+ * @typedef {Object} QDGenerationStats
+ * @property {number} generation
+ * @property {number} archiveSize - Occupied cells
+ * @property {number} coverage - Occupied cells / total cells
+ * @property {number} qdScore - Sum of elite scores
+ * @property {number} maxScore
+ * @property {number} newElites - Cells improved in this generation
+ */
+
+/**
+ * @typedef {Object} QDArchiveSnapshot
+ * @property {string} runId
+ * @property {number} generation
+ * @property {number[]} gridSize
+ * @property {QDElite[]} elites
+ */
+
+const DEFAULT_REQUEST_TIMEOUT = 10000;
+
+export class QDPluginClient {
+  /**
+   * @param {string|number} urlOrPort - ws:// URL, or the port returned by startPluginService
+   * @param {Object} [options]
+   * @param {number} [options.requestTimeout] - Milliseconds before a request is rejected
+   * @param {Function} [options.WebSocket] - WebSocket implementation (defaults to the global one)
+   */
+  constructor(urlOrPort, options = {}) {
+    this.url = typeof urlOrPort === 'number' ? `ws://127.0.0.1:${urlOrPort}` : urlOrPort;
+    this.requestTimeout = options.requestTimeout || DEFAULT_REQUEST_TIMEOUT;
+    this.WebSocket = options.WebSocket || globalThis.WebSocket;
+    this.socket = null;
+    this.capabilities = [];
+    this.pendingRequests = new Map();
+    this.listeners = new Map();
+    this.nextRequestId = 1;
+  }
+
+  /**
+   * Open the socket and complete the handshake
+   * @returns {Promise<{protocolVersion: number, capabilities: string[]}>}
+   */
+  connect() {
+    if (this.socket) {
+      return Promise.reject(new Error('QDPluginClient is already connected'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = new this.WebSocket(this.url);
+      this.socket = socket;
+      let handshakeDone = false;
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({ type: 'handshake' }));
+      };
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(typeof event.data === 'string' ? event.data : event.data.toString());
+        } catch (error) {
+          console.warn('QDPluginClient: ignoring non-JSON message', error);
+          return;
+        }
+
+        if (!handshakeDone) {
+          if (message.type === 'ready') {
+            handshakeDone = true;
+            this.capabilities = message.capabilities || [];
+            if (message.protocolVersion !== undefined && message.protocolVersion !== QD_PROTOCOL_VERSION) {
+              console.warn(`QDPluginClient: server speaks protocol ${message.protocolVersion}, client ${QD_PROTOCOL_VERSION}`);
+            }
+            resolve({ protocolVersion: message.protocolVersion, capabilities: this.capabilities });
+          }
+          return;
+        }
+
+        this.handleMessage(message);
+      };
+
+      socket.onerror = () => {
+        if (!handshakeDone) {
+          reject(new Error(`Could not connect to QD plugin at ${this.url}`));
+        }
+      };
+
+      socket.onclose = () => {
+        this.socket = null;
+        this.rejectPending(new Error('Connection to QD plugin closed'));
+        if (!handshakeDone) {
+          reject(new Error(`QD plugin at ${this.url} closed before the handshake`));
+        }
+        this.emit('close');
+      };
+    });
+  }
+
+  handleMessage(message) {
+    if (message.type === 'response') {
+      const pending = this.pendingRequests.get(message.requestId);
+      if (!pending) return;
+
+      this.pendingRequests.delete(message.requestId);
+      clearTimeout(pending.timer);
+      if (message.ok) {
+        pending.resolve(message.result);
+      } else {
+        pending.reject(new Error(message.error || `${pending.type} failed`));
+      }
+    } else if (message.type === 'event') {
+      this.emit(message.event, message.data);
+    }
+  }
+
+  /**
+   * Send a request and wait for its response
+   */
+  request(type, params = {}) {
+    if (!this.socket || this.socket.readyState !== 1) {
+      return Promise.reject(new Error('QDPluginClient is not connected'));
+    }
+
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error(`${type} timed out after ${this.requestTimeout}ms`));
+      }, this.requestTimeout);
+
+      this.pendingRequests.set(requestId, { type, resolve, reject, timer });
+      this.socket.send(JSON.stringify({ ...params, type, requestId }));
+    });
+  }
+
+  rejectPending(error) {
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * @param {QDRunConfig} config
+   * @returns {Promise<{runId: string}>}
+   */
+  startRun(config = {}) {
+    return this.request(QD_REQUESTS.START_RUN, { config });
+  }
+
+  pause() {
+    return this.request(QD_REQUESTS.PAUSE);
+  }
+
+  resume() {
+    return this.request(QD_REQUESTS.RESUME);
+  }
+
+  /**
+   * Advance a paused run
+   * @param {number} generations
+   * @returns {Promise<QDGenerationStats>}
+   */
+  step(generations = 1) {
+    return this.request(QD_REQUESTS.STEP, { generations });
+  }
+
+  /**
+   * @returns {Promise<QDArchiveSnapshot>}
+   */
+  getArchiveSnapshot() {
+    return this.request(QD_REQUESTS.GET_ARCHIVE_SNAPSHOT);
+  }
+
+  /**
+   * @param {string} genomeId
+   * @returns {Promise<{genomeId: string, genome: Object}>}
+   */
+  getEliteGenome(genomeId) {
+    return this.request(QD_REQUESTS.GET_ELITE_GENOME, { genomeId });
+  }
+
+  /**
+   * Subscribe to a pushed event ('generation_stats', 'new_elite', 'status' or 'close')
+   * @returns {Function} - Unsubscribe
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+    return () => this.listeners.get(event)?.delete(callback);
+  }
+
+  /**
+   * @param {function(QDGenerationStats): void} callback
+   */
+  onGenerationStats(callback) {
+    return this.on(QD_EVENTS.GENERATION_STATS, callback);
+  }
+
+  /**
+   * @param {function(QDElite): void} callback
+   */
+  onNewElite(callback) {
+    return this.on(QD_EVENTS.NEW_ELITE, callback);
+  }
+
+  emit(event, data) {
+    this.listeners.get(event)?.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`QDPluginClient: error in ${event} listener:`, error);
+      }
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    this.rejectPending(new Error('QDPluginClient closed'));
+  }
+}
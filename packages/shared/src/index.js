@@ -3,13 +3,17 @@ export const isElectronEnvironment = () => {
   return window?.electronAPI?.isElectron === true;
 };
 
-// Utility to get plugin API (with web fallback)
+// Utility to get plugin API (with web fallback). The hardened desktop renderer
+// is not given plugin management, so those calls fail there as they do on the web.
 export const getPluginAPI = () => {
   if (isElectronEnvironment()) {
-    return window.electronAPI;
+    return { ...getWebPluginAPI(), ...window.electronAPI };
   }
-  
-  // For web environment, provide a fallback API
+  return getWebPluginAPI();
+};
+
+// For web environment, provide a fallback API
+const getWebPluginAPI = () => {
   return {
     getAvailablePlugins: async () => {
       // In web context, maybe fetch from a remote API instead
@@ -30,11 +34,34 @@ export const getPluginAPI = () => {
       return [];
     },
     installPlugin: async () => {
-      throw new Error('Plugin installation not available in web version');
+      throw new Error('Plugin installation not available here');
+    },
+    onPluginInstallProgress: () => () => {},
+    uninstallPlugin: async () => {
+      throw new Error('Plugin installation not available here');
+    },
+    updatePlugin: async () => {
+      throw new Error('Plugin installation not available here');
+    },
+    listPluginUpdates: async () => [],
+    getPluginPins: async () => ({}),
+    pinPluginVersion: async () => {
+      throw new Error('Plugin pinning not available here');
     },
     startPluginService: async () => {
-      throw new Error('Plugin services not available in web version');
+      throw new Error('Plugin services not available here');
+    },
+    stopPluginService: async () => ({ success: true }),
+    getPluginServiceStatus: async () => [],
+    getPluginServiceLogs: async () => [],
+    onPluginServiceLog: () => () => {},
+    onPluginServiceStatus: () => () => {},
+    getPluginRegistries: async () => [],
+    setPluginRegistries: async () => {
+      throw new Error('Plugin registries not available here');
     },
     isElectron: false
   };
-};
\ No newline at end of file
+};
+
+export { QDPluginClient, QD_PROTOCOL_VERSION, QD_REQUESTS, QD_EVENTS } from './QDPluginClient.js';
@@ -1,105 +1,895 @@
 #!/usr/bin/env node
 
-const express = require('express');
+/**
+ * Local evorun server with the routes of the REST service (REST_ENDPOINTS in
+ * src/constants.js), so the web app can run entirely against local data.
+ *
+ *   node genome-server.cjs [--port 3005] [--root <dir>]... [<dir>...]
+ *
+ * Each root is either a folder of evoruns or a single run folder; runs are
+ * named <ULID>_<experiment> by kromosynth-cli. Roots can also be given as
+ * KROMOSYNTH_EVORUN_ROOTS, separated like PATH entries.
+ *
+ * Point the web app at it by setting CUSTOM_REST_SERVICE_URL in localStorage
+ * to http://localhost:3005.
+ *
+ * Routes:
+ *   GET /health
+ *   GET /evoruns/summary                      - Runs grouped by date and experiment
+ *   GET /evoruns/:folderName/genomes          - Genome ids, ?offset=0&limit=100
+ *   GET /evoruns/:folderName/genome/:ulid     - Genome JSON (exact id)
+ *   GET /evoruns/:folderName/features/:ulid   - Features JSON (exact id)
+ *   GET /files/:folderName/<path>             - Any file in the run folder
+ *   GET /genomes                              - Genomes of all runs, ?folder=&offset=&limit=
+ *   GET /genome/:genomeId                     - Find a genome's run by exact id
+ *
+ * Queries over a run, answered from its lineage tree
+ * (analysisResults/trees/tree_<folderName>_all.json.gz) and feature files:
+ *   GET /evoruns/:folderName/search           - ?class=&minGeneration=&maxGeneration=&minScore=&maxScore=&offset=&limit=
+ *   GET /evoruns/:folderName/nearest          - ?genome=<id> or ?vector=0.1,0.2,… and &k=10
+ * Results are lineage entries ({ id, eliteClass, s, gN, … }), the data
+ * CellDataFormatter.formatCellData expects.
+ *
+ * Rendered sounds, kept as WAV files in an on-disk cache (--cache, or
+ * KROMOSYNTH_RENDER_CACHE) and rendered on a miss by the rendering server
+ * (--render-server, default ws://localhost:3000, e.g. render-server.cjs):
+ *   GET  /evorenders/:folderName/:ulid/:duration/:pitch/:velocity   - The WAV
+ *   GET  /evorenders/:folderName/files                             - Cached WAVs of a run
+ *   POST /evorenders/:folderName/prerender                         - Render a run's lineage tree
+ *        { duration?, pitch?, velocity?, genomeIds? }; parameters default to each tree node's own
+ *   GET  /evorenders/:folderName/prerender/:jobId                  - Pre-render progress
+ * Cached files are named <genomeId>-<duration>_<pitch>_<velocity>.wav, the key
+ * AudioFetcher caches by. Set FETCH_RENDERED_WAVS to 'true' in localStorage to
+ * have the web app fetch them.
+ */
+
+const http = require('http');
+const os = require('os');
 const path = require('path');
 const fs = require('fs');
-const cors = require('cors');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const WebSocket = require('ws');
 
-const app = express();
-const PORT = 3005; // Different from your main API port
+const gunzip = promisify(zlib.gunzip);
 
-// Enable CORS for all routes
-app.use(cors());
+const getArg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+};
 
-// Base path to your evorun
-const EVORUN_PATH = '/Users/bjornpjo/Developer/apps/kromosynth-cli/cli-app/evoruns/01JDZSGV6ZZ4YEA48XMA07D8XR_evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_AE_retrainIncr50_zScoreNSynthTrain_bassSynth';
-const EVORUN_ID = '01JDZSGV6ZZ4YEA48XMA07D8XR_evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_AE_retrainIncr50_zScoreNSynthTrain_bassSynth';
+// --root may be repeated; bare arguments are roots as well
+const getRoots = () => {
+  const roots = [];
+  const args = process.argv.slice(2);
+  for (let index = 0; index < args.length; index++) {
+    if (args[index] === '--root') {
+      roots.push(args[++index]);
+    } else if (args[index].startsWith('--')) {
+      index++; // Skip the option's value
+    } else {
+      roots.push(args[index]);
+    }
+  }
+  const envRoots = (process.env.KROMOSYNTH_EVORUN_ROOTS || '').split(path.delimiter);
+  return [...roots, ...envRoots].filter(Boolean).map(root => path.resolve(root));
+};
 
-// Serve static files from the evorun directory
-app.use('/files', express.static(EVORUN_PATH));
+const PORT = parseInt(getArg('port', process.env.KROMOSYNTH_GENOME_SERVER_PORT || 3005), 10);
+const ROOTS = getRoots();
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const SCAN_CACHE_TTL = 10000; // Rescan roots and runs at most this often
 
-// List available genomes
-app.get('/genomes', (req, res) => {
-  try {
-    const files = fs.readdirSync(EVORUN_PATH);
-    const genomeFiles = files.filter(file => file.startsWith('genome_') && file.endsWith('.json.gz'));
-    
-    const genomes = genomeFiles.map(file => {
-      // Extract genome ID from filename
-      // Format: genome_<EVORUN_ID>_<GENOME_ID>.json.gz
-      const match = file.match(/genome_.*?_([^.]+)\.json\.gz$/);
-      const genomeId = match ? match[1] : file;
-      
-      return {
-        genomeId,
-        fileName: file,
-        url: `http://localhost:${PORT}/files/${file}`,
-        evoRunId: EVORUN_ID
+const RENDER_SERVER = getArg('render-server', process.env.KROMOSYNTH_RENDER_SERVER || 'ws://localhost:3000');
+const RENDER_CACHE_DIR = path.resolve(getArg('cache',
+  process.env.KROMOSYNTH_RENDER_CACHE || path.join(os.homedir(), '.cache', 'kromosynth', 'renders')));
+const RENDER_SAMPLE_RATE = 48000; // What SoundRenderer requests and decodes
+const RENDER_TIMEOUT = 60000;
+const PRERENDER_CONCURRENCY = 2;
+// CellDataFormatter's defaults, for tree nodes without render parameters
+const DEFAULT_RENDER_PARAMS = { duration: '4', pitch: '0', velocity: '1' };
+
+const ULID_PATTERN = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+const CROCKFORD_BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.gz': 'application/gzip',
+  '.wav': 'audio/wav',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv'
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Milliseconds since the epoch encoded in the first 10 characters of a ULID
+function decodeUlidTime(ulid) {
+  let time = 0;
+  for (const char of ulid.slice(0, 10)) {
+    time = time * 32 + CROCKFORD_BASE32.indexOf(char);
+  }
+  return time;
+}
+
+function describeRunFolder(folderPath) {
+  const folderName = path.basename(folderPath);
+  const [ulid, ...rest] = folderName.split('_');
+  if (!ULID_PATTERN.test(ulid)) return null;
+  return {
+    folderName,
+    ulid,
+    experiment: rest.join('_') || folderName,
+    timestamp: decodeUlidTime(ulid),
+    path: folderPath
+  };
+}
+
+const isPlainName = (name) => !!name && !name.includes('/') && !name.includes('\\') && name !== '.' && name !== '..';
+
+/**
+ * Runs found under the configured roots, and the genome and feature files of each run
+ */
+class EvorunIndex {
+  constructor(roots) {
+    this.roots = roots;
+    this.runs = null;
+    this.scannedAt = 0;
+    this.runFiles = new Map(); // folderName -> { scannedAt, genome: Map(id -> path), features: Map(id -> path) }
+    this.lineages = new Map(); // folderName -> { filePath, mtimeMs, entries }
+    this.featureVectors = new Map(); // folderName -> Map(features file path -> number[] | null)
+  }
+
+  async getRuns() {
+    if (this.runs && Date.now() - this.scannedAt < SCAN_CACHE_TTL) {
+      return this.runs;
+    }
+
+    const runs = new Map();
+    for (const root of this.roots) {
+      const ownRun = describeRunFolder(root);
+      let candidates = [];
+      if (ownRun) {
+        candidates = [ownRun];
+      } else {
+        try {
+          const entries = await fs.promises.readdir(root, { withFileTypes: true });
+          candidates = entries
+            .filter(entry => entry.isDirectory())
+            .map(entry => describeRunFolder(path.join(root, entry.name)))
+            .filter(Boolean);
+        } catch (error) {
+          console.warn(`Skipping root ${root}: ${error.message}`);
+        }
+      }
+      // The first root listing a run folder wins
+      candidates.forEach(run => {
+        if (!runs.has(run.folderName)) runs.set(run.folderName, run);
+      });
+    }
+
+    this.runs = runs;
+    this.scannedAt = Date.now();
+    return runs;
+  }
+
+  async getRun(folderName) {
+    if (!isPlainName(folderName)) {
+      throw new HttpError(400, `Invalid run folder ${folderName}`);
+    }
+    const run = (await this.getRuns()).get(folderName);
+    if (!run) {
+      throw new HttpError(404, `No run ${folderName}`);
+    }
+    return run;
+  }
+
+  /**
+   * Genome and feature files of a run, keyed by exact id. kromosynth-cli writes
+   * <kind>_<folderName>_<id>.json(.gz), in the run folder or its <kind>s/ subfolder.
+   */
+  async getRunFiles(folderName) {
+    const cached = this.runFiles.get(folderName);
+    if (cached && Date.now() - cached.scannedAt < SCAN_CACHE_TTL) {
+      return cached;
+    }
+
+    const run = await this.getRun(folderName);
+    const files = { scannedAt: Date.now(), genome: new Map(), features: new Map() };
+    for (const kind of ['genome', 'features']) {
+      for (const directory of [run.path, path.join(run.path, `${kind}s`)]) {
+        let names;
+        try {
+          names = await fs.promises.readdir(directory);
+        } catch (error) {
+          continue;
+        }
+        for (const name of names) {
+          const id = parseRunFileId(name, kind, folderName);
+          if (id && !files[kind].has(id)) {
+            files[kind].set(id, path.join(directory, name));
+          }
+        }
+      }
+    }
+
+    this.runFiles.set(folderName, files);
+    return files;
+  }
+
+  /**
+   * Elites of a run's lineage tree, one entry per genome and class it won,
+   * without parent links
+   */
+  async getLineage(folderName) {
+    let filePath = null;
+    for (const candidate of [`tree_${folderName}_all.json.gz`, `tree_${folderName}_all.json`]) {
+      const resolved = await this.resolveRunPath(folderName, path.join('analysisResults', 'trees', candidate));
+      if (fs.existsSync(resolved)) {
+        filePath = resolved;
+        break;
+      }
+    }
+    if (!filePath) {
+      throw new HttpError(404, `No lineage tree in ${folderName}`);
+    }
+
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    const cached = this.lineages.get(folderName);
+    if (cached && cached.filePath === filePath && cached.mtimeMs === mtimeMs) {
+      return cached.entries;
+    }
+
+    const tree = JSON.parse((await readJsonFile(filePath)).toString('utf8'));
+    const seen = new Set();
+    const entries = [];
+    (tree.evoRuns || []).forEach(evoRun => (evoRun.iterations || []).forEach(iteration => {
+      (iteration.lineage || []).forEach(({ parents, ...entry }) => {
+        const key = `${entry.id}|${entry.eliteClass}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          entries.push(entry);
+        }
+      });
+    }));
+
+    this.lineages.set(folderName, { filePath, mtimeMs, entries });
+    return entries;
+  }
+
+  /**
+   * Feature vectors of a run's genomes; each features file is only read once
+   */
+  async getFeatureVectors(folderName) {
+    const files = await this.getRunFiles(folderName);
+    const cached = this.featureVectors.get(folderName) || new Map(); // filePath -> vector
+    const vectors = new Map();
+    const byPath = new Map();
+
+    for (const [id, filePath] of files.features) {
+      let vector = cached.get(filePath);
+      if (vector === undefined) {
+        try {
+          vector = extractFeatureVector(JSON.parse((await readJsonFile(filePath)).toString('utf8')));
+        } catch (error) {
+          console.warn(`Skipping features of ${id}: ${error.message}`);
+          vector = null;
+        }
+      }
+      byPath.set(filePath, vector);
+      if (vector) vectors.set(id, vector);
+    }
+
+    this.featureVectors.set(folderName, byPath);
+    return vectors;
+  }
+
+  async getSummary() {
+    const groups = {};
+    const runs = Array.from((await this.getRuns()).values()).sort((a, b) => b.timestamp - a.timestamp);
+    for (const run of runs) {
+      const date = new Date(run.timestamp).toISOString().slice(0, 10);
+      groups[date] = groups[date] || {};
+      groups[date][run.experiment] = groups[date][run.experiment] || [];
+      groups[date][run.experiment].push({
+        folderName: run.folderName,
+        ulid: run.ulid,
+        timestamp: run.timestamp
+      });
+    }
+    return { groups, source: 'local', roots: this.roots };
+  }
+
+  /**
+   * Absolute path of a file inside a run folder, refusing paths that leave it
+   */
+  async resolveRunPath(folderName, relativePath) {
+    const run = await this.getRun(folderName);
+    const resolved = path.resolve(run.path, relativePath);
+    const relative = path.relative(run.path, resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new HttpError(403, `${relativePath} is outside the run folder`);
+    }
+    return resolved;
+  }
+}
+
+// Id in <kind>_<folderName>_<id>.json(.gz) or <kind>_<id>.json(.gz)
+function parseRunFileId(fileName, kind, folderName) {
+  const match = fileName.match(/^(.+)\.json(\.gz)?$/);
+  if (!match) return null;
+  for (const prefix of [`${kind}_${folderName}_`, `${kind}_`]) {
+    if (match[1].startsWith(prefix)) {
+      const id = match[1].slice(prefix.length);
+      return id && !id.includes('_') ? id : null;
+    }
+  }
+  return null;
+}
+
+const NUMERIC_VECTOR_KEYS = ['features', 'featureVector', 'embedding', 'vector'];
+const isNumericVector = (value) => Array.isArray(value) && value.length > 0 && value.every(Number.isFinite);
+
+// The numeric vector in a features file: the file itself, one of the usual
+// keys, or else the first numeric array found in it
+function extractFeatureVector(features) {
+  if (isNumericVector(features)) return features;
+  if (!features || typeof features !== 'object') return null;
+
+  for (const key of NUMERIC_VECTOR_KEYS) {
+    const vector = extractFeatureVector(features[key]);
+    if (vector) return vector;
+  }
+  for (const value of Object.values(features)) {
+    const vector = extractFeatureVector(value);
+    if (vector) return vector;
+  }
+  return null;
+}
+
+const normalizeClassName = (className) => String(className).replace('YAM_', '').split('_')[0];
+
+function parseNumber(searchParams, name) {
+  if (!searchParams.has(name)) return null;
+  const value = Number(searchParams.get(name));
+  if (!Number.isFinite(value)) {
+    throw new HttpError(400, `${name} must be a number`);
+  }
+  return value;
+}
+
+/**
+ * Lineage entries matching ?class (the elite class, with or without its
+ * YAM_ prefix and suffixes), ?minGeneration/?maxGeneration and ?minScore/?maxScore
+ */
+function filterLineage(entries, searchParams) {
+  const eliteClass = searchParams.get('class')?.toLowerCase();
+  const minGeneration = parseNumber(searchParams, 'minGeneration');
+  const maxGeneration = parseNumber(searchParams, 'maxGeneration');
+  const minScore = parseNumber(searchParams, 'minScore');
+  const maxScore = parseNumber(searchParams, 'maxScore');
+
+  return entries.filter(entry => {
+    if (eliteClass && String(entry.eliteClass).toLowerCase() !== eliteClass &&
+        normalizeClassName(entry.eliteClass).toLowerCase() !== eliteClass) return false;
+    if (minGeneration !== null && !(entry.gN >= minGeneration)) return false;
+    if (maxGeneration !== null && !(entry.gN <= maxGeneration)) return false;
+    if (minScore !== null && !(entry.s >= minScore)) return false;
+    if (maxScore !== null && !(entry.s <= maxScore)) return false;
+    return true;
+  });
+}
+
+function euclideanDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) ** 2;
+  }
+  return Math.sqrt(sum);
+}
+
+// 16-bit mono WAV around little-endian Int16 PCM, as the rendering server sends it
+function encodeWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // Mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * A render parameter in its canonical form for the cache key, so 1, 1.0 and 01
+ * share a WAV and match the keys AudioFetcher builds from numbers
+ */
+function parseRenderParam(name, value) {
+  const text = String(value);
+  const number = Number(text);
+  if (text.trim() === '' || !Number.isFinite(number)) {
+    throw new HttpError(400, `${name} must be a number`);
+  }
+  return String(number);
+}
+
+function parseRenderParams({ duration, pitch, velocity }) {
+  return {
+    duration: parseRenderParam('duration', duration),
+    pitch: parseRenderParam('pitch', pitch),
+    velocity: parseRenderParam('velocity', velocity)
+  };
+}
+
+/**
+ * WAV files of rendered genomes, cached on disk per run and rendered on a miss
+ */
+class RenderCache {
+  constructor(cacheDir, renderServer) {
+    this.cacheDir = cacheDir;
+    this.renderServer = renderServer;
+    this.inFlight = new Map(); // filePath -> Promise<string>
+    this.jobs = new Map();
+    this.nextJobId = 1;
+  }
+
+  getFilePath(folderName, genomeId, { duration, pitch, velocity }) {
+    return path.join(this.cacheDir, folderName, `${genomeId}-${duration}_${pitch}_${velocity}.wav`);
+  }
+
+  /**
+   * Path of the cached WAV, rendering it first if needed
+   * @returns {Promise<{filePath: string, cached: boolean}>}
+   */
+  async getWav(folderName, genomeId, params) {
+    const filePath = this.getFilePath(folderName, genomeId, params);
+    if (fs.existsSync(filePath)) {
+      return { filePath, cached: true };
+    }
+
+    // Concurrent requests for the same sound share one render
+    if (!this.inFlight.has(filePath)) {
+      const genomeUrl = `http://localhost:${PORT}/evoruns/${encodeURIComponent(folderName)}/genome/${encodeURIComponent(genomeId)}`;
+      const render = this.render(genomeUrl, params)
+        .then(async (pcm) => {
+          const tempPath = `${filePath}.${process.pid}.tmp`;
+          await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.promises.writeFile(tempPath, encodeWav(pcm, RENDER_SAMPLE_RATE));
+          await fs.promises.rename(tempPath, filePath);
+          return filePath;
+        })
+        .finally(() => this.inFlight.delete(filePath));
+      this.inFlight.set(filePath, render);
+    }
+    return { filePath: await this.inFlight.get(filePath), cached: false };
+  }
+
+  /**
+   * Ask the rendering server for a genome's sound
+   * @returns {Promise<Buffer>} Int16 PCM
+   */
+  render(genomeStringUrl, { duration, pitch, velocity }) {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.renderServer);
+      let settled = false;
+      const finish = (error, pcm) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.terminate();
+        if (error) reject(error);
+        else resolve(pcm);
       };
+      const timer = setTimeout(() => finish(new HttpError(504, 'Render timed out')), RENDER_TIMEOUT);
+
+      socket.on('open', () => socket.send(JSON.stringify({
+        type: 'get_audio_data',
+        genomeStringUrl,
+        duration: Number(duration),
+        noteDelta: Number(pitch),
+        velocity: Number(velocity),
+        reverse: false,
+        useOvertoneInharmonicityFactors: true,
+        antiAliasing: false,
+        frequencyUpdatesApplyToAllPathcNetworkOutputs: false,
+        sampleRate: RENDER_SAMPLE_RATE
+      })));
+      socket.on('message', (data, isBinary) => {
+        if (isBinary) {
+          finish(null, Buffer.from(data));
+          return;
+        }
+        let message = {};
+        try {
+          message = JSON.parse(data.toString());
+        } catch (error) {
+          // Not JSON; reported below
+        }
+        finish(new HttpError(502, `Rendering failed: ${message.error || data.toString()}`));
+      });
+      socket.on('error', (error) => finish(new HttpError(502, `Rendering server ${this.renderServer}: ${error.message}`)));
+      socket.on('close', () => finish(new HttpError(502, 'The rendering server closed the connection')));
     });
-    
-    res.json({
-      success: true,
-      count: genomes.length,
-      genomes: genomes.slice(0, 10) // Return first 10 for testing
+  }
+
+  async listFiles(folderName) {
+    try {
+      return (await fs.promises.readdir(path.join(this.cacheDir, folderName))).filter(name => name.endsWith('.wav'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Render a list of sounds in the background, a few at a time
+   * @param {string} folderName
+   * @param {Array<{genomeId: string, params: Object}>} items
+   * @param {string[]} [skipped] - Why sounds that could not be queued were left out
+   */
+  startPrerender(folderName, items, skipped = []) {
+    const job = {
+      jobId: String(this.nextJobId++),
+      evoRunId: folderName,
+      status: 'running',
+      total: items.length + skipped.length,
+      rendered: 0,
+      cached: 0,
+      failed: skipped.length,
+      errors: skipped.slice(0, 10),
+      startedAt: new Date().toISOString()
+    };
+    this.jobs.set(job.jobId, job);
+
+    const queue = [...items];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const { genomeId, params } = queue.shift();
+        try {
+          const { cached } = await this.getWav(folderName, genomeId, params);
+          job[cached ? 'cached' : 'rendered']++;
+        } catch (error) {
+          job.failed++;
+          // Keep a sample of the errors, not thousands of copies of one
+          if (job.errors.length < 10) job.errors.push(`${genomeId}: ${error.message}`);
+        }
+      }
+    };
+    Promise.all(Array.from({ length: PRERENDER_CONCURRENCY }, worker)).then(() => {
+      job.status = 'done';
+      job.finishedAt = new Date().toISOString();
+      console.log(`Pre-render ${job.jobId} of ${folderName}: ${job.rendered} rendered, ${job.cached} cached, ${job.failed} failed`);
     });
+    return job;
+  }
+}
+
+async function readJsonBody(request) {
+  const chunks = [];
+  for await (const chunk of request) chunks.push(chunk);
+  if (chunks.length === 0) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    throw new HttpError(400, `Invalid JSON body: ${error.message}`);
   }
+}
+
+function getPage(searchParams) {
+  const offset = Math.max(parseInt(searchParams.get('offset'), 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { offset, limit };
+}
+
+async function readJsonFile(filePath) {
+  const contents = await fs.promises.readFile(filePath);
+  return filePath.endsWith('.gz') ? gunzip(contents) : contents;
+}
+
+const baseUrl = (request) => `http://${request.headers.host || `localhost:${PORT}`}`;
+
+const describeGenome = (request, run, id, filePath) => ({
+  genomeId: id,
+  evoRunId: run.folderName,
+  fileName: path.basename(filePath),
+  url: `${baseUrl(request)}/evoruns/${encodeURIComponent(run.folderName)}/genome/${encodeURIComponent(id)}`
 });
 
-// Get specific genome
-app.get('/genome/:genomeId', (req, res) => {
-  try {
-    const { genomeId } = req.params;
-    const files = fs.readdirSync(EVORUN_PATH);
-    const genomeFile = files.find(file => 
-      file.startsWith('genome_') && 
-      file.includes(genomeId) && 
-      file.endsWith('.json.gz')
-    );
-    
-    if (!genomeFile) {
-      return res.status(404).json({
-        success: false,
-        error: 'Genome not found'
+const index = new EvorunIndex(ROOTS);
+const renderCache = new RenderCache(RENDER_CACHE_DIR, RENDER_SERVER);
+
+async function route(request, url) {
+  const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  if (segments.length === 1 && segments[0] === 'health') {
+    return { json: { status: 'ok', port: PORT, roots: ROOTS, runCount: (await index.getRuns()).size, timestamp: new Date().toISOString() } };
+  }
+
+  if (segments[0] === 'evorenders') {
+    // POST /evorenders/:folderName/prerender
+    if (segments.length === 3 && segments[2] === 'prerender' && request.method === 'POST') {
+      const run = await index.getRun(segments[1]);
+      const body = await readJsonBody(request);
+      let entries;
+      try {
+        entries = await index.getLineage(run.folderName);
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        // No lineage tree: every genome of the run
+        entries = Array.from((await index.getRunFiles(run.folderName)).genome.keys(), id => ({ id }));
+      }
+      if (Array.isArray(body.genomeIds)) {
+        const genomeIds = new Set(body.genomeIds.map(String));
+        entries = entries.filter(entry => genomeIds.has(entry.id));
+      }
+
+      // Parameters in the body apply to every sound, so a bad one fails the request
+      const overrides = {};
+      ['duration', 'pitch', 'velocity'].forEach(name => {
+        if (body[name] !== undefined && body[name] !== null) {
+          overrides[name] = parseRenderParam(name, body[name]);
+        }
       });
+
+      const seen = new Set();
+      const items = [];
+      // Lineage entries with unusable parameters are reported in the job instead
+      const skipped = [];
+      entries.forEach(entry => {
+        if (!isPlainName(entry.id)) return;
+        let params;
+        try {
+          params = parseRenderParams({
+            duration: overrides.duration ?? entry.duration ?? DEFAULT_RENDER_PARAMS.duration,
+            pitch: overrides.pitch ?? entry.noteDelta ?? DEFAULT_RENDER_PARAMS.pitch,
+            velocity: overrides.velocity ?? entry.velocity ?? DEFAULT_RENDER_PARAMS.velocity
+          });
+        } catch (error) {
+          skipped.push(`${entry.id}: ${error.message}`);
+          return;
+        }
+        const key = renderCache.getFilePath(run.folderName, entry.id, params);
+        if (!seen.has(key)) {
+          seen.add(key);
+          items.push({ genomeId: entry.id, params });
+        }
+      });
+      return { status: 202, json: renderCache.startPrerender(run.folderName, items, skipped) };
+    }
+
+    if (request.method !== 'GET') {
+      throw new HttpError(405, `${request.method} is not supported`);
+    }
+
+    // /evorenders/:folderName/prerender/:jobId
+    if (segments.length === 4 && segments[2] === 'prerender') {
+      const job = renderCache.jobs.get(segments[3]);
+      if (!job || job.evoRunId !== segments[1]) {
+        throw new HttpError(404, `No pre-render job ${segments[3]} for ${segments[1]}`);
+      }
+      return { json: job };
+    }
+
+    // /evorenders/:folderName/files
+    if (segments.length === 3 && segments[2] === 'files') {
+      const run = await index.getRun(segments[1]);
+      return { json: { evoRunId: run.folderName, files: await renderCache.listFiles(run.folderName) } };
+    }
+
+    // /evorenders/:folderName/:ulid/:duration/:pitch/:velocity
+    if (segments.length === 6) {
+      const [, folderName, genomeId, duration, pitch, velocity] = segments;
+      const run = await index.getRun(folderName);
+      if (!isPlainName(genomeId)) {
+        throw new HttpError(400, `Invalid genome id ${genomeId}`);
+      }
+      const { filePath, cached } = await renderCache.getWav(run.folderName, genomeId, parseRenderParams({ duration, pitch, velocity }));
+      return {
+        body: await fs.promises.readFile(filePath),
+        contentType: 'audio/wav',
+        headers: { 'X-Render-Cache': cached ? 'hit' : 'miss' }
+      };
+    }
+  }
+
+  if (request.method !== 'GET') {
+    throw new HttpError(405, `${request.method} is not supported`);
+  }
+
+  if (segments[0] === 'evoruns') {
+    // /evoruns/summary
+    if (segments.length === 2 && segments[1] === 'summary') {
+      return { json: await index.getSummary() };
+    }
+
+    // /evoruns/:folderName/genomes?offset&limit
+    if (segments.length === 3 && segments[2] === 'genomes') {
+      const run = await index.getRun(segments[1]);
+      const genomes = Array.from((await index.getRunFiles(run.folderName)).genome.entries()).sort(([a], [b]) => a.localeCompare(b));
+      const { offset, limit } = getPage(url.searchParams);
+      return {
+        json: {
+          evoRunId: run.folderName,
+          total: genomes.length,
+          offset,
+          limit,
+          genomes: genomes.slice(offset, offset + limit).map(([id, filePath]) => describeGenome(request, run, id, filePath))
+        }
+      };
+    }
+
+    // /evoruns/:folderName/search?class&minGeneration&maxGeneration&minScore&maxScore&offset&limit
+    if (segments.length === 3 && segments[2] === 'search') {
+      const run = await index.getRun(segments[1]);
+      const results = filterLineage(await index.getLineage(run.folderName), url.searchParams)
+        .sort((a, b) => (b.s || 0) - (a.s || 0));
+      const { offset, limit } = getPage(url.searchParams);
+      return {
+        json: { evoRunId: run.folderName, total: results.length, offset, limit, results: results.slice(offset, offset + limit) }
+      };
+    }
+
+    // /evoruns/:folderName/nearest?genome=<id>|vector=<numbers>&k
+    if (segments.length === 3 && segments[2] === 'nearest') {
+      const run = await index.getRun(segments[1]);
+      const vectors = await index.getFeatureVectors(run.folderName);
+      const genomeId = url.searchParams.get('genome');
+      let target;
+      if (genomeId) {
+        target = vectors.get(genomeId);
+        if (!target) throw new HttpError(404, `No features for genome ${genomeId} in ${run.folderName}`);
+      } else if (url.searchParams.has('vector')) {
+        target = url.searchParams.get('vector').split(',').map(Number);
+        if (!isNumericVector(target)) throw new HttpError(400, 'vector must be comma separated numbers');
+      } else {
+        throw new HttpError(400, 'nearest needs ?genome=<id> or ?vector=<numbers>');
+      }
+      const k = Math.min(Math.max(parseInt(url.searchParams.get('k'), 10) || 10, 1), MAX_PAGE_SIZE);
+
+      const neighbours = [];
+      vectors.forEach((vector, id) => {
+        if (id !== genomeId && vector.length === target.length) {
+          neighbours.push({ id, distance: euclideanDistance(target, vector) });
+        }
+      });
+      neighbours.sort((a, b) => a.distance - b.distance);
+
+      // Add class, score and generation where the lineage knows the genome
+      let lineageById = new Map();
+      try {
+        lineageById = new Map((await index.getLineage(run.folderName)).map(entry => [entry.id, entry]));
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+      return {
+        json: {
+          evoRunId: run.folderName,
+          results: neighbours.slice(0, k).map(neighbour => ({ ...lineageById.get(neighbour.id), ...neighbour }))
+        }
+      };
+    }
+
+    // /evoruns/:folderName/genome/:ulid and /evoruns/:folderName/features/:ulid
+    if (segments.length === 4 && ['genome', 'features'].includes(segments[2])) {
+      const [, folderName, kind, id] = segments;
+      const filePath = (await index.getRunFiles(folderName))[kind].get(id);
+      if (!filePath) {
+        throw new HttpError(404, `No ${kind} ${id} in ${folderName}`);
+      }
+      return { body: await readJsonFile(filePath), contentType: 'application/json' };
+    }
+  }
+
+  // /files/:folderName/<path inside the run folder>
+  if (segments[0] === 'files' && segments.length >= 3) {
+    const [, folderName, ...rest] = segments;
+    const filePath = await index.resolveRunPath(folderName, rest.join('/'));
+    return {
+      body: await fs.promises.readFile(filePath),
+      contentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+    };
+  }
+
+  // /genomes?folder&offset&limit: genomes of every run
+  if (segments.length === 1 && segments[0] === 'genomes') {
+    const folder = url.searchParams.get('folder');
+    const runs = folder ? [await index.getRun(folder)] : Array.from((await index.getRuns()).values());
+    const genomes = [];
+    for (const run of runs) {
+      (await index.getRunFiles(run.folderName)).genome.forEach((filePath, id) => genomes.push([run, id, filePath]));
+    }
+    const { offset, limit } = getPage(url.searchParams);
+    return {
+      json: {
+        success: true,
+        total: genomes.length,
+        offset,
+        limit,
+        genomes: genomes.slice(offset, offset + limit).map(([run, id, filePath]) => describeGenome(request, run, id, filePath))
+      }
+    };
+  }
+
+  // /genome/:genomeId: the run holding a genome
+  if (segments.length === 2 && segments[0] === 'genome') {
+    const genomeId = segments[1];
+    for (const run of (await index.getRuns()).values()) {
+      const filePath = (await index.getRunFiles(run.folderName)).genome.get(genomeId);
+      if (filePath) {
+        return { json: { success: true, ...describeGenome(request, run, genomeId, filePath) } };
+      }
+    }
+    throw new HttpError(404, `Genome ${genomeId} not found`);
+  }
+
+  throw new HttpError(404, `No route for ${url.pathname}`);
+}
+
+const server = http.createServer(async (request, response) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Expose-Headers': 'X-Render-Cache'
+  };
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, headers).end();
+    return;
+  }
+
+  try {
+    const result = await route(request, new URL(request.url, baseUrl(request)));
+    if (result.json) {
+      response.writeHead(result.status || 200, { ...headers, 'Content-Type': 'application/json' }).end(JSON.stringify(result.json));
+    } else {
+      response.writeHead(200, { ...headers, ...result.headers, 'Content-Type': result.contentType }).end(result.body);
     }
-    
-    res.json({
-      success: true,
-      genomeId,
-      fileName: genomeFile,
-      url: `http://localhost:${PORT}/files/${genomeFile}`,
-      evoRunId: EVORUN_ID
-    });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    const status = error.status || (error.code === 'ENOENT' ? 404 : 500);
+    if (status === 500) {
+      console.error('Error serving', request.url, error);
+    }
+    response.writeHead(status, { ...headers, 'Content-Type': 'application/json' })
+      .end(JSON.stringify({ success: false, error: status === 404 && error.code === 'ENOENT' ? 'Not found' : error.message }));
   }
 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    port: PORT,
-    evoRunPath: EVORUN_PATH,
-    timestamp: new Date().toISOString()
-  });
-});
+if (ROOTS.length === 0) {
+  console.error('No evorun roots given. Usage: node genome-server.cjs [--port 3005] [--root <dir>]... [<dir>...]');
+  console.error(`Roots can also be set in KROMOSYNTH_EVORUN_ROOTS, separated by "${path.delimiter}".`);
+  process.exit(1);
+}
 
-app.listen(PORT, () => {
+server.listen(PORT, async () => {
   console.log(`Genome file server running on http://localhost:${PORT}`);
-  console.log(`Serving files from: ${EVORUN_PATH}`);
-  console.log(`Available endpoints:`);
-  console.log(`  GET /health - Health check`);
-  console.log(`  GET /genomes - List available genomes`);
-  console.log(`  GET /genome/:genomeId - Get specific genome info`);
-  console.log(`  GET /files/:filename - Direct file access`);
+  console.log(`Serving ${(await index.getRuns()).size} runs from:`);
+  ROOTS.forEach(root => console.log(`  ${root}`));
+  console.log(`Rendering with ${RENDER_SERVER}, cached in ${RENDER_CACHE_DIR}`);
+  console.log('Available endpoints:');
+  console.log('  GET /health - Health check');
+  console.log('  GET /evoruns/summary - Runs grouped by date and experiment');
+  console.log('  GET /evoruns/:folderName/genomes - Genome ids of a run (?offset=&limit=)');
+  console.log('  GET /evoruns/:folderName/genome/:ulid - Genome JSON');
+  console.log('  GET /evoruns/:folderName/features/:ulid - Features JSON');
+  console.log('  GET /files/:folderName/:path - Direct file access');
+  console.log('  GET /genomes - Genomes of all runs (?folder=&offset=&limit=)');
+  console.log('  GET /genome/:genomeId - Find a genome by id');
+  console.log('  GET /evoruns/:folderName/search - Filter elites (?class=&minGeneration=&maxGeneration=&minScore=&maxScore=)');
+  console.log('  GET /evoruns/:folderName/nearest - Nearest genomes by features (?genome= or ?vector=, &k=)');
+  console.log('  GET /evorenders/:folderName/:ulid/:duration/:pitch/:velocity - Rendered WAV (cached)');
+  console.log('  GET /evorenders/:folderName/files - Cached WAVs of a run');
+  console.log('  POST /evorenders/:folderName/prerender - Pre-render a run ({ duration?, pitch?, velocity?, genomeIds? })');
+  console.log('  GET /evorenders/:folderName/prerender/:jobId - Pre-render progress');
 });
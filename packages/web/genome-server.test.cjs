@@ -0,0 +1,250 @@
+/**
+ * Route tests for genome-server.cjs, against evorun folders written to a
+ * temporary directory, rendering with render-server.cjs in test mode.
+ *
+ *   node --test genome-server.test.cjs
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+const RUN = '01JDZSGV6ZZ4YEA48XMA07D8XR_bass';
+const OTHER_RUN = '01JE0000000000000000000000_pad';
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const startServer = (script, args, readyText) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [path.join(__dirname, script), ...args], {
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  child.once('error', reject);
+  child.once('exit', (code) => reject(new Error(`${script} exited with code ${code}`)));
+  child.stdout.on('data', (data) => {
+    if (data.toString().includes(readyText)) resolve(child);
+  });
+});
+
+const writeJson = (filePath, value) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const json = JSON.stringify(value);
+  fs.writeFileSync(filePath, filePath.endsWith('.gz') ? zlib.gzipSync(json) : json);
+};
+
+// Elites of RUN, A1 winning its class in two iterations; A2's duration is
+// unusable for a render
+const LINEAGE = [
+  { id: 'A1', eliteClass: 'YAM_Bass_1', s: 0.9, gN: 10 },
+  { id: 'A2', eliteClass: 'YAM_Pad', s: 0.5, gN: 20, duration: 'long' },
+  { id: 'A3', eliteClass: 'YAM_Bass_2', s: 0.7, gN: 30 }
+];
+
+// A run as kromosynth-cli writes it, genomes gzipped in genomes/, with its
+// lineage tree and features, and one with a plain genome file next to it
+const writeEvoruns = (root) => {
+  const runPath = path.join(root, RUN);
+  ['A1', 'A2', 'A3'].forEach(id => {
+    writeJson(path.join(runPath, 'genomes', `genome_${RUN}_${id}.json.gz`), { _id: id, genome: {} });
+  });
+  writeJson(path.join(runPath, 'analysisResults', 'trees', `tree_${RUN}_all.json.gz`), {
+    evoRuns: [{
+      iterations: [
+        { lineage: LINEAGE.map(entry => ({ ...entry, parents: [] })) },
+        { lineage: [{ ...LINEAGE[0], parents: [{ genomeId: 'A2' }] }] }
+      ]
+    }]
+  });
+  // Feature vectors in the shapes extractFeatureVector accepts
+  writeJson(path.join(runPath, `features_${RUN}_A1.json`), { features: [0, 0] });
+  writeJson(path.join(runPath, 'features_A2.json'), [1, 0]);
+  writeJson(path.join(runPath, 'features_A3.json'), { analysis: { embedding: [3, 4] } });
+  writeJson(path.join(root, OTHER_RUN, 'genome_B1.json'), { _id: 'B1', genome: {} });
+  fs.mkdirSync(path.join(root, 'notes'));
+  fs.writeFileSync(path.join(root, 'secret.txt'), 'outside every run');
+};
+
+let tempDir;
+let renderServer;
+let genomeServer;
+let baseUrl;
+
+const get = async (route) => {
+  const response = await fetch(`${baseUrl}${route}`);
+  return { status: response.status, json: await response.json() };
+};
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'genome-server-test-'));
+  const root = path.join(tempDir, 'evoruns');
+  writeEvoruns(root);
+
+  const renderPort = await getFreePort();
+  renderServer = await startServer('render-server.cjs', ['--port', String(renderPort), '--mode', 'test'], 'listening');
+  const port = await getFreePort();
+  genomeServer = await startServer('genome-server.cjs', [
+    '--port', String(port), '--cache', path.join(tempDir, 'cache'),
+    '--render-server', `ws://127.0.0.1:${renderPort}`, '--root', root
+  ], 'running on');
+  baseUrl = `http://127.0.0.1:${port}`;
+});
+
+after(() => {
+  genomeServer?.kill();
+  renderServer?.kill();
+  if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('summary groups the runs by date and experiment', async () => {
+  const { json } = await get('/evoruns/summary');
+  const runs = Object.values(json.groups).flatMap(group => Object.entries(group));
+  assert.deepEqual(runs.map(([experiment, [run]]) => [experiment, run.folderName]).sort(), [
+    ['bass', RUN],
+    ['pad', OTHER_RUN]
+  ]);
+  assert.equal(json.source, 'local');
+});
+
+test('genomes of a run are listed a page at a time', async () => {
+  const { json } = await get(`/evoruns/${RUN}/genomes?offset=1&limit=1`);
+  assert.equal(json.total, 3);
+  assert.deepEqual(json.genomes.map(genome => genome.genomeId), ['A2']);
+  assert.equal(json.genomes[0].url, `${baseUrl}/evoruns/${RUN}/genome/A2`);
+});
+
+test('a genome is found by its exact id, not part of it', async () => {
+  const found = await get(`/evoruns/${RUN}/genome/A2`);
+  assert.equal(found.status, 200);
+  assert.equal(found.json._id, 'A2');
+
+  assert.equal((await get(`/evoruns/${RUN}/genome/A`)).status, 404);
+});
+
+test('genomes are looked up across runs', async () => {
+  const { json } = await get('/genome/B1');
+  assert.equal(json.evoRunId, OTHER_RUN);
+  assert.equal((await get('/genomes')).json.total, 4);
+  assert.equal((await get(`/genomes?folder=${OTHER_RUN}`)).json.total, 1);
+});
+
+test('files are served from inside a run folder only', async () => {
+  const inside = await fetch(`${baseUrl}/files/${RUN}/genomes/genome_${RUN}_A1.json.gz`);
+  assert.equal(inside.status, 200);
+  assert.deepEqual(JSON.parse(zlib.gunzipSync(Buffer.from(await inside.arrayBuffer()))), { _id: 'A1', genome: {} });
+
+  assert.equal((await get(`/files/${RUN}/..%2F..%2Fsecret.txt`)).status, 403);
+});
+
+test('unknown runs and folder names that are not plain names are refused', async () => {
+  assert.equal((await get('/evoruns/no-such-run/genomes')).status, 404);
+  assert.equal((await get('/evoruns/..%2Fevoruns/genomes')).status, 400);
+  assert.equal((await get('/evoruns/notes/genomes')).status, 404);
+});
+
+test('search filters the lineage by class, generation and score, best first', async () => {
+  const ids = async (query) => (await get(`/evoruns/${RUN}/search?${query}`)).json.results.map(entry => entry.id);
+
+  assert.deepEqual(await ids(''), ['A1', 'A3', 'A2']);
+  assert.deepEqual(await ids('class=bass'), ['A1', 'A3']);
+  assert.deepEqual(await ids('class=YAM_Bass_2'), ['A3']);
+  assert.deepEqual(await ids('minGeneration=15&maxGeneration=30'), ['A3', 'A2']);
+  assert.deepEqual(await ids('minScore=0.6&maxScore=0.8'), ['A3']);
+
+  const page = (await get(`/evoruns/${RUN}/search?minScore=0.6&offset=1&limit=1`)).json;
+  assert.equal(page.total, 2);
+  assert.deepEqual(page.results, [LINEAGE[2]]);
+});
+
+test('search refuses filters that are not numbers', async () => {
+  const { status, json } = await get(`/evoruns/${RUN}/search?minScore=high`);
+  assert.equal(status, 400);
+  assert.equal(json.error, 'minScore must be a number');
+});
+
+test('nearest ranks genomes by feature distance to a genome, leaving it out', async () => {
+  const { json } = await get(`/evoruns/${RUN}/nearest?genome=A1&k=2`);
+  assert.deepEqual(json.results, [
+    { ...LINEAGE[1], distance: 1 },
+    { ...LINEAGE[2], distance: 5 }
+  ]);
+});
+
+test('nearest ranks genomes by distance to a vector', async () => {
+  const { json } = await get(`/evoruns/${RUN}/nearest?vector=3,3&k=1`);
+  assert.deepEqual(json.results, [{ ...LINEAGE[2], distance: 1 }]);
+});
+
+test('nearest needs a genome with features or a numeric vector', async () => {
+  assert.equal((await get(`/evoruns/${RUN}/nearest`)).status, 400);
+  assert.equal((await get(`/evoruns/${RUN}/nearest?vector=1,x`)).status, 400);
+  assert.equal((await get(`/evoruns/${RUN}/nearest?genome=A9`)).status, 404);
+});
+
+test('render parameters written differently share one cached WAV', async () => {
+  const first = await fetch(`${baseUrl}/evorenders/${RUN}/A1/1.0/0/01`);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-render-cache'), 'miss');
+  assert.equal(Buffer.from(await first.arrayBuffer()).toString('ascii', 0, 4), 'RIFF');
+
+  const second = await fetch(`${baseUrl}/evorenders/${RUN}/A1/1/-0/1.00`);
+  assert.equal(second.headers.get('x-render-cache'), 'hit');
+  await second.arrayBuffer();
+
+  assert.deepEqual((await get(`/evorenders/${RUN}/files`)).json.files, ['A1-1_0_1.wav']);
+});
+
+test('renders with parameters that are not numbers are refused', async () => {
+  const { status, json } = await get(`/evorenders/${RUN}/A1/long/0/1`);
+  assert.equal(status, 400);
+  assert.equal(json.error, 'duration must be a number');
+});
+
+const waitForPrerender = async (jobId) => {
+  for (;;) {
+    const { json } = await get(`/evorenders/${RUN}/prerender/${jobId}`);
+    if (json.status === 'done') return json;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+const prerender = (body) => fetch(`${baseUrl}/evorenders/${RUN}/prerender`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('prerender renders the lineage, reporting entries with unusable parameters', async () => {
+  const response = await prerender({ pitch: 0 });
+  assert.equal(response.status, 202);
+  const { jobId, total } = await response.json();
+  assert.equal(total, 3);
+
+  const job = await waitForPrerender(jobId);
+  assert.equal(job.rendered, 2);
+  assert.equal(job.cached, 0);
+  assert.equal(job.failed, 1);
+  assert.deepEqual(job.errors, ['A2: duration must be a number']);
+});
+
+test('prerender parameters apply to every entry and reuse cached WAVs', async () => {
+  const response = await prerender({ duration: 1, pitch: 0, velocity: 1, genomeIds: ['A1', 'A2'] });
+  const job = await waitForPrerender((await response.json()).jobId);
+  assert.deepEqual([job.total, job.rendered, job.cached, job.failed], [2, 1, 1, 0]);
+  assert.ok((await get(`/evorenders/${RUN}/files`)).json.files.includes('A2-1_0_1.wav'));
+});
+
+test('prerender refuses parameters that are not numbers, and unknown jobs', async () => {
+  assert.equal((await prerender({ duration: 'long' })).status, 400);
+  assert.equal((await get(`/evorenders/${RUN}/prerender/999`)).status, 404);
+});
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * Mock QD simulator speaking the QDPluginClient protocol
+ * (packages/shared/src/QDPluginClient.js), for exercising the live archive
+ * views without a Python plugin.
+ *
+ * Runs a toy MAP-Elites on random gene vectors: the first two genes pick the
+ * archive cell, the score rewards the remaining genes for being close to 0.5.
+ *
+ *   node mock-qd-server.cjs --port 8765 [--interval 200] [--seed 1]
+ *
+ * It can also be installed as a plugin with the entrypoint
+ *   { "command": "node", "args": ["mock-qd-server.cjs", "--port", "{port}"] }
+ */
+
+const WebSocket = require('ws');
+
+const PROTOCOL_VERSION = 1;
+const GENE_COUNT = 8;
+
+const getArg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+};
+
+const PORT = parseInt(getArg('port', process.env.KROMOSYNTH_PLUGIN_PORT || 8765), 10);
+const GENERATION_INTERVAL = parseInt(getArg('interval', 200), 10);
+const DEFAULT_SEED = parseInt(getArg('seed', 1), 10);
+
+// Small deterministic PRNG so runs with the same seed are reproducible
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 0.999999);
+
+class MockRun {
+  constructor(config = {}) {
+    this.gridSize = config.gridSize || [20, 20];
+    this.batchSize = config.batchSize || 16;
+    this.maxGenerations = config.maxGenerations || Infinity;
+    this.random = mulberry32(config.seed ?? DEFAULT_SEED);
+    this.runId = `mock-${Date.now().toString(36)}`;
+    this.generation = 0;
+    this.archive = new Map(); // "x,y" -> elite
+    this.genomes = new Map(); // genomeId -> genes
+    this.nextGenomeNumber = 0;
+  }
+
+  randomGenes() {
+    return Array.from({ length: GENE_COUNT }, () => this.random());
+  }
+
+  mutate(genes) {
+    return genes.map(gene => clamp01(gene + (this.random() - 0.5) * 0.2));
+  }
+
+  evaluate(genes) {
+    const cell = this.gridSize.map((size, i) => Math.floor(clamp01(genes[i]) * size));
+    const rest = genes.slice(this.gridSize.length);
+    const error = rest.reduce((sum, gene) => sum + (gene - 0.5) ** 2, 0) / rest.length;
+    return { cell, score: Math.max(0, 1 - error * 4) };
+  }
+
+  /**
+   * Evaluate one batch of offspring
+   * @returns {{ stats: Object, newElites: Object[] }}
+   */
+  step() {
+    this.generation++;
+    const elites = Array.from(this.archive.values());
+    const newElites = [];
+
+    for (let i = 0; i < this.batchSize; i++) {
+      const parent = elites.length > 0 && this.random() < 0.9
+        ? this.genomes.get(elites[Math.floor(this.random() * elites.length)].genomeId)
+        : null;
+      const genes = parent ? this.mutate(parent) : this.randomGenes();
+      const { cell, score } = this.evaluate(genes);
+      const key = cell.join(',');
+      const current = this.archive.get(key);
+
+      if (!current || score > current.score) {
+        const genomeId = `${this.runId}-${(this.nextGenomeNumber++).toString(36)}`;
+        const elite = {
+          cell,
+          genomeId,
+          score,
+          generation: this.generation,
+          replacedGenomeId: current ? current.genomeId : null
+        };
+        if (current) this.genomes.delete(current.genomeId);
+        this.genomes.set(genomeId, genes);
+        this.archive.set(key, elite);
+        newElites.push(elite);
+      }
+    }
+
+    return { stats: this.getStats(newElites.length), newElites };
+  }
+
+  getStats(newElites = 0) {
+    const elites = Array.from(this.archive.values());
+    const totalCells = this.gridSize.reduce((product, size) => product * size, 1);
+    return {
+      generation: this.generation,
+      archiveSize: elites.length,
+      coverage: elites.length / totalCells,
+      qdScore: elites.reduce((sum, elite) => sum + elite.score, 0),
+      maxScore: elites.reduce((max, elite) => Math.max(max, elite.score), 0),
+      newElites
+    };
+  }
+
+  get finished() {
+    return this.generation >= this.maxGenerations;
+  }
+}
+
+let run = null;
+let timer = null;
+
+const server = new WebSocket.Server({ host: '127.0.0.1', port: PORT });
+
+const broadcast = (event, data) => {
+  const message = JSON.stringify({ type: 'event', event, data });
+  server.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) client.send(message);
+  });
+};
+
+const getStatus = () => ({
+  runId: run?.runId || null,
+  state: !run ? 'idle' : timer ? 'running' : run.finished ? 'finished' : 'paused',
+  generation: run?.generation || 0
+});
+
+const advance = () => {
+  const { stats, newElites } = run.step();
+  newElites.forEach(elite => broadcast('new_elite', elite));
+  broadcast('generation_stats', stats);
+  if (run.finished) {
+    stopTimer();
+    broadcast('status', getStatus());
+  }
+  return stats;
+};
+
+const startTimer = () => {
+  if (!timer) timer = setInterval(advance, GENERATION_INTERVAL);
+};
+
+const stopTimer = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+const requireRun = () => {
+  if (!run) throw new Error('No run started');
+  return run;
+};
+
+const handlers = {
+  start_run: ({ config }) => {
+    stopTimer();
+    run = new MockRun(config);
+    startTimer();
+    broadcast('status', getStatus());
+    return { runId: run.runId };
+  },
+  pause: () => {
+    requireRun();
+    stopTimer();
+    broadcast('status', getStatus());
+    return getStatus();
+  },
+  resume: () => {
+    if (requireRun().finished) throw new Error('Run is finished');
+    startTimer();
+    broadcast('status', getStatus());
+    return getStatus();
+  },
+  step: ({ generations = 1 }) => {
+    requireRun();
+    if (timer) throw new Error('Pause the run before stepping');
+    let stats = run.getStats();
+    for (let i = 0; i < generations && !run.finished; i++) {
+      stats = advance();
+    }
+    return stats;
+  },
+  get_archive_snapshot: () => {
+    const current = requireRun();
+    return {
+      runId: current.runId,
+      generation: current.generation,
+      gridSize: current.gridSize,
+      elites: Array.from(current.archive.values())
+    };
+  },
+  get_elite_genome: ({ genomeId }) => {
+    const genes = requireRun().genomes.get(genomeId);
+    if (!genes) throw new Error(`Genome ${genomeId} is not in the archive`);
+    return { genomeId, genome: { genes } };
+  }
+};
+
+server.on('connection', (socket) => {
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (message.type === 'handshake') {
+      socket.send(JSON.stringify({
+        type: 'ready',
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: Object.keys(handlers)
+      }));
+      return;
+    }
+
+    const handler = handlers[message.type];
+    let response;
+    try {
+      if (!handler) throw new Error(`Unknown request type: ${message.type}`);
+      response = { ok: true, result: handler(message) };
+    } catch (error) {
+      response = { ok: false, error: error.message };
+    }
+    socket.send(JSON.stringify({ type: 'response', requestId: message.requestId, ...response }));
+  });
+});
+
+server.on('listening', () => {
+  console.log(`Mock QD server listening on ws://127.0.0.1:${PORT}`);
+});
+
+const shutdown = () => {
+  stopTimer();
+  server.close(() => process.exit(0));
+};
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -0,0 +1,113 @@
+/**
+ * Protocol test for mock-qd-server.cjs, driven through QDPluginClient
+ * (packages/shared/src/QDPluginClient.js) as the live archive views use it.
+ *
+ *   node --test mock-qd-server.test.cjs
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+const WebSocket = require('ws');
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const startMockServer = (port) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [path.join(__dirname, 'mock-qd-server.cjs'), '--port', String(port), '--interval', '50'], {
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  child.once('error', reject);
+  child.once('exit', (code) => reject(new Error(`Mock QD server exited with code ${code}`)));
+  child.stdout.on('data', (data) => {
+    if (data.toString().includes('listening')) resolve(child);
+  });
+});
+
+let server;
+let client;
+let QD_REQUESTS;
+
+before(async () => {
+  const port = await getFreePort();
+  server = await startMockServer(port);
+  const qd = await import('../shared/src/QDPluginClient.js');
+  QD_REQUESTS = qd.QD_REQUESTS;
+  client = new qd.QDPluginClient(port, { WebSocket, requestTimeout: 2000 });
+});
+
+after(() => {
+  client?.close();
+  server?.kill();
+});
+
+test('handshake reports the protocol version and every request type', async () => {
+  const { protocolVersion, capabilities } = await client.connect();
+  assert.equal(protocolVersion, 1);
+  assert.deepEqual([...capabilities].sort(), Object.values(QD_REQUESTS).sort());
+});
+
+test('start_run starts a run and announces it', async () => {
+  const status = new Promise(resolve => {
+    const unsubscribe = client.on('status', (data) => {
+      unsubscribe();
+      resolve(data);
+    });
+  });
+  const { runId } = await client.startRun({ gridSize: [4, 4], batchSize: 8, seed: 3 });
+  assert.match(runId, /^mock-/);
+  assert.deepEqual(await status, { runId, state: 'running', generation: 0 });
+});
+
+test('pause stops the run', async () => {
+  const status = await client.pause();
+  assert.equal(status.state, 'paused');
+});
+
+test('step advances a paused run and pushes generation stats', async () => {
+  const { generation } = await client.getArchiveSnapshot();
+  const pushed = [];
+  const unsubscribe = client.onGenerationStats(stats => pushed.push(stats.generation));
+  const stats = await client.step(3);
+  unsubscribe();
+
+  assert.equal(stats.generation, generation + 3);
+  assert.deepEqual(pushed, [generation + 1, generation + 2, generation + 3]);
+  assert.ok(stats.archiveSize > 0);
+  assert.equal(stats.coverage, stats.archiveSize / 16);
+});
+
+test('get_archive_snapshot lists one elite per occupied cell', async () => {
+  const snapshot = await client.getArchiveSnapshot();
+  assert.deepEqual(snapshot.gridSize, [4, 4]);
+  assert.ok(snapshot.elites.length > 0);
+
+  const cells = new Set(snapshot.elites.map(elite => elite.cell.join(',')));
+  assert.equal(cells.size, snapshot.elites.length);
+  snapshot.elites.forEach(elite => {
+    assert.equal(typeof elite.genomeId, 'string');
+    assert.ok(elite.score >= 0 && elite.score <= 1);
+    elite.cell.forEach(coordinate => assert.ok(coordinate >= 0 && coordinate < 4));
+  });
+});
+
+test('get_elite_genome returns the genes of an elite in the archive', async () => {
+  const [elite] = (await client.getArchiveSnapshot()).elites;
+  const { genomeId, genome } = await client.getEliteGenome(elite.genomeId);
+  assert.equal(genomeId, elite.genomeId);
+  assert.equal(genome.genes.length, 8);
+});
+
+test('get_elite_genome fails for a genome that is not in the archive', async () => {
+  await assert.rejects(client.getEliteGenome('no-such-genome'), {
+    message: 'Genome no-such-genome is not in the archive'
+  });
+});
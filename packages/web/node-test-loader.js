@@ -0,0 +1,34 @@
+/**
+ * Lets `node --test` import the app's modules the way Vite serves them:
+ * relative imports without a file extension resolve to .js, and
+ * import.meta.env is empty, so the modules fall back to their defaults.
+ *
+ *   node --import ./node-test-loader.js --test src/utils/SoundRenderer.test.js
+ */
+
+import { register } from 'node:module';
+
+if (!import.meta.url.includes('?hooks')) {
+  register(`${import.meta.url}?hooks`);
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+  if (isRelative && !/\.[cm]?jsx?$/.test(specifier)) {
+    try {
+      return await nextResolve(`${specifier}.js`, context);
+    } catch {
+      // Not a module without its extension; let node report the original
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  const result = await nextLoad(url, context);
+  if (!url.includes('/src/') || url.includes('/node_modules/') || result.format !== 'module') {
+    return result;
+  }
+  const source = String(result.source).replace(/import\.meta\.env\b/g, '({})');
+  return { ...result, source };
+}
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the rendering service, speaking SoundRenderer's websocket
+ * protocol (src/utils/SoundRenderer.js): a JSON get_audio_data request in,
+ * the rendered sound as mono Int16 PCM out. Requests carrying a requestId are
+ * answered with an audio frame tagged with it (parseAudioFrame in
+ * src/utils/AudioFrame.js), so a client can have many renders in flight; requests
+ * without one get bare PCM. With stream: true as well, the sound is sent in
+ * chunks as it is rendered, each frame's header adding { offset, totalSamples,
+ * final } (offsets in samples). { type: 'cancel_render', requestId } drops a
+ * request: it is not rendered if still loading, and no more of its audio is sent.
+ *
+ *   node render-server.cjs [--port 3000] [--mode auto|test]
+ *
+ * The genome is loaded from the request's genomeStringUrl, e.g. from
+ * genome-server.cjs. With --mode test, or when the kromosynth renderer
+ * packages (kromosynth, node-web-audio-api) are not installed, the reply is
+ * deterministic test audio derived from the genome id and the render
+ * parameters. Test audio is computed chunk by chunk while streaming; the
+ * kromosynth renderer renders offline, so its chunks follow the whole render.
+ * Failures are sent as JSON: { type: 'error', requestId, error }.
+ *
+ * Point the web app at it with VITE_RENDERING_SOCKET_SERVER=ws://localhost:3000
+ * (the default when the app runs on localhost).
+ */
+
+const WebSocket = require('ws');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gunzip = promisify(zlib.gunzip);
+
+const getArg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+};
+
+const PORT = parseInt(getArg('port', process.env.KROMOSYNTH_RENDER_PORT || 3000), 10);
+const MODE = getArg('mode', process.env.KROMOSYNTH_RENDER_MODE || 'auto');
+const DEFAULT_SAMPLE_RATE = 48000;
+const MAX_DURATION = 60; // Seconds; keeps a bad request from allocating gigabytes
+const AUDIO_FRAME_MAGIC = 'KRAF';
+const STREAM_CHUNK_SAMPLES = 12000; // 250 ms at 48 kHz
+
+/**
+ * "KRAF" | uint32 LE header length | JSON header | PCM, with the header padded
+ * with spaces so the PCM stays 4-byte aligned
+ */
+function encodeAudioFrame(header, samples) {
+  let headerJson = JSON.stringify(header);
+  headerJson += ' '.repeat((4 - (Buffer.byteLength(headerJson) % 4)) % 4);
+  const headerBytes = Buffer.from(headerJson);
+  const prefix = Buffer.alloc(8);
+  prefix.write(AUDIO_FRAME_MAGIC, 0, 'ascii');
+  prefix.writeUInt32LE(headerBytes.length, 4);
+  return Buffer.concat([prefix, headerBytes, Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength)]);
+}
+
+// FNV-1a, to derive stable test sounds from genome ids
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+async function loadGenome(genomeStringUrl) {
+  const response = await fetch(genomeStringUrl);
+  if (!response.ok) {
+    throw new Error(`Could not load genome ${genomeStringUrl}: ${response.status} ${response.statusText}`);
+  }
+  let contents = Buffer.from(await response.arrayBuffer());
+  // Gzipped genome files may be served as they are on disk
+  if (contents[0] === 0x1f && contents[1] === 0x8b) {
+    contents = await gunzip(contents);
+  }
+  return JSON.parse(contents.toString('utf8'));
+}
+
+// Genome files hold either the genome or { genome, ... } with its metadata
+const getGenomeId = (genomeAndMeta, genomeStringUrl) =>
+  genomeAndMeta?._id || genomeAndMeta?.genome?._id || genomeAndMeta?.id || genomeStringUrl;
+
+/**
+ * A few decaying partials whose pitch and timbre follow the genome id, so the
+ * same request always yields the same samples
+ * @returns {{totalSamples: number, readSamples: function(number, number): Int16Array}}
+ */
+function createTestRender(genomeId, { duration, noteDelta, velocity, sampleRate }) {
+  const seed = hashString(String(genomeId));
+  const baseFrequency = 110 * Math.pow(2, ((seed % 24) + noteDelta) / 12);
+  const partials = Array.from({ length: 3 + (seed % 4) }, (_, index) => ({
+    ratio: index + 1 + ((seed >>> (index * 3)) % 8) / 100,
+    gain: 1 / (index + 1)
+  }));
+  const totalGain = partials.reduce((sum, partial) => sum + partial.gain, 0);
+  const decay = 1 + (seed % 5);
+  const amplitude = Math.min(Math.max(velocity, 0), 1) * 0.8;
+
+  const readSamples = (start, end) => {
+    const samples = new Int16Array(end - start);
+    for (let i = 0; i < samples.length; i++) {
+      const time = (start + i) / sampleRate;
+      // 5 ms attack avoids a click at the start
+      const envelope = Math.min(time / 0.005, 1) * Math.exp(-decay * time / duration);
+      let value = 0;
+      for (const { ratio, gain } of partials) {
+        value += gain * Math.sin(2 * Math.PI * baseFrequency * ratio * time);
+      }
+      samples[i] = Math.round((value / totalGain) * envelope * amplitude * 32767);
+    }
+    return samples;
+  };
+  return { totalSamples: Math.round(duration * sampleRate), readSamples };
+}
+
+let kromosynthRenderer;
+
+// The kromosynth renderer, when its packages are installed; null otherwise
+async function loadKromosynthRenderer() {
+  if (kromosynthRenderer !== undefined) return kromosynthRenderer;
+  try {
+    const { getAudioBufferFromGenomeAndMeta } = await import('kromosynth');
+    const { AudioContext, OfflineAudioContext } = await import('node-web-audio-api');
+    kromosynthRenderer = { getAudioBufferFromGenomeAndMeta, AudioContext, OfflineAudioContext };
+    console.log('Rendering with the kromosynth renderer');
+  } catch (error) {
+    console.log(`kromosynth renderer not available (${error.message}); rendering test audio`);
+    kromosynthRenderer = null;
+  }
+  return kromosynthRenderer;
+}
+
+async function renderWithKromosynth(renderer, genomeAndMeta, request) {
+  const { duration, noteDelta, velocity, sampleRate } = request;
+  const offlineContext = new renderer.OfflineAudioContext({
+    numberOfChannels: 2,
+    length: Math.round(duration * sampleRate),
+    sampleRate
+  });
+  const audioContext = new renderer.AudioContext({ sampleRate });
+  try {
+    const audioBuffer = await renderer.getAudioBufferFromGenomeAndMeta(
+      genomeAndMeta,
+      duration, noteDelta, velocity, !!request.reverse,
+      false, // asDataArray
+      offlineContext,
+      audioContext,
+      request.useOvertoneInharmonicityFactors !== false,
+      false, // useGPU
+      !!request.antiAliasing,
+      !!request.frequencyUpdatesApplyToAllPathcNetworkOutputs
+    );
+    const channel = audioBuffer.getChannelData(0);
+    const samples = Int16Array.from(channel, value => Math.round(Math.max(-1, Math.min(1, value)) * 32767));
+    return { totalSamples: samples.length, readSamples: (start, end) => samples.subarray(start, end) };
+  } finally {
+    audioContext.close?.();
+  }
+}
+
+class RenderCancelledError extends Error {}
+
+/**
+ * Load the request's genome and set up its render
+ * @returns {Promise<{totalSamples: number, readSamples: function(number, number): Int16Array}>}
+ */
+async function prepareRender(request, isCancelled = () => false) {
+  const params = {
+    duration: Math.min(Math.max(Number(request.duration) || 1, 0.01), MAX_DURATION),
+    noteDelta: Number(request.noteDelta) || 0,
+    velocity: request.velocity === undefined ? 1 : Number(request.velocity),
+    sampleRate: Number(request.sampleRate) || DEFAULT_SAMPLE_RATE
+  };
+  if (!request.genomeStringUrl) {
+    throw new Error('get_audio_data needs a genomeStringUrl');
+  }
+
+  const genomeAndMeta = await loadGenome(request.genomeStringUrl);
+  if (isCancelled()) {
+    throw new RenderCancelledError();
+  }
+  const renderer = MODE === 'test' ? null : await loadKromosynthRenderer();
+  if (renderer) {
+    return renderWithKromosynth(renderer, genomeAndMeta, { ...request, ...params });
+  }
+  return createTestRender(getGenomeId(genomeAndMeta, request.genomeStringUrl), params);
+}
+
+// Lets other requests on the connection, and cancel_render, through between chunks
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Send a render's samples as frames of STREAM_CHUNK_SAMPLES
+ * @returns {Promise<number>} Samples sent
+ */
+async function streamRender(socket, render, { requestId, sampleRate }, isCancelled) {
+  const { totalSamples } = render;
+  let offset = 0;
+  do {
+    await yieldToEventLoop();
+    if (isCancelled()) {
+      throw new RenderCancelledError();
+    }
+    const end = Math.min(offset + STREAM_CHUNK_SAMPLES, totalSamples);
+    const samples = render.readSamples(offset, end);
+    if (socket.readyState !== WebSocket.OPEN) break;
+    socket.send(encodeAudioFrame({ requestId, sampleRate, offset, totalSamples, final: end === totalSamples }, samples));
+    offset = end;
+  } while (offset < totalSamples);
+  return offset;
+}
+
+const server = new WebSocket.Server({ port: PORT });
+
+server.on('connection', (socket) => {
+  console.log('Client connected');
+  const rendering = new Set();
+  const cancelled = new Set();
+
+  socket.on('message', async (raw) => {
+    let request;
+    try {
+      request = JSON.parse(raw.toString());
+    } catch (error) {
+      socket.send(JSON.stringify({ type: 'error', error: `Invalid JSON: ${error.message}` }));
+      return;
+    }
+
+    const { requestId } = request;
+    if (request.type === 'cancel_render') {
+      if (requestId !== undefined && rendering.has(requestId)) cancelled.add(requestId);
+      return;
+    }
+    if (request.type !== 'get_audio_data') {
+      socket.send(JSON.stringify({ type: 'error', requestId, error: `Unknown request type ${request.type}` }));
+      return;
+    }
+
+    rendering.add(requestId);
+    try {
+      const startedAt = Date.now();
+      const isCancelled = () => cancelled.has(requestId);
+      const sampleRate = Number(request.sampleRate) || DEFAULT_SAMPLE_RATE;
+      const render = await prepareRender(request, isCancelled);
+      if (isCancelled()) {
+        throw new RenderCancelledError();
+      }
+      if (request.stream && requestId !== undefined) {
+        const sent = await streamRender(socket, render, { requestId, sampleRate }, isCancelled);
+        console.log(`Streamed ${request.genomeStringUrl} (${sent} samples, ${Date.now() - startedAt} ms)`);
+        return;
+      }
+      const samples = render.readSamples(0, render.totalSamples);
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(requestId === undefined
+          ? Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength)
+          : encodeAudioFrame({ requestId, sampleRate }, samples));
+      }
+      console.log(`Rendered ${request.genomeStringUrl} (${samples.length} samples, ${Date.now() - startedAt} ms)`);
+    } catch (error) {
+      if (error instanceof RenderCancelledError) {
+        console.log(`Cancelled ${request.genomeStringUrl}`);
+        return;
+      }
+      console.error('Render failed:', error.message);
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'error', requestId, error: error.message }));
+      }
+    } finally {
+      rendering.delete(requestId);
+      cancelled.delete(requestId);
+    }
+  });
+
+  socket.on('close', () => console.log('Client disconnected'));
+});
+
+server.on('listening', () => {
+  console.log(`Rendering stand-in listening on ws://localhost:${PORT} (mode: ${MODE})`);
+});
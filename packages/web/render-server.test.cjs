@@ -0,0 +1,155 @@
+/**
+ * Protocol test for render-server.cjs in test mode: the audio frames it sends,
+ * read with parseAudioFrame (src/utils/AudioFrame.js) as SoundRenderer reads them.
+ *
+ *   node --test render-server.test.cjs
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+const WebSocket = require('ws');
+
+const SAMPLE_RATE = 48000;
+const STREAM_CHUNK_SAMPLES = 12000;
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const startRenderServer = (port) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [path.join(__dirname, 'render-server.cjs'), '--port', String(port), '--mode', 'test'], {
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  child.once('error', reject);
+  child.once('exit', (code) => reject(new Error(`Render server exited with code ${code}`)));
+  child.stdout.on('data', (data) => {
+    if (data.toString().includes('listening')) resolve(child);
+  });
+});
+
+const genomeUrl = (id) => `data:application/json,${encodeURIComponent(JSON.stringify({ _id: id, genome: {} }))}`;
+
+const renderRequest = (fields) => JSON.stringify({
+  type: 'get_audio_data',
+  noteDelta: 0,
+  velocity: 1,
+  sampleRate: SAMPLE_RATE,
+  ...fields
+});
+
+let server;
+let socket;
+let parseAudioFrame;
+// Frames and JSON messages received, in order
+const received = [];
+let onReceived = () => {};
+
+// Messages received until the predicate holds for them
+const receiveUntil = (predicate) => new Promise(resolve => {
+  const check = () => {
+    if (predicate(received)) {
+      onReceived = () => {};
+      resolve(received.splice(0));
+    }
+  };
+  onReceived = check;
+  check();
+});
+
+before(async () => {
+  ({ parseAudioFrame } = await import('./src/utils/AudioFrame.js'));
+  const port = await getFreePort();
+  server = await startRenderServer(port);
+  socket = new WebSocket(`ws://127.0.0.1:${port}`);
+  socket.binaryType = 'arraybuffer';
+  socket.on('message', (data, isBinary) => {
+    received.push(isBinary ? parseAudioFrame(data) : JSON.parse(data.toString()));
+    onReceived();
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+});
+
+after(() => {
+  socket?.close();
+  server?.kill();
+});
+
+test('a request with a requestId is answered with one frame tagged with it', async () => {
+  socket.send(renderRequest({ requestId: 'r1', genomeStringUrl: genomeUrl('g1'), duration: 0.5 }));
+  const [frame] = await receiveUntil(messages => messages.length === 1);
+
+  assert.deepEqual(frame.header, { requestId: 'r1', sampleRate: SAMPLE_RATE });
+  assert.equal(frame.pcmData.length, 0.5 * SAMPLE_RATE);
+  assert.ok(frame.pcmData.some(sample => sample !== 0));
+});
+
+test('headers of any length keep the samples aligned', async () => {
+  const requestIds = ['a', 'ab', 'abc', 'abcd'];
+  requestIds.forEach(requestId => {
+    socket.send(renderRequest({ requestId, genomeStringUrl: genomeUrl('g1'), duration: 0.01 }));
+  });
+  const frames = await receiveUntil(messages => messages.length === requestIds.length);
+
+  assert.deepEqual(frames.map(frame => frame.header.requestId).sort(), requestIds);
+  frames.forEach(frame => assert.equal(frame.pcmData.length, 0.01 * SAMPLE_RATE));
+});
+
+test('a request without a requestId is answered with bare PCM', async () => {
+  socket.send(renderRequest({ genomeStringUrl: genomeUrl('g1'), duration: 0.5 }));
+  const [frame] = await receiveUntil(messages => messages.length === 1);
+
+  assert.deepEqual(frame.header, {});
+  assert.equal(frame.pcmData.length, 0.5 * SAMPLE_RATE);
+});
+
+test('a streamed render arrives in chunks that add up to the whole sound', async () => {
+  const totalSamples = SAMPLE_RATE;
+  socket.send(renderRequest({ requestId: 'r2', genomeStringUrl: genomeUrl('g2'), duration: 1 }));
+  const [whole] = await receiveUntil(messages => messages.length === 1);
+  socket.send(renderRequest({ requestId: 's2', genomeStringUrl: genomeUrl('g2'), duration: 1, stream: true }));
+  const chunks = await receiveUntil(messages => messages.at(-1)?.header?.final);
+
+  assert.deepEqual(chunks.map(({ header }) => [header.requestId, header.offset, header.totalSamples]), [
+    ['s2', 0, totalSamples],
+    ['s2', STREAM_CHUNK_SAMPLES, totalSamples],
+    ['s2', 2 * STREAM_CHUNK_SAMPLES, totalSamples],
+    ['s2', 3 * STREAM_CHUNK_SAMPLES, totalSamples]
+  ]);
+  assert.deepEqual(chunks.map(({ header }) => header.final), [false, false, false, true]);
+
+  const streamed = new Int16Array(totalSamples);
+  chunks.forEach(({ header, pcmData }) => streamed.set(pcmData, header.offset));
+  assert.deepEqual(streamed, whole.pcmData);
+});
+
+test('cancel_render stops a streamed render', async () => {
+  socket.send(renderRequest({ requestId: 'c1', genomeStringUrl: genomeUrl('g3'), duration: 30, stream: true }));
+  await receiveUntil(messages => messages.length > 0);
+  socket.send(JSON.stringify({ type: 'cancel_render', requestId: 'c1' }));
+
+  // A render sent after the cancel is answered, and nothing of c1 ends the stream
+  socket.send(renderRequest({ requestId: 'after', genomeStringUrl: genomeUrl('g3'), duration: 0.01 }));
+  const messages = await receiveUntil(sofar => sofar.some(({ header }) => header?.requestId === 'after'));
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const late = [...messages, ...received.splice(0)].filter(({ header }) => header?.requestId === 'c1');
+
+  assert.ok(late.length < (30 * SAMPLE_RATE) / STREAM_CHUNK_SAMPLES - 1);
+  assert.ok(late.every(({ header }) => !header.final));
+});
+
+test('failures are reported as JSON with the requestId', async () => {
+  socket.send(renderRequest({ requestId: 'e1', duration: 1 }));
+  const [message] = await receiveUntil(messages => messages.length === 1);
+  assert.deepEqual(message, { type: 'error', requestId: 'e1', error: 'get_audio_data needs a genomeStringUrl' });
+});
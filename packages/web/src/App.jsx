@@ -1,10 +1,14 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
-import { Settings, Play } from 'lucide-react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Settings, Play, FolderInput } from 'lucide-react';
 import { 
   BrowserRouter as Router, 
   Routes, 
   Route, 
   Navigate, 
+  Outlet,
+  useNavigate,
+  useLocation,
   useSearchParams,
   createBrowserRouter,
   createRoutesFromElements,
@@ -23,12 +27,22 @@ import FeedView from './components/FeedView';
 import SoundGarden from './components/SoundGarden';
 import ExplorationView from './components/ExplorationView';
 import UserProfile from './components/UserProfile';
+import PluginsPanel from './components/PluginsPanel';
 import NavigationBar from './components/NavigationBar';
 import { StrudelPatternProvider } from './components/strudelPatternContext';
 import { AuthProvider } from './contexts/AuthContext';
-import { DEFAULT_STRUDEL_CODE, LINEAGE_SOUNDS_BUCKET_HOST, UNIT_TYPES, DEFAULT_UNIT_CONFIGS, getRestServiceHost, REST_ENDPOINTS } from './constants';
+import { DEFAULT_STRUDEL_CODE, LINEAGE_SOUNDS_BUCKET_HOST, UNIT_TYPES, DEFAULT_UNIT_CONFIGS, getRestServiceHost, setImportedEvoruns, REST_ENDPOINTS, SESSION_FILE_FORMAT, SESSION_FILE_VERSION, SESSION_FILE_EXTENSION } from './constants';
+import { isElectronEnvironment } from '../../shared/src/index.js';
 import { UnitsProvider, useUnits } from './UnitsContext';
 import { setupVisualFeedbackMonitoring } from './utils/visualFeedbackTest';
+import { useMenuCommands } from './components/useMenuCommands';
+import { useSessionRecovery } from './components/useSessionRecovery';
+import { DETACHED_PANELS, WINDOW_MESSAGES, postWindowMessage, useWindowMessages, useDetachedPanels } from './components/useWindowBridge';
+import DetachedPanel from './components/DetachedPanel';
+import EvorunImportWizard from './components/EvorunImportWizard';
+import RenderingIndicator from './components/RenderingIndicator';
+import AudioFetcher from './utils/AudioFetcher';
+import { audioBufferToWav } from './utils/WavEncoder';
 
 const TopBar = ({ 
   showUnits, 
@@ -42,7 +56,8 @@ const TopBar = ({
   runs,
   evorunsSummary,
   steps,
-  lineageTreesIndex 
+  lineageTreesIndex,
+  onImportEvorun
 }) => {
   const [showRunSelector, setShowRunSelector] = useState(false);
   const [expandedGroups, setExpandedGroups] = useState({});
@@ -165,6 +180,20 @@ const TopBar = ({
     setShowRunSelector(false);
   };
 
+  // Desktop only: opens the wizard importing an evorun folder or .zip into the library
+  const importEvorunItem = onImportEvorun && (
+    <button
+      onClick={() => {
+        setShowRunSelector(false);
+        onImportEvorun();
+      }}
+      className="w-full p-2 text-left hover:bg-gray-700 text-sm text-blue-400 border-t border-gray-700 flex items-center gap-2"
+    >
+      <FolderInput size={14} />
+      Import Evorun…
+    </button>
+  );
+
   // Find the display name for the selected run
   const getSelectedRunDisplayName = () => {
     if (!selectedRun) return 'Select Run';
@@ -258,6 +287,7 @@ const TopBar = ({
                     )}
                   </div>
                 ))}
+              {importEvorunItem}
             </div>
           )}
           
@@ -277,6 +307,7 @@ const TopBar = ({
                   {run.replace(/_/g, ' ')}
                 </button>
               ))}
+              {importEvorunItem}
             </div>
           )}
         </div>
@@ -306,6 +337,22 @@ const TopBar = ({
   );
 };
 
+TopBar.propTypes = {
+  showUnits: PropTypes.bool,
+  setShowUnits: PropTypes.func,
+  selectedRun: PropTypes.string,
+  handleRunChange: PropTypes.func,
+  selectedIndex: PropTypes.number,
+  handleIndexChange: PropTypes.func,
+  showSettings: PropTypes.bool,
+  setShowSettings: PropTypes.func,
+  runs: PropTypes.arrayOf(PropTypes.string),
+  evorunsSummary: PropTypes.shape({ groups: PropTypes.object }),
+  steps: PropTypes.number,
+  lineageTreesIndex: PropTypes.objectOf(PropTypes.array),
+  onImportEvorun: PropTypes.func
+};
+
 function MainContent({ 
   lineageTreesIndex, 
   evorunsSummary,
@@ -335,6 +382,7 @@ function MainContent({
               hasAudioInteraction={props.hasAudioInteraction}
               onAudioInteraction={() => props.setHasAudioInteraction(true)}
               onCellHover={handleCellHover}
+              highlightGenomeId={props.highlightGenomeId}
             />
           ) : props.currentView === 'treeSVG' ? (
             <PhylogeneticViewerSVG 
@@ -366,9 +414,15 @@ function MainContent({
           activeView={props.currentView}
           onViewChange={props.handleViewChange}
         />
+
+        {/* Renders in SoundRenderer's queue; hidden while it is empty */}
+        <div className="absolute bottom-4 left-1/2 -translate-x-1/2 z-40">
+          <RenderingIndicator />
+        </div>
         
         {props.showUnits && (
-          <div className="fixed left-4 top-16 z-40">
+          // Stays mounted while detached: the panel owns the unit instances that play the audio
+          <div className={`fixed left-4 top-16 z-40 ${props.detachedPanels.includes(DETACHED_PANELS.UNITS) ? 'hidden' : ''}`}>
             <UnitsPanel
               units={props.units}
               onPlaybackChange={props.handleUnitPlaybackChange}
@@ -410,10 +464,46 @@ function MainContent({
   );
 }
 
+MainContent.propTypes = {
+  lineageTreesIndex: PropTypes.objectOf(PropTypes.array),
+  evorunsSummary: PropTypes.object,
+  treeData: PropTypes.object,
+  soundSourceError: PropTypes.string,
+  showUnits: PropTypes.bool,
+  setShowUnits: PropTypes.func,
+  selectedRun: PropTypes.string,
+  handleRunChange: PropTypes.func,
+  selectedIndex: PropTypes.number,
+  handleIndexChange: PropTypes.func,
+  showSettings: PropTypes.bool,
+  setShowSettings: PropTypes.func,
+  currentView: PropTypes.string,
+  handleViewChange: PropTypes.func,
+  units: PropTypes.arrayOf(PropTypes.object),
+  playingUnits: PropTypes.instanceOf(Set),
+  handleUnitPlaybackChange: PropTypes.func,
+  selectedUnitId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  handleSelectUnit: PropTypes.func,
+  handleAddUnit: PropTypes.func,
+  handleRemoveUnit: PropTypes.func,
+  handleToggleState: PropTypes.func,
+  handleUpdateVolume: PropTypes.func,
+  handleUpdateUnit: PropTypes.func,
+  hasAudioInteraction: PropTypes.bool,
+  setHasAudioInteraction: PropTypes.func,
+  handleCellHover: PropTypes.func,
+  lastHoverData: PropTypes.object,
+  highlightGenomeId: PropTypes.string,
+  detachedPanels: PropTypes.arrayOf(PropTypes.string),
+  onImportEvorun: PropTypes.func
+};
+
 function MainApp() {
   console.log('MainApp component starting...');
   
   const [searchParams, setSearchParams] = useSearchParams();
+  const location = useLocation();
+  const navigate = useNavigate();
   console.log('useSearchParams hook successful');
 
   // Initialize hasAudioInteraction based on view type
@@ -445,6 +535,7 @@ function MainApp() {
   const [evorunsSummary, setEvorunsSummary] = useState(null);
   const [showSettings, setShowSettings] = useState(false);
   const [showUnits, setShowUnits] = useState(true);
+  const [showImportWizard, setShowImportWizard] = useState(false);
   const [selectedUnitId, setSelectedUnitId] = useState(1); // Default to first unit
   const [lastHoverData, setLastHoverData] = useState(null);  // Add this state
   const [units, setUnits] = useState(() => [{
@@ -453,8 +544,78 @@ function MainApp() {
     ...DEFAULT_UNIT_CONFIGS[UNIT_TYPES.LOOPING]
   }]);
   const [playingUnits, setPlayingUnits] = useState(new Set());
+  // Genome to center in the tree (?highlight= or a kromosynth://genome link)
+  const [highlightGenomeId, setHighlightGenomeId] = useState(() => searchParams.get('highlight'));
+  // Evolution run of a genome link, resolved to a run and step once the index is loaded
+  const [pendingEvoRunId, setPendingEvoRunId] = useState(null);
+  // Shown in a dismissible banner (deep links, session files, audio export)
+  const [appError, setAppError] = useState(null);
   console.log('All useState hooks successful');
 
+  const { playAllUnits, stopAllUnits, captureUnitStates, queueUnitStates } = useUnits();
+  // Where "Save Session" writes without asking again
+  const sessionPathRef = useRef(null);
+  // getSessionWork() of the session as last saved, opened or started, so a
+  // session link does not replace unsaved work without asking
+  const savedWorkRef = useRef(null);
+  const hasUnsavedWorkRef = useRef(() => false);
+
+
+  // Apply kromosynth:// links routed here by DeepLinkRoot
+  useEffect(() => {
+    const link = location.state?.deepLink;
+    if (!link) return;
+
+    setAppError(null);
+    if (link.type === 'run') {
+      setSelectedRun(link.experiment);
+      setSelectedIndex(link.step);
+      setCurrentView('tree');
+    } else if (link.type === 'genome') {
+      setHighlightGenomeId(link.genomeId);
+      setPendingEvoRunId(link.evoRunId);
+      setCurrentView('tree');
+    } else if (link.type === 'session') {
+      const session = link.session;
+      if (link.error || session?.format !== SESSION_FILE_FORMAT) {
+        setAppError(link.error || `${link.path} is not a kromosynth session file`);
+        return;
+      }
+      // Links from Open Session and the autosave restore were asked for in the app
+      if (!link.confirmed && !confirmReplaceSession(link.path)) return;
+      if (session.run) setSelectedRun(session.run);
+      setSelectedIndex(session.step || 0);
+      setCurrentView(session.view || 'tree');
+      if (Array.isArray(session.units) && session.units.length > 0) {
+        setUnits(session.units);
+        setSelectedUnitId(session.units[0].id);
+        savedWorkRef.current = getSessionWork(session);
+      }
+      // Sequences, trajectories and live code, applied as the units are created
+      queueUnitStates(session.unitStates || {});
+    }
+  }, [location.state, queueUnitStates]);
+
+  // Find the run and step holding a linked genome's evolution run
+  useEffect(() => {
+    if (!pendingEvoRunId || !lineageTreesIndex) return;
+
+    for (const [experiment, steps] of Object.entries(lineageTreesIndex)) {
+      // Latest step of that evolution run
+      for (let index = steps.length - 1; index >= 0; index--) {
+        if (getEvoRunIdFromSelectedStep(steps[index]) === pendingEvoRunId) {
+          setSelectedRun(experiment);
+          setSelectedIndex(index);
+          setPendingEvoRunId(null);
+          return;
+        }
+      }
+    }
+
+    setAppError(`Evolution run ${pendingEvoRunId} is not available from the current sound source`);
+    setPendingEvoRunId(null);
+  }, [pendingEvoRunId, lineageTreesIndex]);
+
   // Initialize visual feedback monitoring for LiveCoding units
   useEffect(() => {
     console.log('🎨 Initializing visual feedback monitoring...');
@@ -525,11 +686,15 @@ function MainApp() {
     if (fetchedIndexRef.current) return;
     
     const restServiceHost = getRestServiceHost();
+    const importedEvoruns = fetchImportedEvoruns();
     fetch(`${restServiceHost}${REST_ENDPOINTS.EVORUNS_SUMMARY}`)
       .then(response => {
         if (!response.ok) throw new Error('REST service unreachable');
         return response.json();
       })
+      // Runs imported into the desktop library are listed with the REST runs
+      .then(restSummary => importedEvoruns.then(imported =>
+        (imported && restSummary.groups ? mergeSummaryGroups(restSummary, imported.groups) : restSummary)))
       .then(summary => {
         // Transform the REST response to match the expected lineageTreesIndex format
         const index = {};
@@ -603,15 +768,28 @@ function MainApp() {
             if (!response.ok) throw new Error('Sound source unreachable');
             return response.json();
           })
-          .then(index => {
-            setLineageTreesIndex(index);
+          .then(index => importedEvoruns.then(imported => {
+            setLineageTreesIndex(addGroupsToIndex(index, imported?.groups));
             fetchedIndexRef.current = true;
             // Clear any existing error message on successful load
             setSoundSourceError(null);
-          })
+          }))
           .catch(fallbackError => {
-            setSoundSourceError('Neither REST service nor static file source can be reached. Please check your settings or choose another source.');
             console.error('Error loading index from both sources:', { restError: error, staticError: fallbackError });
+            importedEvoruns.then(imported => {
+              if (!imported?.runs.length) {
+                setSoundSourceError('Neither REST service nor static file source can be reached. Please check your settings or choose another source.');
+                return;
+              }
+              // Imported runs are on disk, so they can still be browsed
+              const index = addGroupsToIndex({}, imported.groups);
+              setLineageTreesIndex(index);
+              setEvorunsSummary({ groups: imported.groups });
+              fetchedIndexRef.current = true;
+              if (!selectedRun || selectedRun === 'null') {
+                setSelectedRun(Object.keys(index)[0]);
+              }
+            });
           });
       });
   }, []);
@@ -631,11 +809,11 @@ function MainApp() {
     // Clear current data before fetching new data
     setTreeData(null);
     
-    const restServiceHost = getRestServiceHost();
     // Extract folderName and ulid from treePath
     const pathParts = treePath.split('/');
     const folderName = pathParts[0];
     const ulid = pathParts[1];
+    const restServiceHost = getRestServiceHost(folderName);
     
     // Try gzipped version first
     const gzippedTreeFilePath = `analysisResults/trees/tree_${folderName}_all.json.gz`;
@@ -736,9 +914,35 @@ function MainApp() {
     setSelectedRun(run);
     // Reset selectedIndex to 0 when changing runs to prevent out-of-bounds access
     setSelectedIndex(0);
+    setHighlightGenomeId(null);
     const newParams = new URLSearchParams(searchParams);
     newParams.set('run', run);
     newParams.set('step', '0'); // Reset step to 0
+    newParams.delete('highlight');
+    setSearchParams(newParams, { replace: true });
+  };
+
+  // Select a run just imported into the desktop library, after listing it
+  const handleEvorunImported = async (run) => {
+    const imported = await fetchImportedEvoruns();
+    if (!imported) return;
+
+    const index = addGroupsToIndex(lineageTreesIndex, imported.groups);
+    setLineageTreesIndex(index);
+    // Without a summary (static file fallback) the run selector lists experiments from the index
+    if (evorunsSummary || !lineageTreesIndex) {
+      setEvorunsSummary(mergeSummaryGroups(evorunsSummary || { groups: {} }, imported.groups));
+    }
+
+    const position = index[run.experiment]?.indexOf(`${run.folderName}/${run.ulid}`);
+    if (position === undefined || position === -1) return;
+    setSelectedRun(run.experiment);
+    setSelectedIndex(position);
+    setHighlightGenomeId(null);
+    const newParams = new URLSearchParams(searchParams);
+    newParams.set('run', run.experiment);
+    newParams.set('step', position.toString());
+    newParams.delete('highlight');
     setSearchParams(newParams, { replace: true });
   };
 
@@ -840,6 +1044,190 @@ function MainApp() {
     );
   };
 
+  const buildSession = () => ({
+    format: SESSION_FILE_FORMAT,
+    version: SESSION_FILE_VERSION,
+    run: selectedRun,
+    step: selectedIndex,
+    view: currentView,
+    // Hover data belongs to the moment, not the session
+    units: units.map(unit => ({ ...unit, lastHoverData: undefined })),
+    unitStates: captureUnitStates()
+  });
+
+  // The session the app starts with has nothing to lose
+  if (savedWorkRef.current === null) {
+    savedWorkRef.current = getSessionWork(buildSession());
+  }
+  hasUnsavedWorkRef.current = () => getSessionWork(buildSession()) !== savedWorkRef.current;
+
+  // Whether the user agrees to replace a session with unsaved changes
+  const confirmReplaceSession = (replacement) => !hasUnsavedWorkRef.current() ||
+    window.confirm(`Open ${replacement}? Changes to the current session that have not been saved will be lost.`);
+
+  // Autosaved to the desktop app's user data, offered for restore after a crash
+  const { recoveryOffer, restore: restoreAutosave, dismiss: dismissRecovery } = useSessionRecovery(buildSession);
+
+  const handleRestoreAutosave = async () => {
+    // Choosing to restore is the confirmation
+    const link = { type: 'session', path: 'the autosaved session', confirmed: true };
+    try {
+      link.session = await restoreAutosave();
+    } catch (err) {
+      link.error = `Could not restore the autosaved session: ${err.message}`;
+    }
+    stopAllUnits();
+    sessionPathRef.current = null;
+    navigate(getDeepLinkPath(link), { state: { deepLink: link } });
+  };
+
+  const sessionFileFilters = [{ name: 'kromosynth Sessions', extensions: [SESSION_FILE_EXTENSION] }];
+
+  const handleNewSession = () => {
+    stopAllUnits();
+    const unit = {
+      id: Date.now(),
+      type: UNIT_TYPES.LOOPING,
+      ...DEFAULT_UNIT_CONFIGS[UNIT_TYPES.LOOPING]
+    };
+    setUnits([unit]);
+    setSelectedUnitId(unit.id);
+    sessionPathRef.current = null;
+    savedWorkRef.current = getSessionWork({ units: [unit] });
+  };
+
+  // Opened sessions are applied like kromosynth://session links
+  const handleOpenSession = async () => {
+    const { canceled, filePaths } = await window.electronAPI.showOpenDialog({
+      title: 'Open Session',
+      filters: sessionFileFilters
+    });
+    if (canceled || filePaths.length === 0) return;
+
+    const link = { type: 'session', path: filePaths[0], confirmed: true };
+    try {
+      link.session = JSON.parse(new TextDecoder().decode(await window.electronAPI.readFile(link.path)));
+    } catch (err) {
+      link.error = `Could not open session ${link.path}: ${err.message}`;
+    }
+    if (!link.error && !confirmReplaceSession(link.path)) return;
+    stopAllUnits();
+    // The open dialog only grants reading, so the next save asks where to write
+    sessionPathRef.current = null;
+    navigate(getDeepLinkPath(link), { state: { deepLink: link } });
+  };
+
+  const handleSaveSession = async ({ saveAs = false } = {}) => {
+    let filePath = saveAs ? null : sessionPathRef.current;
+    if (!filePath) {
+      const result = await window.electronAPI.showSaveDialog({
+        title: 'Save Session',
+        defaultPath: `${selectedRun || 'session'}.${SESSION_FILE_EXTENSION}`,
+        filters: sessionFileFilters
+      });
+      if (result.canceled || !result.filePath) return;
+      filePath = result.filePath;
+    }
+
+    const session = buildSession();
+    const result = await window.electronAPI.writeFile(filePath, JSON.stringify(session, null, 2));
+    if (result.success) {
+      sessionPathRef.current = filePath;
+      savedWorkRef.current = getSessionWork(session);
+    } else {
+      setAppError(`Could not save session: ${result.error}`);
+    }
+  };
+
+  // Write the last hovered sound, as rendered with its current parameters, to a WAV file
+  const handleExportAudio = async () => {
+    const genomeId = lastHoverData?.data?.id;
+    if (!genomeId) {
+      setAppError('Hover over a sound in the tree or heatmap to choose what to export');
+      return;
+    }
+
+    const renderParams = {
+      duration: lastHoverData.config?.duration || 4,
+      pitch: lastHoverData.config?.noteDelta || 0,
+      velocity: lastHoverData.config?.velocity || 1
+    };
+    const { canceled, filePath } = await window.electronAPI.showSaveDialog({
+      title: 'Export Audio',
+      defaultPath: `${genomeId}-${renderParams.duration}_${renderParams.pitch}_${renderParams.velocity}.wav`,
+      filters: [{ name: 'WAV Audio', extensions: ['wav'] }]
+    });
+    if (canceled || !filePath) return;
+
+    try {
+      // Only used to decode pre-rendered WAVs
+      const audioContext = new OfflineAudioContext(1, 1, 48000);
+      const audioBuffer = await AudioFetcher.getAudioData(
+        { genomeId, experiment: lastHoverData.experiment, evoRunId: lastHoverData.evoRunId },
+        renderParams,
+        audioContext
+      );
+      const result = await window.electronAPI.writeFile(filePath, new Uint8Array(audioBufferToWav(audioBuffer)));
+      if (!result.success) throw new Error(result.error);
+    } catch (err) {
+      setAppError(`Could not export audio: ${err.message}`);
+    }
+  };
+
+  // Detached panel windows mirror the units, run and step, and send back
+  // hovers and unit actions; the audio keeps playing in this window
+  const detachedPanels = useDetachedPanels();
+  const detachedState = useMemo(() => {
+    const treePath = lineageTreesIndex?.[selectedRun]?.[selectedIndex];
+    return {
+      selectedRun,
+      selectedIndex,
+      evoRunId: getEvoRunIdFromSelectedStep(treePath),
+      matrixUrls: getMatrixUrlFromTreePath(treePath),
+      selectedUnitId,
+      playingUnits: Array.from(playingUnits),
+      units: units.map(({ id, type, active, muted, soloed, volume }) => ({ id, type, active, muted, soloed, volume }))
+    };
+  }, [lineageTreesIndex, selectedRun, selectedIndex, selectedUnitId, playingUnits, units]);
+
+  useEffect(() => {
+    if (detachedPanels.length > 0) {
+      postWindowMessage(WINDOW_MESSAGES.APP_STATE, detachedState);
+    }
+  }, [detachedPanels, detachedState]);
+
+  useWindowMessages({
+    [WINDOW_MESSAGES.REQUEST_STATE]: () => postWindowMessage(WINDOW_MESSAGES.APP_STATE, detachedState),
+    [WINDOW_MESSAGES.CELL_HOVER]: (cellData) => handleCellHover(cellData),
+    [WINDOW_MESSAGES.UNIT_ACTION]: ({ action, unitId, ...args }) => {
+      switch (action) {
+        case 'select': handleSelectUnit(unitId); break;
+        case 'toggle': handleToggleState(unitId, args.state); break;
+        case 'volume': handleUpdateVolume(unitId, args.volume); break;
+        case 'remove': handleRemoveUnit(unitId); break;
+        case 'add': handleAddUnit(args.unitType); break;
+        case 'play-all': playAllUnits(); break;
+        case 'stop-all': stopAllUnits(); break;
+        default: console.warn('Unknown unit action from a detached panel:', action);
+      }
+    }
+  });
+
+  // Native menu of the desktop app
+  useMenuCommands({
+    'new-session': handleNewSession,
+    'open-session': handleOpenSession,
+    'save-session': () => handleSaveSession(),
+    'save-session-as': () => handleSaveSession({ saveAs: true }),
+    'export-audio': handleExportAudio,
+    'import-evorun': () => setShowImportWizard(true),
+    'set-view': ({ view }) => handleViewChange(view),
+    'toggle-units-panel': () => setShowUnits(prev => !prev),
+    'add-unit': ({ unitType }) => handleAddUnit(unitType),
+    'play-all': playAllUnits,
+    'stop-all': stopAllUnits
+  });
+
 
   return (
     <div className="h-screen w-screen flex flex-col bg-gray-950">
@@ -879,16 +1267,96 @@ function MainApp() {
           setHasAudioInteraction={setHasAudioInteraction}
           handleCellHover={handleCellHover}
           lastHoverData={lastHoverData}
+          highlightGenomeId={highlightGenomeId}
+          detachedPanels={detachedPanels}
+          onImportEvorun={window.electronAPI?.inspectEvorun ? () => setShowImportWizard(true) : null}
         />
       </div>
+
+      {showImportWizard && (
+        <EvorunImportWizard
+          onClose={() => setShowImportWizard(false)}
+          onImported={handleEvorunImported}
+        />
+      )}
+
+      {appError && (
+        <div className="fixed top-16 left-1/2 -translate-x-1/2 z-50 bg-red-700 text-white text-sm px-4 py-2 rounded shadow-lg flex items-center gap-3">
+          <span>{appError}</span>
+          <button onClick={() => setAppError(null)} className="text-white/80 hover:text-white">
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {recoveryOffer && (
+        <div className="fixed top-28 left-1/2 -translate-x-1/2 z-50 bg-gray-800 text-white text-sm px-4 py-2 rounded shadow-lg flex items-center gap-3">
+          <span>
+            {RECOVERY_REASONS[recoveryOffer.reason] || 'kromosynth crashed'}.
+            {' '}Restore the session autosaved at {new Date(recoveryOffer.savedAt).toLocaleTimeString()}?
+          </span>
+          <button onClick={handleRestoreAutosave} className="px-2 py-0.5 rounded bg-blue-600 hover:bg-blue-500">
+            Restore
+          </button>
+          <button onClick={dismissRecovery} className="text-white/80 hover:text-white">
+            Dismiss
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
+// What of a session is the user's work, to tell whether it changed since it was
+// saved: its units and their sequences, trajectories and code
+const getSessionWork = ({ units, unitStates }) => JSON.stringify({ units, unitStates: unitStates || {} });
+
+// Why the main process offers to restore the autosave (see session-recovery.js)
+const RECOVERY_REASONS = {
+  'previous-run': 'kromosynth did not quit cleanly',
+  unresponsive: 'kromosynth stopped responding and was restarted',
+  oom: 'kromosynth ran out of memory'
+};
+
+// Route of the view a kromosynth:// link opens
+function getDeepLinkPath(link) {
+  const params = new URLSearchParams({ view: 'tree' });
+  if (link.type === 'run') {
+    params.set('run', link.experiment);
+    params.set('step', String(link.step));
+  } else if (link.type === 'genome') {
+    params.set('highlight', link.genomeId);
+  }
+  return `/tree?${params.toString()}`;
+}
+
+// Root route: forwards kromosynth:// links from the Electron main process into the router
+function DeepLinkRoot() {
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (!isElectronEnvironment() || !window.electronAPI.onDeepLink) return;
+
+    const openLink = (link) => {
+      if (!link) return;
+      navigate(getDeepLinkPath(link), { state: { deepLink: link } });
+    };
+
+    const unsubscribe = window.electronAPI.onDeepLink(openLink);
+    window.electronAPI.consumeDeepLink()
+      .then(openLink)
+      .catch(error => console.error('Error reading deep link:', error));
+
+    return unsubscribe;
+  }, [navigate]);
+
+  return <Outlet />;
+}
+
 // Create router with future flags
 const router = createBrowserRouter(
   createRoutesFromElements(
-    <Route>
+    <Route element={<DeepLinkRoot />}>
       <Route path="/strudel-repl-test" element={<StrudelReplTest />} />
       <Route path="/dynamic-strudel-test" element={<DynamicStrudelTest />} />
       <Route path="/dynamic-strudel-test-simple" element={<DynamicStrudelTestSimple />} />
@@ -898,6 +1366,7 @@ const router = createBrowserRouter(
       <Route path="/user/:userId" element={<UserProfileApp />} />
       <Route path="/exploration" element={<ExplorationApp />} />
       <Route path="/tree" element={<TreeApp />} />
+      <Route path="/plugins" element={<PluginsApp />} />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Route>
   ),
@@ -1004,7 +1473,28 @@ function UserProfileApp() {
   );
 }
 
+// Plugins App wrapper
+function PluginsApp() {
+  return (
+    <div className="h-screen w-screen flex flex-col bg-gray-950">
+      <div className="sticky top-0 z-50 bg-gray-900 border-b border-gray-700 px-2 md:px-4 py-3 shadow-sm">
+        <NavigationBar />
+      </div>
+      <div className="flex-1 w-full min-h-0">
+        <PluginsPanel />
+      </div>
+    </div>
+  );
+}
+
+// Set when the desktop app opened this window for a single panel (see DetachedPanel)
+const detachedPanel = new URLSearchParams(window.location.search).get('detached');
+
 function App() {
+  if (detachedPanel) {
+    return <DetachedPanel panel={detachedPanel} />;
+  }
+
   return (
     <AuthProvider>
       <StrudelPatternProvider>
@@ -1041,6 +1531,51 @@ function getEvoRunIdFromSelectedStep(treeJSONfilePath) {
   return folderName;
 }
 
+// Runs imported into the desktop app's evorun library, or null outside it
+function fetchImportedEvoruns() {
+  if (!window.electronAPI?.listImportedEvoruns) return Promise.resolve(null);
+  return window.electronAPI.listImportedEvoruns()
+    .then(imported => {
+      setImportedEvoruns(imported.runs.map(run => run.folderName));
+      return imported;
+    })
+    .catch(error => {
+      console.warn('Could not list imported evoruns:', error);
+      return null;
+    });
+}
+
+// Add runs grouped by date and experiment to a summary, skipping runs it already lists
+function mergeSummaryGroups(summary, groups) {
+  const merged = { ...summary, groups: { ...summary.groups } };
+  const listed = new Set(Object.values(merged.groups)
+    .flatMap(dateGroup => Object.values(dateGroup).flat().map(evorun => evorun.folderName)));
+  for (const [dateKey, dateGroup] of Object.entries(groups || {})) {
+    for (const [experimentKey, evoruns] of Object.entries(dateGroup)) {
+      const unlisted = evoruns.filter(evorun => !listed.has(evorun.folderName));
+      if (unlisted.length === 0) continue;
+      merged.groups[dateKey] = { ...merged.groups[dateKey] };
+      merged.groups[dateKey][experimentKey] = [...(merged.groups[dateKey][experimentKey] || []), ...unlisted];
+    }
+  }
+  return merged;
+}
+
+// Append the runs of summary groups to a lineageTreesIndex, as 'folderName/ulid' entries
+function addGroupsToIndex(index, groups) {
+  const merged = { ...index };
+  for (const dateKey of Object.keys(groups || {}).sort((a, b) => b.localeCompare(a))) {
+    for (const experimentKey of Object.keys(groups[dateKey]).sort()) {
+      const entries = groups[dateKey][experimentKey].map(evorun => `${evorun.folderName}/${evorun.ulid}`);
+      merged[experimentKey] = [
+        ...(merged[experimentKey] || []),
+        ...entries.filter(entry => !merged[experimentKey]?.includes(entry))
+      ];
+    }
+  }
+  return merged;
+}
+
 function getMatrixUrlFromTreePath(treePath) {
   if (!treePath) return null;
   
@@ -1049,7 +1584,7 @@ function getMatrixUrlFromTreePath(treePath) {
   const ulid = treePathParts[1];
   
   // For REST service, construct the matrix endpoint using the MATRIX endpoint
-  const restServiceHost = getRestServiceHost();
+  const restServiceHost = getRestServiceHost(folderName);
   const restUrl = `${restServiceHost}${REST_ENDPOINTS.MATRIX(folderName, ulid)}`;
   
   // For fallback, construct the matrix filename based on the ULID
@@ -17,7 +17,7 @@ class ErrorBoundary extends React.Component {
       errorInfo: errorInfo
     });
     
-    // Send error to main process if in Electron
+    // Send error to the main process log if in Electron
     if (window.electronAPI) {
       window.electronAPI.logError?.({
         error: error.toString(),
@@ -57,6 +57,22 @@ class ErrorBoundary extends React.Component {
             >
               Reload Page
             </button>
+            {window.electronAPI?.exportDiagnosticBundle && (
+              <>
+                <button
+                  onClick={() => window.electronAPI.revealLogs()}
+                  className="mt-4 ml-2 bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded"
+                >
+                  Reveal Logs
+                </button>
+                <button
+                  onClick={() => window.electronAPI.exportDiagnosticBundle()}
+                  className="mt-4 ml-2 bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded"
+                >
+                  Export Diagnostic Bundle
+                </button>
+              </>
+            )}
           </div>
         </div>
       );
@@ -120,6 +120,72 @@ export function UnitsProvider({ children }) {
     return instance;
   }, []);
 
+  // Sequences, trajectories and code of units restored from a session, keyed by
+  // unit id, waiting for UnitsPanel to create the unit instances
+  const pendingUnitStatesRef = useRef(new Map());
+
+  // Session state of every unit (see BaseUnit.getSessionState)
+  const captureUnitStates = useCallback(() => {
+    const states = {};
+    unitsRef.current.forEach((instance, unitId) => {
+      try {
+        const state = instance.getSessionState?.();
+        if (state) {
+          // Sequence items may carry callbacks from hover data
+          states[unitId] = JSON.parse(JSON.stringify(state));
+        }
+      } catch (err) {
+        console.warn(`UnitsContext: Could not capture state of unit ${unitId}:`, err);
+      }
+    });
+    return states;
+  }, []);
+
+  const restorePendingUnitState = useCallback((unitId, instance) => {
+    const key = String(unitId);
+    const state = pendingUnitStatesRef.current.get(key);
+    if (!state) return;
+
+    pendingUnitStatesRef.current.delete(key);
+    try {
+      instance.restoreSessionState?.(state);
+    } catch (err) {
+      console.warn(`UnitsContext: Could not restore state of unit ${unitId}:`, err);
+    }
+  }, []);
+
+  // Restore unit states from a session; units not created yet get theirs on creation
+  const queueUnitStates = useCallback((states = {}) => {
+    pendingUnitStatesRef.current = new Map(Object.entries(states));
+    unitsRef.current.forEach((instance, unitId) => restorePendingUnitState(unitId, instance));
+  }, [restorePendingUnitState]);
+
+  // Transport for every unit (desktop menu Play All / Stop All)
+  const playAllUnits = useCallback(() => {
+    unitsRef.current.forEach(instance => {
+      if (instance.type === UNIT_TYPES.TRAJECTORY) {
+        instance.trajectories?.forEach((trajectory, trajectoryId) => {
+          if (!trajectory.isPlaying) instance.playTrajectory(trajectoryId);
+        });
+      } else if (instance.type === UNIT_TYPES.SEQUENCING || instance.type === UNIT_TYPES.LIVE_CODING) {
+        if (!instance.isPlaying) instance.play();
+      }
+      // Looping units start voices from hovering; there is nothing queued to play
+    });
+  }, []);
+
+  const stopAllUnits = useCallback(() => {
+    unitsRef.current.forEach(instance => {
+      if (instance.type === UNIT_TYPES.TRAJECTORY) {
+        instance.trajectories?.forEach((trajectory, trajectoryId) => instance.stopTrajectory(trajectoryId));
+      } else if (instance.type === UNIT_TYPES.LOOPING) {
+        Array.from(instance.loopingVoices?.keys() || []).forEach(genomeId => instance.stopLoopingVoice(genomeId));
+      } else {
+        instance.stop?.();
+      }
+    });
+  }, []);
+
   return (
     <UnitsContext.Provider value={{ 
       units, 
@@ -132,7 +198,12 @@ export function UnitsProvider({ children }) {
       modifiedParameters,
       updateModifiedParameters,
       resetModifiedParameters,
-      getUnitInstance // Expose the method
+      getUnitInstance, // Expose the method
+      playAllUnits,
+      stopAllUnits,
+      captureUnitStates,
+      queueUnitStates,
+      restorePendingUnitState
     }}>
       {children}
     </UnitsContext.Provider>
@@ -12,6 +12,7 @@ class AudioEngine {
     this.context = null;
     this.initialized = false;
     this.unitNodes = new Map(); // Track audio nodes from each unit
+    this.unitOutputs = new Map(); // Web Audio outputs of units, for sounds played outside Elementary
   }
 
   async initialize() {
@@ -82,7 +83,7 @@ class AudioEngine {
 
   // Register a unit's audio nodes
   setUnitNodes(unitId, nodes, config = { volume: -12, active: true, soloed: false }) {
-    const { volume, active, soloed } = config;
+    const { volume, active, soloed, muted = false } = config;
     console.log('AudioEngine: Setting unit nodes:', {
       unitId,
       nodeCount: nodes.length,
@@ -98,7 +99,9 @@ class AudioEngine {
     
     this.unitNodes.set(unitId, {
       nodes: volumeAdjustedNodes,
+      volume,
       active,
+      muted,
       soloed
     });
     
@@ -108,13 +111,46 @@ class AudioEngine {
   // Remove a unit's audio nodes
   removeUnitNodes(unitId) {
     this.unitNodes.delete(unitId);
+    this.unitOutputs.get(unitId)?.disconnect();
+    this.unitOutputs.delete(unitId);
     this.updateAudioGraph();
   }
 
+  /**
+   * Gain node for a unit's sounds played with the Web Audio API instead of
+   * Elementary, such as streamed chunks. It follows the unit's volume and its
+   * active and soloed state like the unit's nodes, and is silent while muted.
+   * @param {string|number} unitId
+   * @returns {GainNode}
+   */
+  getUnitOutput(unitId) {
+    if (!this.unitOutputs.has(unitId)) {
+      const output = this.context.createGain();
+      output.connect(this.context.destination);
+      this.unitOutputs.set(unitId, output);
+      this.updateUnitOutputs();
+    }
+    return this.unitOutputs.get(unitId);
+  }
+
+  updateUnitOutputs() {
+    const hasSoloedUnits = Array.from(this.unitNodes.values())
+      .some(unit => unit.soloed);
+
+    this.unitOutputs.forEach((output, unitId) => {
+      // Units that have not set their nodes yet play with the default config
+      const { volume = -12, active = true, muted = false, soloed = false } = this.unitNodes.get(unitId) || {};
+      const audible = active && !muted && (!hasSoloedUnits || soloed);
+      output.gain.setTargetAtTime(audible ? this.dbToGain(volume) : 0, this.context.currentTime, 0.01);
+    });
+  }
+
   // Consolidate and render the full audio graph
   updateAudioGraph() {
     if (!this.initialized) return;
 
+    this.updateUnitOutputs();
+
     // Firefox-specific: Check if AudioContext is suspended before playback
     const isFirefox = navigator.userAgent.toLowerCase().indexOf('firefox') > -1;
     if (isFirefox && this.context.state === 'suspended') {
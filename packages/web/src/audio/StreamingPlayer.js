@@ -0,0 +1,91 @@
+// Small lead before the first chunk, so it is not scheduled in the past
+const START_LATENCY = 0.05;
+
+/**
+ * Plays a sound from the chunks SoundRenderer streams in (the onChunk render
+ * option), scheduling each one right after the previous. When a chunk arrives
+ * after its turn, the rest of the sound is pushed back instead of skipping audio.
+ */
+export class StreamingPlayer {
+  /**
+   * @param {AudioContext} context
+   * @param {Object} [options]
+   * @param {AudioNode} [options.destination] - context.destination by default
+   * @param {number} [options.gain] - Linear gain, 1 by default
+   * @param {Function} [options.onEnded] - Called once everything added has played, after finish()
+   */
+  constructor(context, { destination, gain = 1, onEnded } = {}) {
+    this.context = context;
+    this.output = context.createGain();
+    this.output.gain.value = gain;
+    this.output.connect(destination || context.destination);
+    this.onEnded = onEnded;
+    this.sources = new Set();
+    this.startTime = null;
+    this.finished = false;
+    this.stopped = false;
+  }
+
+  /**
+   * Schedule a chunk
+   * @param {AudioBuffer} audioBuffer
+   * @param {number} offset - Where the chunk starts in the sound, in seconds
+   */
+  addChunk(audioBuffer, offset) {
+    if (this.stopped) return;
+
+    const now = this.context.currentTime;
+    if (this.startTime === null) {
+      this.startTime = now + START_LATENCY - offset;
+    } else if (this.startTime + offset < now) {
+      this.startTime = now - offset;
+    }
+
+    const source = this.context.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(this.output);
+    source.onended = () => {
+      this.sources.delete(source);
+      source.disconnect();
+      this.checkEnded();
+    };
+    this.sources.add(source);
+    source.start(this.startTime + offset);
+  }
+
+  /**
+   * Play a whole sound, e.g. one that was already rendered
+   * @param {AudioBuffer} audioBuffer
+   */
+  play(audioBuffer) {
+    this.addChunk(audioBuffer, 0);
+    this.finish();
+  }
+
+  /**
+   * No more chunks are coming; onEnded follows the last one
+   */
+  finish() {
+    this.finished = true;
+    this.checkEnded();
+  }
+
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    this.sources.forEach(source => {
+      source.onended = null;
+      source.stop();
+      source.disconnect();
+    });
+    this.sources.clear();
+    this.output.disconnect();
+  }
+
+  checkEnded() {
+    if (this.finished && !this.stopped && this.sources.size === 0) {
+      this.stop();
+      this.onEnded?.();
+    }
+  }
+}
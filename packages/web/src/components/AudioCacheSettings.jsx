@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'react';
+import { Trash2 } from 'lucide-react';
+import AudioCache, { DEFAULT_AUDIO_CACHE_QUOTA_MB } from '../utils/AudioCache';
+
+const QUOTA_OPTIONS_MB = [128, 256, 512, 1024, 2048];
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+/**
+ * Size, contents and quota of the sound cache kept in IndexedDB (utils/AudioCache.js),
+ * with a button to clear it
+ */
+const AudioCacheSettings = () => {
+  const [stats, setStats] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const refresh = () => AudioCache.getStats().then(setStats);
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const runAndRefresh = async (task) => {
+    setBusy(true);
+    try {
+      await task();
+    } catch (error) {
+      console.warn('AudioCacheSettings:', error);
+    } finally {
+      await refresh();
+      setBusy(false);
+    }
+  };
+
+  if (!stats) return null;
+
+  const quotaMB = Math.round(stats.quotaBytes / (1024 * 1024));
+  const usedPercent = Math.min(100, (stats.persistentBytes / stats.quotaBytes) * 100);
+
+  return (
+    <div className="space-y-2">
+      <label className="text-sm font-medium">Sound Cache</label>
+      <div className="flex flex-col gap-2">
+        <div className="flex items-center gap-2">
+          <div className="flex-1 text-sm">
+            {stats.persistentEntries} sounds · {formatBytes(stats.persistentBytes)} of {formatBytes(stats.quotaBytes)}
+            <div className="h-1.5 mt-1 bg-gray-700 rounded overflow-hidden">
+              <div className="h-full bg-blue-500" style={{ width: `${usedPercent}%` }} />
+            </div>
+          </div>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              runAndRefresh(() => AudioCache.clear());
+            }}
+            disabled={busy || (stats.persistentEntries === 0 && stats.memoryEntries === 0)}
+            className="px-3 py-1.5 text-sm bg-gray-700 text-white rounded hover:bg-gray-600 disabled:opacity-50 flex items-center gap-1"
+          >
+            <Trash2 size={14} />
+            Clear
+          </button>
+        </div>
+        <label className="flex items-center gap-2 text-sm">
+          Keep up to
+          <select
+            value={quotaMB}
+            onChange={(e) => runAndRefresh(() => AudioCache.setQuota(Number(e.target.value)))}
+            disabled={busy}
+            className="px-2 py-1 text-sm bg-gray-800 text-white rounded border border-gray-700"
+          >
+            {Array.from(new Set([...QUOTA_OPTIONS_MB, quotaMB])).sort((a, b) => a - b).map(megabytes => (
+              <option key={megabytes} value={megabytes}>
+                {formatBytes(megabytes * 1024 * 1024)}{megabytes === DEFAULT_AUDIO_CACHE_QUOTA_MB ? ' (default)' : ''}
+              </option>
+            ))}
+          </select>
+          on disk
+        </label>
+        {stats.byRun.length > 0 && (
+          <details className="text-xs text-gray-400">
+            <summary className="cursor-pointer">By run ({stats.byRun.length})</summary>
+            <ul className="mt-1 space-y-0.5">
+              {stats.byRun.map(({ evoRunId, entries, bytes }) => (
+                <li key={evoRunId || 'other'} className="flex justify-between gap-2">
+                  <span className="truncate" title={evoRunId || ''}>{evoRunId || 'Other sounds'}</span>
+                  <span className="flex-shrink-0">{entries} · {formatBytes(bytes)}</span>
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+        <p className="text-xs text-gray-400">
+          {stats.persistent
+            ? `Rendered sounds are kept between sessions, the least recently played removed first. This session: ${stats.memoryHits + stats.diskHits} cache hits (${stats.diskHits} from disk), ${stats.stored} sounds added, ${stats.evictions} removed.`
+            : 'IndexedDB is not available, so rendered sounds are only kept until the app is reloaded.'}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default AudioCacheSettings;
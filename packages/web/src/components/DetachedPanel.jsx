@@ -0,0 +1,179 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Volume2, Plus, Play, Square, Undo2 } from 'lucide-react';
+import HeatmapViewer from './HeatmapViewer';
+import { UNIT_TYPES } from '../constants';
+import { DETACHED_PANELS, WINDOW_MESSAGES, postWindowMessage, useWindowMessages } from './useWindowBridge';
+
+const sendUnitAction = (action, args = {}) => postWindowMessage(WINDOW_MESSAGES.UNIT_ACTION, { action, ...args });
+
+/**
+ * A panel of the main window opened in its own desktop window, e.g. on a
+ * second monitor. The main window keeps the units and plays the audio: this
+ * window mirrors its state and sends hovers and unit actions back to it.
+ */
+const DetachedPanel = ({ panel }) => {
+  const [appState, setAppState] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showTypeSelector, setShowTypeSelector] = useState(false);
+
+  useWindowMessages({
+    [WINDOW_MESSAGES.APP_STATE]: setAppState
+  });
+
+  useEffect(() => {
+    postWindowMessage(WINDOW_MESSAGES.REQUEST_STATE);
+  }, []);
+
+  const reattach = () => window.electronAPI?.attachPanel(panel);
+
+  if (!appState) {
+    return (
+      <div className="h-screen w-screen flex items-center justify-center bg-gray-950 text-gray-400 text-sm">
+        Waiting for the main window…
+      </div>
+    );
+  }
+
+  if (panel === DETACHED_PANELS.HEATMAP) {
+    return (
+      <div className="h-screen w-screen relative bg-gray-950">
+        <HeatmapViewer
+          showSettings={showSettings}
+          setShowSettings={setShowSettings}
+          experiment={appState.selectedRun}
+          evoRunId={appState.evoRunId}
+          matrixUrls={appState.matrixUrls}
+          hasAudioInteraction={true}
+          onAudioInteraction={() => {}}
+          onCellHover={(cellData) => postWindowMessage(WINDOW_MESSAGES.CELL_HOVER, cellData)}
+        />
+      </div>
+    );
+  }
+
+  // Units: a mixer for the main window's units
+  return (
+    <div className="h-screen w-screen flex flex-col bg-gray-950 text-white">
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-gray-800">
+        <span className="text-sm font-medium">Units</span>
+        <span className="text-xs text-gray-500 truncate">{appState.selectedRun}</span>
+        <button
+          onClick={() => sendUnitAction('play-all')}
+          className="ml-auto p-1.5 rounded-sm bg-gray-800 hover:bg-gray-700"
+          title="Play all"
+        >
+          <Play size={14} />
+        </button>
+        <button
+          onClick={() => sendUnitAction('stop-all')}
+          className="p-1.5 rounded-sm bg-gray-800 hover:bg-gray-700"
+          title="Stop all"
+        >
+          <Square size={14} />
+        </button>
+        <button
+          onClick={reattach}
+          className="p-1.5 rounded-sm bg-gray-800 hover:bg-gray-700"
+          title="Back to the main window"
+        >
+          <Undo2 size={14} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-3 space-y-2">
+        {appState.units.map((unit, index) => (
+          <div
+            key={unit.id}
+            onClick={() => sendUnitAction('select', { unitId: unit.id })}
+            className={`p-2 rounded-sm cursor-pointer ${unit.id === appState.selectedUnitId
+              ? 'bg-gray-800 ring-1 ring-blue-500'
+              : 'bg-gray-900 hover:bg-gray-800'}`}
+          >
+            <div className="flex items-center gap-1.5">
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  sendUnitAction('toggle', { unitId: unit.id, state: 'active' });
+                }}
+                className={`w-6 h-6 rounded-sm text-sm flex items-center justify-center ${unit.active
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-700 text-gray-400'}`}
+              >
+                {index + 1}
+              </button>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  sendUnitAction('toggle', { unitId: unit.id, state: 'soloed' });
+                }}
+                className={`w-6 h-6 rounded-sm text-xs font-medium flex items-center justify-center ${unit.soloed
+                  ? 'bg-yellow-600 text-white'
+                  : 'bg-gray-700 text-gray-400'}`}
+              >
+                S
+              </button>
+              <span className="text-xs text-gray-300">{unit.type}</span>
+              {appState.playingUnits.includes(unit.id) && (
+                <span className="text-xs text-green-400">playing</span>
+              )}
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  sendUnitAction('remove', { unitId: unit.id });
+                }}
+                className="ml-auto w-6 h-6 rounded-sm text-xs font-medium bg-gray-700 hover:bg-red-600 text-gray-400 hover:text-white transition-colors flex items-center justify-center"
+              >
+                X
+              </button>
+            </div>
+            <div className="flex items-center gap-1.5 mt-2">
+              <Volume2 size={14} className="text-gray-400" />
+              <input
+                type="range"
+                min="-60"
+                max="0"
+                value={unit.volume}
+                onClick={e => e.stopPropagation()}
+                onChange={(e) => sendUnitAction('volume', { unitId: unit.id, volume: Number(e.target.value) })}
+                className="w-full h-1.5 rounded-sm appearance-none bg-gray-700 [&::-webkit-slider-thumb]:w-2.5 [&::-webkit-slider-thumb]:h-2.5 [&::-webkit-slider-thumb]:rounded-sm [&::-webkit-slider-thumb]:bg-blue-500 [&::-webkit-slider-thumb]:appearance-none"
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="relative p-3 border-t border-gray-800">
+        <button
+          onClick={() => setShowTypeSelector(!showTypeSelector)}
+          className="w-full p-2 rounded-sm bg-gray-800 hover:bg-gray-700 text-sm text-gray-300 flex items-center justify-center gap-1"
+        >
+          <Plus size={14} />
+          Add unit
+        </button>
+        {showTypeSelector && (
+          <div className="absolute bottom-14 left-3 right-3 bg-gray-800 rounded-sm shadow-lg overflow-hidden">
+            {Object.values(UNIT_TYPES).map(type => (
+              <button
+                key={type}
+                onClick={() => {
+                  sendUnitAction('add', { unitType: type });
+                  setShowTypeSelector(false);
+                }}
+                className="w-full p-2 text-left text-sm text-gray-300 hover:bg-gray-700 hover:text-white transition-colors"
+              >
+                {type}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+DetachedPanel.propTypes = {
+  panel: PropTypes.oneOf(Object.values(DETACHED_PANELS)).isRequired
+};
+
+export default DetachedPanel;
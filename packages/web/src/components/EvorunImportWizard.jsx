@@ -0,0 +1,208 @@
+/**
+ * Evorun Import Wizard
+ * Desktop only: imports an evorun folder or .zip into the app's local library
+ * (packages/electron/src/main/evorun-library.js), after validating its structure
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { X, FolderOpen, FileArchive, AlertCircle, AlertTriangle, CheckCircle, Loader } from 'lucide-react';
+
+const EvorunImportWizard = ({ onClose, onImported }) => {
+  // 'choose' → 'inspecting' → 'review' → 'importing' → 'done'
+  const [step, setStep] = useState('choose');
+  const [inspection, setInspection] = useState(null);
+  const [importedRun, setImportedRun] = useState(null);
+  const [error, setError] = useState(null);
+
+  const busy = step === 'inspecting' || step === 'importing';
+  const report = inspection?.report;
+
+  const choose = async (kind) => {
+    setError(null);
+    setStep('inspecting');
+    const result = await window.electronAPI.inspectEvorun(kind);
+    if (!result.success) {
+      if (!result.canceled) setError(result.error);
+      setStep(inspection ? 'review' : 'choose');
+      return;
+    }
+    if (inspection) {
+      window.electronAPI.cancelEvorunImport(inspection.importId);
+    }
+    setInspection(result);
+    setStep('review');
+  };
+
+  const runImport = async () => {
+    setError(null);
+    setStep('importing');
+    const result = await window.electronAPI.importEvorun(inspection.importId);
+    if (!result.success) {
+      setError(result.error);
+      setStep('review');
+      return;
+    }
+    setImportedRun(result.run);
+    setStep('done');
+    onImported(result.run);
+  };
+
+  const handleClose = () => {
+    if (busy) return;
+    if (inspection && step !== 'done') {
+      window.electronAPI.cancelEvorunImport(inspection.importId);
+    }
+    onClose();
+  };
+
+  const check = (ok, label) => (
+    <li className="flex items-center gap-2">
+      {ok
+        ? <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0" />
+        : <AlertCircle className="w-4 h-4 text-red-400 flex-shrink-0" />}
+      <span>{label}</span>
+    </li>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-[10000] p-4">
+      <div className="bg-gray-900 rounded-lg shadow-xl max-w-lg w-full border border-gray-700">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-700">
+          <div>
+            <h2 className="text-xl font-bold text-white">Import Evorun</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              Copy a run written by kromosynth-cli into your local library
+            </p>
+          </div>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-white transition-colors"
+            disabled={busy}
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4 text-sm text-gray-300">
+          {(step === 'choose' || step === 'inspecting') && (
+            <>
+              <p>
+                Choose the run folder (named <code className="text-gray-400">&lt;ULID&gt;_&lt;experiment&gt;</code>) or
+                a .zip of it. It needs its genome files and the lineage tree in analysisResults.
+              </p>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => choose('directory')}
+                  disabled={busy}
+                  className="flex-1 px-4 py-2.5 bg-gray-800 hover:bg-gray-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50 flex items-center justify-center gap-2"
+                >
+                  <FolderOpen className="w-4 h-4" />
+                  Folder…
+                </button>
+                <button
+                  onClick={() => choose('zip')}
+                  disabled={busy}
+                  className="flex-1 px-4 py-2.5 bg-gray-800 hover:bg-gray-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50 flex items-center justify-center gap-2"
+                >
+                  <FileArchive className="w-4 h-4" />
+                  Zip Archive…
+                </button>
+              </div>
+              {step === 'inspecting' && (
+                <div className="flex items-center gap-2 text-gray-400">
+                  <Loader className="w-4 h-4 animate-spin" />
+                  Checking the run…
+                </div>
+              )}
+            </>
+          )}
+
+          {(step === 'review' || step === 'importing') && report && (
+            <>
+              <div>
+                <div className="text-white font-medium truncate" title={report.folderName}>{report.folderName}</div>
+                <div className="text-xs text-gray-500 truncate" title={report.source}>{report.source}</div>
+                {report.timestamp && (
+                  <div className="text-xs text-gray-500">
+                    {(report.experiment || '').replace(/_/g, ' ')} · {new Date(report.timestamp).toLocaleString()}
+                  </div>
+                )}
+              </div>
+              <ul className="space-y-1">
+                {check(report.genomeCount > 0, `${report.genomeCount} genomes, ${report.featureCount} feature files`)}
+                {check(report.hasAnalysisResults, 'analysisResults folder')}
+                {check(report.hasLineageTree, 'Lineage tree')}
+              </ul>
+              {report.errors.map(message => (
+                <div key={message} className="flex items-start gap-2 text-red-300">
+                  <AlertCircle className="w-4 h-4 text-red-400 flex-shrink-0 mt-0.5" />
+                  {message}
+                </div>
+              ))}
+              {report.warnings.map(message => (
+                <div key={message} className="flex items-start gap-2 text-yellow-300">
+                  <AlertTriangle className="w-4 h-4 text-yellow-400 flex-shrink-0 mt-0.5" />
+                  {message}
+                </div>
+              ))}
+              <div className="flex gap-3 pt-2">
+                <button
+                  onClick={() => choose(report.kind)}
+                  disabled={busy}
+                  className="flex-1 px-4 py-2.5 bg-gray-800 hover:bg-gray-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50"
+                >
+                  Choose Another
+                </button>
+                <button
+                  onClick={runImport}
+                  disabled={busy || !report.valid}
+                  className="flex-1 px-4 py-2.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  {step === 'importing' && <Loader className="w-4 h-4 animate-spin" />}
+                  {step === 'importing' ? 'Importing…' : 'Import'}
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 'done' && importedRun && (
+            <>
+              <div className="flex items-start gap-2">
+                <CheckCircle className="w-5 h-5 text-green-400 flex-shrink-0" />
+                <p>
+                  Imported <span className="text-white">{importedRun.folderName}</span>. It is listed in the run
+                  selector under {new Date(importedRun.timestamp).toISOString().slice(0, 10)}
+                  {' '}› {importedRun.experiment.replace(/_/g, ' ')}.
+                </p>
+              </div>
+              <button
+                onClick={onClose}
+                className="w-full px-4 py-2.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors"
+              >
+                Done
+              </button>
+            </>
+          )}
+
+          {error && (
+            <div className="bg-red-500/10 border border-red-500/20 rounded-lg p-3">
+              <div className="flex items-start gap-2">
+                <AlertCircle className="w-5 h-5 text-red-400 flex-shrink-0 mt-0.5" />
+                <p className="text-sm text-red-300">{error}</p>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+EvorunImportWizard.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  onImported: PropTypes.func.isRequired
+};
+
+export default EvorunImportWizard;
@@ -3,7 +3,7 @@
  * Two tabs: "For You" (personalized) and "Discover" (all community activity)
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { 
   Heart, 
   Play, 
@@ -19,6 +19,7 @@ import {
 import { useAuth } from '../contexts/AuthContext.jsx';
 import { soundGardenService } from '../services/SoundGardenService.js';
 import SoundRenderer from '../utils/SoundRenderer';
+import { StreamingPlayer } from '../audio/StreamingPlayer';
 import { getRestServiceHost, REST_ENDPOINTS } from '../constants';
 import { useNavigate } from 'react-router-dom';
 
@@ -161,6 +162,23 @@ const EmptyForYouState = () => {
 const SoundCard = ({ sound, onPlay, isPlaying, onLike, isLiked, onViewBiome, onViewAdopters, onUserClick }) => {
   const [renderingProgress, setRenderingProgress] = useState(null);
   const [isInteracting, setIsInteracting] = useState(false);
+  const audioContextRef = useRef(null);
+  const playerRef = useRef(null);
+
+  const stopPlayback = () => {
+    playerRef.current?.stop();
+    playerRef.current = null;
+  };
+
+  // Stop when another card starts playing or this one is paused
+  useEffect(() => {
+    if (!isPlaying) stopPlayback();
+  }, [isPlaying]);
+
+  useEffect(() => () => {
+    stopPlayback();
+    audioContextRef.current?.close();
+  }, []);
 
   const handlePlay = async () => {
     try {
@@ -172,6 +190,21 @@ const SoundCard = ({ sound, onPlay, isPlaying, onLike, isLiked, onViewBiome, onV
       setRenderingProgress(0);
       onPlay(sound.id);
 
+      // Playback starts with the first streamed chunk, while the rest renders
+      if (!audioContextRef.current) {
+        audioContextRef.current = new AudioContext();
+      }
+      const player = new StreamingPlayer(audioContextRef.current, {
+        onEnded: () => {
+          if (playerRef.current !== player) return;
+          playerRef.current = null;
+          onPlay(null);
+        }
+      });
+      stopPlayback();
+      playerRef.current = player;
+      let streamed = false;
+
       // Construct genome URL from sound data
       const restHost = getRestServiceHost();
       const evoRunId = sound.origin_evolution_run_id?.split('/').pop() || sound.origin_evolution_run_id;
@@ -186,31 +219,36 @@ const SoundCard = ({ sound, onPlay, isPlaying, onLike, isLiked, onViewBiome, onV
           velocity: sound.velocity || 0.5
         },
         (result) => {
+          setRenderingProgress(null);
           if (result.success) {
-            // Play the sound
-            const audioContext = new AudioContext();
-            const source = audioContext.createBufferSource();
-            source.buffer = result.audioBuffer;
-            source.connect(audioContext.destination);
-            source.start(0);
-            
-            source.onended = () => {
-              onPlay(null);
-              setRenderingProgress(null);
-            };
+            if (streamed) {
+              player.finish();
+            } else {
+              player.play(result.audioBuffer);
+            }
           } else {
             console.error('Sound rendering failed:', result.error);
-            onPlay(null);
-            setRenderingProgress(null);
+            player.stop();
+            if (playerRef.current === player) {
+              playerRef.current = null;
+              onPlay(null);
+            }
           }
         },
         (progress) => {
           setRenderingProgress(progress.progress);
+        },
+        {
+          onChunk: ({ audioBuffer, offset }) => {
+            streamed = true;
+            player.addChunk(audioBuffer, offset);
+          }
         }
       );
 
     } catch (err) {
       console.error('Error playing sound:', err);
+      stopPlayback();
       onPlay(null);
       setRenderingProgress(null);
     }
@@ -250,7 +288,7 @@ const SoundCard = ({ sound, onPlay, isPlaying, onLike, isLiked, onViewBiome, onV
 
       {/* Waveform Placeholder */}
       <div className="mb-3 h-16 bg-gray-900 rounded flex items-center justify-center">
-        {renderingProgress !== null && !isPlaying ? (
+        {renderingProgress !== null ? (
           <div className="w-full px-4">
             <div className="h-2 bg-gray-700 rounded overflow-hidden">
               <div
@@ -1,7 +1,8 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { Settings, Download } from 'lucide-react';
+import { Settings, Download, Radio } from 'lucide-react';
 import * as d3 from 'd3';
 import { getRestServiceHost, REST_ENDPOINTS } from '../constants';
+import { useLiveQDArchive } from './useLiveQDArchive';
 
 // Add COLORMAP_OPTIONS before component
 const COLORMAP_OPTIONS = {
@@ -19,6 +20,20 @@ const COLORMAP_OPTIONS = {
   ]
 };
 
+const NEW_ELITE_HIGHLIGHT_MS = 1000; // How long replaced cells stay outlined in live mode
+
+// Live elites carry no evolution run config; these match CellDataFormatter's defaults
+const LIVE_RENDER_DEFAULTS = { duration: 4, noteDelta: 0, velocity: 1 };
+
+const getStaticRenderConfig = (matrixData) => {
+  const config = matrixData.evolutionRunConfig;
+  return {
+    duration: config.classScoringDurations[0],
+    noteDelta: config.classScoringNoteDeltas[0],
+    velocity: config.classScoringVelocities[0]
+  };
+};
+
 // Add matrix utility functions
 const getMatrixDimensions = (matrix) => {
   const dimensions = [];
@@ -93,6 +108,51 @@ const flatten2D = (matrix, dimensions) => {
   return flattened;
 };
 
+// Nested matrix in the same shape as the static score-and-genome matrices,
+// built from the live archive's cells keyed by coordinates
+const buildLiveMatrix = (gridSize, cells) => {
+  const build = (depth) => Array(gridSize[depth]).fill().map(() =>
+    depth === gridSize.length - 1 ? { score: null, genomeId: null } : build(depth + 1)
+  );
+  const matrix = build(0);
+
+  cells.forEach(elite => {
+    let target = matrix;
+    for (let d = 0; d < elite.cell.length - 1; d++) {
+      target = target?.[elite.cell[d]];
+    }
+    const last = elite.cell[elite.cell.length - 1];
+    if (target && last < target.length) {
+      target[last] = {
+        score: Math.min(Math.max(elite.score, 0), 1),
+        genomeId: elite.genomeId,
+        genomeUrl: elite.genomeUrl,
+        generation: elite.generation,
+        updatedAt: elite.updatedAt
+      };
+    }
+  });
+
+  return matrix;
+};
+
+const renderSparkline = (values, color, width = 120, height = 24) => {
+  if (values.length < 2) return <svg width={width} height={height} />;
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const points = values.map((value, i) =>
+    `${(i / (values.length - 1)) * width},${height - ((value - min) / range) * (height - 2) - 1}`
+  ).join(' ');
+
+  return (
+    <svg width={width} height={height}>
+      <polyline points={points} fill="none" stroke={color} strokeWidth="1.5" />
+    </svg>
+  );
+};
+
 const HeatmapViewer = ({
   showSettings,
   setShowSettings,
@@ -118,6 +178,19 @@ const HeatmapViewer = ({
   const [theme, setTheme] = useState('dark');
   const [useSquareCells, setUseSquareCells] = useState(true);
   const [silentMode, setSilentMode] = useState(false);
+  const [liveMode, setLiveMode] = useState(true);
+
+  // Archive of a running local QD plugin, when there is one
+  const liveArchive = useLiveQDArchive();
+  const isLive = liveMode && !!liveArchive.archive?.gridSize;
+  const cellExperiment = isLive ? liveArchive.service?.pluginId : experiment;
+  const cellEvoRunId = isLive ? liveArchive.archive.runId : evoRunId;
+  const { getGenomeUrl: getLiveGenomeUrl } = liveArchive;
+  // Live cells are rendered from the genome the plugin holds
+  const resolveGenomeUrl = useCallback(
+    (cell) => (isLive ? getLiveGenomeUrl(cell) : Promise.resolve(cell.genomeUrl)),
+    [isLive, getLiveGenomeUrl]
+  );
 
   // Add matrix data loading effect with hybrid approach
   useEffect(() => {
@@ -253,6 +326,7 @@ const HeatmapViewer = ({
     }
     
     // Draw cells
+    const now = Date.now();
     matrix.forEach((row, i) => {
       row.forEach((cell, j) => {
         if (cell) {
@@ -264,7 +338,9 @@ const HeatmapViewer = ({
             (theme === 'dark' ? '#1a1a1a' : '#e5e5e5');
           
           ctx.fillRect(x, y, cellWidth, cellHeight);
-          ctx.strokeStyle = theme === 'dark' ? '#2a2a2a' : '#d1d5db';
+          // Outline cells whose elite was just replaced by the live run
+          const isNewElite = cell.updatedAt && now - cell.updatedAt < NEW_ELITE_HIGHLIGHT_MS;
+          ctx.strokeStyle = isNewElite ? '#ffffff' : (theme === 'dark' ? '#2a2a2a' : '#d1d5db');
           ctx.strokeRect(x, y, cellWidth, cellHeight);
         }
       });
@@ -273,16 +349,27 @@ const HeatmapViewer = ({
     ctx.restore();
   }, [theme, useSquareCells, selectedColormap]);
 
+  // Repaint as the live archive changes, and once more when the new-elite outlines expire
+  useEffect(() => {
+    if (!isLive) return;
+    const { gridSize, cells } = liveArchive.archive;
+    currentMatrixRef.current = flatten2D(buildLiveMatrix(gridSize, cells), gridSize);
+    drawHeatmap();
+
+    const fadeTimer = setTimeout(drawHeatmap, NEW_ELITE_HIGHLIGHT_MS);
+    return () => clearTimeout(fadeTimer);
+  }, [isLive, liveArchive.archive, drawHeatmap]);
+
   // Update matrix when generation changes
   useEffect(() => {
-    if (matrixData && selectedGeneration >= 0) {
+    if (!isLive && matrixData && selectedGeneration >= 0) {
       const rawMatrix = matrixData.scoreAndGenomeMatrices[selectedGeneration];
       const dimensions = getMatrixDimensions(rawMatrix);
       const flattened = flatten2D(rawMatrix, dimensions);
       currentMatrixRef.current = flattened;
       drawHeatmap();
     }
-  }, [matrixData, selectedGeneration, drawHeatmap]);
+  }, [isLive, matrixData, selectedGeneration, drawHeatmap]);
 
   // Handle canvas resize
   useEffect(() => {
@@ -346,7 +433,7 @@ const HeatmapViewer = ({
 
   // Add mouse interaction handlers
   const handleMouseMove = useCallback((event) => {
-    if (!matrixData || !canvasRef.current || !hasAudioInteraction || silentMode) return;
+    if ((!matrixData && !isLive) || !canvasRef.current || !hasAudioInteraction || silentMode) return;
 
     const rect = canvasRef.current.getBoundingClientRect();
     const x = (event.clientX - rect.left - transformRef.current.x) / transformRef.current.k;
@@ -396,34 +483,37 @@ const HeatmapViewer = ({
           
           hoverTimestampsRef.current.set(cell.genomeId, now);
           
-          const config = matrixData.evolutionRunConfig;
-          onCellHover({
-            data: {
-              id: cell.genomeId,
-              genomeId: cell.genomeId,
-              score: cell.score,
-              generation: selectedGeneration,
-              position: { i, j }
-            },
-            experiment,
-            evoRunId,
-            config: {
-              duration: config.classScoringDurations[0],
-              noteDelta: config.classScoringNoteDeltas[0],
-              velocity: config.classScoringVelocities[0]
-            }
-          });
+          const renderConfig = isLive ? LIVE_RENDER_DEFAULTS : getStaticRenderConfig(matrixData);
+          resolveGenomeUrl(cell)
+            .then(genomeUrl => {
+              // Moved on to another cell while the genome loaded
+              if (currentHoveredCellRef.current !== cellKey) return;
+              onCellHover({
+                data: {
+                  id: cell.genomeId,
+                  genomeId: cell.genomeId,
+                  genomeUrl,
+                  score: cell.score,
+                  generation: isLive ? cell.generation : selectedGeneration,
+                  position: { i, j }
+                },
+                experiment: cellExperiment,
+                evoRunId: cellEvoRunId,
+                config: renderConfig
+              });
+            })
+            .catch(error => console.warn(`Could not load genome ${cell.genomeId}:`, error));
         }
       }
     } else {
       // Clear current hovered cell when mouse is not over any valid cell
       currentHoveredCellRef.current = null;
     }
-  }, [matrixData, hasAudioInteraction, useSquareCells, experiment, evoRunId, onCellHover, selectedGeneration, silentMode]);
+  }, [matrixData, isLive, hasAudioInteraction, useSquareCells, cellExperiment, cellEvoRunId, onCellHover, selectedGeneration, silentMode, resolveGenomeUrl]);
 
   // Add click handler for adding sounds to sequence (similar to PhylogeneticViewer)
   const handleCanvasClick = useCallback((event) => {
-    if (!matrixData || !canvasRef.current || !hasAudioInteraction) return;
+    if ((!matrixData && !isLive) || !canvasRef.current || !hasAudioInteraction) return;
 
     const rect = canvasRef.current.getBoundingClientRect();
     const x = (event.clientX - rect.left - transformRef.current.x) / transformRef.current.k;
@@ -452,30 +542,29 @@ const HeatmapViewer = ({
       
       // Use the same approach as PhylogeneticViewer - pass data to onCellHover with addToSequence flag
       if (onCellHover && cell.genomeId) {
-        const config = matrixData.evolutionRunConfig;
-        onCellHover({
-          data: {
-            id: cell.genomeId,
-            genomeId: cell.genomeId,
-            score: cell.score,
-            generation: selectedGeneration,
-            position: { i, j },
-            duration: config.classScoringDurations[0],
-            noteDelta: config.classScoringNoteDeltas[0],
-            velocity: config.classScoringVelocities[0]
-          },
-          experiment,
-          evoRunId,
-          config: {
-            addToSequence: true, // This is the key flag for SequencingUnit
-            duration: config.classScoringDurations[0],
-            noteDelta: config.classScoringNoteDeltas[0],
-            velocity: config.classScoringVelocities[0]
-          }
-        });
+        const renderConfig = isLive ? LIVE_RENDER_DEFAULTS : getStaticRenderConfig(matrixData);
+        resolveGenomeUrl(cell)
+          .then(genomeUrl => onCellHover({
+            data: {
+              id: cell.genomeId,
+              genomeId: cell.genomeId,
+              genomeUrl,
+              score: cell.score,
+              generation: isLive ? cell.generation : selectedGeneration,
+              position: { i, j },
+              ...renderConfig
+            },
+            experiment: cellExperiment,
+            evoRunId: cellEvoRunId,
+            config: {
+              addToSequence: true, // This is the key flag for SequencingUnit
+              ...renderConfig
+            }
+          }))
+          .catch(error => console.warn(`Could not load genome ${cell.genomeId}:`, error));
       }
     }
-  }, [matrixData, hasAudioInteraction, useSquareCells, experiment, evoRunId, onCellHover, selectedGeneration]);
+  }, [matrixData, isLive, hasAudioInteraction, useSquareCells, cellExperiment, cellEvoRunId, onCellHover, selectedGeneration, resolveGenomeUrl]);
 
   // SVG export function
   const handleExportSVG = useCallback(() => {
@@ -534,8 +623,44 @@ const HeatmapViewer = ({
         </div>
       )}
 
+      {/* Live archive status */}
+      {isLive && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 px-4 py-2 bg-gray-900/80 backdrop-blur rounded">
+          <div className="flex items-center gap-4 text-sm text-white">
+            <span className="flex items-center gap-1.5">
+              <Radio size={14} className={liveArchive.connected ? 'text-green-400' : 'text-gray-500'} />
+              {liveArchive.service?.pluginId}
+            </span>
+            <span>Generation: {liveArchive.archive.generation}</span>
+            {liveArchive.history.length > 0 && (() => {
+              const latest = liveArchive.history[liveArchive.history.length - 1];
+              return (
+                <>
+                  <span className="flex items-center gap-2" title="Coverage">
+                    {renderSparkline(liveArchive.history.map(stats => stats.coverage), '#60a5fa')}
+                    <span className="text-blue-300">{(latest.coverage * 100).toFixed(1)}%</span>
+                  </span>
+                  <span className="flex items-center gap-2" title="QD score">
+                    {renderSparkline(liveArchive.history.map(stats => stats.qdScore), '#f472b6')}
+                    <span className="text-pink-300">{latest.qdScore.toFixed(1)}</span>
+                  </span>
+                </>
+              );
+            })()}
+            {matrixData && (
+              <button
+                onClick={() => setLiveMode(false)}
+                className="px-2 py-1 rounded text-xs bg-gray-800/80 text-gray-300 hover:text-white"
+              >
+                Show static
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Add generation slider */}
-      {matrixData && (
+      {!isLive && matrixData && (
         <div className="fixed bottom-4 left-1/2 -translate-x-1/2 px-4 py-2 bg-gray-900/80 backdrop-blur rounded">
           <div className="flex items-center gap-4">
             <span className="text-white text-sm">Generation: {selectedGeneration * 500}</span>
@@ -547,6 +672,14 @@ const HeatmapViewer = ({
               onChange={(e) => setSelectedGeneration(Number(e.target.value))}
               className="w-48"
             />
+            {liveArchive.archive?.gridSize && (
+              <button
+                onClick={() => setLiveMode(true)}
+                className="px-2 py-1 rounded text-xs bg-gray-800/80 text-gray-300 hover:text-white"
+              >
+                Show live
+              </button>
+            )}
           </div>
         </div>
       )}
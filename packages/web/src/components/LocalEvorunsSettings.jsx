@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react';
+import { FolderOpen } from 'lucide-react';
+import { isLocalEvorunsEnabled, DEFAULT_REST_SERVICE_HOST } from '../constants';
+
+/**
+ * Desktop-only setting: browse a folder of evoruns (as written by kromosynth-cli)
+ * instead of the REST service. The app reloads so every view picks up the new host.
+ */
+const LocalEvorunsSettings = () => {
+  const [info, setInfo] = useState(null);
+  const [error, setError] = useState(null);
+  const enabled = isLocalEvorunsEnabled();
+
+  useEffect(() => {
+    window.electronAPI?.getLocalEvoruns?.().then(setInfo).catch(err => setError(err.message));
+  }, []);
+
+  if (!window.electronAPI?.getLocalEvoruns) return null;
+
+  const chooseFolder = async () => {
+    setError(null);
+    const result = await window.electronAPI.chooseLocalEvorunsFolder();
+    if (!result) return; // Dialog cancelled
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    localStorage.setItem('LOCAL_EVORUNS_ENABLED', 'true');
+    window.location.reload();
+  };
+
+  const setLocalEnabled = (useLocal) => {
+    if (useLocal) {
+      localStorage.setItem('LOCAL_EVORUNS_ENABLED', 'true');
+    } else {
+      localStorage.removeItem('LOCAL_EVORUNS_ENABLED');
+    }
+    window.location.reload();
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="text-sm font-medium">Local Evoruns Folder</label>
+      <div className="flex flex-col gap-2">
+        <div className="flex items-center gap-2">
+          <div
+            className="flex-1 px-3 py-1.5 text-sm bg-gray-800 text-white rounded border border-gray-700 truncate"
+            title={info?.root || ''}
+          >
+            {info?.root || 'No folder chosen'}
+          </div>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              chooseFolder();
+            }}
+            className="px-3 py-1.5 text-sm bg-gray-700 text-white rounded hover:bg-gray-600 flex items-center gap-1"
+          >
+            <FolderOpen size={14} />
+            Choose
+          </button>
+        </div>
+        {info?.root && (
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(e) => setLocalEnabled(e.target.checked)}
+              className="rounded bg-gray-800 border-gray-700"
+            />
+            Browse this folder instead of the REST service ({info.runCount} runs)
+          </label>
+        )}
+        {error && (
+          <div className="text-sm text-red-500 bg-red-900/20 p-2 rounded">{error}</div>
+        )}
+        <p className="text-xs text-gray-400">
+          {enabled
+            ? 'Runs, genomes, features, heatmaps and lineage trees are read from disk. Sounds are still rendered by the rendering service.'
+            : `Works without a network connection. Default source: ${DEFAULT_REST_SERVICE_HOST}`}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default LocalEvorunsSettings;
@@ -4,10 +4,11 @@
 
 import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { TreePine, Heart, Sparkles, Compass, UserPlus, User, LogOut, LogIn } from 'lucide-react';
+import { TreePine, Heart, Sparkles, Compass, UserPlus, User, LogOut, LogIn, Puzzle } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext.jsx';
 import ConvertAccountModal from './ConvertAccountModal.jsx';
 import LoginModal from './LoginModal.jsx';
+import { isElectronEnvironment } from '../../../shared/src/index.js';
 
 const NavigationBar = ({ className = '' }) => {
   const location = useLocation();
@@ -36,8 +37,15 @@ const NavigationBar = ({ className = '' }) => {
       label: 'Biomes',
       icon: TreePine,
       description: 'Explore evolutionary sound lineages'
+    },
+    {
+      path: '/plugins',
+      label: 'Plugins',
+      icon: Puzzle,
+      description: 'Run local simulator plugins',
+      electronOnly: true
     }
-  ];
+  ].filter(item => !item.electronOnly || isElectronEnvironment());
 
   const isCurrentPath = (path) => {
     if (path === '/') {
@@ -1,7 +1,11 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
+import PropTypes from 'prop-types';
 import { Search, Settings, Download, RefreshCw } from 'lucide-react';
 import * as d3 from 'd3';
 import { pruneTreeForContextSwitches } from './phylogenetic-tree-common';
+import LocalEvorunsSettings from './LocalEvorunsSettings';
+import AudioCacheSettings from './AudioCacheSettings';
+import RenderingSettings from './RenderingSettings';
 import { DEFAULT_LINEAGE_SOUNDS_BUCKET_HOST, getLineageSoundsBucketHost, getRestServiceHost, REST_ENDPOINTS } from '../constants';
 
 // Enhance the POSITION_CONFIG to include zoom-related display settings
@@ -50,7 +54,8 @@ const PhylogeneticViewer = ({
   setShowSettings,
   hasAudioInteraction,
   onAudioInteraction,
-  onCellHover
+  onCellHover,
+  highlightGenomeId
 }) => {
   const [theme, setTheme] = useState('dark');
   const [measureContextSwitches, setMeasureContextSwitches] = useState(false);
@@ -99,6 +104,8 @@ const PhylogeneticViewer = ({
   const flattenedDataRef = useRef([]);
   const rawLayoutDataRef = useRef(null);
   const currentZoomRef = useRef(null);
+  const zoomBehaviorRef = useRef(null);
+  const highlightGenomeIdRef = useRef(highlightGenomeId);
   const animFrameRef = useRef(null);
   const hasResetViewRef = useRef(false);
   
@@ -296,6 +303,17 @@ const PhylogeneticViewer = ({
         ctx.stroke();
       }
     });
+
+    // Ring around the linked genome
+    const highlighted = highlightGenomeIdRef.current &&
+      flattenedDataRef.current.find(d => d.id === highlightGenomeIdRef.current);
+    if (highlighted) {
+      ctx.beginPath();
+      ctx.arc(scalesRef.current.x(highlighted.x), scalesRef.current.y(highlighted.y), nodeRadius * 2.5, 0, 2 * Math.PI);
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 2 / transform.k;
+      ctx.stroke();
+    }
     
     ctx.restore();
   }, [getNodeColor, drawLine]);
@@ -481,6 +499,7 @@ const PhylogeneticViewer = ({
         persistentZoomState.transform = event.transform;
         renderCanvas();
       });
+    zoomBehaviorRef.current = zoom;
 
     const selection = d3.select(canvasElement)
       .call(zoom)
@@ -878,6 +897,28 @@ const PhylogeneticViewer = ({
     };
   }, [treeData, measureContextSwitches, setupInteractions, renderCanvas, debugLog]);
 
+  // Center on the linked genome once the tree holding it is laid out
+  useEffect(() => {
+    highlightGenomeIdRef.current = highlightGenomeId;
+    if (!highlightGenomeId || !canvasRef.current || !zoomBehaviorRef.current) return;
+
+    const node = flattenedDataRef.current.find(d => d.id === highlightGenomeId);
+    if (!node) {
+      renderCanvas();
+      return;
+    }
+
+    const canvas = canvasRef.current;
+    const k = Math.max(currentZoomRef.current?.k || 1, POSITION_CONFIG.INITIAL_SCALE * 4);
+    const transform = d3.zoomIdentity
+      .translate(
+        canvas.width / 2 - k * scalesRef.current.x(node.x),
+        canvas.height / 2 - k * scalesRef.current.y(node.y)
+      )
+      .scale(k);
+    d3.select(canvas).call(zoomBehaviorRef.current.transform, transform);
+  }, [highlightGenomeId, treeData, renderCanvas]);
+
   // Add a cleanup function that runs only when the component is fully unmounted
   // (e.g., when navigating away, not on re-renders)
   useEffect(() => {
@@ -1146,9 +1187,9 @@ const PhylogeneticViewer = ({
 
     try {
       // Use REST service instead of static file serving
-      const restServiceHost = getRestServiceHost();
       // evoRunId should now contain the full folder name
       const folderName = evoRunId;
+      const restServiceHost = getRestServiceHost(folderName);
       const ulid = d.data.id;
       const duration = d.data.duration;
       const pitch = d.data.noteDelta;
@@ -1426,6 +1467,12 @@ const PhylogeneticViewer = ({
               </div>
             </div>
 
+            <LocalEvorunsSettings />
+
+            <RenderingSettings />
+
+            <AudioCacheSettings />
+
             {/* Add this to the settings panel, before the last closing div */}
             <ZoomSettingsControls settings={zoomSettings} setSettings={setZoomSettings} />
 
@@ -1668,4 +1715,16 @@ const ZoomSettingsControls = ({ settings, setSettings }) => {
   );
 };
 
+PhylogeneticViewer.propTypes = {
+  treeData: PropTypes.object,
+  experiment: PropTypes.string,
+  evoRunId: PropTypes.string,
+  showSettings: PropTypes.bool,
+  setShowSettings: PropTypes.func,
+  hasAudioInteraction: PropTypes.bool,
+  onAudioInteraction: PropTypes.func,
+  onCellHover: PropTypes.func,
+  highlightGenomeId: PropTypes.string
+};
+
 export default PhylogeneticViewer;
\ No newline at end of file
@@ -0,0 +1,264 @@
+/**
+ * Panel listing installed plugins with start/stop controls, service health
+ * and a live tail of the selected service's stdout/stderr
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Play, Square, RefreshCw, Puzzle, Terminal } from 'lucide-react';
+import { getPluginAPI, isElectronEnvironment } from '../../../shared/src/index.js';
+
+const MAX_TAIL_LINES = 500;
+const STATUS_POLL_INTERVAL = 2000; // Refresh uptime and memory
+
+const STATUS_STYLES = {
+  starting: 'bg-yellow-600 text-yellow-100',
+  ready: 'bg-green-600 text-green-100',
+  restarting: 'bg-orange-600 text-orange-100',
+  crashed: 'bg-red-600 text-red-100',
+  stopped: 'bg-gray-600 text-gray-200'
+};
+
+const formatUptime = (ms) => {
+  if (!ms) return '-';
+  const seconds = Math.floor(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return h > 0 ? `${h}h ${m}m` : m > 0 ? `${m}m ${s}s` : `${s}s`;
+};
+
+const formatMemory = (bytes) => {
+  if (!bytes) return '-';
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const PluginsPanel = () => {
+  const pluginAPI = useMemo(() => getPluginAPI(), []);
+  const [installedPlugins, setInstalledPlugins] = useState([]);
+  const [serviceStatus, setServiceStatus] = useState({});
+  const [selectedPluginId, setSelectedPluginId] = useState(null);
+  const [logLines, setLogLines] = useState([]);
+  const [busyPlugins, setBusyPlugins] = useState(new Set());
+  const [error, setError] = useState(null);
+  const logEndRef = useRef(null);
+  const selectedPluginIdRef = useRef(null);
+
+  const loadInstalled = useCallback(async () => {
+    const installed = await pluginAPI.getInstalledPlugins();
+    // One row per plugin id; several versions may be installed side by side
+    const byId = new Map();
+    (installed || []).forEach(plugin => {
+      const entry = byId.get(plugin.id) || { ...plugin, versions: [] };
+      entry.versions.push(plugin.version);
+      byId.set(plugin.id, entry);
+    });
+    setInstalledPlugins(Array.from(byId.values()));
+  }, [pluginAPI]);
+
+  const loadStatus = useCallback(async () => {
+    const statuses = await pluginAPI.getPluginServiceStatus();
+    setServiceStatus(Object.fromEntries((statuses || []).map(info => [info.pluginId, info])));
+  }, [pluginAPI]);
+
+  useEffect(() => {
+    loadInstalled().catch(err => setError(err.message));
+    loadStatus().catch(err => setError(err.message));
+
+    const unsubscribeStatus = pluginAPI.onPluginServiceStatus((info) => {
+      setServiceStatus(prev => ({ ...prev, [info.pluginId]: { ...prev[info.pluginId], ...info } }));
+    });
+    const unsubscribeLog = pluginAPI.onPluginServiceLog((entry) => {
+      if (entry.pluginId !== selectedPluginIdRef.current) return;
+      setLogLines(prev => [...prev, entry].slice(-MAX_TAIL_LINES));
+    });
+    const pollInterval = setInterval(() => {
+      loadStatus().catch(() => {});
+    }, STATUS_POLL_INTERVAL);
+
+    return () => {
+      unsubscribeStatus();
+      unsubscribeLog();
+      clearInterval(pollInterval);
+    };
+  }, [pluginAPI, loadInstalled, loadStatus]);
+
+  // Load the buffered log history when switching plugins
+  useEffect(() => {
+    selectedPluginIdRef.current = selectedPluginId;
+    setLogLines([]);
+    if (!selectedPluginId) return;
+
+    pluginAPI.getPluginServiceLogs(selectedPluginId, MAX_TAIL_LINES)
+      .then(lines => setLogLines(lines || []))
+      .catch(err => console.error('Error loading plugin logs:', err));
+  }, [pluginAPI, selectedPluginId]);
+
+  useEffect(() => {
+    logEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [logLines]);
+
+  const setBusy = (pluginId, busy) => {
+    setBusyPlugins(prev => {
+      const next = new Set(prev);
+      if (busy) next.add(pluginId); else next.delete(pluginId);
+      return next;
+    });
+  };
+
+  const handleStart = async (pluginId) => {
+    setBusy(pluginId, true);
+    setError(null);
+    setSelectedPluginId(pluginId);
+    try {
+      const port = await pluginAPI.startPluginService(pluginId);
+      if (!port) {
+        setError(`Could not start ${pluginId}, see its log for details`);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(pluginId, false);
+      loadStatus().catch(() => {});
+    }
+  };
+
+  const handleStop = async (pluginId) => {
+    setBusy(pluginId, true);
+    setError(null);
+    try {
+      await pluginAPI.stopPluginService(pluginId);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(pluginId, false);
+      loadStatus().catch(() => {});
+    }
+  };
+
+  if (!isElectronEnvironment()) {
+    return (
+      <div className="p-8 text-gray-400 text-sm">
+        Plugins are only available in the desktop app.
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-full flex flex-col md:flex-row gap-4 p-4 bg-gray-950 text-white overflow-hidden">
+      {/* Installed plugins */}
+      <div className="md:w-1/2 flex flex-col min-h-0">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-lg font-semibold flex items-center gap-2">
+            <Puzzle size={18} />
+            Installed Plugins
+          </h2>
+          <button
+            onClick={() => { loadInstalled(); loadStatus(); }}
+            className="p-2 rounded hover:bg-gray-800 text-gray-400 transition-colors"
+            title="Refresh"
+          >
+            <RefreshCw size={16} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-3 text-sm text-red-400 bg-red-900/20 p-2 rounded">{error}</div>
+        )}
+
+        <div className="flex-1 overflow-y-auto space-y-2">
+          {installedPlugins.length === 0 && (
+            <div className="text-sm text-gray-500">No plugins installed.</div>
+          )}
+          {installedPlugins.map(plugin => {
+            const info = serviceStatus[plugin.id];
+            const status = info?.status || 'stopped';
+            const isRunning = status !== 'stopped' && status !== 'crashed';
+            const isBusy = busyPlugins.has(plugin.id);
+
+            return (
+              <div
+                key={plugin.id}
+                onClick={() => setSelectedPluginId(plugin.id)}
+                className={`p-3 rounded-lg border cursor-pointer transition-colors ${
+                  selectedPluginId === plugin.id
+                    ? 'bg-gray-800 border-blue-500'
+                    : 'bg-gray-900 border-gray-700 hover:border-gray-600'
+                }`}
+              >
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="font-medium truncate">{plugin.name || plugin.id}</div>
+                    <div className="text-xs text-gray-400">
+                      {plugin.id} · {plugin.versions.join(', ')}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className={`text-xs px-2 py-0.5 rounded ${STATUS_STYLES[status] || STATUS_STYLES.stopped}`}>
+                      {status}
+                    </span>
+                    {isRunning ? (
+                      <button
+                        onClick={(e) => { e.stopPropagation(); handleStop(plugin.id); }}
+                        disabled={isBusy}
+                        className="p-1.5 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                        title="Stop service"
+                      >
+                        <Square size={14} />
+                      </button>
+                    ) : (
+                      <button
+                        onClick={(e) => { e.stopPropagation(); handleStart(plugin.id); }}
+                        disabled={isBusy}
+                        className="p-1.5 rounded bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                        title="Start service"
+                      >
+                        <Play size={14} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {info && status !== 'stopped' && (
+                  <div className="mt-2 grid grid-cols-4 gap-2 text-xs text-gray-400">
+                    <div>pid <span className="text-gray-200">{info.pid || '-'}</span></div>
+                    <div>port <span className="text-gray-200">{info.port || '-'}</span></div>
+                    <div>up <span className="text-gray-200">{formatUptime(info.uptime)}</span></div>
+                    <div>mem <span className="text-gray-200">{formatMemory(info.memory)}</span></div>
+                  </div>
+                )}
+                {info?.lastError && status !== 'ready' && (
+                  <div className="mt-1 text-xs text-red-400 truncate">{info.lastError}</div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Log tail */}
+      <div className="md:w-1/2 flex flex-col min-h-0">
+        <h2 className="text-lg font-semibold flex items-center gap-2 mb-3">
+          <Terminal size={18} />
+          {selectedPluginId ? `Log: ${selectedPluginId}` : 'Log'}
+        </h2>
+        <div className="flex-1 overflow-y-auto bg-black rounded-lg p-2 font-mono text-xs">
+          {!selectedPluginId && (
+            <div className="text-gray-500">Select a plugin to follow its output.</div>
+          )}
+          {logLines.map((entry, i) => (
+            <div
+              key={`${entry.timestamp}-${i}`}
+              className={`whitespace-pre-wrap ${entry.stream === 'stderr' ? 'text-red-300' : 'text-gray-300'}`}
+            >
+              <span className="text-gray-600">{new Date(entry.timestamp).toLocaleTimeString()} </span>
+              {entry.line}
+            </div>
+          ))}
+          <div ref={logEndRef} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PluginsPanel;
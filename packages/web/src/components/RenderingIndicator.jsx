@@ -1,35 +1,36 @@
 import React, { useState, useEffect } from 'react';
 import { Loader2 } from 'lucide-react';
-import { useUnits } from '../UnitsContext';
+import SoundRenderer from '../utils/SoundRenderer';
 
 /**
- * A simple indicator that shows how many sounds are currently rendering
+ * A simple indicator that shows how many sounds are rendering or waiting in
+ * SoundRenderer's queue
  */
 function RenderingIndicator() {
-  const { renderingStates } = useUnits();
-  const [renderCount, setRenderCount] = useState(0);
-  
-  useEffect(() => {
-    if (!renderingStates) return;
-    
-    // Count total number of rendering sounds across all units
-    let count = 0;
-    renderingStates.forEach(voices => {
-      if (voices) {
-        count += voices.size;
-      }
-    });
-    
-    setRenderCount(count);
-  }, [renderingStates]);
-  
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => SoundRenderer.subscribeToQueue(setStats), []);
+
   // Don't render anything if no sounds are being rendered
-  if (renderCount === 0) return null;
-  
+  if (!stats || stats.inFlight + stats.queued === 0) return null;
+
+  const { interactive, prefetch, background } = stats.byPriority;
+  const details = [
+    `Hovered: ${interactive.inFlight} rendering, ${interactive.queued} queued`,
+    `Prefetch: ${prefetch.inFlight} rendering, ${prefetch.queued} queued`,
+    `Background: ${background.inFlight} rendering, ${background.queued} queued`,
+    `${stats.completed} done, ${stats.cancelled} cancelled, ${stats.failed} failed`,
+    ...(stats.rendersLocally ? ['Rendering in this browser'] : [])
+  ].join('\n');
+
   return (
-    <div className="bg-blue-600/90 text-white px-3 py-1.5 rounded-md text-xs font-medium flex items-center gap-2 shadow-lg">
+    <div
+      className="bg-blue-600/90 text-white px-3 py-1.5 rounded-md text-xs font-medium flex items-center gap-2 shadow-lg"
+      title={details}
+    >
       <Loader2 size={12} className="animate-spin" />
-      {renderCount === 1 ? '1 sound rendering' : `${renderCount} sounds rendering`}
+      {stats.inFlight === 1 ? '1 sound rendering' : `${stats.inFlight} sounds rendering`}
+      {stats.queued > 0 && <span className="text-white/70">· {stats.queued} queued</span>}
     </div>
   );
 }
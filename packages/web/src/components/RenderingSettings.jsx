@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import SoundRenderer from '../utils/SoundRenderer';
+import { getRenderBackend, setRenderBackend, RENDER_BACKENDS } from '../constants';
+
+/**
+ * Where sounds are rendered: on the rendering server, or in the browser
+ * (utils/LocalRenderer.js), which SoundRenderer also falls back to while the
+ * server is unavailable
+ */
+const RenderingSettings = () => {
+  const [backend, setBackend] = useState(getRenderBackend);
+  const [connection, setConnection] = useState(null);
+
+  useEffect(() => SoundRenderer.subscribeToQueue(stats => setConnection(stats.connection)), []);
+
+  const chooseBackend = (value) => {
+    setRenderBackend(value);
+    setBackend(value);
+  };
+
+  const status = {
+    open: 'Connected to the rendering server.',
+    connecting: 'Connecting to the rendering server…',
+    closed: 'The rendering server is unavailable, so sounds are rendered in this browser.'
+  }[connection];
+
+  return (
+    <div className="space-y-2">
+      <label className="text-sm font-medium">Sound Rendering</label>
+      <div className="flex flex-col gap-2">
+        <select
+          value={backend}
+          onChange={(e) => chooseBackend(e.target.value)}
+          className="px-2 py-1.5 text-sm bg-gray-800 text-white rounded border border-gray-700"
+        >
+          <option value={RENDER_BACKENDS.SERVER}>On the rendering server</option>
+          <option value={RENDER_BACKENDS.LOCAL}>In this browser</option>
+        </select>
+        <p className="text-xs text-gray-400">
+          {backend === RENDER_BACKENDS.LOCAL
+            ? 'Sounds are rendered on this computer, which is slower than the server and keeps the CPU busy.'
+            : status}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default RenderingSettings;
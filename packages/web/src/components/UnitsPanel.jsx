@@ -123,7 +123,7 @@ export default function UnitsPanel({
   onUpdateUnit 
 }) {
   const [showTypeSelector, setShowTypeSelector] = useState(false);
-  const { updateUnitConfig, unitsRef: contextUnitsRef } = useUnits();
+  const { updateUnitConfig, unitsRef: contextUnitsRef, restorePendingUnitState } = useUnits();
   const unitsRef = useRef(new Map());
   const lastHoverEventIdRef = useRef(null);
   const selectionChangedAtRef = useRef(0);
@@ -222,6 +222,11 @@ export default function UnitsPanel({
               }
             }
 
+            // Sequences, trajectories or code from a restored session
+            if (unitInstance) {
+              restorePendingUnitState(unit.id, unitInstance);
+            }
+
             // Debug log for unit registration
             console.log('Unit registered with context:', {
               unitId: unit.id, 
@@ -317,7 +322,7 @@ export default function UnitsPanel({
           Array.from(contextUnitsRef.current.keys()) : 'context ref not available'
       });
     });
-  }, [units, contextUnitsRef]);
+  }, [units, contextUnitsRef, restorePendingUnitState]);
 
   // Add a public API to access unit instances
   // This allows components outside to access the unit instances
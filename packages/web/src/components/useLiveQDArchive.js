@@ -0,0 +1,189 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { getPluginAPI, QDPluginClient, QD_REQUESTS, QD_EVENTS } from '../../../shared/src/index.js';
+
+const MAX_HISTORY = 200;           // Generations kept for the sparkline
+const DISCOVERY_INTERVAL = 3000;   // How often to look for a running QD plugin
+
+// A ready plugin service that answered the handshake with the QD capabilities
+const isQDService = (info) =>
+  info.status === 'ready' && (info.capabilities || []).includes(QD_REQUESTS.GET_ARCHIVE_SNAPSHOT);
+
+/**
+ * Follow the archive of a running local QD plugin.
+ *
+ * Finds a ready plugin service speaking the QDPluginClient protocol, loads its
+ * archive snapshot and keeps it current from new_elite events. Updates are
+ * batched to one state change per animation frame. getGenomeUrl gives a URL an
+ * elite can be rendered from: the plugin's genomeUrl, or else the genome fetched
+ * with get_elite_genome, as a data: URL.
+ *
+ * @returns {{
+ *   service: {pluginId: string, port: number}|null,
+ *   connected: boolean,
+ *   error: string|null,
+ *   archive: {runId: string, gridSize: number[], cells: Map<string, Object>, generation: number, version: number}|null,
+ *   history: Object[],
+ *   getGenomeUrl: function(Object): Promise<string>
+ * }}
+ */
+export const useLiveQDArchive = ({ enabled = true } = {}) => {
+  const pluginAPI = useMemo(() => getPluginAPI(), []);
+  const [service, setService] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [error, setError] = useState(null);
+  const [archive, setArchive] = useState(null);
+  const [history, setHistory] = useState([]);
+  const cellsRef = useRef(new Map());
+  const runRef = useRef({ runId: null, gridSize: null, generation: 0 });
+  const frameRef = useRef(null);
+  const clientRef = useRef(null);
+  // Genome URLs by genomeId for the current run, as promises
+  const genomeUrlsRef = useRef(new Map());
+
+  // Discover a running QD plugin service
+  useEffect(() => {
+    if (!enabled) return;
+
+    let cancelled = false;
+    const check = async () => {
+      try {
+        const statuses = await pluginAPI.getPluginServiceStatus();
+        if (cancelled) return;
+        const found = (statuses || []).find(isQDService);
+        setService(prev => {
+          if (!found) return null;
+          if (prev && prev.pluginId === found.pluginId && prev.port === found.port) return prev;
+          return { pluginId: found.pluginId, port: found.port };
+        });
+      } catch (err) {
+        console.warn('Could not query plugin services:', err);
+      }
+    };
+
+    check();
+    const unsubscribe = pluginAPI.onPluginServiceStatus(() => check());
+    const interval = setInterval(check, DISCOVERY_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+      clearInterval(interval);
+    };
+  }, [enabled, pluginAPI]);
+
+  // Connect to it and mirror its archive
+  useEffect(() => {
+    if (!service) {
+      setConnected(false);
+      setArchive(null);
+      setHistory([]);
+      return;
+    }
+
+    let cancelled = false;
+    const client = new QDPluginClient(service.port);
+    clientRef.current = client;
+    genomeUrlsRef.current = new Map();
+
+    const flush = () => {
+      frameRef.current = null;
+      if (cancelled) return;
+      const { runId, gridSize, generation } = runRef.current;
+      setArchive(prev => ({
+        runId,
+        gridSize,
+        generation,
+        cells: cellsRef.current,
+        version: (prev?.version || 0) + 1
+      }));
+    };
+
+    const scheduleFlush = () => {
+      if (frameRef.current === null) {
+        frameRef.current = requestAnimationFrame(flush);
+      }
+    };
+
+    const loadSnapshot = async () => {
+      try {
+        const snapshot = await client.getArchiveSnapshot();
+        if (cancelled) return;
+        cellsRef.current = new Map(snapshot.elites.map(elite => [elite.cell.join(','), { ...elite, updatedAt: 0 }]));
+        runRef.current = {
+          runId: snapshot.runId || runRef.current.runId,
+          gridSize: snapshot.gridSize,
+          generation: snapshot.generation
+        };
+      } catch {
+        // No run started yet; the next status event will bring one
+        cellsRef.current = new Map();
+        runRef.current = { runId: null, gridSize: null, generation: 0 };
+      }
+      scheduleFlush();
+    };
+
+    client.onNewElite((elite) => {
+      cellsRef.current.set(elite.cell.join(','), { ...elite, updatedAt: Date.now() });
+      runRef.current.generation = Math.max(runRef.current.generation, elite.generation);
+      scheduleFlush();
+    });
+
+    client.onGenerationStats((stats) => {
+      runRef.current.generation = stats.generation;
+      setHistory(prev => [...prev, stats].slice(-MAX_HISTORY));
+      scheduleFlush();
+    });
+
+    client.on(QD_EVENTS.STATUS, (status) => {
+      // A new run replaces the archive
+      if (status.runId && status.runId !== runRef.current.runId) {
+        runRef.current.runId = status.runId;
+        genomeUrlsRef.current = new Map();
+        setHistory([]);
+        loadSnapshot();
+      }
+    });
+
+    client.on('close', () => {
+      if (!cancelled) setConnected(false);
+    });
+
+    client.connect()
+      .then(() => {
+        if (cancelled) return;
+        setConnected(true);
+        setError(null);
+        return loadSnapshot();
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      if (frameRef.current !== null) {
+        cancelAnimationFrame(frameRef.current);
+        frameRef.current = null;
+      }
+      if (clientRef.current === client) clientRef.current = null;
+      client.close();
+    };
+  }, [service]);
+
+  const getGenomeUrl = useCallback((elite) => {
+    if (elite.genomeUrl) return Promise.resolve(elite.genomeUrl);
+    const client = clientRef.current;
+    if (!client) return Promise.reject(new Error('Not connected to a QD plugin'));
+
+    const urls = genomeUrlsRef.current;
+    if (!urls.has(elite.genomeId)) {
+      const url = client.getEliteGenome(elite.genomeId).then(({ genome }) =>
+        `data:application/json,${encodeURIComponent(JSON.stringify({ _id: elite.genomeId, genome }))}`);
+      url.catch(() => urls.delete(elite.genomeId));
+      urls.set(elite.genomeId, url);
+    }
+    return urls.get(elite.genomeId);
+  }, []);
+
+  return { service, connected, error, archive, history, getGenomeUrl };
+};
@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Run handlers for commands from the desktop app's native menu.
+ *
+ * @param {Object<string, function(Object): void>} handlers - Keyed by command name
+ *   ('new-session', 'save-session', 'add-unit', ...); each gets the command's arguments
+ */
+export const useMenuCommands = (handlers) => {
+  // Handlers close over the latest state, so keep the newest set without resubscribing
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!window.electronAPI?.onMenuCommand) return;
+
+    return window.electronAPI.onMenuCommand(({ command, ...args }) => {
+      const handler = handlersRef.current[command];
+      if (handler) {
+        handler(args);
+      } else {
+        console.warn('Unhandled menu command:', command);
+      }
+    });
+  }, []);
+};
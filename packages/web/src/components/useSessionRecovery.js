@@ -0,0 +1,78 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const AUTOSAVE_INTERVAL = 5000;
+
+/**
+ * Autosave the session to the desktop app's user data, and surface the restore
+ * the main process offers after a renderer crash or an unclean quit.
+ *
+ * Autosaving waits until a pending offer is taken or dismissed, so the reloaded
+ * page does not overwrite the session it could restore.
+ *
+ * @param {function(): Object} getSession - Current session (see SESSION_FILE_FORMAT)
+ * @returns {{recoveryOffer: {reason: string, savedAt: number}|null, restore: function(): Promise<Object|null>, dismiss: function(): void}}
+ */
+export const useSessionRecovery = (getSession) => {
+  const [recoveryOffer, setRecoveryOffer] = useState(null);
+  const getSessionRef = useRef(getSession);
+  getSessionRef.current = getSession;
+  // Until the main process has answered, there may be an autosave to keep
+  const holdAutosaveRef = useRef(true);
+
+  useEffect(() => {
+    const api = window.electronAPI;
+    if (!api?.autosaveSession) return;
+
+    let cancelled = false;
+    api.getRecoveryOffer()
+      .then(offer => {
+        if (cancelled) return;
+        holdAutosaveRef.current = !!offer;
+        setRecoveryOffer(offer);
+      })
+      .catch(error => {
+        console.error('Error reading recovery offer:', error);
+        holdAutosaveRef.current = false;
+      });
+
+    let lastSaved = null;
+    const interval = setInterval(async () => {
+      if (holdAutosaveRef.current) return;
+      try {
+        const sessionJson = JSON.stringify(getSessionRef.current());
+        if (sessionJson === lastSaved) return;
+        const result = await api.autosaveSession(sessionJson);
+        if (result.success) {
+          lastSaved = sessionJson;
+        } else {
+          console.warn('Autosave failed:', result.error);
+        }
+      } catch (error) {
+        console.warn('Autosave failed:', error);
+      }
+    }, AUTOSAVE_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, []);
+
+  const restore = useCallback(async () => {
+    setRecoveryOffer(null);
+    const result = await window.electronAPI.restoreAutosave();
+    holdAutosaveRef.current = false;
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.session;
+  }, []);
+
+  const dismiss = useCallback(() => {
+    setRecoveryOffer(null);
+    holdAutosaveRef.current = false;
+    window.electronAPI.dismissRecovery();
+  }, []);
+
+  return { recoveryOffer, restore, dismiss };
+};
@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Panels the desktop app can open in a window of their own
+// (DETACHABLE_PANELS in packages/electron/src/main/main.js)
+export const DETACHED_PANELS = {
+  UNITS: 'units',
+  HEATMAP: 'heatmap'
+};
+
+// Messages between the main window, which owns the units and plays the audio,
+// and detached panel windows
+export const WINDOW_MESSAGES = {
+  APP_STATE: 'app-state',          // main -> panels: units, run and step
+  REQUEST_STATE: 'request-state',  // panel -> main: send APP_STATE now
+  CELL_HOVER: 'cell-hover',        // heatmap panel -> main: play the hovered sound
+  UNIT_ACTION: 'unit-action'       // units panel -> main: { action, unitId, ... }
+};
+
+/**
+ * Send a message to the app's other windows. The payload is reduced to JSON,
+ * so callbacks (e.g. in hover data) are left behind.
+ */
+export const postWindowMessage = (type, payload) => {
+  if (!window.electronAPI?.postWindowMessage) return;
+  window.electronAPI.postWindowMessage({
+    type,
+    payload: payload === undefined ? null : JSON.parse(JSON.stringify(payload))
+  });
+};
+
+/**
+ * Run handlers for messages from the app's other windows
+ * @param {Object<string, function(*): void>} handlers - Keyed by WINDOW_MESSAGES type
+ */
+export const useWindowMessages = (handlers) => {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!window.electronAPI?.onWindowMessage) return;
+
+    return window.electronAPI.onWindowMessage(({ type, payload }) => {
+      handlersRef.current[type]?.(payload);
+    });
+  }, []);
+};
+
+/**
+ * Panels currently open in their own window
+ * @returns {string[]}
+ */
+export const useDetachedPanels = () => {
+  const [detachedPanels, setDetachedPanels] = useState([]);
+
+  useEffect(() => {
+    const api = window.electronAPI;
+    if (!api?.getDetachedPanels) return;
+
+    let cancelled = false;
+    api.getDetachedPanels().then(panels => {
+      if (!cancelled) setDetachedPanels(panels);
+    });
+    const unsubscribe = api.onDetachedPanelsChanged(setDetachedPanels);
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  return detachedPanels;
+};
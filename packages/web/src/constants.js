@@ -7,8 +7,27 @@ note("c2 <eb2 <g2 g1>>".fast(2))
 // Feature flags
 export const FEATURE_FLAGS = {
   // Skip WAV file fetching and go directly to rendering from genome
-  // Set to true to avoid unnecessary network roundtrips to evorenders
-  SKIP_WAV_FETCHING: true
+  // Set to true to avoid unnecessary network roundtrips to evorenders.
+  // Setting FETCH_RENDERED_WAVS to 'true' in localStorage fetches them again,
+  // e.g. from genome-server.cjs's render cache.
+  get SKIP_WAV_FETCHING() {
+    return localStorage.getItem('FETCH_RENDERED_WAVS') !== 'true';
+  }
+};
+
+// Where SoundRenderer renders sounds: on the websocket rendering server, or in
+// the browser (utils/LocalRenderer.js). Renders happen in the browser while the
+// server connection is closed either way.
+export const RENDER_BACKENDS = {
+  SERVER: 'server',
+  LOCAL: 'local'
+};
+
+export const getRenderBackend = () =>
+  localStorage.getItem('RENDER_BACKEND') === RENDER_BACKENDS.LOCAL ? RENDER_BACKENDS.LOCAL : RENDER_BACKENDS.SERVER;
+
+export const setRenderBackend = (backend) => {
+  localStorage.setItem('RENDER_BACKEND', backend);
 };
 
 // Default host URL for lineage sounds (legacy static file server)
@@ -41,8 +60,36 @@ export const getLineageSoundsBucketHost = () => {
   return customUrl || DEFAULT_LINEAGE_SOUNDS_BUCKET_HOST;
 };
 
-// Get the REST service host URL (custom from localStorage or default)
-export const getRestServiceHost = () => {
+// Evoruns in a local folder, served by the desktop app's main process with the
+// same routes as the REST service (packages/electron/src/main/local-evoruns.js)
+export const LOCAL_EVORUNS_HOST = 'kromosynth-evoruns://local';
+
+export const isLocalEvorunsEnabled = () =>
+  !!window.electronAPI?.isElectron && localStorage.getItem('LOCAL_EVORUNS_ENABLED') === 'true';
+
+// Folder names of the runs imported into the desktop app's evorun library
+// (packages/electron/src/main/evorun-library.js), served like a local folder
+const getImportedEvoruns = () => {
+  try {
+    return JSON.parse(localStorage.getItem('IMPORTED_EVORUNS') || '[]');
+  } catch {
+    return [];
+  }
+};
+
+export const setImportedEvoruns = (folderNames) => {
+  localStorage.setItem('IMPORTED_EVORUNS', JSON.stringify(folderNames));
+};
+
+export const isImportedEvorun = (folderName) =>
+  !!folderName && !!window.electronAPI?.isElectron && getImportedEvoruns().includes(folderName);
+
+// Get the REST service host URL (local folder, custom from localStorage or default).
+// Pass the run's folder name so runs imported into the desktop library are read from disk.
+export const getRestServiceHost = (evoRunId) => {
+  if (isLocalEvorunsEnabled() || isImportedEvorun(evoRunId)) {
+    return LOCAL_EVORUNS_HOST;
+  }
   const customUrl = localStorage.getItem('CUSTOM_REST_SERVICE_URL');
   return customUrl || DEFAULT_REST_SERVICE_HOST;
 };
@@ -108,4 +155,8 @@ export const DEFAULT_UNIT_CONFIGS = {
     pitch: 0,
     syncEnabled: false  // Add this line to initialize syncEnabled
   }
-};
\ No newline at end of file
+};
+// Session files, saved from the desktop File menu and opened from it or from kromosynth://session/<path> links
+export const SESSION_FILE_FORMAT = 'kromosynth-session';
+export const SESSION_FILE_EXTENSION = 'kromosession';
+export const SESSION_FILE_VERSION = 1;
@@ -5,13 +5,25 @@ import App from './App.jsx'
 import ErrorBoundary from './ErrorBoundary.jsx'
 
 // Add global error handlers for debugging
+// (in the desktop app they also go to the main process log)
 window.addEventListener('error', (event) => {
   console.error('Global error caught:', event.error, event.message, event.filename, event.lineno, event.colno);
   console.error('Stack trace:', event.error?.stack);
+  window.electronAPI?.logError?.({
+    error: event.error?.toString() || event.message,
+    stack: event.error?.stack,
+    filename: event.filename,
+    lineno: event.lineno,
+    colno: event.colno
+  });
 });
 
 window.addEventListener('unhandledrejection', (event) => {
   console.error('Unhandled promise rejection:', event.reason);
+  window.electronAPI?.logError?.({
+    error: `Unhandled promise rejection: ${event.reason}`,
+    stack: event.reason?.stack
+  });
   event.preventDefault(); // Prevent the default handler
 });
 
@@ -31,6 +31,7 @@ export class BaseUnit {
     this.audioEngine.setUnitNodes(this.id, nodes, {
       volume: this.volume,
       active: this.active,
+      muted: this.muted,
       soloed: this.soloed
     });
   }
@@ -39,7 +40,8 @@ export class BaseUnit {
    * Shared method to fetch audio data with rendering fallback
    * @param {Object} soundData - Data about the sound (genomeId, experiment, evoRunId)
    * @param {Object} renderParams - Parameters for rendering (duration, pitch, velocity)
-   * @param {Object} options - Additional options (vfsKey prefix, callback on success)
+   * @param {Object} options - Additional options (vfsKey prefix, callback on success, render priority,
+   *   onChunk for streamed chunks of a render)
    * @returns {Promise<Object>} - Promise that resolves with audio data result
    */
   async getAudioData(soundData, renderParams, options = {}) {
@@ -77,7 +79,9 @@ export class BaseUnit {
           } else {
             console.error(`${this.type}Unit: Failed to get audio data`, { error: result.error });
           }
-        }
+        },
+        undefined,
+        { priority: options.priority, onChunk: options.onChunk }
       );
       
       // Update VFS with the audio data only if renderer is available
@@ -186,4 +190,23 @@ export class BaseUnit {
   isRendering(genomeId) {
     return this.renderingVoices.has(genomeId);
   }
+
+  /**
+   * Musical state not held in the unit's config (sequences, trajectories, code),
+   * saved with sessions and autosaves. Child classes override this.
+   * @returns {Object|null} - JSON-serializable state
+   */
+  getSessionState() {
+    return null;
+  }
+
+  /**
+   * Restore state returned by getSessionState()
+   * @param {Object} state
+   */
+  restoreSessionState(state) {
+    if (state) {
+      console.warn(`${this.type}Unit: Base restoreSessionState called, but no implementation exists. Override in child class.`);
+    }
+  }
 }
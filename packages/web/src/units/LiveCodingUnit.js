@@ -495,7 +495,8 @@ export class LiveCodingUnit extends BaseUnit {
             {
               genomeId,
               experiment: cellData.experiment || 'unknown',
-              evoRunId: cellData.evoRunId || 'unknown'
+              evoRunId: cellData.evoRunId || 'unknown',
+              genomeUrl: cellData.genomeUrl
             },
             finalRenderParams,
             (result) => {
@@ -1747,6 +1748,19 @@ export class LiveCodingUnit extends BaseUnit {
     }
   }
 
+  /**
+   * The editor's code, including edits not yet evaluated
+   */
+  getSessionState() {
+    return { code: this.getCurrentCode() };
+  }
+
+  restoreSessionState({ code } = {}) {
+    if (typeof code === 'string') {
+      this.setCode(code);
+    }
+  }
+
   /**
    * Toggle playback
    */
@@ -120,7 +120,8 @@ export class LoopingUnit extends BaseUnit {
             {
               genomeId,
               experiment: cellData.experiment || 'unknown',
-              evoRunId: cellData.evoRunId || 'unknown'
+              evoRunId: cellData.evoRunId || 'unknown',
+              genomeUrl: cellData.genomeUrl
             },
             renderParams
           );
@@ -385,7 +386,8 @@ export class LoopingUnit extends BaseUnit {
         { 
           genomeId, 
           experiment: voiceData.experiment || 'unknown',
-          evoRunId: voiceData.evoRunId || 'unknown'
+          evoRunId: voiceData.evoRunId || 'unknown',
+          genomeUrl: voiceData.genomeUrl
         }, 
         renderParams,
         {
@@ -1,7 +1,7 @@
 import {el} from '@elemaudio/core';
 import { UNIT_TYPES } from '../constants';
 import { BaseUnit } from './BaseUnit';
-import SoundRenderer from '../utils/SoundRenderer';
+import SoundRenderer, { RENDER_PRIORITY } from '../utils/SoundRenderer';
 import VoiceParameterRegistry from '../utils/VoiceParameterRegistry';
 import { findTreeForGenome, getSequenceTreeStatistics } from '../utils/TreeUtils';
 
@@ -251,7 +251,8 @@ export class SequencingUnit extends BaseUnit {
         {
           genomeId,
           experiment: item.experiment || 'unknown',
-          evoRunId: item.evoRunId || 'unknown' 
+          evoRunId: item.evoRunId || 'unknown',
+          genomeUrl: item.genomeUrl
         }, 
         renderParams,
         { vfsKeyPrefix: `seq-${this.id}-` }
@@ -278,8 +279,9 @@ export class SequencingUnit extends BaseUnit {
 
   // Add renderSound method that uses the base implementation
   async renderSound(soundData, renderParams, options = {}) {
-    // Add sequence-specific options here
+    // Add sequence-specific options here; sequence items are rendered ahead of playback
     const sequenceOptions = {
+      priority: RENDER_PRIORITY.PREFETCH,
       ...options,
       vfsKeyPrefix: options.vfsKeyPrefix || `seq-${this.id}-`
     };
@@ -336,7 +338,8 @@ export class SequencingUnit extends BaseUnit {
             {
               genomeId: item.genomeId,
               experiment: item.experiment || 'unknown',
-              evoRunId: item.evoRunId || 'unknown'
+              evoRunId: item.evoRunId || 'unknown',
+              genomeUrl: item.genomeUrl
             },
             {
               duration: item.duration || 4,
@@ -470,6 +473,33 @@ export class SequencingUnit extends BaseUnit {
     this.updateSequencer();
   }
 
+  getSessionState() {
+    return {
+      activeSequence: this.activeSequence,
+      selectedTimestep: this.selectedTimestep,
+      isPlaying: this.isPlaying
+    };
+  }
+
+  restoreSessionState({ activeSequence = [], selectedTimestep = null, isPlaying = true } = {}) {
+    this.activeSequence = activeSequence;
+    this.selectedTimestep = selectedTimestep;
+    this.isPlaying = isPlaying;
+    activeSequence.forEach(item => {
+      VoiceParameterRegistry.registerVoice(
+        `seq-${this.id}-${item.genomeId}`,
+        item.genomeId,
+        {
+          duration: item.duration || 4,
+          pitch: item.noteDelta || 0,
+          velocity: item.velocity || 1
+        },
+        `sequence-${this.id}`
+      );
+    });
+    this.updateSequencer();
+  }
+
   /**
    * Update config options for the unit
    */
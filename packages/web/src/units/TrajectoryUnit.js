@@ -2,6 +2,8 @@ import {el} from '@elemaudio/core';
 import { UNIT_TYPES } from '../constants';
 import { BaseUnit } from './BaseUnit';
 import VoiceParameterRegistry from '../utils/VoiceParameterRegistry';
+import { RENDER_PRIORITY } from '../utils/SoundRenderer';
+import { StreamingPlayer } from '../audio/StreamingPlayer';
 
 export class TrajectoryUnit extends BaseUnit {
   constructor(id) {
@@ -13,6 +15,8 @@ export class TrajectoryUnit extends BaseUnit {
     this.audioDataCache = new Map(); // Will store metadata instead of full buffers
     this.audioBufferSources = new Map(); // To track source audio buffers by Channel IDs
     this.oneOffVoices = new Map();
+    // Hovered sounds playing from streamed chunks while they render, by genomeId
+    this.streamingPlayers = new Map();
     this.maxVoices = 4;
     this.pitch = 0;
     this.playbackRate = 1.0;
@@ -233,6 +237,16 @@ export class TrajectoryUnit extends BaseUnit {
         }
       }
       
+      // A previous hover of this genome may still be playing from streamed chunks
+      const previousStream = this.streamingPlayers.get(genomeId);
+      if (previousStream) {
+        previousStream.stop();
+        this.streamingPlayers.delete(genomeId);
+        const callback = this.pendingCallbacks.get(genomeId);
+        this.pendingCallbacks.delete(genomeId);
+        if (callback) callback();
+      }
+
       // First check if we already have a voice playing for this genomeId
       // and if so, stop it before creating a new one
       const activeVoiceIds = Array.from(this.oneOffVoices.keys())
@@ -286,6 +300,8 @@ export class TrajectoryUnit extends BaseUnit {
       }
       
       let audioMetadata = this.audioDataCache.get(vfsKey);
+      // Set when the sound starts playing from its first streamed chunk
+      let streamingPlayer = null;
   
       if (!audioMetadata) {
         try {
@@ -295,15 +311,25 @@ export class TrajectoryUnit extends BaseUnit {
             {
               genomeId,
               experiment: cellData.experiment || 'unknown',
-              evoRunId: cellData.evoRunId || 'unknown'
+              evoRunId: cellData.evoRunId || 'unknown',
+              genomeUrl: cellData.genomeUrl
             },
             {
               duration: cellData.duration || 4,
               pitch: cellData.noteDelta || 0,
               velocity: cellData.velocity || 1
             },
-            { specificVfsKey: vfsKey }
+            {
+              specificVfsKey: vfsKey,
+              onChunk: ({ audioBuffer, offset }) => {
+                if (!streamingPlayer) {
+                  streamingPlayer = this.startStreamingPlayback(genomeId, cellData.config?.onEnded);
+                }
+                streamingPlayer.addChunk(audioBuffer, offset);
+              }
+            }
           );
+          streamingPlayer?.finish();
           
           if (result && result.metadata) {
             audioMetadata = result.metadata;
@@ -314,85 +340,94 @@ export class TrajectoryUnit extends BaseUnit {
           }
         } catch (error) {
           console.error('TrajectoryUnit playback error:', error);
+          if (streamingPlayer) {
+            streamingPlayer.stop();
+            this.streamingPlayers.delete(genomeId);
+            this.pendingCallbacks.delete(genomeId);
+          }
           cellData.config?.onEnded?.();
           return;
         }
       }
 
-      // Create voice with proper trigger - using standard sample playback
-      const voiceId = `${genomeId}-${Date.now()}`;
+      // A sound already playing from streamed chunks needs no voice; the next
+      // hover plays it from the VFS
+      if (!streamingPlayer) {
+        // Create voice with proper trigger - using standard sample playback
+        const voiceId = `${genomeId}-${Date.now()}`;
       
-      const voice = el.mul(
-        el.mc.sample({
-          channels: 1,
-          path: vfsKey,
-          mode: 'trigger',
-          playbackRate: this.playbackRate,
-          key: `voice-${voiceId}`
-        },
-        el.const({
-          key: `trigger-${voiceId}`,
-          value: 1
-        }))[0],
-        el.const({
-          key: `gain-${voiceId}`,
-          value: 1 / this.maxVoices
-        })
-      );
-
-      // Store callback and voice
-      this.pendingCallbacks.set(genomeId, cellData.config?.onEnded);
-      this.oneOffVoices.set(voiceId, voice);
-      this.updateVoiceMix();
+        const voice = el.mul(
+          el.mc.sample({
+            channels: 1,
+            path: vfsKey,
+            mode: 'trigger',
+            playbackRate: this.playbackRate,
+            key: `voice-${voiceId}`
+          },
+          el.const({
+            key: `trigger-${voiceId}`,
+            value: 1
+          }))[0],
+          el.const({
+            key: `gain-${voiceId}`,
+            value: 1 / this.maxVoices
+          })
+        );
 
-      // Clean up old voices
-      if (this.oneOffVoices.size > this.maxVoices) {
-        const [oldestId] = this.oneOffVoices.keys();
-        const oldestGenomeId = oldestId.split('-')[0];
-        const callback = this.pendingCallbacks.get(oldestGenomeId);
-        if (callback) callback();
-        
-        this.oneOffVoices.delete(oldestId);
-        this.pendingCallbacks.delete(oldestGenomeId);
+        // Store callback and voice
+        this.pendingCallbacks.set(genomeId, cellData.config?.onEnded);
+        this.oneOffVoices.set(voiceId, voice);
         this.updateVoiceMix();
-      }
 
-      // Register this voice with the VoiceParameterRegistry
-      // Include all parameters that might be modified later
-      VoiceParameterRegistry.registerVoice(voiceId, genomeId, {
-        duration: (this.lastHoveredSound?.duration !== undefined) ? 
-                 this.lastHoveredSound.duration : (cellData.duration || 4),
-        pitch: (this.lastHoveredSound?.pitch !== undefined) ? 
-              this.lastHoveredSound.pitch : (cellData.noteDelta || 0),
-        velocity: (this.lastHoveredSound?.velocity !== undefined) ? 
-                 this.lastHoveredSound.velocity : (cellData.velocity || 1),
-        playbackRate: this.playbackRate,
-        startOffset: 0,
-        stopOffset: 0,
-        // Important: add original values for reference
-        originalDuration: cellData.originalDuration || cellData.duration || 4,
-        originalPitch: cellData.originalPitch || cellData.noteDelta || 0,
-        originalVelocity: cellData.originalVelocity || cellData.velocity || 1
-      }, `trajectory-${this.id}`);
-
-      // Set up voice completion timeout
-      const totalDuration = audioMetadata.duration + 0.1; // Add small release time
-      const timeoutId = setTimeout(() => {
-        this.oneOffVoices.delete(voiceId);
-        this.voiceTimeouts.delete(voiceId);
-        VoiceParameterRegistry.removeVoice(voiceId);
+        // Clean up old voices
+        if (this.oneOffVoices.size > this.maxVoices) {
+          const [oldestId] = this.oneOffVoices.keys();
+          const oldestGenomeId = oldestId.split('-')[0];
+          const callback = this.pendingCallbacks.get(oldestGenomeId);
+          if (callback) callback();
         
-        // Execute callback if provided
-        const callback = this.pendingCallbacks.get(genomeId);
-        if (callback && typeof callback === 'function') {
-          this.pendingCallbacks.delete(genomeId);
-          callback();
+          this.oneOffVoices.delete(oldestId);
+          this.pendingCallbacks.delete(oldestGenomeId);
+          this.updateVoiceMix();
         }
+
+        // Register this voice with the VoiceParameterRegistry
+        // Include all parameters that might be modified later
+        VoiceParameterRegistry.registerVoice(voiceId, genomeId, {
+          duration: (this.lastHoveredSound?.duration !== undefined) ? 
+                   this.lastHoveredSound.duration : (cellData.duration || 4),
+          pitch: (this.lastHoveredSound?.pitch !== undefined) ? 
+                this.lastHoveredSound.pitch : (cellData.noteDelta || 0),
+          velocity: (this.lastHoveredSound?.velocity !== undefined) ? 
+                   this.lastHoveredSound.velocity : (cellData.velocity || 1),
+          playbackRate: this.playbackRate,
+          startOffset: 0,
+          stopOffset: 0,
+          // Important: add original values for reference
+          originalDuration: cellData.originalDuration || cellData.duration || 4,
+          originalPitch: cellData.originalPitch || cellData.noteDelta || 0,
+          originalVelocity: cellData.originalVelocity || cellData.velocity || 1
+        }, `trajectory-${this.id}`);
+
+        // Set up voice completion timeout
+        const totalDuration = audioMetadata.duration + 0.1; // Add small release time
+        const timeoutId = setTimeout(() => {
+          this.oneOffVoices.delete(voiceId);
+          this.voiceTimeouts.delete(voiceId);
+          VoiceParameterRegistry.removeVoice(voiceId);
         
-        this.updateVoiceMix();
-      }, totalDuration * 1000);
+          // Execute callback if provided
+          const callback = this.pendingCallbacks.get(genomeId);
+          if (callback && typeof callback === 'function') {
+            this.pendingCallbacks.delete(genomeId);
+            callback();
+          }
+        
+          this.updateVoiceMix();
+        }, totalDuration * 1000);
 
-      this.voiceTimeouts.set(voiceId, timeoutId);
+        this.voiceTimeouts.set(voiceId, timeoutId);
+      }
 
       // Store the last hovered sound data, preserving the current explore parameters
       this.lastHoveredSound = {
@@ -420,6 +455,39 @@ export class TrajectoryUnit extends BaseUnit {
     }
   }
 
+  /**
+   * Play a hovered sound from its streamed chunks while the rest renders. As
+   * Elementary's VFS only takes whole sounds, the chunks play through the
+   * unit's Web Audio output, which follows its volume, mute and solo state.
+   * @returns {StreamingPlayer}
+   */
+  startStreamingPlayback(genomeId, onEnded) {
+    // Streams count against maxVoices like the voices they stand in for
+    if (this.streamingPlayers.size >= this.maxVoices) {
+      const [oldestGenomeId, oldestPlayer] = this.streamingPlayers.entries().next().value;
+      oldestPlayer.stop();
+      this.streamingPlayers.delete(oldestGenomeId);
+      const callback = this.pendingCallbacks.get(oldestGenomeId);
+      this.pendingCallbacks.delete(oldestGenomeId);
+      if (callback) callback();
+    }
+
+    const player = new StreamingPlayer(this.audioEngine.getContext(), {
+      destination: this.audioEngine.getUnitOutput(this.id),
+      gain: 1 / this.maxVoices,
+      onEnded: () => {
+        if (this.streamingPlayers.get(genomeId) !== player) return;
+        this.streamingPlayers.delete(genomeId);
+        const callback = this.pendingCallbacks.get(genomeId);
+        this.pendingCallbacks.delete(genomeId);
+        if (callback) callback();
+      }
+    });
+    this.streamingPlayers.set(genomeId, player);
+    this.pendingCallbacks.set(genomeId, onEnded);
+    return player;
+  }
+
   updateVoiceMix() {
     if (!this.active) {
       this.updateAudioNodes([]);
@@ -577,6 +645,9 @@ export class TrajectoryUnit extends BaseUnit {
       timeoutIds.forEach(timeoutId => clearTimeout(timeoutId));
     });
 
+    this.streamingPlayers.forEach(player => player.stop());
+    this.streamingPlayers.clear();
+
     // Clean up new tracking maps
     this.pendingCallbacks.clear();
     this.activeGenomes.clear();
@@ -798,11 +869,13 @@ export class TrajectoryUnit extends BaseUnit {
                 {
                   genomeId: event.cellData.genomeId,
                   experiment: event.cellData.experiment || 'unknown',
-                  evoRunId: event.cellData.evoRunId || 'unknown'
+                  evoRunId: event.cellData.evoRunId || 'unknown',
+                  genomeUrl: event.cellData.genomeUrl
                 },
                 renderParams,
                 { 
-                  specificVfsKey: vfsKey
+                  specificVfsKey: vfsKey,
+                  priority: RENDER_PRIORITY.PREFETCH
                 }
               );
               
@@ -974,6 +1047,21 @@ export class TrajectoryUnit extends BaseUnit {
     }
   }
 
+  getSessionState() {
+    return {
+      trajectories: Array.from(this.trajectories.entries()).map(([id, trajectory]) => ({
+        id,
+        events: trajectory.events
+      }))
+    };
+  }
+
+  // Restored trajectories start stopped; audio is rendered again when they play
+  restoreSessionState({ trajectories = [] } = {}) {
+    this.trajectories = new Map(trajectories.map(({ id, events }) => [id, { events, isPlaying: false }]));
+    this.notifyStateChange();
+  }
+
   removeTrajectory(trajectoryId) {
     this.stopTrajectory(trajectoryId);
     this.trajectories.delete(trajectoryId);
@@ -1047,11 +1135,13 @@ export class TrajectoryUnit extends BaseUnit {
           {
             genomeId,
             experiment: this.lastHoveredSound.experiment || 'unknown',
-            evoRunId: this.lastHoveredSound.evoRunId || 'unknown'
+            evoRunId: this.lastHoveredSound.evoRunId || 'unknown',
+            genomeUrl: this.lastHoveredSound.genomeUrl
           },
           renderParams,
           {
             specificVfsKey: vfsKey,
+            priority: RENDER_PRIORITY.BACKGROUND,
             onSuccess: (resultKey, audioBuffer) => {
               // Store this buffer in the next-buffer registry for this genome
               this._nextBuffers.set(genomeId, {
@@ -1113,7 +1203,8 @@ export class TrajectoryUnit extends BaseUnit {
       {
         genomeId: this.lastHoveredSound.genomeId,
         experiment: this.lastHoveredSound.experiment || 'unknown',
-        evoRunId: this.lastHoveredSound.evoRunId || 'unknown'
+        evoRunId: this.lastHoveredSound.evoRunId || 'unknown',
+        genomeUrl: this.lastHoveredSound.genomeUrl
       }, 
       renderParams
     );
@@ -1253,7 +1344,8 @@ export class TrajectoryUnit extends BaseUnit {
         {
           genomeId: cellData.genomeId,
           experiment: cellData.experiment || 'unknown',
-          evoRunId: cellData.evoRunId || 'unknown'
+          evoRunId: cellData.evoRunId || 'unknown',
+          genomeUrl: cellData.genomeUrl
         }, 
         renderParams,
         {
@@ -1396,7 +1488,8 @@ export class TrajectoryUnit extends BaseUnit {
           {
             genomeId,
             experiment: this.lastHoveredSound?.experiment || 'unknown',
-            evoRunId: this.lastHoveredSound?.evoRunId || 'unknown'
+            evoRunId: this.lastHoveredSound?.evoRunId || 'unknown',
+            genomeUrl: this.lastHoveredSound?.genomeUrl
           },
           {
             duration: renderParams.duration !== undefined ? renderParams.duration : 
@@ -1544,7 +1637,8 @@ export class TrajectoryUnit extends BaseUnit {
         {
           genomeId: this.lastHoveredSound.genomeId,
           experiment: this.lastHoveredSound.experiment || 'unknown',
-          evoRunId: this.lastHoveredSound.evoRunId || 'unknown'
+          evoRunId: this.lastHoveredSound.evoRunId || 'unknown',
+          genomeUrl: this.lastHoveredSound.genomeUrl
         }, 
         renderParams
       );
@@ -0,0 +1,359 @@
+/**
+ * AudioCache - Rendered and fetched sounds, shared by SoundRenderer and AudioFetcher.
+ *
+ * Sounds are keyed by their genome and render parameters. The most recently used
+ * AudioBuffers stay in memory; every sound is also kept in IndexedDB as 16-bit PCM
+ * (gzipped where CompressionStream is available) so it survives reloads. The
+ * IndexedDB copy is capped by a quota, evicting the least recently used sounds.
+ */
+
+const DB_NAME = 'kromosynth-audio-cache';
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries'; // Small records for stats and eviction
+const PCM_STORE = 'pcm'; // The samples, read only on a hit
+
+const MAX_MEMORY_ENTRIES = 100;
+const QUOTA_STORAGE_KEY = 'AUDIO_CACHE_QUOTA_MB';
+export const DEFAULT_AUDIO_CACHE_QUOTA_MB = 512;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+async function transformBytes(bytes, stream) {
+  return new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+}
+
+// FNV-1a, for short keys of genomes passed inline
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * The genome's path on the REST service, so the same run read from the REST
+ * service or from disk shares entries. Genomes in a data: URL, as from a live
+ * QD run, are keyed by their contents.
+ */
+function getGenomeKey(genomeUrl) {
+  if (genomeUrl.startsWith('data:')) {
+    return `data:${hashString(genomeUrl)}-${genomeUrl.length}`;
+  }
+  try {
+    return new URL(genomeUrl).pathname;
+  } catch {
+    return genomeUrl;
+  }
+}
+
+// Run folder of a /evoruns/<folderName>/genome/<ulid> path, for the per-run stats
+function getEvoRunId(genomeKey) {
+  const match = genomeKey.match(/\/evoruns\/([^/]+)\//);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+class AudioCache {
+  constructor() {
+    // key -> AudioBuffer, least recently used first
+    this.memory = new Map();
+    // key -> { size, lastUsed, evoRunId } of everything in IndexedDB, once opened
+    this.entries = new Map();
+    this.persistentBytes = 0;
+    this.dbPromise = null;
+    // Writes run one at a time, so eviction sees every stored size
+    this.writes = Promise.resolve();
+    // Lookups may repeat for one sound (AudioFetcher, then SoundRenderer), so
+    // misses are counted as the sounds stored after them
+    this.sessionStats = { memoryHits: 0, diskHits: 0, stored: 0, evictions: 0 };
+  }
+
+  /**
+   * Key for a sound: its genome and render parameters
+   * @param {string} genomeUrl - Genome URL, as passed to SoundRenderer.renderGenome
+   * @param {Object} renderParams - { duration, pitch, velocity }
+   */
+  getKey(genomeUrl, { duration, pitch, velocity }) {
+    return `${getGenomeKey(genomeUrl)}|${duration}_${pitch}_${velocity}`;
+  }
+
+  get quotaBytes() {
+    const quota = Number(localStorage.getItem(QUOTA_STORAGE_KEY));
+    return (quota > 0 ? quota : DEFAULT_AUDIO_CACHE_QUOTA_MB) * 1024 * 1024;
+  }
+
+  /**
+   * @param {number} megabytes - Space for sounds in IndexedDB
+   */
+  async setQuota(megabytes) {
+    localStorage.setItem(QUOTA_STORAGE_KEY, String(megabytes));
+    await this.enqueueWrite(() => this.evict());
+  }
+
+  enqueueWrite(task) {
+    const result = this.writes.then(task);
+    this.writes = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Open the database and load the entry records; resolves to null where
+   * IndexedDB is not available, leaving only the memory cache
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = (async () => {
+        if (typeof indexedDB === 'undefined') return null;
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore(ENTRIES_STORE, { keyPath: 'key' });
+          db.createObjectStore(PCM_STORE, { keyPath: 'key' });
+        };
+        const db = await requestToPromise(request);
+        const records = await requestToPromise(db.transaction(ENTRIES_STORE).objectStore(ENTRIES_STORE).getAll());
+        records.forEach(({ key, size, lastUsed, evoRunId }) => {
+          this.entries.set(key, { size, lastUsed, evoRunId });
+          this.persistentBytes += size;
+        });
+        return db;
+      })().catch(error => {
+        console.warn('AudioCache: IndexedDB not available, caching in memory only:', error);
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Whether a sound is in memory
+   */
+  has(genomeUrl, renderParams) {
+    return this.memory.has(this.getKey(genomeUrl, renderParams));
+  }
+
+  /**
+   * A sound in memory, without touching IndexedDB
+   * @returns {AudioBuffer|null}
+   */
+  getFromMemory(genomeUrl, renderParams) {
+    const key = this.getKey(genomeUrl, renderParams);
+    const audioBuffer = this.memory.get(key);
+    if (!audioBuffer) return null;
+    this.sessionStats.memoryHits++;
+    this.rememberInMemory(key, audioBuffer);
+    return audioBuffer;
+  }
+
+  /**
+   * A sound from memory or, failing that, IndexedDB
+   * @returns {Promise<AudioBuffer|null>}
+   */
+  async get(genomeUrl, renderParams) {
+    const inMemory = this.getFromMemory(genomeUrl, renderParams);
+    if (inMemory) {
+      return inMemory;
+    }
+
+    const key = this.getKey(genomeUrl, renderParams);
+    const db = await this.openDatabase();
+    if (!db || !this.entries.has(key)) {
+      return null;
+    }
+
+    try {
+      const record = await requestToPromise(db.transaction(PCM_STORE).objectStore(PCM_STORE).get(key));
+      if (!record) {
+        return null;
+      }
+      const audioBuffer = await this.decode(record);
+      this.sessionStats.diskHits++;
+      this.rememberInMemory(key, audioBuffer);
+      this.touch(db, key);
+      return audioBuffer;
+    } catch (error) {
+      console.warn(`AudioCache: Could not read ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Keep a sound in memory and store it in IndexedDB
+   * @param {string} genomeUrl
+   * @param {Object} renderParams
+   * @param {AudioBuffer} audioBuffer
+   */
+  put(genomeUrl, renderParams, audioBuffer) {
+    const key = this.getKey(genomeUrl, renderParams);
+    this.sessionStats.stored++;
+    this.rememberInMemory(key, audioBuffer);
+    this.enqueueWrite(() => this.persist(key, audioBuffer)).catch(error => {
+      console.warn(`AudioCache: Could not store ${key}:`, error);
+    });
+  }
+
+  rememberInMemory(key, audioBuffer) {
+    this.memory.delete(key);
+    this.memory.set(key, audioBuffer);
+    while (this.memory.size > MAX_MEMORY_ENTRIES) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  async persist(key, audioBuffer) {
+    const db = await this.openDatabase();
+    if (!db) return;
+
+    const record = { key, ...await this.encode(audioBuffer) };
+    const size = record.data.byteLength;
+    if (size > this.quotaBytes) return;
+
+    const entry = { key, size, lastUsed: Date.now(), evoRunId: getEvoRunId(key) };
+    const transaction = db.transaction([ENTRIES_STORE, PCM_STORE], 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).put(entry);
+    transaction.objectStore(PCM_STORE).put(record);
+    await transactionDone(transaction);
+
+    this.persistentBytes += size - (this.entries.get(key)?.size || 0);
+    this.entries.set(key, { size: entry.size, lastUsed: entry.lastUsed, evoRunId: entry.evoRunId });
+    await this.evict();
+  }
+
+  // Record a hit for LRU eviction
+  touch(db, key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    entry.lastUsed = Date.now();
+    const transaction = db.transaction(ENTRIES_STORE, 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).put({ key, ...entry });
+    transactionDone(transaction).catch(error => console.warn('AudioCache: Could not update', key, error));
+  }
+
+  /**
+   * Delete the least recently used sounds until IndexedDB holds no more than the quota
+   */
+  async evict() {
+    const db = await this.openDatabase();
+    if (!db || this.persistentBytes <= this.quotaBytes) return;
+
+    const oldestFirst = Array.from(this.entries.entries()).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    const evicted = [];
+    let bytes = this.persistentBytes;
+    for (const [key, { size }] of oldestFirst) {
+      if (bytes <= this.quotaBytes) break;
+      evicted.push(key);
+      bytes -= size;
+    }
+
+    const transaction = db.transaction([ENTRIES_STORE, PCM_STORE], 'readwrite');
+    evicted.forEach(key => {
+      transaction.objectStore(ENTRIES_STORE).delete(key);
+      transaction.objectStore(PCM_STORE).delete(key);
+    });
+    await transactionDone(transaction);
+
+    evicted.forEach(key => this.entries.delete(key));
+    this.persistentBytes = bytes;
+    this.sessionStats.evictions += evicted.length;
+    console.log(`AudioCache: Evicted ${evicted.length} sounds to stay within ${this.quotaBytes} bytes`);
+  }
+
+  /**
+   * AudioBuffer to 16-bit PCM, channel after channel
+   */
+  async encode(audioBuffer) {
+    const { numberOfChannels, length, sampleRate } = audioBuffer;
+    const pcm = new Int16Array(numberOfChannels * length);
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const samples = audioBuffer.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        pcm[channel * length + i] = Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767);
+      }
+    }
+
+    const compressed = typeof CompressionStream !== 'undefined';
+    return {
+      numberOfChannels,
+      length,
+      sampleRate,
+      encoding: compressed ? 'int16-gzip' : 'int16',
+      data: compressed ? await transformBytes(pcm, new CompressionStream('gzip')) : pcm.buffer
+    };
+  }
+
+  async decode({ numberOfChannels, length, sampleRate, encoding, data }) {
+    const bytes = encoding === 'int16-gzip'
+      ? await transformBytes(data, new DecompressionStream('gzip'))
+      : data;
+    const pcm = new Int16Array(bytes);
+    const audioBuffer = new AudioBuffer({ numberOfChannels, length, sampleRate });
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const samples = audioBuffer.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        samples[i] = pcm[channel * length + i] / 32767;
+      }
+    }
+    return audioBuffer;
+  }
+
+  /**
+   * Sizes and hit counts, e.g. for AudioCacheSettings
+   * @returns {Promise<Object>} memory and IndexedDB entry counts and bytes, the quota,
+   *   this session's hits, stored sounds and evictions, and the stored bytes per run
+   */
+  async getStats() {
+    const db = await this.openDatabase();
+    const byRun = new Map();
+    this.entries.forEach(({ size, evoRunId }) => {
+      const run = byRun.get(evoRunId) || { evoRunId, entries: 0, bytes: 0 };
+      run.entries++;
+      run.bytes += size;
+      byRun.set(evoRunId, run);
+    });
+    let memoryBytes = 0;
+    this.memory.forEach(audioBuffer => {
+      memoryBytes += audioBuffer.length * audioBuffer.numberOfChannels * 4;
+    });
+
+    return {
+      persistent: !!db,
+      memoryEntries: this.memory.size,
+      memoryBytes,
+      persistentEntries: this.entries.size,
+      persistentBytes: this.persistentBytes,
+      quotaBytes: this.quotaBytes,
+      ...this.sessionStats,
+      byRun: Array.from(byRun.values()).sort((a, b) => b.bytes - a.bytes)
+    };
+  }
+
+  /**
+   * Forget every sound, in memory and in IndexedDB
+   */
+  async clear() {
+    this.memory.clear();
+    await this.enqueueWrite(async () => {
+      const db = await this.openDatabase();
+      if (!db) return;
+      const transaction = db.transaction([ENTRIES_STORE, PCM_STORE], 'readwrite');
+      transaction.objectStore(ENTRIES_STORE).clear();
+      transaction.objectStore(PCM_STORE).clear();
+      await transactionDone(transaction);
+      this.entries.clear();
+      this.persistentBytes = 0;
+    });
+  }
+}
+
+// Export singleton instance
+export default new AudioCache();
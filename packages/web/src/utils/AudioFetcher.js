@@ -1,4 +1,5 @@
 import SoundRenderer from './SoundRenderer';
+import AudioCache from './AudioCache';
 import { getRestServiceHost, REST_ENDPOINTS, getLineageSoundsBucketHost, FEATURE_FLAGS } from '../constants';
 
 /**
@@ -7,14 +8,22 @@ import { getRestServiceHost, REST_ENDPOINTS, getLineageSoundsBucketHost, FEATURE
  * Feature flag FEATURE_FLAGS.SKIP_WAV_FETCHING can be used to skip WAV file fetching and go 
  * directly to rendering from genome data. This avoids unnecessary network roundtrips when 
  * WAV files are mostly unavailable.
+ *
+ * Sounds from either source are kept in AudioCache, shared with SoundRenderer.
+ * SoundRenderer renders in the browser when the rendering server is unavailable,
+ * so sounds can be had without it.
  */
 class AudioFetcher {
   /**
    * Get genome JSON URL from sound data
-   * @param {Object} soundData - Data about the sound (genomeId, experiment, evoRunId)
+   * @param {Object} soundData - Data about the sound (genomeId, experiment, evoRunId), or
+   *   genomeUrl for genomes not on the REST service, e.g. from a live QD run
    * @returns {string} - URL to genome JSON data
    */
   static getGenomeUrl(soundData) {
+    if (soundData.genomeUrl) {
+      return soundData.genomeUrl;
+    }
     const { genomeId, experiment, evoRunId } = soundData;
     if (!genomeId || !evoRunId) {
       throw new Error('Missing required parameters for genome URL');
@@ -22,7 +31,7 @@ class AudioFetcher {
     
     // Use REST service endpoint for genome data
     // evoRunId should now contain the full folder name
-    const restHost = getRestServiceHost();
+    const restHost = getRestServiceHost(evoRunId);
     return `${restHost}${REST_ENDPOINTS.GENOME(evoRunId, genomeId)}`;
   }
   
@@ -38,7 +47,7 @@ class AudioFetcher {
     
     // Use REST service endpoint for rendered WAV files
     // evoRunId should now contain the full folder name
-    const restHost = getRestServiceHost();
+    const restHost = getRestServiceHost(evoRunId);
     return `${restHost}${REST_ENDPOINTS.RENDER_AUDIO(evoRunId, genomeId, duration, pitch, velocity)}`;
   }
   
@@ -82,37 +91,31 @@ class AudioFetcher {
    * @param {AudioContext} audioContext - AudioContext to use for decoding
    * @param {Function} onComplete - Callback when audio is available
    * @param {Function} onProgress - Optional callback for progress updates
+   * @param {Object} [renderOptions] - { priority, onChunk } for SoundRenderer.renderGenome
    * @returns {Promise<AudioBuffer>} - Promise that resolves with the AudioBuffer
    */
-  static async getAudioData(soundData, renderParams, audioContext, onComplete, onProgress) {
-    const cacheKey = `${soundData.genomeId}-${renderParams.duration}_${renderParams.pitch}_${renderParams.velocity}`;
+  static async getAudioData(soundData, renderParams, audioContext, onComplete, onProgress, renderOptions) {
+    const genomeUrl = this.getGenomeUrl(soundData);
+    const cacheKey = AudioCache.getKey(genomeUrl, renderParams);
     
-    // First check if we have this in the local cache
-    if (this.audioBufferCache && this.audioBufferCache[cacheKey]) {
+    // First check if we have this in the cache, from this session or an earlier one
+    const cachedBuffer = await AudioCache.get(genomeUrl, renderParams);
+    if (cachedBuffer) {
       console.log(`AudioFetcher: Using cached audio buffer for ${cacheKey}`);
-      const cachedBuffer = this.audioBufferCache[cacheKey];
-      
-      // Check if the buffer is valid (not detached)
-      if (cachedBuffer.length > 0) {
-        // Return the audio buffer via both promise and callback
-        if (onComplete) {
-          onComplete({ 
-            success: true, 
-            audioBuffer: cachedBuffer, 
-            source: 'cache',
-            cacheKey
-          });
-        }
-        return cachedBuffer;
+      // Return the audio buffer via both promise and callback
+      if (onComplete) {
+        onComplete({ 
+          success: true, 
+          audioBuffer: cachedBuffer, 
+          source: 'cache',
+          cacheKey
+        });
       }
-      
-      // If we get here, the cached buffer was invalid
-      console.log(`AudioFetcher: Cached buffer for ${cacheKey} was invalid, re-rendering`);
-      delete this.audioBufferCache[cacheKey];
+      return cachedBuffer;
     }
 
-    // Check feature flag to skip WAV fetching
-    if (FEATURE_FLAGS.SKIP_WAV_FETCHING) {
+    // Check feature flag to skip WAV fetching; genomes with their own URL have no WAVs on the REST service
+    if (FEATURE_FLAGS.SKIP_WAV_FETCHING || soundData.genomeUrl) {
       console.log('AudioFetcher: Skipping WAV fetching due to feature flag, going directly to renderer');
       
       // Go directly to renderer
@@ -124,10 +127,7 @@ class AudioFetcher {
             renderParams,
             (result) => {
               if (result.success && result.audioBuffer) {
-                // Cache the buffer for future use
-                if (!this.audioBufferCache) this.audioBufferCache = {};
-                this.audioBufferCache[cacheKey] = result.audioBuffer;
-                
+                // SoundRenderer has cached the buffer
                 if (onComplete) {
                   onComplete({ 
                     success: true, 
@@ -149,8 +149,9 @@ class AudioFetcher {
                 reject(error);
               }
             },
-            onProgress
-          );
+            onProgress,
+            renderOptions
+          ).catch(() => {}); // Failures are reported to the callback above
         });
       } catch (renderError) {
         console.error('AudioFetcher: Direct render failed:', renderError);
@@ -178,8 +179,7 @@ class AudioFetcher {
         const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
         
         // Cache the buffer for future use
-        if (!this.audioBufferCache) this.audioBufferCache = {};
-        this.audioBufferCache[cacheKey] = audioBuffer;
+        AudioCache.put(genomeUrl, renderParams, audioBuffer);
         
         // Return the audio buffer via both promise and callback
         if (onComplete) {
@@ -207,8 +207,7 @@ class AudioFetcher {
           const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
           
           // Cache the buffer for future use
-          if (!this.audioBufferCache) this.audioBufferCache = {};
-          this.audioBufferCache[cacheKey] = audioBuffer;
+          AudioCache.put(genomeUrl, renderParams, audioBuffer);
           
           // Return the audio buffer via both promise and callback
           if (onComplete) {
@@ -236,10 +235,7 @@ class AudioFetcher {
             renderParams,
             (result) => {
               if (result.success && result.audioBuffer) {
-                // Cache the buffer for future use
-                if (!this.audioBufferCache) this.audioBufferCache = {};
-                this.audioBufferCache[cacheKey] = result.audioBuffer;
-                
+                // SoundRenderer has cached the buffer
                 if (onComplete) {
                   onComplete({ 
                     success: true, 
@@ -261,8 +257,9 @@ class AudioFetcher {
                 reject(error);
               }
             },
-            onProgress
-          );
+            onProgress,
+            renderOptions
+          ).catch(() => {}); // Failures are reported to the callback above
         });
       } catch (renderError) {
         console.error('AudioFetcher: Render fallback failed:', renderError);
@@ -279,21 +276,20 @@ class AudioFetcher {
   }
 
   /**
-   * Clear the audio buffer cache
+   * Clear the audio buffer cache, in memory and IndexedDB
    */
   static clearCache() {
-    this.audioBufferCache = {};
+    return AudioCache.clear();
   }
 
   /**
-   * Get a specific cached audio buffer
-   * @param {string} genomeId - Genome ID 
+   * Get a specific audio buffer cached in memory
+   * @param {Object} soundData - Data about the sound (genomeId, experiment, evoRunId)
    * @param {Object} renderParams - Parameters for rendering (duration, pitch, velocity)
    * @returns {AudioBuffer|null} - The cached buffer or null if not found
    */
-  static getCachedBuffer(genomeId, renderParams) {
-    const cacheKey = `${genomeId}-${renderParams.duration}_${renderParams.pitch}_${renderParams.velocity}`;
-    return (this.audioBufferCache && this.audioBufferCache[cacheKey]) || null;
+  static getCachedBuffer(soundData, renderParams) {
+    return AudioCache.getFromMemory(this.getGenomeUrl(soundData), renderParams);
   }
 }
 
@@ -0,0 +1,29 @@
+// Rendered audio arrives from the rendering server (render-server.cjs is a
+// local one) in frames tagged with the get_audio_data request's requestId, so
+// many renders can share the socket:
+//   "KRAF" | uint32 LE header length | JSON header { requestId, sampleRate } | Int16 LE mono PCM
+// The header is padded with spaces to keep the PCM 4-byte aligned.
+// Requests are sent with stream: true, and servers that stream reply with a
+// frame per chunk whose header adds { offset, totalSamples, final } (in samples).
+// Servers that predate streaming send the whole sound in one frame, and those
+// that predate framing send bare PCM, answering requests in order.
+export const AUDIO_FRAME_MAGIC = 'KRAF';
+
+/**
+ * Split a binary message into its frame header and PCM samples
+ * @param {ArrayBuffer} data
+ * @returns {{header: Object, pcmData: Int16Array}} header is {} for bare PCM
+ */
+export function parseAudioFrame(data) {
+  const bytes = new Uint8Array(data);
+  const isFramed = data.byteLength >= 8 &&
+    String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === AUDIO_FRAME_MAGIC;
+  if (!isFramed) {
+    return { header: {}, pcmData: new Int16Array(data, 0, Math.floor(data.byteLength / 2)) };
+  }
+
+  const headerLength = new DataView(data).getUint32(4, true);
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)));
+  const pcmOffset = 8 + headerLength;
+  return { header, pcmData: new Int16Array(data, pcmOffset, Math.floor((data.byteLength - pcmOffset) / 2)) };
+}
@@ -51,7 +51,7 @@ export class CellDataFormatter {
     const renderKey = isRendered ? `${data.id}-${duration}_${noteDelta}_${velocity}` : data.id;
     
     // Build audio URL using REST service
-    const restHost = getRestServiceHost();
+    const restHost = getRestServiceHost(evoRunId);
     const audioUrl = `${restHost}${REST_ENDPOINTS.RENDER_AUDIO(evoRunId, data.id, duration, noteDelta, velocity)}`;
 
     // Ensure we pass through the config callbacks, but update the values
@@ -71,6 +71,8 @@ export class CellDataFormatter {
     return {
       audioUrl,
       genomeId: data.id,
+      // Set for genomes not on the REST service, e.g. from a live QD run
+      genomeUrl: data.genomeUrl,
       renderKey,
       score: data.s || 0,
       generation: data.gN || 0,
@@ -0,0 +1,127 @@
+/**
+ * LocalRenderer - Renders genomes in the browser with the kromosynth library,
+ * for SoundRenderer to use when the rendering server is unavailable or the
+ * RENDER_BACKEND setting asks for it.
+ *
+ * The genome's wave network is activated in a Web Worker (localRender.worker.js)
+ * and the audio graph it feeds rendered here in an OfflineAudioContext, taking
+ * the same request options as the server's get_audio_data.
+ */
+class LocalRenderer {
+  constructor() {
+    this.worker = null;
+    // Renders waiting for network outputs from the worker, by requestId
+    this.pendingActivations = new Map();
+    // The kromosynth module, loaded on first use to keep it out of the main bundle
+    this.kromosynth = null;
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./localRender.worker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = this.handleWorkerMessage.bind(this);
+      this.worker.onerror = (event) => {
+        console.error('LocalRenderer: Worker error:', event.message);
+        this.pendingActivations.forEach(({ reject }) => reject(new Error(event.message || 'Local render worker failed')));
+        this.pendingActivations.clear();
+        this.worker.terminate();
+        this.worker = null;
+      };
+    }
+    return this.worker;
+  }
+
+  handleWorkerMessage(event) {
+    const { type, requestId, error } = event.data;
+    const activation = this.pendingActivations.get(requestId);
+    if (!activation) return; // Cancelled
+
+    this.pendingActivations.delete(requestId);
+    if (type === 'outputs') {
+      activation.resolve(event.data);
+    } else {
+      activation.reject(new Error(error || 'Local render failed'));
+    }
+  }
+
+  /**
+   * Render a genome
+   * @param {string} requestId - Used to cancel the render
+   * @param {Object} request - get_audio_data options: { genomeStringUrl, duration, noteDelta,
+   *   velocity, reverse, useOvertoneInharmonicityFactors, antiAliasing,
+   *   frequencyUpdatesApplyToAllPathcNetworkOutputs, sampleRate }
+   * @param {AudioContext} audioContext - Creates the returned buffer
+   * @returns {Promise<AudioBuffer|null>} - Mono, like the server's renders; null if cancelled
+   */
+  async render(requestId, request, audioContext) {
+    const activation = new Promise((resolve, reject) => {
+      this.pendingActivations.set(requestId, { resolve, reject });
+    });
+    this.getWorker().postMessage({ type: 'render', requestId, request });
+
+    let kromosynth, outputs;
+    try {
+      [kromosynth, outputs] = await Promise.all([this.loadKromosynth(), activation]);
+    } catch (error) {
+      this.cancel(requestId);
+      throw error;
+    }
+    if (!outputs) return null;
+
+    const offlineContext = new OfflineAudioContext({
+      numberOfChannels: 2,
+      length: Math.round(request.duration * request.sampleRate),
+      sampleRate: request.sampleRate
+    });
+    const { audioBuffer } = await kromosynth.startAudioBuffersRendering(
+      outputs.memberOutputs, outputs.patch,
+      request.duration, request.noteDelta, request.sampleRate,
+      false, // asDataArray
+      offlineContext,
+      audioContext,
+      request.useOvertoneInharmonicityFactors,
+      request.frequencyUpdatesApplyToAllPathcNetworkOutputs,
+      null, // captureNode
+      true // patchAlreadyModified, by the activation
+    );
+
+    const mono = audioContext.createBuffer(1, audioBuffer.length, audioBuffer.sampleRate);
+    mono.copyToChannel(audioBuffer.getChannelData(0), 0);
+    return mono;
+  }
+
+  loadKromosynth() {
+    if (!this.kromosynth) {
+      this.kromosynth = import('kromosynth').catch(error => {
+        this.kromosynth = null;
+        throw error;
+      });
+    }
+    return this.kromosynth;
+  }
+
+  /**
+   * Stop waiting for a render; its render() resolves with null
+   * @param {string} requestId
+   */
+  cancel(requestId) {
+    const activation = this.pendingActivations.get(requestId);
+    if (!activation) return;
+
+    this.pendingActivations.delete(requestId);
+    this.worker?.postMessage({ type: 'cancel', requestId });
+    activation.resolve(null);
+  }
+
+  cleanup() {
+    this.pendingActivations.forEach(({ resolve }) => resolve(null));
+    this.pendingActivations.clear();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+// Export singleton instance
+export default new LocalRenderer();
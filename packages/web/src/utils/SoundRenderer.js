@@ -1,4 +1,7 @@
-import { getRestServiceHost, REST_ENDPOINTS, getLineageSoundsBucketHost } from '../constants';
+import { getRestServiceHost, REST_ENDPOINTS, getLineageSoundsBucketHost, getRenderBackend, RENDER_BACKENDS, LOCAL_EVORUNS_HOST } from '../constants';
+import AudioCache from './AudioCache';
+import LocalRenderer from './LocalRenderer';
+import { parseAudioFrame } from './AudioFrame';
 
 // WebSocket server URL loaded from Vite environment variable
 const RENDERING_SOCKET_SERVER =
@@ -7,10 +10,26 @@ const RENDERING_SOCKET_SERVER =
     ? 'ws://localhost:3000'
     : 'wss://rendering.synth.is');
 
+// Scheduling classes, most urgent first: the hovered or clicked sound, sounds a
+// unit is about to play, and renders kept for later
+export const RENDER_PRIORITY = {
+  INTERACTIVE: 0,
+  PREFETCH: 1,
+  BACKGROUND: 2
+};
+
+const MAX_IN_FLIGHT_RENDERS = 3;
+// While hovering quickly over the tree only the latest hovered sounds are worth rendering
+const MAX_QUEUED_INTERACTIVE_RENDERS = 8;
+const RENDER_TIMEOUT = 30000;
+// Rendering in the browser is slower, and shares one worker
+const LOCAL_RENDER_TIMEOUT = 120000;
+
 // Create a worker blob to handle WebSocket communication off the main thread
 const createWebSocketWorker = () => {
   const workerCode = `
     let socket = null;
+    // Messages waiting for the socket to open, as { data, requestId }
     let messageQueue = [];
     let isConnecting = false;
     const RECONNECT_DELAY = 5000;
@@ -34,7 +53,7 @@ const createWebSocketWorker = () => {
           // Send any queued messages
           while (messageQueue.length > 0) {
             const message = messageQueue.shift();
-            socket.send(message);
+            socket.send(message.data);
           }
         };
         
@@ -98,7 +117,7 @@ const createWebSocketWorker = () => {
     
     // Handle messages from main thread
     self.onmessage = (event) => {
-      const { type, url, data } = event.data;
+      const { type, url, data, requestId } = event.data;
       
       switch (type) {
         case 'connect':
@@ -109,13 +128,24 @@ const createWebSocketWorker = () => {
           if (socket && socket.readyState === WebSocket.OPEN) {
             socket.send(data);
           } else {
-            messageQueue.push(data);
+            messageQueue.push({ data, requestId });
             // Try connecting if not already connecting
             if (!isConnecting) {
               connectToServer(url);
             }
           }
           break;
+
+        case 'cancel': {
+          // A render still queued here is dropped before the server sees it;
+          // one sent on a connection that has since closed ended with it
+          const queuedCount = messageQueue.length;
+          messageQueue = messageQueue.filter(message => message.requestId !== requestId);
+          if (messageQueue.length === queuedCount && socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(data);
+          }
+          break;
+        }
           
         case 'close':
           if (socket) {
@@ -133,29 +163,23 @@ const createWebSocketWorker = () => {
 
 class SoundRenderer {
   constructor() {
-    // Cache of pending render requests
+    // Queued and in-flight renders by render key, so requests for the same sound share one
     this.pendingRenders = new Map();
-    // Cache to track which render combinations have been completed
-    this.completedRenders = new Set();
-    // Cache to store actual AudioBuffer results
-    this.audioBufferCache = new Map();
-    // Maximum number of cached audio buffers to prevent memory issues
-    this.maxCacheSize = 100;
+    // Renders waiting for a free slot, in the order they were requested
+    this.renderQueue = [];
     // WebSocket Worker
     this.worker = null;
     // Queue for messages waiting for worker initialization
     this.messageQueue = [];
-    // Map of callbacks waiting for responses
-    this.responseCallbacks = new Map();
-    // Flag to track connection state
-    this.isConnecting = false;
-    // Current render key for data association
-    this.currentRenderKey = null;
-    
-    // Add debounce timers for render requests
-    this.debounceTimers = new Map();
-    // Track current render by genomeId to allow cancellation
-    this.currentRendersByGenome = new Map();
+    // Renders sent to the server, by requestId, oldest first
+    this.inFlightRenders = new Map();
+    // Counter for the requestIds sent with get_audio_data
+    this.nextRequestId = 1;
+    // Totals reported by getQueueStats, and who is listening for them
+    this.queueStats = { completed: 0, cancelled: 0, failed: 0 };
+    this.queueListeners = new Set();
+    // Connection to the rendering server: 'connecting', 'open' or 'closed'
+    this.connectionStatus = 'connecting';
     
     // Worker initialization state
     this.isWorkerInitialized = false;
@@ -210,7 +234,11 @@ class SoundRenderer {
     switch (type) {
       case 'connection':
         console.log(`WebSocket connection ${status}`);
-        this.isConnecting = status === 'connecting';
+        this.connectionStatus = status;
+        if (status === 'closed') {
+          this.fallBackToLocalRenderer();
+        }
+        this.notifyQueueListeners();
         break;
         
       case 'binary':
@@ -218,7 +246,11 @@ class SoundRenderer {
         break;
         
       case 'json':
-        console.log('Received JSON message:', data);
+        if (data?.type === 'error' && this.inFlightRenders.get(data.requestId)?.backend === RENDER_BACKENDS.SERVER) {
+          this.resolveRequest(data.requestId, { success: false, error: data.error || 'Render failed' });
+        } else {
+          console.log('Received JSON message:', data);
+        }
         break;
         
       case 'error':
@@ -232,58 +264,83 @@ class SoundRenderer {
    * @param {ArrayBuffer} data - Binary data
    */
   handleBinaryData(data) {
-    // Check if we have a current render key and data is valid
-    if (!this.currentRenderKey || !data || data.byteLength === 0) {
-      console.error('Received binary data without render key or empty data');
+    if (!data || data.byteLength === 0) {
+      console.error('Received empty binary data');
       return;
     }
-    
-    // Convert PCM data to AudioBuffer
-    const pcmData = new Int16Array(data, 0, data.byteLength / 2);
-    
-    // Create or get an AudioContext using a factory pattern to avoid creating
-    // multiple contexts unnecessarily
-    if (!this.audioContext) {
-      this.audioContext = new AudioContext({
-        latencyHint: 'interactive',
-        sampleRate: 48000 // Match expected sample rate
-      });
+
+    let frame;
+    try {
+      frame = parseAudioFrame(data);
+    } catch (error) {
+      console.error('Received a malformed audio frame:', error);
+      return;
+    }
+
+    // Bare PCM from a server without framing answers the oldest request
+    const requestId = frame.header.requestId ??
+      Array.from(this.inFlightRenders.values()).find(job => job.backend === RENDER_BACKENDS.SERVER)?.requestId;
+    const job = this.inFlightRenders.get(requestId);
+    if (job?.backend !== RENDER_BACKENDS.SERVER) {
+      // Cancelled or timed out while the server was rendering, or since rendered locally
+      console.log('Dropping audio for a request no longer waiting:', requestId);
+      return;
     }
     
-    const audioBuffer = this.convertToAudioBuffer(pcmData, this.audioContext);
-    
-    // Find the callback for this buffer
-    const renderKey = this.currentRenderKey;
-    if (renderKey && this.responseCallbacks.has(renderKey)) {
-      const callback = this.responseCallbacks.get(renderKey);
-      this.responseCallbacks.delete(renderKey);
-      
-      this.completedRenders.add(renderKey);
-      this.pendingRenders.delete(renderKey);
-      
-      // Cache the AudioBuffer for future use
-      this.audioBufferCache.set(renderKey, audioBuffer);
-      
-      // Manage cache size to prevent memory issues
-      this.manageCacheSize();
-      
-      // Extract genomeId from renderKey
-      const genomeIdMatch = renderKey.match(/(.+?)-\d+_/);
-      const genomeId = genomeIdMatch ? genomeIdMatch[1] : null;
-      
-      // Clear from current renders if this is the active render for this genome
-      if (genomeId && this.currentRendersByGenome.get(genomeId) === renderKey) {
-        this.currentRendersByGenome.delete(genomeId);
-      }
-      
-      // Reset current render key
-      this.currentRenderKey = null;
-      
-      callback({
-        success: true,
-        renderKey,
-        audioBuffer,
+    const audioBuffer = this.convertToAudioBuffer(frame.pcmData, this.getAudioContext(), frame.header.sampleRate);
+    if (frame.header.totalSamples !== undefined) {
+      this.handleStreamChunk(job, frame.header, audioBuffer);
+      return;
+    }
+    job.listeners.forEach(listener => listener.onProgress?.({ progress: 100 }));
+    this.resolveRequest(requestId, { success: true, audioBuffer });
+  }
+
+  /**
+   * Pass a streamed chunk on to the render's listeners, and settle the render
+   * with the whole sound once the last one is in
+   * @param {Object} job
+   * @param {Object} header - { offset, totalSamples, final }
+   * @param {AudioBuffer} audioBuffer - The chunk's samples
+   */
+  handleStreamChunk(job, { offset, totalSamples, final }, audioBuffer) {
+    const chunk = { audioBuffer, offset: offset / audioBuffer.sampleRate };
+    job.chunks.push(chunk);
+    job.receivedSamples += audioBuffer.length;
+    const progress = {
+      progress: totalSamples > 0 ? Math.min(100, (job.receivedSamples / totalSamples) * 100) : 100,
+      receivedSamples: job.receivedSamples,
+      totalSamples
+    };
+    job.listeners.forEach(listener => {
+      listener.onChunk?.(chunk);
+      listener.onProgress?.(progress);
+    });
+
+    // Still streaming, so not timed out
+    clearTimeout(job.timeout);
+    job.timeout = setTimeout(() => {
+      this.resolveRequest(job.requestId, { success: false, error: 'Render timeout' });
+    }, RENDER_TIMEOUT);
+
+    if (final || job.receivedSamples >= totalSamples) {
+      const whole = this.audioContext.createBuffer(1, Math.max(totalSamples, 1), audioBuffer.sampleRate);
+      job.chunks.forEach(({ audioBuffer: part, offset: partOffset }) => {
+        whole.copyToChannel(part.getChannelData(0), 0, Math.round(partOffset * part.sampleRate));
       });
+      this.resolveRequest(job.requestId, { success: true, audioBuffer: whole });
+    }
+  }
+
+  /**
+   * Hand a response to the render waiting for it
+   * @param {string} requestId
+   * @param {Object} result - { success, audioBuffer } or { success: false, error }
+   */
+  resolveRequest(requestId, result) {
+    const job = this.inFlightRenders.get(requestId);
+    if (job) {
+      this.finishJob(job, result);
     }
   }
 
@@ -300,12 +357,25 @@ class SoundRenderer {
     this.worker.postMessage(message);
   }
 
+  /**
+   * Create or get an AudioContext using a factory pattern to avoid creating
+   * multiple contexts unnecessarily
+   */
+  getAudioContext() {
+    if (!this.audioContext) {
+      this.audioContext = new AudioContext({
+        latencyHint: 'interactive',
+        sampleRate: 48000 // Match expected sample rate
+      });
+    }
+    return this.audioContext;
+  }
+
   /**
    * Convert Int16 PCM data to AudioBuffer
    */
-  convertToAudioBuffer(pcmData, audioContext) {
+  convertToAudioBuffer(pcmData, audioContext, sampleRate = 48000) {
     const numChannels = 1; // Mono audio
-    const sampleRate = 48000; // Standard sample rate for our renders
     const numSamples = pcmData.length / numChannels;
     
     // Create AudioBuffer with specific options for better performance
@@ -324,14 +394,25 @@ class SoundRenderer {
   }
 
   /**
-   * Request a sound to be rendered with specific parameters
+   * Request a sound to be rendered with specific parameters.
+   * Renders wait in a queue by priority and at most MAX_IN_FLIGHT_RENDERS are
+   * sent to the server at once. Requests for a sound already queued or
+   * rendering share its result. Sounds are rendered in the browser instead
+   * (LocalRenderer) when the RENDER_BACKEND setting asks for it, the server
+   * connection is closed or the genome is in a local run, with the same result.
    * @param {string} genomeDataUrl - URL to the genome JSON data
    * @param {Object} renderParams - Parameters for rendering
    * @param {Function} onComplete - Callback when render is complete
-   * @param {Function} onProgress - Optional callback for progress updates
+   * @param {Function} onProgress - Optional callback for progress updates, { progress } in
+   *   percent of the samples received
+   * @param {Object} [options]
+   * @param {number} [options.priority] - One of RENDER_PRIORITY, INTERACTIVE by default
+   * @param {Function} [options.onChunk] - Receives { audioBuffer, offset } for each streamed
+   *   chunk, offset in seconds, e.g. for a StreamingPlayer. Not called for cached sounds or
+   *   servers that do not stream; onComplete has the whole sound either way.
    * @returns {Promise} - Promise that resolves when render is complete
    */
-  async renderGenome(genomeDataUrl, renderParams, onComplete, onProgress) {
+  async renderGenome(genomeDataUrl, renderParams, onComplete, onProgress, { priority = RENDER_PRIORITY.INTERACTIVE, onChunk } = {}) {
     const { duration, pitch, velocity } = renderParams;
     
     // Generate a unique key for this render configuration
@@ -345,13 +426,17 @@ class SoundRenderer {
       genomeDataUrl,
       renderParams,
       renderKey,
-      genomeId
+      genomeId,
+      priority
     });
     
-    // Check if we've already rendered this configuration
-    if (this.completedRenders.has(renderKey)) {
+    // Check if we've already rendered this configuration, in this session or
+    // an earlier one (AudioCache), unless it is on its way already
+    const cachedAudioBuffer = this.pendingRenders.has(renderKey)
+      ? null
+      : AudioCache.getFromMemory(genomeDataUrl, renderParams) || await AudioCache.get(genomeDataUrl, renderParams);
+    if (cachedAudioBuffer) {
       console.log('SoundRenderer: Render already completed:', renderKey);
-      const cachedAudioBuffer = this.audioBufferCache.get(renderKey);
       if (onComplete) {
         onComplete({
           success: true,
@@ -360,139 +445,278 @@ class SoundRenderer {
           cached: true
         });
       }
-      return Promise.resolve(renderKey);
-    }
-    
-    // Cancel any existing debounce timers for this genome
-    if (this.debounceTimers.has(genomeId)) {
-      clearTimeout(this.debounceTimers.get(genomeId));
+      return renderKey;
     }
     
-    // Create a new promise for this render
     return new Promise((resolve, reject) => {
-      // Set debounce timer to delay actual rendering
-      const debounceTimer = setTimeout(async () => {
-        // Remove this timer reference
-        this.debounceTimers.delete(genomeId);
-        
-        // Cancel any in-progress renders for the same genome
-        this.cancelRenderForGenome(genomeId);
-        
-        // Start a new render
-        console.log('Starting WebSocket render after debounce:', {
-          genomeDataUrl,
-          renderParams,
-          genomeId
-        });
-        
-        try {
-          // Prepare the request
-          const audioRenderRequest = JSON.stringify({
-            type: 'get_audio_data',
-            genomeStringUrl: genomeDataUrl,
-            duration,
-            noteDelta: pitch,
-            velocity,
-            reverse: false,
-            useOvertoneInharmonicityFactors: true,
-            antiAliasing: false,
-            frequencyUpdatesApplyToAllPathcNetworkOutputs: false,
-            sampleRate: 48000,
-          });
-          
-          // Store the callback so we can call it when we get the response
-          this.responseCallbacks.set(renderKey, (result) => {
-            // Remove from current renders
-            this.currentRendersByGenome.delete(genomeId);
-            this.pendingRenders.delete(renderKey);
-            
-            if (result.success) {
-              this.completedRenders.add(renderKey);
-              // Cache the AudioBuffer for future use
-              if (result.audioBuffer) {
-                this.audioBufferCache.set(renderKey, result.audioBuffer);
-                // Manage cache size to prevent memory issues
-                this.manageCacheSize();
-              }
-              if (onComplete) {
-                onComplete(result);
-              }
-              resolve(renderKey);
-            } else {
-              if (onComplete) {
-                onComplete(result);
-              }
-              reject(result.error || 'Render failed');
-            }
-          });
-          
-          // Track this as the current render for this genomeId
-          this.currentRendersByGenome.set(genomeId, renderKey);
-          this.pendingRenders.set(renderKey, true);
-          
-          // Set the current render key to associate with incoming data
-          this.currentRenderKey = renderKey;
-          
-          // Start progress updates
-          let progress = 0;
-          const progressInterval = setInterval(() => {
-            progress += 10;
-            if (onProgress) {
-              onProgress({ progress: Math.min(progress, 95) }); // Cap at 95% until complete
-            }
-            if (progress >= 100) {
-              clearInterval(progressInterval);
-            }
-          }, 200);
-          
-          // Send the request through the worker
-          this.sendToWorker({
-            type: 'send',
-            data: audioRenderRequest
-          });
-          
-          // Set timeout for the render to complete
-          setTimeout(() => {
-            if (this.responseCallbacks.has(renderKey)) {
-              clearInterval(progressInterval);
-              this.responseCallbacks.delete(renderKey);
-              this.currentRendersByGenome.delete(genomeId);
-              this.pendingRenders.delete(renderKey);
-              
-              // Reset current render key if it's this one
-              if (this.currentRenderKey === renderKey) {
-                this.currentRenderKey = null;
-              }
-              
-              if (onComplete) {
-                onComplete({
-                  success: false,
-                  renderKey,
-                  error: 'Render timeout'
-                });
-              }
-              reject('Render timeout');
-            }
-          }, 30000); // 30 second timeout
-        } catch (error) {
-          console.error('SoundRenderer: Error sending WebSocket request:', error);
-          this.currentRendersByGenome.delete(genomeId);
-          this.pendingRenders.delete(renderKey);
-          
-          if (onComplete) {
-            onComplete({
-              success: false,
-              renderKey,
-              error: 'Error sending WebSocket request'
-            });
-          }
-          reject('Error sending WebSocket request');
+      const listener = { onComplete, onProgress, onChunk, resolve, reject };
+
+      // Join a render of the same sound that is already on its way
+      const existing = this.pendingRenders.get(renderKey);
+      if (existing) {
+        existing.listeners.push(listener);
+        existing.chunks.forEach(chunk => onChunk?.(chunk));
+        existing.priority = Math.min(existing.priority, priority);
+        this.notifyQueueListeners();
+        return;
+      }
+
+      // A newer request replaces older renders of the genome in the same class,
+      // e.g. while the parameters of a hovered sound are being dragged
+      this.cancelRenderForGenome(genomeId, { priority, reason: 'Cancelled by newer render request' });
+
+      const job = {
+        requestId: `r${this.nextRequestId++}`,
+        renderKey,
+        genomeId,
+        genomeDataUrl,
+        renderParams,
+        priority,
+        listeners: [listener],
+        chunks: [],
+        receivedSamples: 0,
+        enqueuedAt: Date.now()
+      };
+      this.pendingRenders.set(renderKey, job);
+      this.renderQueue.push(job);
+      this.trimInteractiveQueue();
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Drop the oldest queued interactive renders beyond MAX_QUEUED_INTERACTIVE_RENDERS
+   */
+  trimInteractiveQueue() {
+    const interactive = this.renderQueue.filter(job => job.priority === RENDER_PRIORITY.INTERACTIVE);
+    interactive
+      .slice(0, Math.max(0, interactive.length - MAX_QUEUED_INTERACTIVE_RENDERS))
+      .forEach(job => this.finishJob(job, {
+        success: false,
+        error: 'Superseded by newer hovered sounds',
+        cancelled: true
+      }));
+  }
+
+  /**
+   * Send queued renders while there are free slots: the most urgent class
+   * first, and within it the latest interactive request or the oldest other one
+   */
+  processQueue() {
+    while (this.inFlightRenders.size < MAX_IN_FLIGHT_RENDERS && this.renderQueue.length > 0) {
+      let next = 0;
+      for (let i = 1; i < this.renderQueue.length; i++) {
+        const { priority } = this.renderQueue[i];
+        const best = this.renderQueue[next].priority;
+        if (priority < best || (priority === best && priority === RENDER_PRIORITY.INTERACTIVE)) {
+          next = i;
         }
-      }, 300); // Debounce delay - wait 300ms before sending the actual render request
-      
-      // Store the debounce timer
-      this.debounceTimers.set(genomeId, debounceTimer);
+      }
+      const [job] = this.renderQueue.splice(next, 1);
+      this.startJob(job);
+    }
+    this.notifyQueueListeners();
+  }
+
+  /**
+   * Whether renders starting now should happen in the browser, or the given
+   * one: genomes of local and imported runs are only served to this app, on
+   * kromosynth-evoruns://, so the server cannot load them
+   * @param {Object} [job]
+   */
+  shouldRenderLocally(job) {
+    return getRenderBackend() === RENDER_BACKENDS.LOCAL || this.connectionStatus === 'closed' ||
+      !!job?.genomeDataUrl.startsWith(LOCAL_EVORUNS_HOST);
+  }
+
+  /**
+   * Options of a render, as sent to the server with get_audio_data and taken by LocalRenderer
+   */
+  getRenderRequest({ genomeDataUrl, renderParams }) {
+    return {
+      genomeStringUrl: genomeDataUrl,
+      duration: renderParams.duration,
+      noteDelta: renderParams.pitch,
+      velocity: renderParams.velocity,
+      reverse: false,
+      useOvertoneInharmonicityFactors: true,
+      antiAliasing: false,
+      frequencyUpdatesApplyToAllPathcNetworkOutputs: false,
+      sampleRate: 48000
+    };
+  }
+
+  /**
+   * Start a render on the server, or in the browser if it should render locally
+   */
+  startJob(job) {
+    const { requestId, genomeDataUrl, renderParams } = job;
+    job.startedAt = Date.now();
+    this.inFlightRenders.set(requestId, job);
+
+    if (this.shouldRenderLocally(job)) {
+      this.startLocalJob(job);
+      return;
+    }
+    job.backend = RENDER_BACKENDS.SERVER;
+
+    console.log('Starting WebSocket render:', {
+      requestId,
+      genomeDataUrl,
+      renderParams,
+      priority: job.priority,
+      waited: job.startedAt - job.enqueuedAt
     });
+
+    // Set timeout for the render to complete, or for its next chunk
+    job.timeout = setTimeout(() => {
+      this.resolveRequest(requestId, { success: false, error: 'Render timeout' });
+    }, RENDER_TIMEOUT);
+
+    try {
+      this.sendToWorker({
+        type: 'send',
+        requestId,
+        data: JSON.stringify({
+          type: 'get_audio_data',
+          requestId,
+          ...this.getRenderRequest(job),
+          stream: true
+        })
+      });
+    } catch (error) {
+      console.error('SoundRenderer: Error sending WebSocket request:', error);
+      this.resolveRequest(requestId, { success: false, error: 'Error sending WebSocket request' });
+    }
+  }
+
+  /**
+   * Render an in-flight job in the browser with LocalRenderer
+   */
+  startLocalJob(job) {
+    const { requestId } = job;
+    job.backend = RENDER_BACKENDS.LOCAL;
+
+    console.log('Starting local render:', {
+      requestId,
+      genomeDataUrl: job.genomeDataUrl,
+      renderParams: job.renderParams,
+      priority: job.priority,
+      waited: Date.now() - job.enqueuedAt
+    });
+
+    clearTimeout(job.timeout);
+    job.timeout = setTimeout(() => {
+      this.resolveRequest(requestId, { success: false, error: 'Render timeout' });
+    }, LOCAL_RENDER_TIMEOUT);
+
+    LocalRenderer.render(requestId, this.getRenderRequest(job), this.getAudioContext())
+      .then(audioBuffer => {
+        if (!audioBuffer) return; // Cancelled
+        this.streamRemainder(job, audioBuffer);
+        job.listeners.forEach(listener => listener.onProgress?.({ progress: 100 }));
+        this.resolveRequest(requestId, { success: true, audioBuffer });
+      })
+      .catch(error => {
+        console.error('SoundRenderer: Local render failed:', error);
+        this.resolveRequest(requestId, { success: false, error: error.message || 'Local render failed' });
+      });
+  }
+
+  /**
+   * Pass on the part of a locally rendered sound that the server did not stream
+   * before it went away, as one last chunk, so playback started from the
+   * streamed chunks plays to the end
+   * @param {Object} job
+   * @param {AudioBuffer} audioBuffer - The whole sound
+   */
+  streamRemainder(job, audioBuffer) {
+    if (job.chunks.length === 0 || job.receivedSamples >= audioBuffer.length) return;
+
+    const rest = audioBuffer.getChannelData(0).subarray(job.receivedSamples);
+    const restBuffer = this.getAudioContext().createBuffer(1, rest.length, audioBuffer.sampleRate);
+    restBuffer.copyToChannel(rest, 0);
+    const chunk = { audioBuffer: restBuffer, offset: job.receivedSamples / audioBuffer.sampleRate };
+    job.chunks.push(chunk);
+    job.receivedSamples = audioBuffer.length;
+    job.listeners.forEach(listener => listener.onChunk?.(chunk));
+  }
+
+  /**
+   * Render the jobs sent to a server that has gone away in the browser instead
+   */
+  fallBackToLocalRenderer() {
+    this.inFlightRenders.forEach(job => {
+      if (job.backend !== RENDER_BACKENDS.SERVER) return;
+      console.log(`Rendering ${job.requestId} locally, as the server connection closed`);
+      // Chunks already streamed stay; the local render supplies the rest (streamRemainder)
+      // Keep the request from being sent when the server comes back
+      this.cancelServerRender(job.requestId);
+      this.startLocalJob(job);
+    });
+  }
+
+  /**
+   * Stop a render sent to the server, or drop its request if the socket worker
+   * is still waiting for a connection to send it
+   * @param {number} requestId
+   */
+  cancelServerRender(requestId) {
+    this.sendToWorker({
+      type: 'cancel',
+      requestId,
+      data: JSON.stringify({ type: 'cancel_render', requestId })
+    });
+  }
+
+  /**
+   * Settle a queued or in-flight render for everyone waiting on it, then start the next
+   * @param {Object} job
+   * @param {Object} result - { success, audioBuffer } or { success: false, error, cancelled? }
+   */
+  finishJob(job, result) {
+    if (this.pendingRenders.get(job.renderKey) !== job) return; // Already settled
+
+    clearTimeout(job.timeout);
+    this.pendingRenders.delete(job.renderKey);
+    this.renderQueue = this.renderQueue.filter(queued => queued !== job);
+    const wasInFlight = this.inFlightRenders.delete(job.requestId);
+
+    if (result.success) {
+      this.queueStats.completed++;
+      // Cache the AudioBuffer for future use
+      if (result.audioBuffer) {
+        AudioCache.put(job.genomeDataUrl, job.renderParams, result.audioBuffer);
+      }
+    } else if (result.cancelled) {
+      this.queueStats.cancelled++;
+    } else {
+      this.queueStats.failed++;
+    }
+
+    // Let the server or the local renderer skip work nobody is waiting for,
+    // including renders that timed out
+    if (wasInFlight && !result.success) {
+      if (job.backend === RENDER_BACKENDS.LOCAL) {
+        LocalRenderer.cancel(job.requestId);
+      } else {
+        this.cancelServerRender(job.requestId);
+      }
+    }
+
+    const settled = { ...result, renderKey: job.renderKey };
+    job.listeners.forEach(({ onComplete, resolve, reject }) => {
+      if (onComplete) {
+        onComplete(settled);
+      }
+      if (result.success) {
+        resolve(job.renderKey);
+      } else {
+        reject(result.error || 'Render failed');
+      }
+    });
+
+    this.processQueue();
   }
   
   /**
@@ -517,59 +741,41 @@ class SoundRenderer {
   }
   
   /**
-   * Cancel any in-progress renders for a specific genome
+   * Cancel queued and in-progress renders of a genome
+   * @param {string} genomeId
+   * @param {Object} [options]
+   * @param {number} [options.priority] - Only cancel renders in this class
+   * @param {string} [options.reason] - Error reported to whoever waits for them
+   * @returns {boolean} - Whether anything was cancelled
    */
-  cancelRenderForGenome(genomeId) {
-    if (!this.currentRendersByGenome.has(genomeId)) {
-      return false;
-    }
-    
-    // Get the render key for this genome
-    const renderKey = this.currentRendersByGenome.get(genomeId);
-    
-    // If there's a callback waiting, call it with a cancellation
-    if (this.responseCallbacks.has(renderKey)) {
-      console.log(`Cancelling render for genome ${genomeId} (key: ${renderKey})`);
-      
-      const callback = this.responseCallbacks.get(renderKey);
-      this.responseCallbacks.delete(renderKey);
-      this.pendingRenders.delete(renderKey);
-      
-      // Reset current render key if it's this one
-      if (this.currentRenderKey === renderKey) {
-        this.currentRenderKey = null;
-      }
-      
-      // Notify the callback of cancellation
-      callback({
-        success: false,
-        renderKey,
-        error: 'Cancelled by newer render request',
-        cancelled: true
-      });
-    }
-    
-    // Remove from current renders
-    this.currentRendersByGenome.delete(genomeId);
-    return true;
+  cancelRenderForGenome(genomeId, { priority, reason = 'Render cancelled' } = {}) {
+    const jobs = Array.from(this.pendingRenders.values())
+      .filter(job => job.genomeId === genomeId && (priority === undefined || job.priority === priority));
+
+    jobs.forEach(job => {
+      console.log(`Cancelling render for genome ${genomeId} (request: ${job.requestId})`);
+      this.finishJob(job, { success: false, error: reason, cancelled: true });
+    });
+    return jobs.length > 0;
   }
 
   /**
    * Request a sound to be rendered with specific parameters
    * This is a bridge method for compatibility with units expecting renderSound
-   * @param {Object} soundData - Data about the sound (genomeId, experiment, evoRunId)
+   * @param {Object} soundData - Data about the sound (genomeId, experiment, evoRunId, optional genomeUrl)
    * @param {Object} renderParams - Parameters for rendering
    * @param {Function} onComplete - Callback when render is complete
    * @param {Function} onProgress - Optional callback for progress updates
+   * @param {Object} [options] - { priority, onChunk }, see renderGenome
    * @returns {Promise} - Promise that resolves when render is complete
    */
-  async renderSound(soundData, renderParams, onComplete, onProgress) {
+  async renderSound(soundData, renderParams, onComplete, onProgress, options) {
     const { genomeId, experiment, evoRunId } = soundData;
 
-    // Construct genome URL from sound data using REST service
+    // Construct genome URL from sound data using REST service, unless it has its own
     // evoRunId should now contain the full folder name
-    const restHost = getRestServiceHost();
-    const genomeUrl = `${restHost}${REST_ENDPOINTS.GENOME(evoRunId, genomeId)}`;
+    const restHost = getRestServiceHost(evoRunId);
+    const genomeUrl = soundData.genomeUrl || `${restHost}${REST_ENDPOINTS.GENOME(evoRunId, genomeId)}`;
     
     console.log('SoundRenderer.renderSound:', { 
       soundData, 
@@ -578,7 +784,7 @@ class SoundRenderer {
     });
 
     // Delegate to renderGenome method
-    return this.renderGenome(genomeUrl, renderParams, onComplete, onProgress);
+    return this.renderGenome(genomeUrl, renderParams, onComplete, onProgress, options);
   }
 
   /**
@@ -607,68 +813,101 @@ class SoundRenderer {
   }
   
   /**
-   * Check if a render has already been completed
+   * Check if a render has already been completed and is still in memory
    */
   hasRendered(genomeDataUrl, renderParams) {
-    const { duration, pitch, velocity } = renderParams;
-    const renderKey = `${genomeDataUrl}-${duration}_${pitch}_${velocity}`;
-    return this.completedRenders.has(renderKey);
+    return AudioCache.has(genomeDataUrl, renderParams);
   }
   
   /**
-   * Get cached AudioBuffer if available
+   * Get cached AudioBuffer if available in memory
    */
   getCachedAudioBuffer(genomeDataUrl, renderParams) {
-    const { duration, pitch, velocity } = renderParams;
-    const renderKey = `${genomeDataUrl}-${duration}_${pitch}_${velocity}`;
-    return this.audioBufferCache.get(renderKey);
+    return AudioCache.getFromMemory(genomeDataUrl, renderParams) || undefined;
   }
   
   /**
-   * Check if we have a cached AudioBuffer for the given parameters
+   * Check if we have a cached AudioBuffer in memory for the given parameters
    */
   hasCachedAudioBuffer(genomeDataUrl, renderParams) {
-    const { duration, pitch, velocity } = renderParams;
-    const renderKey = `${genomeDataUrl}-${duration}_${pitch}_${velocity}`;
-    return this.audioBufferCache.has(renderKey);
+    return AudioCache.has(genomeDataUrl, renderParams);
   }
   
   /**
    * Get cache statistics for debugging
+   * @returns {Promise<Object>} AudioCache.getStats() and the renders under way
    */
-  getCacheStats() {
+  async getCacheStats() {
     return {
-      completedRenders: this.completedRenders.size,
-      cachedAudioBuffers: this.audioBufferCache.size,
+      ...await AudioCache.getStats(),
       pendingRenders: this.pendingRenders.size,
-      currentRendersByGenome: this.currentRendersByGenome.size
+      inFlightRenders: this.inFlightRenders.size
+    };
+  }
+
+  /**
+   * Snapshot of the render queue, e.g. for RenderingIndicator
+   * @returns {{queued: number, inFlight: number, maxInFlight: number,
+   *   byPriority: Object<string, {queued: number, inFlight: number}>,
+   *   completed: number, cancelled: number, failed: number,
+   *   connection: string, rendersLocally: boolean}}
+   */
+  getQueueStats() {
+    const classNames = Object.fromEntries(
+      Object.entries(RENDER_PRIORITY).map(([name, priority]) => [priority, name.toLowerCase()])
+    );
+    const byPriority = Object.fromEntries(
+      Object.values(classNames).map(name => [name, { queued: 0, inFlight: 0 }])
+    );
+    this.renderQueue.forEach(job => byPriority[classNames[job.priority]].queued++);
+    this.inFlightRenders.forEach(job => byPriority[classNames[job.priority]].inFlight++);
+
+    return {
+      queued: this.renderQueue.length,
+      inFlight: this.inFlightRenders.size,
+      maxInFlight: MAX_IN_FLIGHT_RENDERS,
+      byPriority,
+      ...this.queueStats,
+      connection: this.connectionStatus,
+      rendersLocally: this.shouldRenderLocally()
     };
   }
+
+  /**
+   * Be told whenever the render queue changes
+   * @param {function(Object): void} listener - Receives getQueueStats()
+   * @returns {function(): void} - Unsubscribes the listener
+   */
+  subscribeToQueue(listener) {
+    this.queueListeners.add(listener);
+    listener(this.getQueueStats());
+    return () => this.queueListeners.delete(listener);
+  }
+
+  notifyQueueListeners() {
+    if (this.queueListeners.size === 0) return;
+    const stats = this.getQueueStats();
+    this.queueListeners.forEach(listener => listener(stats));
+  }
   
   /**
-   * Clear the render caches
+   * Clear the render caches, in memory and IndexedDB
    */
   clearCache() {
-    this.completedRenders.clear();
-    this.audioBufferCache.clear();
+    return AudioCache.clear();
   }
   
   /**
    * Clean up resources
    */
   cleanup() {
-    // Clear any pending callbacks
-    this.responseCallbacks.clear();
+    // Clear any pending renders
+    this.pendingRenders.forEach(job => clearTimeout(job.timeout));
     this.pendingRenders.clear();
-    this.currentRendersByGenome.clear();
-    
-    // Clear caches
-    this.completedRenders.clear();
-    this.audioBufferCache.clear();
-    
-    // Clear timers
-    this.debounceTimers.forEach(timer => clearTimeout(timer));
-    this.debounceTimers.clear();
+    this.renderQueue = [];
+    this.inFlightRenders.clear();
+    this.queueListeners.clear();
+    LocalRenderer.cleanup();
     
     // Terminate the worker
     if (this.worker) {
@@ -682,25 +921,6 @@ class SoundRenderer {
       this.audioContext.close().catch(err => console.warn('Error closing AudioContext:', err));
     }
   }
-  
-  /**
-   * Manage cache size to prevent memory issues
-   */
-  manageCacheSize() {
-    if (this.audioBufferCache.size > this.maxCacheSize) {
-      // Remove oldest entries (first added) to free up memory
-      const entriesToRemove = this.audioBufferCache.size - this.maxCacheSize;
-      const keys = Array.from(this.audioBufferCache.keys());
-      
-      for (let i = 0; i < entriesToRemove; i++) {
-        const keyToRemove = keys[i];
-        this.audioBufferCache.delete(keyToRemove);
-        this.completedRenders.delete(keyToRemove);
-      }
-      
-      console.log(`SoundRenderer: Cache size reduced from ${this.audioBufferCache.size + entriesToRemove} to ${this.audioBufferCache.size}`);
-    }
-  }
 }
 
 // Export singleton instance
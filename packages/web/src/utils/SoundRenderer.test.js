@@ -0,0 +1,249 @@
+/**
+ * Tests for SoundRenderer, with the socket worker, the AudioContext and
+ * LocalRenderer replaced by fakes.
+ *
+ *   node --import ./node-test-loader.js --test src/utils/SoundRenderer.test.js
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+class FakeAudioBuffer {
+  constructor(numberOfChannels, length, sampleRate) {
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  }
+
+  getChannelData(channel) {
+    return this.channels[channel];
+  }
+
+  copyToChannel(source, channel, startInChannel = 0) {
+    this.channels[channel].set(source, startInChannel);
+  }
+}
+
+// Messages SoundRenderer posted to its socket worker
+const posted = [];
+
+globalThis.window = { location: { hostname: 'localhost' } };
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+globalThis.Worker = class {
+  postMessage(message) {
+    posted.push(message);
+  }
+
+  terminate() {}
+};
+globalThis.AudioContext = class {
+  state = 'running';
+
+  async close() {
+    this.state = 'closed';
+  }
+
+  createBuffer(numberOfChannels, length, sampleRate) {
+    return new FakeAudioBuffer(numberOfChannels, length, sampleRate);
+  }
+};
+
+const encodeFrame = (header, samples) => {
+  let json = JSON.stringify(header);
+  json += ' '.repeat((4 - ((8 + json.length) % 4)) % 4);
+  const frame = new Uint8Array(8 + json.length + samples.byteLength);
+  frame.set(new TextEncoder().encode('KRAF'), 0);
+  new DataView(frame.buffer).setUint32(4, json.length, true);
+  frame.set(new TextEncoder().encode(json), 8);
+  frame.set(new Uint8Array(samples.buffer, samples.byteOffset, samples.byteLength), 8 + json.length);
+  return frame.buffer;
+};
+
+const sentRequests = () => posted
+  .filter(message => message.type === 'send')
+  .map(message => JSON.parse(message.data));
+
+// Let renderGenome get past its AudioCache lookup
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+let SoundRenderer;
+let LocalRenderer;
+let RENDER_PRIORITY;
+let genomeCount = 0;
+
+const genomeUrl = () => `http://localhost:3004/evoruns/run/genome_run_g${++genomeCount}.json.gz`;
+const renderParams = { duration: 1, pitch: 0, velocity: 1 };
+
+before(async () => {
+  ({ default: SoundRenderer, RENDER_PRIORITY } = await import('./SoundRenderer.js'));
+  ({ default: LocalRenderer } = await import('./LocalRenderer.js'));
+});
+
+beforeEach(() => {
+  SoundRenderer.connectionStatus = 'open';
+  posted.length = 0;
+});
+
+after(() => {
+  SoundRenderer.cleanup();
+});
+
+test('a server that drops mid-stream leaves the rest of the sound to the local render', async () => {
+  const totalSamples = 30000;
+  const local = new FakeAudioBuffer(1, totalSamples, 48000);
+  local.getChannelData(0).fill(0.5);
+  LocalRenderer.render = async () => local;
+
+  const chunks = [];
+  let completed;
+  const rendered = SoundRenderer.renderGenome(genomeUrl(), renderParams, result => { completed = result; }, undefined, {
+    onChunk: chunk => chunks.push(chunk)
+  });
+  await settle();
+  const [{ requestId }] = sentRequests();
+
+  const streamed = new Int16Array(12000).fill(32767);
+  SoundRenderer.handleWorkerMessage({ data: {
+    type: 'binary',
+    data: encodeFrame({ requestId, sampleRate: 48000, offset: 0, totalSamples, final: false }, streamed)
+  } });
+  SoundRenderer.handleWorkerMessage({ data: { type: 'connection', status: 'closed' } });
+  await rendered;
+
+  assert.equal(chunks.length, 2);
+  assert.equal(chunks[0].offset, 0);
+  assert.equal(chunks[1].offset, 12000 / 48000);
+  assert.equal(chunks[1].audioBuffer.length, totalSamples - 12000);
+  assert.ok(chunks[1].audioBuffer.getChannelData(0).every(sample => sample === 0.5));
+  assert.equal(completed.audioBuffer, local);
+  assert.ok(posted.some(message => message.type === 'cancel' && message.requestId === requestId));
+});
+
+test('genomes of local runs are rendered in the browser, as the server cannot load them', async () => {
+  const local = new FakeAudioBuffer(1, 100, 48000);
+  const requested = [];
+  LocalRenderer.render = async (requestId, request) => {
+    requested.push(request.genomeStringUrl);
+    return local;
+  };
+
+  const url = 'kromosynth-evoruns://local/evoruns/run/genome/g1';
+  let completed;
+  await SoundRenderer.renderGenome(url, renderParams, result => { completed = result; });
+
+  assert.deepEqual(requested, [url]);
+  assert.deepEqual(sentRequests(), []);
+  assert.equal(completed.audioBuffer, local);
+});
+
+// Settles with 'rendered' or the error the render was rejected with
+const render = (url, priority) => SoundRenderer.renderGenome(url, renderParams, undefined, undefined, { priority })
+  .then(() => 'rendered', error => error);
+
+// The server's whole sound for a request
+const respond = (requestId) => SoundRenderer.handleWorkerMessage({ data: {
+  type: 'binary',
+  data: encodeFrame({ requestId, sampleRate: 48000 }, new Int16Array(100))
+} });
+
+const sentUrls = () => sentRequests().map(request => request.genomeStringUrl);
+
+test('at most three renders are sent at once, the others wait in the queue', async () => {
+  const urls = Array.from({ length: 5 }, genomeUrl);
+  const renders = urls.map(url => render(url, RENDER_PRIORITY.BACKGROUND));
+  await settle();
+
+  assert.deepEqual(sentUrls(), urls.slice(0, 3));
+  const stats = SoundRenderer.getQueueStats();
+  assert.deepEqual([stats.inFlight, stats.queued], [3, 2]);
+  assert.deepEqual(stats.byPriority.background, { queued: 2, inFlight: 3 });
+
+  respond(sentRequests()[0].requestId);
+  assert.deepEqual(sentUrls(), urls.slice(0, 4));
+
+  sentRequests().slice(1).forEach(({ requestId }) => respond(requestId));
+  respond(sentRequests()[4].requestId);
+  assert.deepEqual(await Promise.all(renders), Array(5).fill('rendered'));
+});
+
+test('the most urgent class is sent first, the latest hovered sound before earlier ones', async () => {
+  const busy = Array.from({ length: 3 }, genomeUrl);
+  const [background, prefetch, hovered, hoveredLater] = Array.from({ length: 4 }, genomeUrl);
+  const renders = [
+    ...busy.map(url => render(url, RENDER_PRIORITY.BACKGROUND)),
+    render(background, RENDER_PRIORITY.BACKGROUND),
+    render(prefetch, RENDER_PRIORITY.PREFETCH),
+    render(hovered, RENDER_PRIORITY.INTERACTIVE),
+    render(hoveredLater, RENDER_PRIORITY.INTERACTIVE)
+  ];
+  await settle();
+
+  // Answer the oldest render in flight until all are done
+  for (let answered = 0; answered < renders.length; answered++) {
+    respond(sentRequests()[answered].requestId);
+  }
+  assert.deepEqual(sentUrls(), [...busy, hoveredLater, hovered, prefetch, background]);
+  assert.deepEqual(await Promise.all(renders), Array(renders.length).fill('rendered'));
+});
+
+test('only the latest eight hovered sounds wait for a free slot', async () => {
+  const busy = Array.from({ length: 3 }, genomeUrl);
+  const hovered = Array.from({ length: 10 }, genomeUrl);
+  const busyRenders = busy.map(url => render(url, RENDER_PRIORITY.BACKGROUND));
+  const hoveredRenders = hovered.map(url => render(url, RENDER_PRIORITY.INTERACTIVE));
+  await settle();
+
+  assert.equal(SoundRenderer.getQueueStats().byPriority.interactive.queued, 8);
+  assert.deepEqual(await Promise.all(hoveredRenders.slice(0, 2)), Array(2).fill('Superseded by newer hovered sounds'));
+
+  hovered.slice(2).forEach(url => SoundRenderer.cancelRenderForGenome(SoundRenderer.extractGenomeId(url)));
+  sentRequests().forEach(({ requestId }) => respond(requestId));
+  assert.deepEqual(await Promise.all(busyRenders), Array(3).fill('rendered'));
+});
+
+test('cancelling a render sent to the server asks the server to stop it', async () => {
+  const url = genomeUrl();
+  const cancelled = render(url);
+  await settle();
+  const [{ requestId }] = sentRequests();
+  const before = SoundRenderer.getQueueStats().cancelled;
+
+  assert.equal(SoundRenderer.cancelRenderForGenome(SoundRenderer.extractGenomeId(url)), true);
+  assert.equal(await cancelled, 'Render cancelled');
+  const cancel = posted.find(message => message.type === 'cancel');
+  assert.equal(cancel.requestId, requestId);
+  assert.deepEqual(JSON.parse(cancel.data), { type: 'cancel_render', requestId });
+  assert.equal(SoundRenderer.getQueueStats().cancelled, before + 1);
+
+  // Audio the server had already sent is dropped
+  respond(requestId);
+  assert.equal(SoundRenderer.hasCachedAudioBuffer(url, renderParams), false);
+});
+
+test('a newer request for a genome replaces its render in the same class', async () => {
+  const url = genomeUrl();
+  const replaced = SoundRenderer.renderGenome(url, renderParams).then(() => 'rendered', error => error);
+  const replacing = SoundRenderer.renderGenome(url, { ...renderParams, pitch: 2 }).then(() => 'rendered', error => error);
+  await settle();
+
+  assert.equal(await replaced, 'Cancelled by newer render request');
+  respond(sentRequests().at(-1).requestId);
+  assert.equal(await replacing, 'rendered');
+});
+
+test('requests for a sound already on its way share its render', async () => {
+  const url = genomeUrl();
+  const first = render(url, RENDER_PRIORITY.BACKGROUND);
+  const second = render(url, RENDER_PRIORITY.INTERACTIVE);
+  await settle();
+
+  assert.equal(sentRequests().length, 1);
+  respond(sentRequests()[0].requestId);
+  assert.deepEqual(await Promise.all([first, second]), ['rendered', 'rendered']);
+});
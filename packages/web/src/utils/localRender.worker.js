@@ -0,0 +1,80 @@
+import { getGenomeFromGenomeString, patchFromAsNEATnetwork, startMemberOutputsRendering } from 'kromosynth';
+
+// Network activation for LocalRenderer: loads a genome and computes the outputs
+// of its wave network, the CPU-heavy part of a render. The audio graph those
+// outputs feed needs an OfflineAudioContext, which workers lack, so LocalRenderer
+// renders it on the main thread.
+
+// Renders under way, so cancelled ones can be dropped between steps
+const active = new Set();
+
+async function loadGenomeString(genomeUrl) {
+  const response = await fetch(genomeUrl);
+  if (!response.ok) {
+    throw new Error(`Could not load genome ${genomeUrl}: ${response.status} ${response.statusText}`);
+  }
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  // Gzipped genome files may be served as they are on disk
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+// Genome files hold either the genome or { genome, ... } with its metadata, the
+// genome possibly stringified; favourite sounds hold { patch, member } instead
+async function getPatchAndMember(genomeString) {
+  const genomeAndMeta = JSON.parse(genomeString);
+  if (genomeAndMeta.type === 'favoriteSound') {
+    return genomeAndMeta.genome;
+  }
+  const { asNEATPatch, waveNetwork } = await getGenomeFromGenomeString(
+    typeof genomeAndMeta.genome === 'string' ? genomeAndMeta.genome : genomeString
+  );
+  const asNEATNetworkJSONString = typeof asNEATPatch === 'string' ? asNEATPatch : asNEATPatch.toJSON();
+  return { patch: patchFromAsNEATnetwork(asNEATNetworkJSONString), member: waveNetwork };
+}
+
+async function activate({ requestId, request }) {
+  const { patch, member } = await getPatchAndMember(await loadGenomeString(request.genomeStringUrl));
+  if (!active.has(requestId)) return;
+
+  const { memberOutputs, patch: modifiedPatch } = await startMemberOutputsRendering(
+    member, patch,
+    request.duration, request.noteDelta, request.sampleRate, request.velocity,
+    request.reverse,
+    request.useOvertoneInharmonicityFactors,
+    false, // useGPU
+    request.antiAliasing,
+    request.frequencyUpdatesApplyToAllPathcNetworkOutputs
+  );
+  if (!active.has(requestId)) return;
+
+  const sampleBuffers = new Set();
+  memberOutputs.forEach(({ samples }) => {
+    if (ArrayBuffer.isView(samples)) sampleBuffers.add(samples.buffer);
+  });
+  self.postMessage({ type: 'outputs', requestId, memberOutputs, patch: modifiedPatch }, [...sampleBuffers]);
+}
+
+self.onmessage = (event) => {
+  const { type, requestId } = event.data;
+
+  switch (type) {
+    case 'render':
+      active.add(requestId);
+      activate(event.data)
+        .catch(error => {
+          if (active.has(requestId)) {
+            self.postMessage({ type: 'error', requestId, error: error.message });
+          }
+        })
+        .finally(() => active.delete(requestId));
+      break;
+
+    case 'cancel':
+      active.delete(requestId);
+      break;
+  }
+};